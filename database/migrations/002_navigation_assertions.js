@@ -0,0 +1,44 @@
+/**
+ * Migration: Navigation Assertions
+ * Stores per-step navigation results and the outcome of every assertion step
+ */
+
+exports.up = async function(client) {
+  await client.query(`
+    ALTER TABLE task_responses
+    ADD COLUMN IF NOT EXISTS navigation_results JSONB
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS assertion_results (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+      correlation_id UUID NOT NULL,
+      session_id VARCHAR(255) REFERENCES sessions(session_id) ON DELETE CASCADE,
+      country VARCHAR(5) NOT NULL,
+      device VARCHAR(20) NOT NULL,
+      os VARCHAR(20) NOT NULL,
+      navigation_step INTEGER NOT NULL,
+      assertion_type VARCHAR(50) NOT NULL,
+      selector TEXT,
+      passed BOOLEAN NOT NULL,
+      expected TEXT,
+      actual TEXT,
+      message TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_assertion_results_task_id ON assertion_results(task_id)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_assertion_results_session_id ON assertion_results(session_id)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_assertion_results_country_device_os ON assertion_results(country, device, os)');
+
+  console.log('✅ Navigation assertion tables created');
+};
+
+exports.down = async function(knex) {
+  await knex.raw('DROP TABLE IF EXISTS assertion_results CASCADE');
+  await knex.raw('ALTER TABLE task_responses DROP COLUMN IF EXISTS navigation_results');
+
+  console.log('✅ Navigation assertion tables dropped');
+};
@@ -0,0 +1,19 @@
+/**
+ * Migration: Task Artifacts
+ * References screenshots and DOM snapshots captured by workers
+ */
+
+exports.up = async function(client) {
+  await client.query(`
+    ALTER TABLE task_responses
+    ADD COLUMN IF NOT EXISTS artifacts JSONB
+  `);
+
+  console.log('✅ Task artifact column added');
+};
+
+exports.down = async function(knex) {
+  await knex.raw('ALTER TABLE task_responses DROP COLUMN IF EXISTS artifacts');
+
+  console.log('✅ Task artifact column dropped');
+};
@@ -0,0 +1,38 @@
+/**
+ * Migration: Task Network Summaries
+ * Per-task request counts, failures and slowest resources from the network recorder
+ */
+
+exports.up = async function(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS task_network_summaries (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+      correlation_id UUID NOT NULL,
+      session_id VARCHAR(255) REFERENCES sessions(session_id) ON DELETE CASCADE,
+      total_requests INTEGER NOT NULL DEFAULT 0,
+      failed_requests INTEGER NOT NULL DEFAULT 0,
+      client_errors INTEGER NOT NULL DEFAULT 0,
+      server_errors INTEGER NOT NULL DEFAULT 0,
+      blocked_requests INTEGER NOT NULL DEFAULT 0,
+      timed_out_requests INTEGER NOT NULL DEFAULT 0,
+      network_errors INTEGER NOT NULL DEFAULT 0,
+      total_bytes BIGINT NOT NULL DEFAULT 0,
+      slowest_resources JSONB,
+      failed JSONB,
+      har_location TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_task_network_summaries_task_id ON task_network_summaries(task_id)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_task_network_summaries_session_id ON task_network_summaries(session_id)');
+
+  console.log('✅ Task network summary table created');
+};
+
+exports.down = async function(knex) {
+  await knex.raw('DROP TABLE IF EXISTS task_network_summaries CASCADE');
+
+  console.log('✅ Task network summary table dropped');
+};
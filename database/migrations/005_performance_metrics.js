@@ -0,0 +1,65 @@
+/**
+ * Migration: Performance Metrics
+ * Per-task web performance samples and their hourly rollup columns on statistics
+ */
+
+exports.up = async function(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS task_performance_metrics (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+      correlation_id UUID NOT NULL,
+      session_id VARCHAR(255) REFERENCES sessions(session_id) ON DELETE CASCADE,
+      country VARCHAR(5) NOT NULL,
+      device VARCHAR(20) NOT NULL,
+      os VARCHAR(20) NOT NULL,
+      navigation_step INTEGER, -- NULL for the main page
+      url TEXT,
+      same_document BOOLEAN DEFAULT FALSE,
+      ttfb_ms DECIMAL(10,2),
+      dom_content_loaded_ms DECIMAL(10,2),
+      load_ms DECIMAL(10,2),
+      first_paint_ms DECIMAL(10,2),
+      fcp_ms DECIMAL(10,2),
+      lcp_ms DECIMAL(10,2),
+      cls DECIMAL(8,4),
+      transfer_size INTEGER,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_task_performance_metrics_task_id ON task_performance_metrics(task_id)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_task_performance_metrics_session_id ON task_performance_metrics(session_id)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_task_performance_metrics_created_at ON task_performance_metrics(created_at)');
+
+  await client.query(`
+    ALTER TABLE statistics
+    ADD COLUMN IF NOT EXISTS perf_samples INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS avg_ttfb_ms DECIMAL(10,2),
+    ADD COLUMN IF NOT EXISTS avg_fcp_ms DECIMAL(10,2),
+    ADD COLUMN IF NOT EXISTS avg_lcp_ms DECIMAL(10,2),
+    ADD COLUMN IF NOT EXISTS p75_lcp_ms DECIMAL(10,2),
+    ADD COLUMN IF NOT EXISTS avg_cls DECIMAL(8,4),
+    ADD COLUMN IF NOT EXISTS avg_dom_content_loaded_ms DECIMAL(10,2),
+    ADD COLUMN IF NOT EXISTS avg_load_ms DECIMAL(10,2)
+  `);
+
+  console.log('✅ Performance metrics tables created');
+};
+
+exports.down = async function(knex) {
+  await knex.raw(`
+    ALTER TABLE statistics
+    DROP COLUMN IF EXISTS perf_samples,
+    DROP COLUMN IF EXISTS avg_ttfb_ms,
+    DROP COLUMN IF EXISTS avg_fcp_ms,
+    DROP COLUMN IF EXISTS avg_lcp_ms,
+    DROP COLUMN IF EXISTS p75_lcp_ms,
+    DROP COLUMN IF EXISTS avg_cls,
+    DROP COLUMN IF EXISTS avg_dom_content_loaded_ms,
+    DROP COLUMN IF EXISTS avg_load_ms
+  `);
+  await knex.raw('DROP TABLE IF EXISTS task_performance_metrics CASCADE');
+
+  console.log('✅ Performance metrics tables dropped');
+};
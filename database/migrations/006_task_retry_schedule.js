@@ -0,0 +1,25 @@
+/**
+ * Migration: Task Retry Schedule
+ * When a failed task is due for another attempt, stored so retries survive a client restart
+ */
+
+exports.up = async function(client) {
+  await client.query(`
+    ALTER TABLE tasks
+    ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP WITH TIME ZONE
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_tasks_retry_due ON tasks(next_attempt_at)
+    WHERE status = 'retry_scheduled'
+  `);
+
+  console.log('✅ Task retry schedule added');
+};
+
+exports.down = async function(knex) {
+  await knex.raw('DROP INDEX IF EXISTS idx_tasks_retry_due');
+  await knex.raw('ALTER TABLE tasks DROP COLUMN IF EXISTS next_attempt_at');
+
+  console.log('✅ Task retry schedule removed');
+};
@@ -0,0 +1,36 @@
+/**
+ * Migration: Task Outbox
+ * Dispatch records written in the same transaction as the task status change,
+ * published by the outbox relay and marked once the broker confirms them
+ */
+
+exports.up = async function(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS task_outbox (
+      id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+      correlation_id UUID NOT NULL REFERENCES tasks(correlation_id) ON DELETE CASCADE,
+      session_id VARCHAR(255) REFERENCES sessions(session_id) ON DELETE CASCADE,
+      queue VARCHAR(100) NOT NULL,
+      payload JSONB NOT NULL,
+      status VARCHAR(20) DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      last_error TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      published_at TIMESTAMP WITH TIME ZONE
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_task_outbox_pending ON task_outbox(created_at)
+    WHERE status = 'pending'
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_task_outbox_correlation_id ON task_outbox(correlation_id)');
+
+  console.log('✅ Task outbox table created');
+};
+
+exports.down = async function(knex) {
+  await knex.raw('DROP TABLE IF EXISTS task_outbox CASCADE');
+
+  console.log('✅ Task outbox table dropped');
+};
@@ -0,0 +1,51 @@
+/**
+ * Migration: Task Response Attempts
+ * One stored response per task attempt, so redelivered results cannot be stored twice,
+ * and session counters rebuilt from the tasks they summarize
+ */
+
+exports.up = async function(client) {
+  await client.query(`
+    ALTER TABLE task_responses
+    ADD COLUMN IF NOT EXISTS attempt INTEGER NOT NULL DEFAULT 0
+  `);
+
+  // Responses stored before attempts were recorded are numbered in arrival order
+  await client.query(`
+    UPDATE task_responses r
+    SET attempt = numbered.attempt
+    FROM (
+      SELECT id, ROW_NUMBER() OVER (PARTITION BY correlation_id ORDER BY created_at, id) - 1 AS attempt
+      FROM task_responses
+    ) numbered
+    WHERE r.id = numbered.id
+  `);
+
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_task_responses_correlation_attempt
+    ON task_responses(correlation_id, attempt)
+  `);
+
+  await client.query(`
+    UPDATE sessions s
+    SET tasks_completed = counts.completed,
+        tasks_failed = counts.failed
+    FROM (
+      SELECT session_id,
+             COUNT(*) FILTER (WHERE status = 'completed') AS completed,
+             COUNT(*) FILTER (WHERE status = 'failed') AS failed
+      FROM tasks
+      GROUP BY session_id
+    ) counts
+    WHERE s.session_id = counts.session_id
+  `);
+
+  console.log('✅ Task response attempts added');
+};
+
+exports.down = async function(knex) {
+  await knex.raw('DROP INDEX IF EXISTS idx_task_responses_correlation_attempt');
+  await knex.raw('ALTER TABLE task_responses DROP COLUMN IF EXISTS attempt');
+
+  console.log('✅ Task response attempts removed');
+};
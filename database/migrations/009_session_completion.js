@@ -0,0 +1,59 @@
+/**
+ * Migration: Session Completion
+ * Room for the 'completed_with_failures' session status, and total_tasks_generated
+ * filled in for sessions created before it was maintained
+ */
+
+// session_summary reads sessions.status, so it is recreated around the type change
+const SESSION_SUMMARY_VIEW = `
+  CREATE VIEW session_summary AS
+  SELECT
+      s.session_id,
+      s.tasks_24h,
+      s.countries,
+      s.status,
+      s.created_at,
+      s.total_tasks_generated,
+      s.tasks_completed,
+      s.tasks_failed,
+      CASE
+          WHEN s.total_tasks_generated > 0
+          THEN ROUND((s.tasks_completed::DECIMAL / s.total_tasks_generated * 100), 2)
+          ELSE 0
+      END as completion_percentage,
+      CASE
+          WHEN s.tasks_completed > 0
+          THEN ROUND((s.tasks_completed::DECIMAL / (s.tasks_completed + s.tasks_failed) * 100), 2)
+          ELSE 0
+      END as success_rate
+  FROM sessions s
+`;
+
+exports.up = async function(client) {
+  await client.query('DROP VIEW IF EXISTS session_summary');
+  await client.query('ALTER TABLE sessions ALTER COLUMN status TYPE VARCHAR(30)');
+  await client.query(SESSION_SUMMARY_VIEW);
+
+  await client.query(`
+    UPDATE sessions s
+    SET total_tasks_generated = counts.generated
+    FROM (
+      SELECT session_id, COUNT(*) AS generated
+      FROM tasks
+      GROUP BY session_id
+    ) counts
+    WHERE s.session_id = counts.session_id
+      AND COALESCE(s.total_tasks_generated, 0) = 0
+  `);
+
+  console.log('✅ Session completion status added');
+};
+
+exports.down = async function(knex) {
+  await knex.raw("UPDATE sessions SET status = 'completed' WHERE status = 'completed_with_failures'");
+  await knex.raw('DROP VIEW IF EXISTS session_summary');
+  await knex.raw('ALTER TABLE sessions ALTER COLUMN status TYPE VARCHAR(20)');
+  await knex.raw(SESSION_SUMMARY_VIEW);
+
+  console.log('✅ Session completion status removed');
+};
@@ -0,0 +1,28 @@
+/**
+ * Migration: Session Leases
+ * Which client instance drives each running session, renewed by heartbeat
+ * so another instance can take over when the owner dies
+ */
+
+exports.up = async function(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS session_leases (
+      session_id VARCHAR(255) PRIMARY KEY REFERENCES sessions(session_id) ON DELETE CASCADE,
+      owner_id VARCHAR(255) NOT NULL,
+      acquired_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      heartbeat_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+    )
+  `);
+
+  await client.query('CREATE INDEX IF NOT EXISTS idx_session_leases_owner_id ON session_leases(owner_id)');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_session_leases_expires_at ON session_leases(expires_at)');
+
+  console.log('✅ Session leases table created');
+};
+
+exports.down = async function(knex) {
+  await knex.raw('DROP TABLE IF EXISTS session_leases CASCADE');
+
+  console.log('✅ Session leases table dropped');
+};
@@ -0,0 +1,19 @@
+/**
+ * Migration: Session Traffic Profiles
+ * Time-of-day curve each session's tasks are sent along; existing sessions stay flat
+ */
+
+exports.up = async function(client) {
+  await client.query(`
+    ALTER TABLE sessions
+    ADD COLUMN IF NOT EXISTS traffic_profile JSONB DEFAULT '"flat"'
+  `);
+
+  console.log('✅ Session traffic profiles added');
+};
+
+exports.down = async function(knex) {
+  await knex.raw('ALTER TABLE sessions DROP COLUMN IF EXISTS traffic_profile');
+
+  console.log('✅ Session traffic profiles removed');
+};
@@ -0,0 +1,48 @@
+/**
+ * Migration: Session Schedules
+ * Session definitions with a start, end and recurrence that the client turns into
+ * sessions when they come due, and the schedule each session was created from
+ */
+
+exports.up = async function(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS session_schedules (
+      schedule_id VARCHAR(255) PRIMARY KEY,
+      name VARCHAR(255),
+      session_data JSONB NOT NULL,
+      recurrence VARCHAR(100),
+      time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+      starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+      ends_at TIMESTAMP WITH TIME ZONE,
+      next_run_at TIMESTAMP WITH TIME ZONE,
+      last_run_at TIMESTAMP WITH TIME ZONE,
+      last_session_id VARCHAR(255),
+      run_count INTEGER DEFAULT 0,
+      status VARCHAR(20) DEFAULT 'active',
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_session_schedules_due
+    ON session_schedules(next_run_at) WHERE status = 'active'
+  `);
+
+  await client.query(`
+    ALTER TABLE sessions
+    ADD COLUMN IF NOT EXISTS schedule_id VARCHAR(255)
+    REFERENCES session_schedules(schedule_id) ON DELETE SET NULL
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_sessions_schedule_id ON sessions(schedule_id)');
+
+  console.log('✅ Session schedules table created');
+};
+
+exports.down = async function(knex) {
+  await knex.raw('DROP INDEX IF EXISTS idx_sessions_schedule_id');
+  await knex.raw('ALTER TABLE sessions DROP COLUMN IF EXISTS schedule_id');
+  await knex.raw('DROP TABLE IF EXISTS session_schedules CASCADE');
+
+  console.log('✅ Session schedules table dropped');
+};
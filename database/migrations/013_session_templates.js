@@ -0,0 +1,54 @@
+/**
+ * Migration: Session Templates
+ * Versioned session templates and navigation fragments, and the versions each session ran
+ */
+
+exports.up = async function(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS session_templates (
+      name VARCHAR(100) NOT NULL,
+      version INTEGER NOT NULL,
+      description TEXT,
+      definition JSONB NOT NULL,
+      parameters JSONB NOT NULL DEFAULT '{}',
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      PRIMARY KEY (name, version)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS navigation_fragments (
+      name VARCHAR(100) NOT NULL,
+      version INTEGER NOT NULL,
+      description TEXT,
+      steps JSONB NOT NULL,
+      parameters JSONB NOT NULL DEFAULT '{}',
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+      PRIMARY KEY (name, version)
+    )
+  `);
+
+  await client.query(`
+    ALTER TABLE sessions
+    ADD COLUMN IF NOT EXISTS template_name VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS template_version INTEGER,
+    ADD COLUMN IF NOT EXISTS navigation_fragments JSONB
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_sessions_template ON sessions(template_name, template_version)');
+
+  console.log('✅ Session templates and navigation fragments tables created');
+};
+
+exports.down = async function(knex) {
+  await knex.raw('DROP INDEX IF EXISTS idx_sessions_template');
+  await knex.raw(`
+    ALTER TABLE sessions
+    DROP COLUMN IF EXISTS template_name,
+    DROP COLUMN IF EXISTS template_version,
+    DROP COLUMN IF EXISTS navigation_fragments
+  `);
+  await knex.raw('DROP TABLE IF EXISTS navigation_fragments CASCADE');
+  await knex.raw('DROP TABLE IF EXISTS session_templates CASCADE');
+
+  console.log('✅ Session templates and navigation fragments tables dropped');
+};
@@ -0,0 +1,19 @@
+/**
+ * Migration: Session Country Overrides
+ * Per-country weights, device/OS distributions, URLs and navigations
+ */
+
+exports.up = async function(client) {
+  await client.query(`
+    ALTER TABLE sessions
+    ADD COLUMN IF NOT EXISTS country_overrides JSONB
+  `);
+
+  console.log('✅ Session country overrides column added');
+};
+
+exports.down = async function(knex) {
+  await knex.raw('ALTER TABLE sessions DROP COLUMN IF EXISTS country_overrides');
+
+  console.log('✅ Session country overrides column dropped');
+};
@@ -0,0 +1,25 @@
+/**
+ * Migration: Device Distributions
+ * Weighted fingerprint profile distributions per session and the profile chosen for each task
+ */
+
+exports.up = async function(client) {
+  await client.query(`
+    ALTER TABLE sessions
+    ADD COLUMN IF NOT EXISTS device_distribution JSONB
+  `);
+
+  await client.query(`
+    ALTER TABLE tasks
+    ADD COLUMN IF NOT EXISTS fingerprint_profile VARCHAR(100)
+  `);
+
+  console.log('✅ Device distribution and task fingerprint profile columns added');
+};
+
+exports.down = async function(knex) {
+  await knex.raw('ALTER TABLE tasks DROP COLUMN IF EXISTS fingerprint_profile');
+  await knex.raw('ALTER TABLE sessions DROP COLUMN IF EXISTS device_distribution');
+
+  console.log('✅ Device distribution and task fingerprint profile columns dropped');
+};
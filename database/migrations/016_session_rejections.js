@@ -0,0 +1,26 @@
+/**
+ * Migration: Session Rejections
+ * Sessions rejected at ingest, with the schema validation errors reported back to the sender
+ */
+
+exports.up = async function(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS session_rejections (
+      rejection_id UUID PRIMARY KEY,
+      schema_version INTEGER,
+      session_data JSONB,
+      errors JSONB NOT NULL,
+      error_message TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    )
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_session_rejections_created_at ON session_rejections(created_at)');
+
+  console.log('✅ Session rejections table created');
+};
+
+exports.down = async function(knex) {
+  await knex.raw('DROP TABLE IF EXISTS session_rejections');
+
+  console.log('✅ Session rejections table dropped');
+};
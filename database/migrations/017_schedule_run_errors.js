@@ -0,0 +1,19 @@
+/**
+ * Migration: Schedule Run Errors
+ * The error of a schedule's last skipped run, e.g. a template that no longer expands
+ */
+
+exports.up = async function(client) {
+  await client.query(`
+    ALTER TABLE session_schedules
+    ADD COLUMN IF NOT EXISTS last_error TEXT
+  `);
+
+  console.log('✅ Schedule last_error column added');
+};
+
+exports.down = async function(knex) {
+  await knex.raw('ALTER TABLE session_schedules DROP COLUMN IF EXISTS last_error');
+
+  console.log('✅ Schedule last_error column dropped');
+};
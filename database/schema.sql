@@ -5,6 +5,25 @@
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Session schedules - session definitions materialized into sessions on a recurrence
+CREATE TABLE session_schedules (
+    schedule_id VARCHAR(255) PRIMARY KEY,
+    name VARCHAR(255),
+    session_data JSONB NOT NULL,
+    recurrence VARCHAR(100),
+    time_zone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE,
+    next_run_at TIMESTAMP WITH TIME ZONE,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_session_id VARCHAR(255),
+    run_count INTEGER DEFAULT 0,
+    status VARCHAR(20) DEFAULT 'active',
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Sessions table - stores session configurations
 CREATE TABLE sessions (
     session_id VARCHAR(255) PRIMARY KEY,
@@ -15,7 +34,14 @@ CREATE TABLE sessions (
     mobile_desktop_distribution VARCHAR(10) NOT NULL,
     mobile_os_distribution VARCHAR(10) NOT NULL,
     desktop_os_distribution VARCHAR(10) NOT NULL,
-    status VARCHAR(20) DEFAULT 'pending',
+    traffic_profile JSONB DEFAULT '"flat"',
+    schedule_id VARCHAR(255) REFERENCES session_schedules(schedule_id) ON DELETE SET NULL,
+    template_name VARCHAR(100),
+    template_version INTEGER,
+    navigation_fragments JSONB,
+    country_overrides JSONB,
+    device_distribution JSONB,
+    status VARCHAR(30) DEFAULT 'pending',
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     completed_at TIMESTAMP WITH TIME ZONE,
@@ -35,12 +61,14 @@ CREATE TABLE tasks (
     os VARCHAR(20) NOT NULL,
     main_page_url TEXT NOT NULL,
     navigations JSONB NOT NULL,
+    fingerprint_profile VARCHAR(100),
     status VARCHAR(20) DEFAULT 'pending',
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     sent_at TIMESTAMP WITH TIME ZONE,
     completed_at TIMESTAMP WITH TIME ZONE,
     retry_count INTEGER DEFAULT 0,
     last_error TEXT,
+    next_attempt_at TIMESTAMP WITH TIME ZONE,
     processing_time_ms INTEGER
 );
 
@@ -49,6 +77,7 @@ CREATE TABLE task_responses (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
     correlation_id UUID NOT NULL,
+    attempt INTEGER NOT NULL DEFAULT 0,
     status VARCHAR(20) NOT NULL,
     country VARCHAR(5) NOT NULL,
     device VARCHAR(20) NOT NULL,
@@ -57,10 +86,129 @@ CREATE TABLE task_responses (
     error_message TEXT,
     error_type VARCHAR(50),
     navigation_step INTEGER,
+    navigation_results JSONB,
+    artifacts JSONB,
     response_time_ms INTEGER,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Assertion results - outcome of each assertion step in a navigation sequence
+CREATE TABLE assertion_results (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+    correlation_id UUID NOT NULL,
+    session_id VARCHAR(255) REFERENCES sessions(session_id) ON DELETE CASCADE,
+    country VARCHAR(5) NOT NULL,
+    device VARCHAR(20) NOT NULL,
+    os VARCHAR(20) NOT NULL,
+    navigation_step INTEGER NOT NULL,
+    assertion_type VARCHAR(50) NOT NULL,
+    selector TEXT,
+    passed BOOLEAN NOT NULL,
+    expected TEXT,
+    actual TEXT,
+    message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Task network summaries - request outcomes recorded per task
+CREATE TABLE task_network_summaries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+    correlation_id UUID NOT NULL,
+    session_id VARCHAR(255) REFERENCES sessions(session_id) ON DELETE CASCADE,
+    total_requests INTEGER NOT NULL DEFAULT 0,
+    failed_requests INTEGER NOT NULL DEFAULT 0,
+    client_errors INTEGER NOT NULL DEFAULT 0,
+    server_errors INTEGER NOT NULL DEFAULT 0,
+    blocked_requests INTEGER NOT NULL DEFAULT 0,
+    timed_out_requests INTEGER NOT NULL DEFAULT 0,
+    network_errors INTEGER NOT NULL DEFAULT 0,
+    total_bytes BIGINT NOT NULL DEFAULT 0,
+    slowest_resources JSONB,
+    failed JSONB,
+    har_location TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Task performance metrics - web performance samples per page load and navigation step
+CREATE TABLE task_performance_metrics (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID REFERENCES tasks(id) ON DELETE CASCADE,
+    correlation_id UUID NOT NULL,
+    session_id VARCHAR(255) REFERENCES sessions(session_id) ON DELETE CASCADE,
+    country VARCHAR(5) NOT NULL,
+    device VARCHAR(20) NOT NULL,
+    os VARCHAR(20) NOT NULL,
+    navigation_step INTEGER, -- NULL for the main page
+    url TEXT,
+    same_document BOOLEAN DEFAULT FALSE,
+    ttfb_ms DECIMAL(10,2),
+    dom_content_loaded_ms DECIMAL(10,2),
+    load_ms DECIMAL(10,2),
+    first_paint_ms DECIMAL(10,2),
+    fcp_ms DECIMAL(10,2),
+    lcp_ms DECIMAL(10,2),
+    cls DECIMAL(8,4),
+    transfer_size INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Task outbox - dispatch records published by the outbox relay with publisher confirms
+CREATE TABLE task_outbox (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    correlation_id UUID NOT NULL REFERENCES tasks(correlation_id) ON DELETE CASCADE,
+    session_id VARCHAR(255) REFERENCES sessions(session_id) ON DELETE CASCADE,
+    queue VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    published_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Session leases - the client instance driving each running session
+CREATE TABLE session_leases (
+    session_id VARCHAR(255) PRIMARY KEY REFERENCES sessions(session_id) ON DELETE CASCADE,
+    owner_id VARCHAR(255) NOT NULL,
+    acquired_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    heartbeat_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+-- Session templates - named, versioned session definitions referenced by sessions
+CREATE TABLE session_templates (
+    name VARCHAR(100) NOT NULL,
+    version INTEGER NOT NULL,
+    description TEXT,
+    definition JSONB NOT NULL,
+    parameters JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (name, version)
+);
+
+-- Navigation fragments - named, versioned navigation steps included by sessions and templates
+CREATE TABLE navigation_fragments (
+    name VARCHAR(100) NOT NULL,
+    version INTEGER NOT NULL,
+    description TEXT,
+    steps JSONB NOT NULL,
+    parameters JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (name, version)
+);
+
+-- Session rejections - sessions that failed schema validation at ingest, with their errors
+CREATE TABLE session_rejections (
+    rejection_id UUID PRIMARY KEY,
+    schema_version INTEGER,
+    session_data JSONB,
+    errors JSONB NOT NULL,
+    error_message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Statistics table - aggregated statistics
 CREATE TABLE statistics (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -75,6 +223,14 @@ CREATE TABLE statistics (
     failed_tasks INTEGER DEFAULT 0,
     avg_response_time_ms DECIMAL(10,2),
     success_rate DECIMAL(5,2),
+    perf_samples INTEGER DEFAULT 0,
+    avg_ttfb_ms DECIMAL(10,2),
+    avg_fcp_ms DECIMAL(10,2),
+    avg_lcp_ms DECIMAL(10,2),
+    p75_lcp_ms DECIMAL(10,2),
+    avg_cls DECIMAL(8,4),
+    avg_dom_content_loaded_ms DECIMAL(10,2),
+    avg_load_ms DECIMAL(10,2),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     UNIQUE(session_id, date, hour, country, device, os)
@@ -131,18 +287,42 @@ CREATE TRIGGER update_rate_management_updated_at BEFORE UPDATE ON rate_managemen
 -- Create indexes for performance (AFTER tables are created)
 CREATE INDEX idx_sessions_status ON sessions(status);
 CREATE INDEX idx_sessions_created_at ON sessions(created_at);
+CREATE INDEX idx_sessions_schedule_id ON sessions(schedule_id);
+CREATE INDEX idx_sessions_template ON sessions(template_name, template_version);
+CREATE INDEX idx_session_rejections_created_at ON session_rejections(created_at);
 
 CREATE INDEX idx_tasks_session_id ON tasks(session_id);
 CREATE INDEX idx_tasks_status ON tasks(status);
 CREATE INDEX idx_tasks_correlation_id ON tasks(correlation_id);
 CREATE INDEX idx_tasks_created_at ON tasks(created_at);
 CREATE INDEX idx_tasks_country_device_os ON tasks(country, device, os);
+CREATE INDEX idx_tasks_retry_due ON tasks(next_attempt_at) WHERE status = 'retry_scheduled';
 
 CREATE INDEX idx_task_responses_task_id ON task_responses(task_id);
 CREATE INDEX idx_task_responses_correlation_id ON task_responses(correlation_id);
+CREATE UNIQUE INDEX idx_task_responses_correlation_attempt ON task_responses(correlation_id, attempt);
 CREATE INDEX idx_task_responses_timestamp ON task_responses(timestamp);
 CREATE INDEX idx_task_responses_status ON task_responses(status);
 
+CREATE INDEX idx_assertion_results_task_id ON assertion_results(task_id);
+CREATE INDEX idx_assertion_results_session_id ON assertion_results(session_id);
+CREATE INDEX idx_assertion_results_country_device_os ON assertion_results(country, device, os);
+
+CREATE INDEX idx_task_network_summaries_task_id ON task_network_summaries(task_id);
+CREATE INDEX idx_task_network_summaries_session_id ON task_network_summaries(session_id);
+
+CREATE INDEX idx_task_performance_metrics_task_id ON task_performance_metrics(task_id);
+CREATE INDEX idx_task_performance_metrics_session_id ON task_performance_metrics(session_id);
+CREATE INDEX idx_task_performance_metrics_created_at ON task_performance_metrics(created_at);
+
+CREATE INDEX idx_task_outbox_pending ON task_outbox(created_at) WHERE status = 'pending';
+CREATE INDEX idx_task_outbox_correlation_id ON task_outbox(correlation_id);
+
+CREATE INDEX idx_session_leases_owner_id ON session_leases(owner_id);
+CREATE INDEX idx_session_leases_expires_at ON session_leases(expires_at);
+
+CREATE INDEX idx_session_schedules_due ON session_schedules(next_run_at) WHERE status = 'active';
+
 CREATE INDEX idx_statistics_session_id ON statistics(session_id);
 CREATE INDEX idx_statistics_date_hour ON statistics(date, hour);
 CREATE INDEX idx_statistics_country_device_os ON statistics(country, device, os);
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const { createLogger } = require('../src/utils/logger');
+
+/**
+ * Dead Letter Queue
+ * Inspect, replay and purge messages that consumers gave up on.
+ *
+ * AMQP has no browse operation, so messages are fetched with basic.get on a
+ * dedicated channel. Anything not acknowledged is returned to the queue when
+ * that channel closes, which keeps listing non-destructive.
+ */
+class DeadLetterQueue {
+  /**
+   * @param {Object} rabbitmq - Connected RabbitMQSetup
+   * @param {Object} config - Configuration
+   * @param {string} config.queue - Dead letter queue name
+   * @param {number} config.scanLimit - Most messages fetched in one pass
+   */
+  constructor(rabbitmq, config = {}) {
+    this.rabbitmq = rabbitmq;
+    this.config = {
+      queue: config.queue || 'dead_letter',
+      scanLimit: config.scanLimit || 1000
+    };
+    this.logger = createLogger('dead-letter-queue');
+  }
+
+  /**
+   * List dead letters matching a filter; the queue is left unchanged
+   * @param {Object} filter - { queue, reason, sessionId, ids, limit }
+   * @returns {Promise<Array>} Dead letters with their headers and parsed content
+   */
+  async list(filter = {}) {
+    return this.withMessages(async (messages) => {
+      const matches = messages.filter(({ deadLetter }) => this.matches(deadLetter, filter));
+      return matches.slice(0, filter.limit || matches.length).map(({ deadLetter }) => deadLetter);
+    });
+  }
+
+  /**
+   * Publish matching dead letters back to their original queue and remove them from the DLQ
+   * Each is acked only once the broker confirms the republish, so a failure leaves it in the DLQ.
+   * @param {Object} filter - { queue, reason, sessionId, ids, limit }
+   * @returns {Promise<Object>} { replayed, failed, ids }
+   */
+  async replay(filter = {}) {
+    return this.withMessages(async (messages, channel) => {
+      const result = { replayed: 0, failed: 0, ids: [] };
+      const matches = messages.filter(({ deadLetter }) => this.matches(deadLetter, filter));
+
+      for (const { message, deadLetter } of matches.slice(0, filter.limit || matches.length)) {
+        if (!deadLetter.original_queue) {
+          result.failed++;
+          this.logger.warn('Dead letter has no original queue', { message_id: deadLetter.id });
+          continue;
+        }
+
+        const headers = {
+          'x-replayed-from': this.config.queue,
+          'x-replay-count': (Number(deadLetter.headers['x-replay-count']) || 0) + 1
+        };
+        if (deadLetter.session_id) {
+          headers['x-session-id'] = deadLetter.session_id;
+        }
+        if (deadLetter.correlation_id) {
+          headers['x-correlation-id'] = deadLetter.correlation_id;
+        }
+
+        try {
+          // The original reply queue is gone, so the message goes back without replyTo
+          await this.rabbitmq.publishConfirmed(deadLetter.original_queue, message.content, {
+            messageId: deadLetter.id,
+            contentType: message.properties.contentType,
+            headers
+          });
+        } catch (error) {
+          result.failed++;
+          this.logger.warn('Failed to replay dead letter', { message_id: deadLetter.id, error });
+          continue;
+        }
+
+        channel.ack(message);
+        result.replayed++;
+        result.ids.push(deadLetter.id);
+      }
+
+      this.logger.info('Dead letters replayed', { replayed: result.replayed, failed: result.failed, filter });
+      return result;
+    });
+  }
+
+  /**
+   * Remove dead letters; without a filter the whole queue is purged
+   * @param {Object} filter - { queue, reason, sessionId, ids }
+   * @returns {Promise<Object>} { purged }
+   */
+  async purge(filter = {}) {
+    if (!this.hasFilter(filter)) {
+      const { messageCount } = await this.rabbitmq.channel.purgeQueue(this.config.queue);
+      this.logger.warn('Dead letter queue purged', { purged: messageCount });
+      return { purged: messageCount };
+    }
+
+    return this.withMessages(async (messages, channel) => {
+      let purged = 0;
+      for (const { message, deadLetter } of messages) {
+        if (this.matches(deadLetter, filter)) {
+          channel.ack(message);
+          purged++;
+        }
+      }
+
+      this.logger.warn('Dead letters purged', { purged, filter });
+      return { purged };
+    });
+  }
+
+  /**
+   * @returns {Promise<Object>} { queue, messages, consumers }
+   */
+  async stats() {
+    const { messageCount, consumerCount } = await this.rabbitmq.channel.checkQueue(this.config.queue);
+    return { queue: this.config.queue, messages: messageCount, consumers: consumerCount };
+  }
+
+  /**
+   * Fetch up to scanLimit messages on a dedicated channel and run fn over them.
+   * Closing the channel requeues whatever fn did not ack.
+   */
+  async withMessages(fn) {
+    if (!this.rabbitmq.connection) {
+      throw new Error('RabbitMQ not connected');
+    }
+
+    const channel = await this.rabbitmq.connection.createChannel();
+    try {
+      const messages = [];
+      while (messages.length < this.config.scanLimit) {
+        const message = await channel.get(this.config.queue, { noAck: false });
+        if (!message) {
+          break;
+        }
+        messages.push({ message, deadLetter: this.describe(message) });
+      }
+
+      return await fn(messages, channel);
+    } finally {
+      await channel.close();
+    }
+  }
+
+  /**
+   * Flatten an AMQP message into the fields used for filtering and display
+   */
+  describe(message) {
+    const headers = message.properties.headers || {};
+    const raw = message.content.toString();
+
+    let content = null;
+    try {
+      content = JSON.parse(raw);
+    } catch (error) {
+      content = raw;
+    }
+
+    const body = content && typeof content === 'object' ? content : {};
+
+    // Older dead letters were published without a message ID
+    const id = message.properties.messageId || crypto.createHash('sha1')
+      .update(raw)
+      .update(String(headers['x-failed-at'] || ''))
+      .digest('hex')
+      .slice(0, 16);
+
+    return {
+      id,
+      original_queue: headers['x-original-queue'] || null,
+      error_reason: headers['x-error-reason'] || null,
+      failed_at: headers['x-failed-at'] || null,
+      session_id: headers['x-session-id'] || body.session_id || null,
+      correlation_id: headers['x-correlation-id'] || body.correlation_id || null,
+      redelivered: message.fields.redelivered,
+      headers,
+      content
+    };
+  }
+
+  matches(deadLetter, filter) {
+    if (filter.ids && filter.ids.length > 0 && !filter.ids.includes(deadLetter.id)) {
+      return false;
+    }
+    if (filter.queue && deadLetter.original_queue !== filter.queue) {
+      return false;
+    }
+    if (filter.sessionId && deadLetter.session_id !== filter.sessionId) {
+      return false;
+    }
+    if (filter.reason && !String(deadLetter.error_reason || '').toLowerCase().includes(filter.reason.toLowerCase())) {
+      return false;
+    }
+    return true;
+  }
+
+  hasFilter(filter) {
+    return Boolean(filter.queue || filter.reason || filter.sessionId || (filter.ids && filter.ids.length > 0));
+  }
+}
+
+module.exports = { DeadLetterQueue };
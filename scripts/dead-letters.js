@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * Dead Letters Script
+ * List, replay or purge messages in the dead letter queue
+ *
+ * Usage:
+ *   npm run dlq -- list [--queue tasks] [--reason timeout] [--session <id>] [--limit 20] [--json]
+ *   npm run dlq -- replay [--id <id>[,<id>]] [--queue tasks] [--reason timeout] [--session <id>]
+ *   npm run dlq -- purge [--id <id>] [--queue tasks] [--reason timeout] [--session <id>] [--yes]
+ *   npm run dlq -- stats
+ */
+
+require('dotenv').config();
+const { rabbitmq } = require('../messaging/rabbitmq-setup');
+const { DeadLetterQueue } = require('../messaging/dead-letter-queue');
+
+function parseArgs(argv) {
+  const [command = 'list', ...rest] = argv;
+  const options = { command, ids: [] };
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    const next = () => rest[++i];
+
+    if (arg === '--queue') options.queue = next();
+    else if (arg === '--reason') options.reason = next();
+    else if (arg === '--session') options.sessionId = next();
+    else if (arg === '--id') options.ids.push(...next().split(',').filter(Boolean));
+    else if (arg === '--limit') options.limit = parseInt(next());
+    else if (arg === '--json') options.json = true;
+    else if (arg === '--yes') options.yes = true;
+    else throw new Error(`Unknown option: ${arg}`);
+  }
+
+  return options;
+}
+
+function printDeadLetter(deadLetter) {
+  console.log(`📨 ${deadLetter.id}`);
+  console.log(`   queue:       ${deadLetter.original_queue || '-'}`);
+  console.log(`   reason:      ${deadLetter.error_reason || '-'}`);
+  console.log(`   failed at:   ${deadLetter.failed_at || '-'}`);
+  console.log(`   session:     ${deadLetter.session_id || '-'}`);
+  console.log(`   correlation: ${deadLetter.correlation_id || '-'}`);
+}
+
+async function run() {
+  const options = parseArgs(process.argv.slice(2));
+  const filter = {
+    queue: options.queue,
+    reason: options.reason,
+    sessionId: options.sessionId,
+    ids: options.ids,
+    limit: options.limit
+  };
+
+  await rabbitmq.initialize();
+  const deadLetters = new DeadLetterQueue(rabbitmq, {
+    scanLimit: parseInt(process.env.DLQ_SCAN_LIMIT) || 1000
+  });
+
+  try {
+    if (options.command === 'stats') {
+      const stats = await deadLetters.stats();
+      console.log(options.json ? JSON.stringify(stats, null, 2) : `📋 ${stats.messages} dead letters in ${stats.queue}`);
+    } else if (options.command === 'list') {
+      const messages = await deadLetters.list(filter);
+      if (options.json) {
+        console.log(JSON.stringify(messages, null, 2));
+      } else {
+        console.log(`📋 ${messages.length} matching dead letters`);
+        messages.forEach(printDeadLetter);
+      }
+    } else if (options.command === 'replay') {
+      const result = await deadLetters.replay(filter);
+      console.log(options.json ? JSON.stringify(result, null, 2) : `✅ Replayed ${result.replayed} dead letters (${result.failed} failed)`);
+    } else if (options.command === 'purge') {
+      if (!deadLetters.hasFilter(filter) && !options.yes) {
+        throw new Error('Purging the whole dead letter queue needs --yes');
+      }
+      const result = await deadLetters.purge(filter);
+      console.log(options.json ? JSON.stringify(result, null, 2) : `🗑️ Purged ${result.purged} dead letters`);
+    } else {
+      throw new Error(`Unknown command: ${options.command} (expected list, replay, purge or stats)`);
+    }
+  } finally {
+    await rabbitmq.close();
+  }
+}
+
+run().catch((error) => {
+  console.error('❌ Dead letter command failed:', error.message);
+  process.exit(1);
+});
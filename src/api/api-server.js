@@ -0,0 +1,483 @@
+const express = require('express');
+const helmet = require('helmet');
+const cors = require('cors');
+const compression = require('compression');
+const { metricsHandler } = require('../metrics/metrics-server');
+const { createLogger } = require('../utils/logger');
+
+// Errors from expanding session templates that the request, not the server, caused
+const TEMPLATE_ERROR_CODES = ['INVALID_TEMPLATE', 'TEMPLATE_NOT_FOUND'];
+const SESSION_ERROR_CODES = ['INVALID_SESSION', ...TEMPLATE_ERROR_CODES];
+
+/**
+ * Control Plane API
+ * REST interface for submitting sessions and managing their lifecycle
+ */
+class ApiServer {
+  constructor(clientService, config = {}) {
+    this.clientService = clientService;
+    this.config = {
+      port: config.port || 3000,
+      host: config.host || '0.0.0.0',
+      bodyLimit: config.bodyLimit || '1mb'
+    };
+
+    this.server = null;
+    this.logger = createLogger('api-server');
+    this.app = this.createApp();
+  }
+
+  /**
+   * Build the Express application with middleware and routes
+   * @returns {Object} Express application
+   */
+  createApp() {
+    const app = express();
+
+    app.use(helmet());
+    app.use(cors());
+    app.use(compression());
+    app.use(express.json({ limit: this.config.bodyLimit }));
+
+    app.get('/health', this.route(async (req, res) => {
+      res.json(await this.clientService.healthCheck());
+    }));
+
+    app.get('/metrics', metricsHandler(this.clientService.metrics));
+
+    app.post('/sessions', this.route((req, res) => this.createSession(req, res)));
+    app.get('/sessions/:id', this.route((req, res) => this.getSession(req, res)));
+    app.get('/sessions/:id/tasks', this.route((req, res) => this.getSessionTasks(req, res)));
+    app.post('/sessions/:id/pause', this.route((req, res) => this.changeSessionState(req, res, 'pauseSession')));
+    app.post('/sessions/:id/resume', this.route((req, res) => this.changeSessionState(req, res, 'resumeSession')));
+    app.post('/sessions/:id/cancel', this.route((req, res) => this.changeSessionState(req, res, 'cancelSession')));
+    app.get('/sessions/:id/statistics', this.route((req, res) => this.getSessionStatistics(req, res)));
+    app.post('/templates', this.route((req, res) => this.saveVersion(req, res, 'saveTemplate')));
+    app.get('/templates', this.route((req, res) => this.listLatestVersions(req, res, 'listTemplates')));
+    app.get('/templates/:name', this.route((req, res) => this.getVersion(req, res, 'getTemplate')));
+    app.post('/navigation-fragments', this.route((req, res) => this.saveVersion(req, res, 'saveFragment')));
+    app.get('/navigation-fragments', this.route((req, res) => this.listLatestVersions(req, res, 'listFragments')));
+    app.get('/navigation-fragments/:name', this.route((req, res) => this.getVersion(req, res, 'getFragment')));
+    app.post('/schedules', this.route((req, res) => this.createSchedule(req, res)));
+    app.get('/schedules', this.route((req, res) => this.listSchedules(req, res)));
+    app.get('/schedules/:id', this.route((req, res) => this.getSchedule(req, res)));
+    app.post('/schedules/:id/pause', this.route((req, res) => this.changeScheduleState(req, res, 'pause')));
+    app.post('/schedules/:id/resume', this.route((req, res) => this.changeScheduleState(req, res, 'resume')));
+    app.delete('/schedules/:id', this.route((req, res) => this.changeScheduleState(req, res, 'cancel')));
+    app.get('/statistics', this.route((req, res) => this.getStatistics(req, res)));
+    app.get('/dead-letters', this.route((req, res) => this.listDeadLetters(req, res)));
+    app.post('/dead-letters/replay', this.route((req, res) => this.replayDeadLetters(req, res)));
+    app.delete('/dead-letters', this.route((req, res) => this.purgeDeadLetters(req, res)));
+
+    app.use((req, res) => {
+      res.status(404).json({ error: `Route not found: ${req.method} ${req.path}` });
+    });
+
+    // Malformed JSON bodies and unexpected handler errors end up here
+    app.use((error, req, res, next) => {
+      if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: `Invalid JSON body: ${error.message}` });
+      }
+
+      this.logger.error('API error', { method: req.method, path: req.path, error });
+      res.status(500).json({ error: error.message });
+    });
+
+    return app;
+  }
+
+  /**
+   * Wrap an async handler so rejections reach the Express error middleware
+   * @param {Function} handler - Route handler
+   * @returns {Function} Express-compatible handler
+   */
+  route(handler) {
+    return (req, res, next) => {
+      Promise.resolve(handler(req, res)).catch(next);
+    };
+  }
+
+  /**
+   * POST /sessions - validate, store and start processing a session
+   */
+  async createSession(req, res) {
+    let sessionData;
+
+    try {
+      sessionData = await this.expandSession(req.body || {});
+      this.clientService.validateSessionData(sessionData);
+    } catch (error) {
+      if (error.code && !SESSION_ERROR_CODES.includes(error.code)) {
+        throw error;
+      }
+      return res.status(400).json(this.describeRejection(error));
+    }
+
+    const session = await this.clientService.createSession(sessionData);
+
+    // Task generation can take a while for large sessions - respond with the handle first
+    this.clientService.processSession(session).catch((error) => {
+      this.logger.error('Background processing failed', { session_id: session.session_id, error });
+    });
+
+    res.status(201).json({
+      session_id: session.session_id,
+      status: session.status,
+      created_at: session.created_at
+    });
+  }
+
+  /**
+   * Response body for a session that failed validation
+   * Schema errors list each problem with its JSON Pointer path in the request body.
+   */
+  describeRejection(error, prefix = '', pathPrefix = '') {
+    const body = { error: `${prefix}${error.message}` };
+    if (error.errors) {
+      body.errors = error.errors.map(({ path, message }) => ({ path: `${pathPrefix}${path}`, message }));
+    }
+    return body;
+  }
+
+  /**
+   * GET /sessions/:id - session details with task counts
+   */
+  async getSession(req, res) {
+    const session = await this.clientService.getSession(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+    }
+
+    res.json(session);
+  }
+
+  /**
+   * GET /sessions/:id/tasks - paginated task list
+   */
+  async getSessionTasks(req, res) {
+    const session = await this.clientService.getSession(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const tasks = await this.clientService.getSessionTasks(req.params.id, {
+      status: req.query.status || null,
+      limit,
+      offset
+    });
+
+    res.json({ session_id: req.params.id, limit, offset, tasks });
+  }
+
+  /**
+   * POST /sessions/:id/{pause,resume,cancel}
+   */
+  async changeSessionState(req, res, method) {
+    try {
+      const result = await this.clientService[method](req.params.id);
+      res.json(result);
+    } catch (error) {
+      if (error.code === 'SESSION_NOT_FOUND') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.code === 'INVALID_SESSION_STATE') {
+        return res.status(409).json({ error: error.message });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Expand template and navigation fragment references in a submitted session
+   */
+  async expandSession(sessionData) {
+    return this.clientService.templates.expand(sessionData);
+  }
+
+  /**
+   * POST /templates, POST /navigation-fragments - store a new version
+   */
+  async saveVersion(req, res, method) {
+    try {
+      res.status(201).json(await this.clientService.templates[method](req.body || {}));
+    } catch (error) {
+      if (error.code === 'INVALID_TEMPLATE') {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * GET /templates, GET /navigation-fragments - latest version of each
+   */
+  async listLatestVersions(req, res, method) {
+    res.json(await this.clientService.templates[method]());
+  }
+
+  /**
+   * GET /templates/:name, GET /navigation-fragments/:name - latest version, or ?version=N
+   */
+  async getVersion(req, res, method) {
+    const version = req.query.version === undefined ? null : parseInt(req.query.version);
+
+    if (Number.isNaN(version)) {
+      return res.status(400).json({ error: 'version must be an integer' });
+    }
+
+    const template = await this.clientService.templates[method](req.params.name, version);
+
+    if (!template) {
+      return res.status(404).json({ error: `Not found: ${req.params.name}${version ? ` version ${version}` : ''}` });
+    }
+
+    res.json(template);
+  }
+
+  /**
+   * POST /schedules - store a session definition to run at starts_at and on its recurrence
+   * Body: session, starts_at, ends_at, recurrence (cron expression, daily or weekly), time_zone, name
+   */
+  async createSchedule(req, res) {
+    const body = req.body || {};
+
+    // Templates are expanded here only to validate; each run expands them again
+    try {
+      this.clientService.validateSessionData(await this.expandSession(body.session || {}));
+    } catch (error) {
+      if (error.code && !SESSION_ERROR_CODES.includes(error.code)) {
+        throw error;
+      }
+      // Paths point into the request body, where the session sits under "session"
+      return res.status(400).json(this.describeRejection(error, 'Invalid schedule session: ', '/session'));
+    }
+
+    try {
+      const schedule = await this.clientService.schedules.create(body);
+      res.status(201).json(schedule);
+    } catch (error) {
+      if (error.code === 'INVALID_SCHEDULE') {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * GET /schedules - schedules by next run
+   * Query: status, limit, offset
+   */
+  async listSchedules(req, res) {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const schedules = await this.clientService.schedules.list({
+      status: req.query.status || null,
+      limit,
+      offset
+    });
+
+    res.json({ limit, offset, schedules });
+  }
+
+  /**
+   * GET /schedules/:id - schedule with its most recent sessions
+   */
+  async getSchedule(req, res) {
+    const schedule = await this.clientService.schedules.get(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({ error: `Schedule not found: ${req.params.id}` });
+    }
+
+    res.json(schedule);
+  }
+
+  /**
+   * POST /schedules/:id/{pause,resume}, DELETE /schedules/:id
+   */
+  async changeScheduleState(req, res, method) {
+    try {
+      res.json(await this.clientService.schedules[method](req.params.id));
+    } catch (error) {
+      if (error.code === 'SCHEDULE_NOT_FOUND') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.code === 'INVALID_SCHEDULE_STATE') {
+        return res.status(409).json({ error: error.message });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * GET /statistics - hourly or daily time-series across sessions
+   * Query: session_id, country, device, os, from, to, granularity, group_by (comma-separated)
+   */
+  async getStatistics(req, res) {
+    await this.sendTimeSeries(res, { sessionId: req.query.session_id || null }, req.query);
+  }
+
+  /**
+   * GET /sessions/:id/statistics - time-series and summary for one session
+   */
+  async getSessionStatistics(req, res) {
+    const summary = await this.clientService.statistics.getSessionSummary(req.params.id);
+
+    if (!summary) {
+      return res.status(404).json({ error: `Session not found: ${req.params.id}` });
+    }
+
+    await this.sendTimeSeries(res, { sessionId: req.params.id }, req.query, { session_id: req.params.id, summary });
+  }
+
+  /**
+   * Parse time-series query parameters and respond with the series
+   */
+  async sendTimeSeries(res, filters, query, extra = {}) {
+    const from = this.parseDate(query.from);
+    const to = this.parseDate(query.to);
+
+    if (from === undefined || to === undefined) {
+      return res.status(400).json({ error: 'from and to must be ISO 8601 dates' });
+    }
+
+    const granularity = query.granularity || 'hour';
+    const groupBy = query.group_by ? query.group_by.split(',').map(column => column.trim()).filter(Boolean) : [];
+
+    try {
+      const series = await this.clientService.statistics.getTimeSeries({
+        ...filters,
+        country: query.country || null,
+        device: query.device || null,
+        os: query.os || null,
+        from,
+        to,
+        granularity,
+        groupBy
+      });
+
+      res.json({ ...extra, granularity, group_by: groupBy, from, to, series });
+    } catch (error) {
+      if (error.code === 'INVALID_STATISTICS_QUERY') {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * GET /dead-letters - dead letters with their headers
+   * Query: queue, reason, session_id, limit
+   */
+  async listDeadLetters(req, res) {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const filter = this.parseDeadLetterFilter(req.query);
+
+    const [stats, messages] = await Promise.all([
+      this.clientService.deadLetters.stats(),
+      this.clientService.deadLetters.list({ ...filter, limit })
+    ]);
+
+    res.json({ ...stats, limit, dead_letters: messages });
+  }
+
+  /**
+   * POST /dead-letters/replay - send matching dead letters back to their original queue
+   * Body: ids, queue, reason, session_id, limit; an empty body replays everything
+   */
+  async replayDeadLetters(req, res) {
+    const body = req.body || {};
+
+    if (body.ids !== undefined && !Array.isArray(body.ids)) {
+      return res.status(400).json({ error: 'ids must be an array of dead letter IDs' });
+    }
+
+    const result = await this.clientService.deadLetters.replay({
+      ...this.parseDeadLetterFilter(body),
+      limit: parseInt(body.limit) || null
+    });
+
+    res.json(result);
+  }
+
+  /**
+   * DELETE /dead-letters - drop matching dead letters
+   * Query: queue, reason, session_id, ids (comma-separated); purging the whole queue needs
+   * all=true (or a { "confirm": true } body), like the CLI's --yes
+   */
+  async purgeDeadLetters(req, res) {
+    const filter = this.parseDeadLetterFilter(req.query);
+    const confirmed = req.query.all === 'true' || (req.body && req.body.confirm === true);
+
+    if (!this.clientService.deadLetters.hasFilter(filter) && !confirmed) {
+      return res.status(400).json({
+        error: 'Purging the whole dead letter queue needs all=true; pass a filter to purge selected dead letters'
+      });
+    }
+
+    res.json(await this.clientService.deadLetters.purge(filter));
+  }
+
+  parseDeadLetterFilter(source) {
+    const ids = typeof source.ids === 'string'
+      ? source.ids.split(',').map(id => id.trim()).filter(Boolean)
+      : source.ids;
+
+    return {
+      queue: source.queue || null,
+      reason: source.reason || null,
+      sessionId: source.session_id || null,
+      ids: ids || null
+    };
+  }
+
+  /**
+   * Parse an optional date query parameter
+   * @returns {Date|null|undefined} null when absent, undefined when invalid
+   */
+  parseDate(value) {
+    if (!value) {
+      return null;
+    }
+
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  }
+
+  /**
+   * Start listening for HTTP requests
+   */
+  async start() {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(this.config.port, this.config.host, () => {
+        this.logger.info('Control plane API listening', { url: `http://${this.config.host}:${this.config.port}` });
+        resolve();
+      });
+
+      this.server.on('error', (error) => {
+        reject(new Error(`API server failed: ${error.message}`));
+      });
+    });
+  }
+
+  /**
+   * Stop the HTTP server
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    await new Promise((resolve) => this.server.close(() => resolve()));
+    this.server = null;
+    this.logger.info('Control plane API stopped');
+  }
+}
+
+module.exports = { ApiServer };
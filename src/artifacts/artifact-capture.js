@@ -0,0 +1,86 @@
+const { createLogger } = require('../utils/logger');
+
+/**
+ * Artifact Capture
+ * Captures a full-page screenshot and serialized HTML from a Puppeteer page
+ */
+
+class ArtifactCapture {
+  constructor(store, config = {}) {
+    this.store = store;
+    this.config = {
+      captureScreenshot: config.captureScreenshot !== false,
+      captureHtml: config.captureHtml !== false
+    };
+    this.logger = createLogger('artifact-capture');
+  }
+
+  /**
+   * Capture the current state of a page
+   * Never throws: a failed capture must not replace the error being reported
+   * @param {Object} page - Puppeteer page instance
+   * @param {Object} context - Capture context
+   * @param {string} context.taskId - Task correlation ID used as the key prefix
+   * @param {number} context.step - Navigation step (omit for main page)
+   * @param {string} context.reason - "failure" or "screenshot"
+   * @param {string} context.name - Optional label from a screenshot step
+   * @returns {Promise<Object>} Artifact record referencing the stored files
+   */
+  async capture(page, context = {}) {
+    const reason = context.reason || 'failure';
+    const baseKey = this.buildKey(context, reason);
+    const record = {
+      reason,
+      step: context.step ?? null,
+      name: context.name || null,
+      url: null,
+      screenshot: null,
+      html: null,
+      errors: [],
+      captured_at: new Date().toISOString()
+    };
+
+    try {
+      record.url = page.url();
+    } catch (error) {
+      record.errors.push(`url: ${error.message}`);
+    }
+
+    if (this.config.captureScreenshot) {
+      try {
+        const image = await page.screenshot({ fullPage: true, type: 'png' });
+        record.screenshot = await this.store.put(`${baseKey}.png`, image, { contentType: 'image/png' });
+      } catch (error) {
+        record.errors.push(`screenshot: ${error.message}`);
+      }
+    }
+
+    if (this.config.captureHtml) {
+      try {
+        const html = await page.content();
+        record.html = await this.store.put(`${baseKey}.html`, html, { contentType: 'text/html' });
+      } catch (error) {
+        record.errors.push(`html: ${error.message}`);
+      }
+    }
+
+    if (record.errors.length > 0) {
+      this.logger.warn('Artifact capture incomplete', { key: baseKey, errors: record.errors });
+    }
+
+    return record;
+  }
+
+  /**
+   * Build the storage key: <taskId>/<step>-<reason>[-<name>]
+   */
+  buildKey(context, reason) {
+    const taskId = context.taskId || 'unknown-task';
+    const step = context.step === undefined || context.step === null ? 'main' : `step-${context.step}`;
+    const name = context.name ? `-${String(context.name).replace(/[^a-zA-Z0-9_-]/g, '_')}` : '';
+
+    return `${taskId}/${step}-${reason}${name}`;
+  }
+}
+
+module.exports = { ArtifactCapture };
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Artifact Store
+ * Pluggable storage for task artifacts (screenshots, DOM snapshots)
+ */
+
+class LocalArtifactStore {
+  constructor(config = {}) {
+    this.type = 'local';
+    this.baseDir = path.resolve(config.baseDir || './artifacts');
+  }
+
+  /**
+   * Write an artifact to the local filesystem
+   * @param {string} key - Relative artifact path (e.g. "<correlation_id>/step-2-failure.png")
+   * @param {Buffer|string} body - Artifact content
+   * @param {Object} options - Storage options
+   * @param {string} options.contentType - MIME type of the content
+   * @returns {Promise<Object>} Stored artifact reference
+   */
+  async put(key, body, options = {}) {
+    const filePath = this.resolvePath(key);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, body);
+
+    return {
+      store: this.type,
+      key,
+      location: filePath,
+      content_type: options.contentType || 'application/octet-stream',
+      size: Buffer.byteLength(body)
+    };
+  }
+
+  /**
+   * Read an artifact back from the local filesystem
+   * @param {string} key - Relative artifact path
+   * @returns {Promise<Buffer>} Artifact content
+   */
+  async get(key) {
+    return fs.promises.readFile(this.resolvePath(key));
+  }
+
+  /**
+   * Resolve a key inside the base directory, rejecting keys that escape it
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.baseDir, key);
+
+    if (!filePath.startsWith(this.baseDir + path.sep)) {
+      throw new Error(`Invalid artifact key: ${key}`);
+    }
+
+    return filePath;
+  }
+}
+
+/**
+ * S3-compatible store
+ * Takes any client exposing putObject/getObject with the S3 parameter shape,
+ * so MinIO, R2 or the AWS SDK can be plugged in without adding a dependency here
+ */
+class S3ArtifactStore {
+  constructor(config = {}) {
+    if (!config.client) {
+      throw new Error('S3ArtifactStore requires a client with putObject/getObject');
+    }
+    if (!config.bucket) {
+      throw new Error('S3ArtifactStore requires a bucket');
+    }
+
+    this.type = 's3';
+    this.client = config.client;
+    this.bucket = config.bucket;
+    this.prefix = config.prefix || '';
+  }
+
+  async put(key, body, options = {}) {
+    const objectKey = this.prefix + key;
+    const contentType = options.contentType || 'application/octet-stream';
+
+    await this.client.putObject({
+      Bucket: this.bucket,
+      Key: objectKey,
+      Body: body,
+      ContentType: contentType
+    });
+
+    return {
+      store: this.type,
+      key,
+      location: `s3://${this.bucket}/${objectKey}`,
+      content_type: contentType,
+      size: Buffer.byteLength(body)
+    };
+  }
+
+  async get(key) {
+    const response = await this.client.getObject({
+      Bucket: this.bucket,
+      Key: this.prefix + key
+    });
+
+    return response.Body;
+  }
+}
+
+/**
+ * Create an artifact store from configuration
+ * @param {Object} config - Store configuration
+ * @param {string} config.type - "local" (default) or "s3"
+ * @returns {LocalArtifactStore|S3ArtifactStore} Artifact store
+ */
+function createArtifactStore(config = {}) {
+  switch (config.type || 'local') {
+    case 'local':
+      return new LocalArtifactStore(config);
+    case 's3':
+      return new S3ArtifactStore(config);
+    default:
+      throw new Error(`Unknown artifact store type: ${config.type}`);
+  }
+}
+
+module.exports = { LocalArtifactStore, S3ArtifactStore, createArtifactStore };
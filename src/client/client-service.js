@@ -1,6 +1,38 @@
 const { v4: uuidv4 } = require("uuid");
 const { EventEmitter } = require("events");
 const { RateManager } = require("../rate-management/rate-manager");
+const { resolveTrafficProfile } = require("../rate-management/traffic-profiles");
+const { StatisticsAggregator } = require("../statistics/statistics-aggregator");
+const { StatisticsQueries } = require("../statistics/statistics-queries");
+const { ClientMetrics } = require("../metrics/client-metrics");
+const { RetryPolicy } = require("../retry/retry-policy");
+const { RetryScheduler } = require("../retry/retry-scheduler");
+const { StaleTaskReaper } = require("../retry/stale-task-reaper");
+const { DeadLetterQueue } = require("../../messaging/dead-letter-queue");
+const { TaskOutbox } = require("../outbox/task-outbox");
+const { SessionLeaseManager } = require("../leases/session-lease-manager");
+const { SessionScheduler } = require("../scheduling/session-scheduler");
+const { SessionTemplates } = require("../templates/session-templates");
+const { allocateLargestRemainder } = require("../utils/allocation");
+const { FingerprintManager } = require("../fingerprinting/fingerprint-manager");
+const {
+  validateMessage,
+  createValidationError,
+} = require("../validation/message-validator");
+const {
+  SESSION_SCHEMA_VERSION,
+  TASK_MESSAGE_SCHEMA_VERSION,
+} = require("../validation/message-schemas");
+const { createLogger, runWithLogContext } = require("../utils/logger");
+
+// Errors caused by the submitted session itself; such sessions are rejected, not dead-lettered
+const SESSION_REJECTION_CODES = ["INVALID_SESSION", "INVALID_TEMPLATE", "TEMPLATE_NOT_FOUND"];
+
+const DISTRIBUTION_FIELDS = [
+  "mobile_desktop_distribution",
+  "mobile_os_distribution",
+  "desktop_os_distribution",
+];
 
 /**
  * Client Service - Core Framework
@@ -12,21 +44,53 @@ class ClientService extends EventEmitter {
     super();
     this.db = database;
     this.rabbitmq = messageBroker;
+    this.logger = createLogger("client-service");
     this.isRunning = false;
     this.activeSessions = new Map();
+    this.sendLoops = new Map(); // Task sending loop state per session
     this.rateManagers = new Map(); // Track rate managers per session
     this.rateManager = new RateManager({
       targetTasksPerDay: parseInt(process.env.TARGET_TASKS_PER_DAY) || 8000,
       enableDynamicAdjustment:
         process.env.ENABLE_DYNAMIC_RATE_ADJUSTMENT !== "false",
     });
+    this.statisticsAggregator = new StatisticsAggregator(database, {
+      rollupInterval: parseInt(process.env.STATISTICS_ROLLUP_INTERVAL_MS) || 300000,
+    });
+    this.statistics = new StatisticsQueries(database);
+    this.templates = new SessionTemplates(database);
+    this.deadLetters = new DeadLetterQueue(messageBroker, {
+      scanLimit: parseInt(process.env.DLQ_SCAN_LIMIT) || 1000,
+    });
+    this.retryPolicy = new RetryPolicy({
+      baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS) || 2000,
+      maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS) || 300000,
+    });
+    this.retryScheduler = new RetryScheduler(
+      database,
+      (row, client) => this.dispatchRetry(row, client),
+      { pollInterval: parseInt(process.env.RETRY_POLL_INTERVAL_MS) || 5000 }
+    );
+    this.metrics = new ClientMetrics();
+    this.metrics.bindRateSources({
+      rateManager: this.rateManager,
+      sessionRates: this.rateManagers,
+      activeSessions: this.activeSessions,
+    });
 
     // Configuration
     this.config = {
       sessionsQueue: process.env.SESSIONS_QUEUE || "sessions",
       tasksQueue: process.env.TASKS_QUEUE || "tasks",
+      resultsQueue: process.env.RESULTS_QUEUE || "task_responses",
       rpcTimeout: parseInt(process.env.RPC_TIMEOUT) || 180000, // 3 minutes for browser tasks
+      // Sent tasks with no result after this long are retried; covers time spent queued
+      taskResultTimeout: parseInt(process.env.TASK_RESULT_TIMEOUT) || 900000,
       maxRetries: parseInt(process.env.MAX_RETRIES) || 5,
+      // Share of a session's tasks that may fail before it ends as completed_with_failures
+      sessionFailureThreshold: process.env.SESSION_FAILURE_THRESHOLD
+        ? parseFloat(process.env.SESSION_FAILURE_THRESHOLD)
+        : 0.1,
       baseRatePerMinute: 5.56, // 8000 tasks / 24 hours / 60 minutes
       // Debug timing configuration
       debugFastMode: process.env.DEBUG_FAST_MODE === "true",
@@ -34,6 +98,51 @@ class ClientService extends EventEmitter {
       debugMinDelayMs: parseInt(process.env.DEBUG_MIN_TASK_DELAY_MS) || 1000,
       debugMaxDelayMs: parseInt(process.env.DEBUG_MAX_TASK_DELAY_MS) || 5000,
     };
+
+    // Tasks are published by the outbox relay once their dispatch is committed
+    this.outbox = new TaskOutbox(
+      database,
+      messageBroker,
+      (entry) => this.recordTaskPublished(entry),
+      { pollInterval: parseInt(process.env.OUTBOX_POLL_INTERVAL_MS) || 1000 }
+    );
+
+    // Results arrive on a durable queue, so a task whose result was lost is only found by age
+    this.staleTaskReaper = new StaleTaskReaper(
+      database,
+      (row, client) => this.handleStaleTask(row, client),
+      {
+        interval: parseInt(process.env.STALE_TASK_CHECK_INTERVAL_MS) || 30000,
+        timeout: this.config.taskResultTimeout,
+      }
+    );
+
+    // Each running session is driven by the one instance holding its lease
+    this.leases = new SessionLeaseManager(database, {
+      ownerId: process.env.CLIENT_INSTANCE_ID,
+      ttl: parseInt(process.env.SESSION_LEASE_TTL_MS) || 30000,
+      heartbeatInterval: parseInt(process.env.SESSION_LEASE_HEARTBEAT_MS) || 10000,
+    });
+    this.leases.on("takeover", (sessionId) => this.takeOverSession(sessionId));
+    this.leases.on("lost", (sessionId) => this.releaseSession(sessionId));
+
+    // Scheduled and recurring sessions are stored as ordinary sessions when they come due
+    this.schedules = new SessionScheduler(
+      database,
+      (schedule, client) => this.createScheduledSession(schedule, client),
+      { pollInterval: parseInt(process.env.SCHEDULE_POLL_INTERVAL_MS) || 15000 }
+    );
+    // processSession marks the session failed itself; if this instance dies first,
+    // the unleased session is taken over as an orphan
+    this.schedules.on("sessionCreated", (session) => {
+      this.processSession(session).catch((error) => {
+        this.logger.error("Failed to process scheduled session", {
+          session_id: session.session_id,
+          schedule_id: session.schedule_id,
+          error,
+        });
+      });
+    });
   }
 
   /**
@@ -41,14 +150,20 @@ class ClientService extends EventEmitter {
    */
   async start() {
     try {
-      console.log("🔧 Starting Client Service...");
+      this.logger.info("Starting Client Service");
 
       // Start rate manager
       this.rateManager.start();
 
+      // Start hourly statistics rollups
+      this.statisticsAggregator.start();
+
       // Setup session consumer
       await this.setupSessionConsumer();
 
+      // Results published while the client was down are waiting on the results queue
+      await this.setupResultConsumer();
+
       // Set service as running before recovery to allow task sending
       this.isRunning = true;
 
@@ -57,11 +172,21 @@ class ClientService extends EventEmitter {
 
       // Recover and resume pending tasks from previous runs
       await this.recoverPendingTasks();
-      console.log("✅ Client Service started successfully");
+
+      // Retries scheduled before a restart are picked up by the scheduler,
+      // and dispatches queued before it by the outbox relay
+      this.retryScheduler.start();
+      this.outbox.start();
+      this.staleTaskReaper.start();
+
+      // Sessions left by instances that died are taken over from here on
+      this.leases.start();
+      this.schedules.start();
+      this.logger.info("Client Service started");
 
       this.emit("started");
     } catch (error) {
-      console.error("❌ Failed to start Client Service:", error);
+      this.logger.error("Failed to start Client Service", { error });
       throw error;
     }
   }
@@ -70,19 +195,26 @@ class ClientService extends EventEmitter {
    * Stop the Client Service
    */
   async stop() {
-    console.log("🛑 Stopping Client Service...");
+    this.logger.info("Stopping Client Service");
     this.isRunning = false;
 
     // Stop rate manager
     this.rateManager.stop();
-
-    // Stop all active sessions
-    for (const [sessionId, sessionData] of this.activeSessions) {
-      await this.stopSession(sessionId);
+    this.statisticsAggregator.stop();
+    this.retryScheduler.stop();
+    this.outbox.stop();
+    this.staleTaskReaper.stop();
+    this.schedules.stop();
+
+    // Stop driving sessions but leave them running, and hand back their leases
+    // so another instance takes them over without waiting for the leases to expire
+    for (const sessionId of [...this.activeSessions.keys(), ...this.sendLoops.keys()]) {
+      this.releaseSession(sessionId);
     }
+    await this.leases.stop();
 
     this.emit("stopped");
-    console.log("✅ Client Service stopped");
+    this.logger.info("Client Service stopped");
   }
 
   /**
@@ -95,9 +227,24 @@ class ClientService extends EventEmitter {
       { prefetch: 1 }
     );
 
-    console.log(
-      `📥 Session consumer setup for queue: ${this.config.sessionsQueue}`
+    this.logger.info("Session consumer ready", {
+      queue: this.config.sessionsQueue,
+    });
+  }
+
+  /**
+   * Setup consumer for task results published by the workers
+   */
+  async setupResultConsumer() {
+    await this.rabbitmq.setupConsumer(
+      this.config.resultsQueue,
+      (result) => this.handleTaskResult(result),
+      { prefetch: 10 }
     );
+
+    this.logger.info("Result consumer ready", {
+      queue: this.config.resultsQueue,
+    });
   }
 
 
@@ -106,26 +253,62 @@ class ClientService extends EventEmitter {
    * Handle incoming session message
    */
   async handleSessionMessage(sessionData, message) {
-    const sessionId = uuidv4();
+    let dbSession;
+    try {
+      dbSession = await this.createSession(sessionData);
+    } catch (error) {
+      if (!SESSION_REJECTION_CODES.includes(error.code)) {
+        throw error;
+      }
+      await this.rejectSession(sessionData, error, message);
+      return;
+    }
+    const sessionId = dbSession.session_id;
 
     try {
-      console.log(`📋 Processing new session: ${sessionId}`);
+      // Generate and distribute tasks
+      await this.processSession(dbSession);
+
+      this.logger.info("Session processed", { session_id: sessionId });
+    } catch (error) {
+      this.logger.error("Failed to process session", {
+        session_id: sessionId,
+        error,
+      });
+
+      // Update session status to failed
+      await this.updateSessionStatus(sessionId, "failed", error.message);
+
+      throw error;
+    }
+  }
 
-      // Validate session data
-      this.validateSessionData(sessionData);
+  /**
+   * Validate and store a new session, returning the stored row
+   * Task generation is left to processSession so callers can return the handle first
+   */
+  async createSession(sessionData) {
+    const sessionId = uuidv4();
+
+    // Expand template and fragment references, then validate the result; nothing is stored yet
+    const expanded = await this.templates.expand(sessionData);
+    this.validateSessionData(expanded);
+
+    try {
+      this.logger.info("Processing new session", { session_id: sessionId });
 
       // Store session in database
-      const dbSession = await this.storeSession(sessionId, sessionData);
+      const dbSession = await this.storeSession(sessionId, expanded);
 
       // Small delay to ensure session is committed (helps with transaction timing)
       await new Promise((resolve) => setTimeout(resolve, 100));
 
-      // Generate and distribute tasks
-      await this.processSession(dbSession);
-
-      console.log(`✅ Session ${sessionId} processed successfully`);
+      return dbSession;
     } catch (error) {
-      console.error(`❌ Failed to process session ${sessionId}:`, error);
+      this.logger.error("Failed to create session", {
+        session_id: sessionId,
+        error,
+      });
 
       // Update session status to failed
       await this.updateSessionStatus(sessionId, "failed", error.message);
@@ -135,51 +318,205 @@ class ClientService extends EventEmitter {
   }
 
   /**
-   * Validate session data format
+   * Record a session that failed validation and report its errors back to the sender
+   * Senders that set reply_to on the session message get the rejection on that queue.
+   * @param {Object} sessionData - Session as submitted
+   * @param {Error} error - INVALID_SESSION, INVALID_TEMPLATE or TEMPLATE_NOT_FOUND error
+   * @param {Object} message - Broker message the session arrived in, if any
+   * @returns {Promise<Object>} Stored rejection
+   */
+  async rejectSession(sessionData, error, message = null) {
+    const errors = error.errors || [{ path: "/template", message: error.message }];
+    const schemaVersion = Number.isInteger(sessionData && sessionData.schema_version)
+      ? sessionData.schema_version
+      : SESSION_SCHEMA_VERSION;
+
+    const result = await this.db.query(
+      `
+      INSERT INTO session_rejections (rejection_id, schema_version, session_data, errors, error_message)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `,
+      [uuidv4(), schemaVersion, JSON.stringify(sessionData), JSON.stringify(errors), error.message]
+    );
+    const rejection = result.rows[0];
+
+    this.logger.warn("Session rejected", {
+      rejection_id: rejection.rejection_id,
+      errors: errors.length,
+      error_message: error.message,
+    });
+
+    const replyTo = message && message.properties && message.properties.replyTo;
+    if (replyTo) {
+      try {
+        await this.rabbitmq.publishMessage(
+          replyTo,
+          {
+            schema_version: schemaVersion,
+            status: "rejected",
+            rejection_id: rejection.rejection_id,
+            error: error.message,
+            errors,
+          },
+          { correlationId: message.properties.correlationId }
+        );
+      } catch (publishError) {
+        // The rejection is stored either way; redelivering the session would only reject it again
+        this.logger.error("Failed to report session rejection", {
+          rejection_id: rejection.rejection_id,
+          reply_to: replyTo,
+          error: publishError,
+        });
+      }
+    }
+
+    return rejection;
+  }
+
+  /**
+   * Store a session for a due schedule run, in the scheduler's transaction
+   * @param {Object} schedule - Claimed session_schedules row
+   * @param {Object} client - Transaction client
+   * @returns {Promise<Object>} Stored session row
+   */
+  async createScheduledSession(schedule, client) {
+    // Each run expands the schedule's template references afresh, picking up new versions
+    const sessionData = await this.templates.expand(schedule.session_data, client);
+    this.validateSessionData(sessionData);
+
+    return this.storeSession(uuidv4(), sessionData, {
+      client,
+      scheduleId: schedule.schedule_id,
+    });
+  }
+
+  /**
+   * Validate session data against the session schema, then the rules the schema cannot express
+   * @throws {ValidationError} INVALID_SESSION listing every problem with its JSON Pointer path
    */
   validateSessionData(sessionData) {
-    const required = ["tasks_24h", "countries", "main_page_url", "navigations"];
+    const errors = validateMessage("session", sessionData);
+    if (errors.length === 0) {
+      errors.push(...this.checkSessionConsistency(sessionData));
+    }
+
+    if (errors.length > 0) {
+      throw createValidationError("session", errors);
+    }
+  }
 
-    for (const field of required) {
-      if (!sessionData[field]) {
-        throw new Error(`Missing required field: ${field}`);
+  /**
+   * Cross-field rules for a session that matches the schema
+   * @returns {Array<Object>} Problems as { path, message }
+   */
+  checkSessionConsistency(sessionData) {
+    const errors = [];
+    const overrides = sessionData.country_overrides || {};
+    const scopes = [
+      ["", sessionData],
+      ...Object.entries(overrides).map(([country, override]) => [
+        `/country_overrides/${country}`,
+        override,
+      ]),
+    ];
+
+    for (const [path, scope] of scopes) {
+      for (const field of DISTRIBUTION_FIELDS) {
+        if (scope[field] !== undefined && scope[field].split(":").every((part) => Number(part) === 0)) {
+          errors.push({ path: `${path}/${field}`, message: "must have a positive part" });
+        }
+      }
+
+      if (
+        scope.device_distribution !== undefined &&
+        !Object.values(scope.device_distribution).some((weight) => weight > 0)
+      ) {
+        errors.push({
+          path: `${path}/device_distribution`,
+          message: "must give at least one profile a positive weight",
+        });
       }
     }
 
-    if (
-      !Array.isArray(sessionData.countries) ||
-      sessionData.countries.length === 0
-    ) {
-      throw new Error("Countries must be a non-empty array");
+    if (sessionData.traffic_profile !== undefined) {
+      try {
+        resolveTrafficProfile(sessionData.traffic_profile);
+      } catch (error) {
+        errors.push({
+          path: "/traffic_profile",
+          message: error.message.replace(/^Invalid traffic_profile: /, ""),
+        });
+      }
     }
 
-    if (!Array.isArray(sessionData.navigations)) {
-      throw new Error(
-        "Navigations must be an array (can be empty for main page only visits)"
-      );
+    const countries = sessionData.countries.map((country) => country.toLowerCase());
+    for (const country of Object.keys(overrides)) {
+      if (!countries.includes(country.toLowerCase())) {
+        errors.push({
+          path: `/country_overrides/${country}`,
+          message: "is not one of the session's countries",
+        });
+      }
+    }
+
+    if (!sessionData.countries.some((country) => this.getCountryWeight(sessionData, country) > 0)) {
+      errors.push({
+        path: "/country_overrides",
+        message: "must leave at least one country with a positive weight",
+      });
     }
 
+    return errors;
+  }
+
+  /**
+   * Parse an "a:b" ratio such as "65:35"
+   * @returns {Array<number>} The two parts
+   */
+  parseRatio(ratio, field) {
+    const parts = typeof ratio === "string" ? ratio.split(":").map(Number) : [];
+
     if (
-      typeof sessionData.tasks_24h !== "number" ||
-      sessionData.tasks_24h <= 0
+      parts.length !== 2 ||
+      !parts.every((part) => Number.isFinite(part) && part >= 0) ||
+      parts[0] + parts[1] <= 0
     ) {
-      throw new Error("tasks_24h must be a positive number");
+      throw new Error(`${field} must be a ratio like "65:35"`);
     }
+
+    return parts;
+  }
+
+  /**
+   * @returns {Object} The session's override for a country, matched case-insensitively
+   */
+  getCountryOverride(session, country) {
+    const overrides = session.country_overrides || {};
+    const key = Object.keys(overrides).find(
+      (candidate) => candidate.toLowerCase() === String(country).toLowerCase()
+    );
+    return key === undefined ? {} : overrides[key];
+  }
+
+  getCountryWeight(session, country) {
+    const { weight } = this.getCountryOverride(session, country);
+    return weight === undefined ? 1 : weight;
   }
 
   /**
    * Store session in database
+   * @param {Object} options - { client, scheduleId } to store it in a transaction or for a schedule
    */
-  async storeSession(sessionId, sessionData) {
+  async storeSession(sessionId, sessionData, { client = this.db, scheduleId = null } = {}) {
     try {
-      console.log(`🔄 Storing session ${sessionId} in database...`);
-
       const query = `
         INSERT INTO sessions (
           session_id, tasks_24h, countries, main_page_url, navigations,
           mobile_desktop_distribution, mobile_os_distribution, desktop_os_distribution,
-          status, created_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+          traffic_profile, schedule_id, template_name, template_version, navigation_fragments,
+          country_overrides, device_distribution, status, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, NOW())
         RETURNING *
       `;
 
@@ -192,31 +529,37 @@ class ClientService extends EventEmitter {
         sessionData.mobile_desktop_distribution || "65:35",
         sessionData.mobile_os_distribution || "1:2",
         sessionData.desktop_os_distribution || "1:2",
+        JSON.stringify(sessionData.traffic_profile ?? "flat"),
+        scheduleId,
+        sessionData.template_name || null,
+        sessionData.template_version || null,
+        sessionData.navigation_fragments ? JSON.stringify(sessionData.navigation_fragments) : null,
+        sessionData.country_overrides ? JSON.stringify(sessionData.country_overrides) : null,
+        sessionData.device_distribution ? JSON.stringify(sessionData.device_distribution) : null,
         "processing",
       ];
 
-      console.log(`🔍 Session insert values:`, {
-        sessionId,
+      this.logger.debug("Storing session", {
+        session_id: sessionId,
+        template_name: sessionData.template_name,
+        template_version: sessionData.template_version,
         tasks_24h: sessionData.tasks_24h,
         countries: sessionData.countries,
         main_page_url: sessionData.main_page_url,
       });
 
-      const result = await this.db.query(query, values);
+      const result = await client.query(query, values);
 
       if (!result.rows || result.rows.length === 0) {
         throw new Error("Session insert returned no rows");
       }
 
       const storedSession = result.rows[0];
-      console.log(
-        `✅ Session ${sessionId} stored successfully with ID: ${storedSession.session_id}`
-      );
 
       // Verify the session was actually stored
       const verifyQuery =
         "SELECT session_id FROM sessions WHERE session_id = $1";
-      const verifyResult = await this.db.query(verifyQuery, [sessionId]);
+      const verifyResult = await client.query(verifyQuery, [sessionId]);
 
       if (verifyResult.rows.length === 0) {
         throw new Error(
@@ -224,11 +567,14 @@ class ClientService extends EventEmitter {
         );
       }
 
-      console.log(`✅ Session ${sessionId} verified in database`);
+      this.logger.debug("Session stored", { session_id: sessionId });
       return storedSession;
     } catch (error) {
-      console.error(`❌ Failed to store session ${sessionId}:`, error.message);
-      console.error("Session data:", sessionData);
+      this.logger.error("Failed to store session", {
+        session_id: sessionId,
+        session_data: sessionData,
+        error,
+      });
       throw error;
     }
   }
@@ -237,6 +583,20 @@ class ClientService extends EventEmitter {
    * Process session and generate tasks
    */
   async processSession(session) {
+    return runWithLogContext({ session_id: session.session_id }, () =>
+      this.distributeSession(session)
+    );
+  }
+
+  /**
+   * Calculate, store and start sending a session's tasks
+   */
+  async distributeSession(session) {
+    if (!(await this.leases.acquire(session.session_id))) {
+      this.logger.warn("Session is driven by another client; not distributing it");
+      return;
+    }
+
     try {
       // Calculate task distribution
       const taskDistribution = this.calculateTaskDistribution(session);
@@ -247,8 +607,8 @@ class ClientService extends EventEmitter {
       // Start task generation and distribution
       await this.startTaskDistribution(session, taskDistribution);
 
-      // Update session status
-      await this.updateSessionStatus(session.session_id, "active");
+      // Update session status (unless it was paused or cancelled while tasks were generated)
+      await this.activateSession(session.session_id);
     } catch (error) {
       await this.updateSessionStatus(
         session.session_id,
@@ -259,48 +619,98 @@ class ClientService extends EventEmitter {
     }
   }
 
+  /**
+   * Mark a freshly processed session active, or apply a pause/cancel requested meanwhile
+   */
+  async activateSession(sessionId) {
+    const result = await this.db.query(
+      `
+      UPDATE sessions
+      SET status = 'active', updated_at = NOW()
+      WHERE session_id = $1 AND status = 'processing'
+      RETURNING status
+    `,
+      [sessionId]
+    );
+
+    if (result.rows.length > 0) {
+      return;
+    }
+
+    const current = await this.db.query(
+      "SELECT status FROM sessions WHERE session_id = $1",
+      [sessionId]
+    );
+    const status = current.rows[0] && current.rows[0].status;
+    const loop = this.sendLoops.get(sessionId);
+
+    if (status === "paused" && loop) {
+      loop.state = "paused";
+      clearTimeout(loop.timer);
+      loop.timer = null;
+    } else if (status === "cancelled") {
+      if (loop) {
+        loop.state = "cancelled";
+        clearTimeout(loop.timer);
+        loop.timer = null;
+      }
+      await this.cancelPendingTasks(sessionId);
+    }
+  }
+
   /**
    * Calculate task distribution across countries, devices, and OS
+   * Countries share tasks_24h by weight and each country splits its share by its
+   * device_distribution over fingerprint profiles, or else by its device and OS ratios;
+   * every split uses largest remainders, so the counts add up to exactly tasks_24h.
    */
   calculateTaskDistribution(session) {
-    const totalTasks = session.tasks_24h;
     const countries = session.countries;
-    const tasksPerCountry = Math.floor(totalTasks / countries.length);
-
-    // Parse distribution ratios
-    const [mobileRatio, desktopRatio] = session.mobile_desktop_distribution
-      .split(":")
-      .map(Number);
-    const [iosRatio, androidRatio] = session.mobile_os_distribution
-      .split(":")
-      .map(Number);
-    const [windowsRatio, macosRatio] = session.desktop_os_distribution
-      .split(":")
-      .map(Number);
+    const countryCounts = allocateLargestRemainder(
+      session.tasks_24h,
+      countries.map((country) => this.getCountryWeight(session, country))
+    );
 
     const distribution = [];
 
-    for (const country of countries) {
+    countries.forEach((country, index) => {
+      const override = this.getCountryOverride(session, country);
+      const deviceDistribution =
+        override.device_distribution || session.device_distribution;
+
+      if (deviceDistribution) {
+        distribution.push({
+          country,
+          mainPageUrl: override.main_page_url || session.main_page_url,
+          navigations: override.navigations || session.navigations,
+          tasks: this.allocateDeviceProfiles(countryCounts[index], deviceDistribution),
+        });
+        return;
+      }
+
+      const ratio = (field) =>
+        this.parseRatio(override[field] || session[field], field);
+
       // Calculate mobile/desktop split
-      const mobileTotal = Math.floor(
-        (tasksPerCountry * mobileRatio) / (mobileRatio + desktopRatio)
+      const [mobileTotal, desktopTotal] = allocateLargestRemainder(
+        countryCounts[index],
+        ratio("mobile_desktop_distribution")
       );
-      const desktopTotal = tasksPerCountry - mobileTotal;
 
-      // Mobile OS distribution
-      const iosCount = Math.floor(
-        (mobileTotal * iosRatio) / (iosRatio + androidRatio)
+      // Mobile and desktop OS distribution
+      const [iosCount, androidCount] = allocateLargestRemainder(
+        mobileTotal,
+        ratio("mobile_os_distribution")
       );
-      const androidCount = mobileTotal - iosCount;
-
-      // Desktop OS distribution
-      const windowsCount = Math.floor(
-        (desktopTotal * windowsRatio) / (windowsRatio + macosRatio)
+      const [windowsCount, macosCount] = allocateLargestRemainder(
+        desktopTotal,
+        ratio("desktop_os_distribution")
       );
-      const macosCount = desktopTotal - windowsCount;
 
       distribution.push({
         country,
+        mainPageUrl: override.main_page_url || session.main_page_url,
+        navigations: override.navigations || session.navigations,
         tasks: [
           { device: "mobile", os: "iOS", count: iosCount },
           { device: "mobile", os: "Android", count: androidCount },
@@ -308,19 +718,42 @@ class ClientService extends EventEmitter {
           { device: "desktop", os: "macOS", count: macosCount },
         ],
       });
-    }
+    });
 
     return distribution;
   }
 
+  /**
+   * Split a country's tasks over weighted fingerprint profiles
+   * @returns {Array<Object>} { device, os, browser, fingerprintProfile, count } per profile
+   */
+  allocateDeviceProfiles(total, deviceDistribution) {
+    const profiles = new Map(
+      FingerprintManager.getAvailableProfiles().map((profile) => [profile.key, profile])
+    );
+    const keys = Object.keys(deviceDistribution);
+    const counts = allocateLargestRemainder(
+      total,
+      keys.map((key) => deviceDistribution[key])
+    );
+
+    return keys.map((key, index) => ({
+      device: profiles.get(key).type,
+      os: profiles.get(key).os,
+      browser: profiles.get(key).browser,
+      fingerprintProfile: key,
+      count: counts[index],
+    }));
+  }
+
   /**
    * Initialize rate manager for session
    */
   async initializeRateManager(session) {
     try {
-      console.log(
-        `🔄 Initializing rate manager for session: ${session.session_id}`
-      );
+      this.logger.debug("Initializing rate manager", {
+        session_id: session.session_id,
+      });
 
       // First verify the session exists in the database with retry logic
       let sessionExists = false;
@@ -338,9 +771,11 @@ class ClientService extends EventEmitter {
         }
 
         if (attempt < maxRetries) {
-          console.warn(
-            `⚠️ Session ${session.session_id} not found in database (attempt ${attempt}/${maxRetries}), retrying in 200ms...`
-          );
+          this.logger.warn("Session not found in database, retrying in 200ms", {
+            session_id: session.session_id,
+            attempt,
+            max_retries: maxRetries,
+          });
           await new Promise((resolve) => setTimeout(resolve, 200));
         }
       }
@@ -351,12 +786,22 @@ class ClientService extends EventEmitter {
         );
       }
 
-      console.log(`✅ Session ${session.session_id} verified in database`);
+      // Paces the session: tasks_24h spread over the day along its traffic curve
+      const schedule = new RateManager({
+        targetTasksPerDay: session.tasks_24h,
+        trafficProfile: session.traffic_profile,
+        countries: session.countries,
+        countryWeights: session.countries.map((country) =>
+          this.getCountryWeight(session, country)
+        ),
+        enableDynamicAdjustment: false,
+      });
 
       const rateManager = {
         sessionId: session.session_id,
-        targetRate: this.config.baseRatePerMinute,
-        currentRate: this.config.baseRatePerMinute,
+        schedule,
+        targetRate: schedule.getTargetRate(),
+        currentRate: schedule.getTargetRate(),
         adjustmentFactor: 1.0,
         tasksSent: 0,
         tasksCompleted: 0,
@@ -365,9 +810,6 @@ class ClientService extends EventEmitter {
       };
 
       // Store in database
-      console.log(
-        `🔄 Inserting rate manager for session: ${session.session_id}`
-      );
       await this.db.query(
         `
         INSERT INTO rate_management (
@@ -383,15 +825,14 @@ class ClientService extends EventEmitter {
       );
 
       this.rateManagers.set(session.session_id, rateManager);
-      console.log(
-        `✅ Rate manager initialized for session: ${session.session_id}`
-      );
+      this.logger.debug("Rate manager initialized", {
+        session_id: session.session_id,
+      });
     } catch (error) {
-      console.error(
-        `❌ Failed to initialize rate manager for session ${session.session_id}:`,
-        error.message
-      );
-      console.error("Session object:", session);
+      this.logger.error("Failed to initialize rate manager", {
+        session,
+        error,
+      });
 
       // Check if this is a foreign key constraint error
       if (
@@ -399,11 +840,10 @@ class ClientService extends EventEmitter {
         error.detail &&
         error.detail.includes("sessions")
       ) {
-        console.error(
-          "🔍 Foreign key constraint violation - session not found in sessions table"
-        );
-        console.error(
-          "🔍 This suggests the session was not properly stored or was rolled back"
+        // The session was not properly stored or was rolled back
+        this.logger.error(
+          "Foreign key constraint violation - session not found in sessions table",
+          { session_id: session.session_id }
         );
 
         // Try to find the session again
@@ -414,15 +854,19 @@ class ClientService extends EventEmitter {
           );
 
           if (recheckResult.rows.length === 0) {
-            console.error("🔍 Confirmed: Session not found in database");
+            this.logger.error("Confirmed: session not found in database", {
+              session_id: session.session_id,
+            });
           } else {
-            console.error(
-              "🔍 Session found in database:",
-              recheckResult.rows[0]
-            );
+            this.logger.error("Session found in database on recheck", {
+              session: recheckResult.rows[0],
+            });
           }
         } catch (recheckError) {
-          console.error("🔍 Error rechecking session:", recheckError.message);
+          this.logger.error("Error rechecking session", {
+            session_id: session.session_id,
+            error: recheckError,
+          });
         }
       }
 
@@ -436,19 +880,15 @@ class ClientService extends EventEmitter {
   async startTaskDistribution(session, distribution) {
     const sessionId = session.session_id;
 
-    console.log(`🎯 Starting task distribution for session ${sessionId}`);
-    console.log(`📊 Distribution:`, JSON.stringify(distribution, null, 2));
+    this.logger.debug("Starting task distribution", { distribution });
 
     // Generate all tasks first
     const tasks = await this.generateTasks(session, distribution);
-    console.log(`📋 Generated ${tasks.length} tasks for session ${sessionId}`);
 
     // Store tasks in database
     await this.storeTasks(tasks);
-    console.log(`💾 Stored ${tasks.length} tasks in database`);
 
     // Start distributing tasks at calculated rate
-    console.log(`🚀 Starting task sending for ${tasks.length} tasks...`);
     this.startTaskSending(sessionId, tasks);
 
     this.activeSessions.set(sessionId, {
@@ -458,7 +898,7 @@ class ClientService extends EventEmitter {
       startTime: new Date(),
     });
 
-    console.log(`✅ Task distribution started for session ${sessionId} with ${tasks.length} tasks`);
+    this.logger.info("Task distribution started", { tasks: tasks.length });
   }
 
   /**
@@ -477,8 +917,9 @@ class ClientService extends EventEmitter {
             country: countryData.country,
             device: deviceData.device,
             os: deviceData.os,
-            mainPageUrl: session.main_page_url,
-            navigations: session.navigations,
+            mainPageUrl: countryData.mainPageUrl || session.main_page_url,
+            navigations: countryData.navigations || session.navigations,
+            fingerprintProfile: deviceData.fingerprintProfile || null,
             timestamp: new Date().toISOString(),
             status: "pending",
             retryCount: 0,
@@ -495,85 +936,144 @@ class ClientService extends EventEmitter {
 
   /**
    * Store tasks in database
+   * total_tasks_generated is raised in the same transaction, so completion detection
+   * never sees a session with fewer tasks counted than stored
    */
   async storeTasks(tasks) {
     const query = `
       INSERT INTO tasks (
         correlation_id, session_id, country, device, os, 
-        main_page_url, navigations, status, created_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+        main_page_url, navigations, fingerprint_profile, status, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
     `;
 
+    const generated = new Map();
     for (const task of tasks) {
-      await this.db.query(query, [
-        task.correlationId,
-        task.sessionId,
-        task.country,
-        task.device,
-        task.os,
-        task.mainPageUrl,
-        JSON.stringify(task.navigations),
-        task.status,
-      ]);
+      generated.set(task.sessionId, (generated.get(task.sessionId) || 0) + 1);
     }
 
-    console.log(`📝 Stored ${tasks.length} tasks in database`);
+    await this.db.transaction(async (client) => {
+      for (const task of tasks) {
+        await client.query(query, [
+          task.correlationId,
+          task.sessionId,
+          task.country,
+          task.device,
+          task.os,
+          task.mainPageUrl,
+          JSON.stringify(task.navigations),
+          task.fingerprintProfile || null,
+          task.status,
+        ]);
+      }
+
+      for (const [sessionId, count] of generated) {
+        await client.query(
+          `
+          UPDATE sessions
+          SET total_tasks_generated = COALESCE(total_tasks_generated, 0) + $2
+          WHERE session_id = $1
+        `,
+          [sessionId, count]
+        );
+      }
+    });
+
+    this.logger.debug("Stored tasks", { tasks: tasks.length });
   }
 
   /**
    * Start sending tasks at calculated rate
    */
   startTaskSending(sessionId, tasks) {
-    console.log(`🎯 startTaskSending called for session ${sessionId} with ${tasks.length} tasks`);
-    
     const rateManager = this.rateManagers.get(sessionId);
-    console.log(`🔍 Rate manager found: ${!!rateManager}`);
     
     if (!rateManager) {
-      console.error(`❌ No rate manager found for session ${sessionId}`);
+      this.logger.error("No rate manager found for session", {
+        session_id: sessionId,
+      });
       return;
     }
     
-    let taskIndex = 0;
+    // Loop state is kept so pause/resume can continue from the same taskIndex
+    const loop = {
+      tasks,
+      taskIndex: 0,
+      state: "running",
+      timer: null,
+      inFlight: false,
+      next: null,
+    };
+    this.sendLoops.set(sessionId, loop);
 
     const sendNextTask = async () => {
-      console.log(`🔄 sendNextTask called - taskIndex: ${taskIndex}, tasks.length: ${tasks.length}, isRunning: ${this.isRunning}`);
-      
-      if (!this.isRunning || taskIndex >= tasks.length) {
-        console.log(`🏁 Task sending complete for session ${sessionId}`);
-        await this.completeSession(sessionId);
+      loop.timer = null;
+      const taskIndex = loop.taskIndex;
+
+      if (loop.state === "paused") {
+        this.logger.info("Task sending paused", {
+          task_index: taskIndex,
+          tasks: tasks.length,
+        });
+        return;
+      }
+
+      if (loop.state === "cancelled") {
+        this.logger.info("Task sending cancelled", {
+          task_index: taskIndex,
+          tasks: tasks.length,
+        });
+        this.sendLoops.delete(sessionId);
+        return;
+      }
+
+      if (loop.state === "released") {
+        this.logger.info("Task sending handed over", {
+          task_index: taskIndex,
+          tasks: tasks.length,
+        });
+        return;
+      }
+
+      if (!this.isRunning) {
+        this.sendLoops.delete(sessionId);
         return;
       }
 
-      const task = tasks[taskIndex++];
-      console.log(`📋 Processing task ${taskIndex}/${tasks.length}: ${task.correlationId}`);
+      if (taskIndex >= tasks.length) {
+        this.logger.info("Task sending complete", { tasks: tasks.length });
+        await this.finishTaskSending(sessionId);
+        return;
+      }
+
+      const task = tasks[loop.taskIndex++];
+      loop.inFlight = true;
 
       try {
-        // Send task via async messaging
+        // Queue the task; the outbox relay marks it sent once the broker confirms it
         const response = await this.sendTaskToWorker(task);
         rateManager.tasksSent++;
 
-        // Update task status to sent (async messaging doesn't wait for completion)
-        await this.updateTaskStatus(task.correlationId, "sent");
-
-        console.log(
-          `📤 Task sent: ${task.correlationId} (${taskIndex}/${tasks.length}) - Status: ${response.status}`
-        );
+        this.logger.debug("Task queued", {
+          correlation_id: task.correlationId,
+          task_index: loop.taskIndex,
+          tasks: tasks.length,
+          status: response.status,
+        });
       } catch (error) {
-        console.error(`❌ Failed to send task ${task.correlationId}:`, error);
-        
-        // Update task status as failed
-        try {
-          await this.updateTaskStatus(task.correlationId, "failed", error.message);
-        } catch (dbError) {
-          console.error(`❌ Failed to update task status:`, dbError);
-        }
+        this.logger.error("Failed to send task", {
+          correlation_id: task.correlationId,
+          error,
+        });
         
-        // Handle task failure
+        // Schedule a retry or mark the task as failed
         try {
-          await this.handleTaskFailure(task, error);
+          await this.handleTaskFailure(task, error, "DispatchError");
         } catch (handlerError) {
-          console.error(`❌ Failed to handle task failure:`, handlerError);
+          this.logger.error("Failed to handle task failure", {
+            correlation_id: task.correlationId,
+            error: handlerError,
+          });
         }
       }
 
@@ -592,37 +1092,79 @@ class ClientService extends EventEmitter {
           minDelay + Math.random() * (maxDelay - minDelay)
         );
 
-        console.log(
-          `🐛 DEBUG FAST MODE: Next task in ${Math.round(delayMs)}ms (${
-            this.config.debugTasksPerMinute
-          } tasks/min target)`
-        );
+        this.logger.debug("Debug fast mode: next task scheduled", {
+          delay_ms: Math.round(delayMs),
+          target_per_minute: this.config.debugTasksPerMinute,
+        });
       } else {
         // Normal production timing
-        delayMs = (60 / rateManager.currentRate) * 1000;
+        if (rateManager.schedule) {
+          rateManager.currentRate = rateManager.schedule.getCurrentRatePerMinute();
+          delayMs = rateManager.schedule.getScheduledDelay();
+        } else {
+          delayMs = (60 / rateManager.currentRate) * 1000;
+        }
         const randomizedDelay = delayMs + (Math.random() - 0.5) * delayMs * 0.2; // ±10% randomization
         delayMs = randomizedDelay;
-        
-        console.log(
-          `⏱️ Normal mode: Next task in ${Math.round(delayMs)}ms (rate: ${rateManager.currentRate}/min)`
-        );
+
+        this.logger.debug("Next task scheduled", {
+          delay_ms: Math.round(delayMs),
+          rate_per_minute: rateManager.currentRate,
+        });
       }
 
-      console.log(`🔄 Scheduling next task (${taskIndex}/${tasks.length}) in ${Math.round(delayMs)}ms...`);
-      setTimeout(sendNextTask, delayMs);
+      loop.inFlight = false;
+      loop.timer = setTimeout(sendNextTask, delayMs);
     };
 
+    // Timers inherit the context, so every send logs the session ID
+    loop.next = () => runWithLogContext({ session_id: sessionId }, sendNextTask);
+
     // Start sending
-    sendNextTask();
+    loop.next();
   }
 
   /**
-   * Send task to worker via RPC (non-blocking for continuous processing)
+   * Queue a task for the workers through the outbox
+   * Pass a transaction client to queue it as part of a larger transaction
+   * @param {Object} task - Task to dispatch
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object>} { status: 'queued' | 'skipped', correlation_id }
    */
-  async sendTaskToWorker(task) {
-    console.log(`🔄 Preparing to send RPC task: ${task.correlationId} to queue: ${this.config.tasksQueue}`);
-    
-    const taskMessage = {
+  async sendTaskToWorker(task, client = null) {
+    const entry = {
+      correlationId: task.correlationId,
+      sessionId: task.sessionId,
+      queue: this.config.tasksQueue,
+      payload: this.buildTaskMessage(task),
+      fromStatus: task.status === "queued" ? "queued" : "pending",
+    };
+
+    const queued = client
+      ? await this.outbox.enqueue(client, entry)
+      : await this.db.transaction((transactionClient) =>
+          this.outbox.enqueue(transactionClient, entry)
+        );
+
+    if (queued && !client) {
+      this.outbox.wake();
+    }
+
+    this.logger.debug("Task queued for dispatch", {
+      correlation_id: task.correlationId,
+      queue: this.config.tasksQueue,
+      queued,
+    });
+
+    return { status: queued ? "queued" : "skipped", correlation_id: task.correlationId };
+  }
+
+  /**
+   * Task message as published to the workers
+   */
+  buildTaskMessage(task) {
+    return {
+      schema_version: TASK_MESSAGE_SCHEMA_VERSION,
       correlation_id: task.correlationId,
       session_id: task.sessionId,
       country: task.country,
@@ -630,59 +1172,136 @@ class ClientService extends EventEmitter {
       os: task.os,
       main_page_url: task.mainPageUrl,
       navigations: task.navigations,
+      // Set for sessions with a device_distribution; otherwise the worker picks a profile by device and OS
+      fingerprint_profile: task.fingerprintProfile || null,
       timestamp: task.timestamp,
+      // Echoed back in the result so results from superseded attempts can be ignored
+      attempt: task.retryCount || 0,
     };
+  }
 
-    console.log(`📋 Task message prepared:`, JSON.stringify(taskMessage, null, 2));
+  /**
+   * Record a task the outbox relay has published; its result arrives on the results queue
+   */
+  recordTaskPublished(entry) {
+    this.metrics.recordTaskSent(entry.payload);
+  }
 
-    // Send RPC request without blocking the task sending loop
-    console.log(`🚀 Sending RPC request to queue...`);
-    
-    // Start RPC request but don't await it - handle response separately
-    this.sendRPCRequestNonBlocking(task.correlationId, taskMessage);
-    
-    console.log(`✅ RPC request initiated for task: ${task.correlationId}`);
+  /**
+   * Apply a worker result from the results queue
+   * Which result wins:
+   * - only the task's current attempt (retry_count) can change it; results from an attempt
+   *   that was already timed out and retried are ignored
+   * - the first result stored for an attempt wins; redeliveries hit the unique
+   *   (correlation_id, attempt) key and change nothing
+   * - completed, failed and cancelled tasks are final, so a late failure never flips a
+   *   completed task back
+   * Errors propagate so the message is dead-lettered instead of lost.
+   * @param {Object} response - Result with correlation_id and attempt
+   * @returns {Promise<boolean>} true if the result was applied
+   */
+  async handleTaskResult(response) {
+    const errors = validateMessage("result", response);
+    if (errors.length > 0) {
+      throw createValidationError("result", errors);
+    }
+    const correlationId = response.correlation_id;
+
+    return runWithLogContext(
+      { session_id: response.session_id, correlation_id: correlationId },
+      async () => {
+        const applied = await this.db.transaction(async (client) => {
+          // Lock the task so a concurrent duplicate or the stale task reaper waits for this result
+          const current = await client.query(
+            `
+            SELECT status, retry_count,
+                   EXTRACT(EPOCH FROM (NOW() - sent_at)) * 1000 AS elapsed_ms
+            FROM tasks
+            WHERE correlation_id = $1
+            FOR UPDATE
+          `,
+            [correlationId]
+          );
+
+          if (current.rows.length === 0) {
+            this.logger.warn("Result for unknown task ignored");
+            return null;
+          }
 
-    // Return immediately to allow continuous processing
-    return { status: "sent", correlation_id: task.correlationId };
+          const task = current.rows[0];
+          const attempt = response.attempt ?? 0;
+
+          // Queued covers a result that beats the outbox marking its task sent
+          let ignored = null;
+          if (!["queued", "sent"].includes(task.status)) {
+            ignored = "finished";
+          } else if ((task.retry_count || 0) !== attempt) {
+            ignored = "stale_attempt";
+          } else if (!(await this.handleTaskResponse(correlationId, response, client))) {
+            ignored = "redelivered";
+          }
+
+          if (ignored) {
+            this.metrics.recordDuplicateResult(ignored);
+            this.logger.debug("Duplicate or stale task result skipped", {
+              reason: ignored,
+              task_status: task.status,
+              retry_count: task.retry_count,
+              attempt,
+            });
+            return null;
+          }
+
+          return task;
+        });
+
+        if (!applied) {
+          return false;
+        }
+
+        this.metrics.observeTaskLatency(this.config.tasksQueue, "result", Number(applied.elapsed_ms) || 0);
+        this.metrics.recordTaskResult(response);
+        return true;
+      }
+    );
   }
 
   /**
-   * Send RPC request without blocking task sending loop
+   * Fail a sent task whose result never arrived, inside the reaper's transaction
    */
-  async sendRPCRequestNonBlocking(correlationId, taskMessage) {
-    try {
-      const response = await this.rabbitmq.sendRPCRequest(
-        this.config.tasksQueue,
-        taskMessage,
-        this.config.rpcTimeout
-      );
-      
-      console.log(`✅ RPC response received for ${correlationId}:`, response.status);
-      
-      // Handle the response asynchronously
-      await this.handleTaskResponse(correlationId, response);
-      
-    } catch (error) {
-      console.error(`❌ RPC request failed for ${correlationId}:`, error);
-      
-      // Handle RPC failure
-      await this.handleTaskFailure({ correlationId }, error);
-    }
+  async handleStaleTask(row, client) {
+    const error = new Error(
+      `No result received within ${this.config.taskResultTimeout}ms`
+    );
+
+    this.metrics.observeTaskLatency(this.config.tasksQueue, "timeout", this.config.taskResultTimeout);
+    this.metrics.recordTaskResult({ ...row, status: "failed", error_type: "RPCTimeout" });
+
+    await runWithLogContext(
+      { session_id: row.session_id, correlation_id: row.correlation_id },
+      () => this.handleTaskFailure({ correlationId: row.correlation_id }, error, "RPCTimeout", client)
+    );
   }
 
   /**
    * Handle task response from worker
+   * @returns {Promise<boolean>} false if a response for this attempt was already stored
    */
-  async handleTaskResponse(correlationId, response) {
+  async handleTaskResponse(correlationId, response, client = this.db) {
     try {
-      // Store response in database
-      await this.db.query(
+      // Store response in database; the first response per attempt wins
+      const stored = await client.query(
         `
         INSERT INTO task_responses (
-          correlation_id, status, country, device, os, timestamp,
-          error_message, error_type, response_time_ms, created_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+          task_id, correlation_id, status, country, device, os, timestamp,
+          error_message, error_type, navigation_step, navigation_results,
+          artifacts, response_time_ms, attempt, created_at
+        ) VALUES (
+          (SELECT id FROM tasks WHERE correlation_id = $1),
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW()
+        )
+        ON CONFLICT (correlation_id, attempt) DO NOTHING
+        RETURNING id
       `,
         [
           correlationId,
@@ -693,28 +1312,187 @@ class ClientService extends EventEmitter {
           response.timestamp,
           response.error_message || null,
           response.error_type || null,
+          response.navigation_step ?? null,
+          response.navigation_results
+            ? JSON.stringify(response.navigation_results)
+            : null,
+          response.artifacts && response.artifacts.length > 0
+            ? JSON.stringify(response.artifacts)
+            : null,
           response.response_time_ms || null,
+          response.attempt ?? 0,
         ]
       );
 
-      // Update task status
-      const finalStatus =
-        response.status === "successful" ? "completed" : "failed";
-      await this.updateTaskStatus(correlationId, finalStatus);
+      if (stored.rowCount === 0) {
+        this.logger.debug("Response for this attempt already stored", {
+          correlation_id: correlationId,
+          attempt: response.attempt ?? 0,
+        });
+        return false;
+      }
+
+      await this.storeAssertionResults(correlationId, response, client);
+
+      if (response.network_summary) {
+        await this.storeNetworkSummary(correlationId, response.network_summary, client);
+      }
+
+      if (response.performance) {
+        await this.storePerformanceMetrics(correlationId, response, client);
+      }
+
+      // Update task status; transient failures get another attempt
+      if (response.status === "successful") {
+        await this.updateTaskStatus(correlationId, "completed", null, client);
+      } else {
+        await this.handleTaskFailure(
+          { correlationId },
+          new Error(response.error_message || "Task failed"),
+          response.error_type,
+          client
+        );
+      }
 
-      console.log(`📥 Task response: ${correlationId} - ${response.status}`);
+      this.logger.info("Task response stored", {
+        correlation_id: correlationId,
+        status: response.status,
+        error_type: response.error_type,
+      });
+      return true;
     } catch (error) {
-      console.error(
-        `❌ Failed to handle task response ${correlationId}:`,
-        error
+      this.logger.error("Failed to handle task response", {
+        correlation_id: correlationId,
+        error,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Store one row per assertion step so failed checks can be reported
+   * by country, device and OS
+   */
+  async storeAssertionResults(correlationId, response, client = this.db) {
+    const assertions = (response.navigation_results || []).filter(
+      (result) => result.assertion
+    );
+
+    for (const result of assertions) {
+      const { assertion } = result;
+
+      await client.query(
+        `
+        INSERT INTO assertion_results (
+          task_id, correlation_id, session_id, country, device, os,
+          navigation_step, assertion_type, selector, passed,
+          expected, actual, message, created_at
+        )
+        SELECT t.id, $1, t.session_id, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW()
+        FROM tasks t
+        WHERE t.correlation_id = $1
+      `,
+        [
+          correlationId,
+          response.country,
+          response.device,
+          response.os,
+          result.step,
+          assertion.type,
+          assertion.selector || null,
+          assertion.passed,
+          assertion.expected == null ? null : String(assertion.expected),
+          assertion.actual == null ? null : String(assertion.actual),
+          assertion.message || null,
+        ]
+      );
+    }
+  }
+
+  /**
+   * Store the worker's network recording summary against the task
+   */
+  async storeNetworkSummary(correlationId, summary, client = this.db) {
+    const failures = summary.failures || {};
+
+    await client.query(
+      `
+      INSERT INTO task_network_summaries (
+        task_id, correlation_id, session_id, total_requests, failed_requests,
+        client_errors, server_errors, blocked_requests, timed_out_requests,
+        network_errors, total_bytes, slowest_resources, failed, har_location, created_at
+      )
+      SELECT t.id, $1, t.session_id, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW()
+      FROM tasks t
+      WHERE t.correlation_id = $1
+    `,
+      [
+        correlationId,
+        summary.total_requests || 0,
+        summary.failed_requests || 0,
+        failures.client_error || 0,
+        failures.server_error || 0,
+        failures.blocked || 0,
+        failures.timed_out || 0,
+        failures.network_error || 0,
+        summary.total_bytes || 0,
+        JSON.stringify(summary.slowest_resources || []),
+        JSON.stringify(summary.failed || []),
+        summary.har || null,
+      ]
+    );
+  }
+
+  /**
+   * Store web performance samples for the main page and each navigation step
+   */
+  async storePerformanceMetrics(correlationId, response, client = this.db) {
+    const { main_page: mainPage, steps = [] } = response.performance;
+    const samples = [
+      ...(mainPage ? [{ ...mainPage, step: null }] : []),
+      ...steps,
+    ];
+
+    for (const sample of samples) {
+      await client.query(
+        `
+        INSERT INTO task_performance_metrics (
+          task_id, correlation_id, session_id, country, device, os,
+          navigation_step, url, same_document, ttfb_ms, dom_content_loaded_ms,
+          load_ms, first_paint_ms, fcp_ms, lcp_ms, cls, transfer_size, created_at
+        )
+        SELECT t.id, $1, t.session_id, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW()
+        FROM tasks t
+        WHERE t.correlation_id = $1
+      `,
+        [
+          correlationId,
+          response.country,
+          response.device,
+          response.os,
+          sample.step,
+          sample.url || null,
+          sample.same_document || false,
+          sample.ttfb_ms ?? null,
+          sample.dom_content_loaded_ms ?? null,
+          sample.load_ms ?? null,
+          sample.first_paint_ms ?? null,
+          sample.fcp_ms ?? null,
+          sample.lcp_ms ?? null,
+          sample.cls ?? null,
+          sample.transfer_size ?? null,
+        ]
       );
     }
   }
 
   /**
    * Update task status in database
+   * Completed and failed are final: a finished task is left as it is, and the session's
+   * tasks_completed/tasks_failed counter moves in the same statement that finishes the task,
+   * so each task is counted exactly once
    */
-  async updateTaskStatus(correlationId, status, errorMessage = null) {
+  async updateTaskStatus(correlationId, status, errorMessage = null, client = this.db) {
     // Update different timestamp columns based on status
     let updateQuery;
     if (status === "sent") {
@@ -725,9 +1503,19 @@ class ClientService extends EventEmitter {
       `;
     } else if (status === "completed" || status === "failed") {
       updateQuery = `
-        UPDATE tasks 
-        SET status = $1, last_error = $2, completed_at = NOW()
-        WHERE correlation_id = $3
+        WITH finished AS (
+          UPDATE tasks
+          SET status = $1, last_error = $2, completed_at = NOW()
+          WHERE correlation_id = $3
+            AND status NOT IN ('completed', 'failed', 'cancelled')
+          RETURNING session_id
+        )
+        UPDATE sessions s
+        SET tasks_completed = s.tasks_completed + CASE WHEN $1::varchar = 'completed' THEN 1 ELSE 0 END,
+            tasks_failed = s.tasks_failed + CASE WHEN $1::varchar = 'failed' THEN 1 ELSE 0 END
+        FROM finished
+        WHERE s.session_id = finished.session_id
+        RETURNING s.session_id
       `;
     } else {
       updateQuery = `
@@ -737,7 +1525,12 @@ class ClientService extends EventEmitter {
       `;
     }
 
-    await this.db.query(updateQuery, [status, errorMessage, correlationId]);
+    const result = await client.query(updateQuery, [status, errorMessage, correlationId]);
+
+    // The task that finished may have been the session's last one
+    if (result && result.rows && result.rows.length > 0) {
+      await this.checkSessionCompletion(result.rows[0].session_id, client);
+    }
   }
 
   /**
@@ -770,40 +1563,369 @@ class ClientService extends EventEmitter {
 
   /**
    * Handle task failure with retry logic
+   * Retryable failures are scheduled in the database; everything else fails the task
+   * @param {Object} task - Task with correlationId
+   * @param {Error} error - Failure for this attempt
+   * @param {string} errorType - error_type used to classify the failure
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object|null>} Scheduled retry, or null if the task failed permanently
    */
-  async handleTaskFailure(task, error) {
-    if (task.retryCount < this.config.maxRetries) {
-      task.retryCount++;
-      console.log(
-        `🔄 Retrying task ${task.correlationId} (attempt ${task.retryCount})`
-      );
+  async handleTaskFailure(task, error, errorType = error.name, client = this.db) {
+    const correlationId = task.correlationId;
 
-      // Exponential backoff
-      const delay = Math.pow(2, task.retryCount) * 1000;
-      setTimeout(() => this.sendTaskToWorker(task), delay);
-    } else {
-      console.error(
-        `❌ Task ${task.correlationId} failed permanently after ${task.retryCount} retries`
-      );
-      await this.updateTaskStatus(task.correlationId, "failed", error.message);
+    if (this.retryPolicy.isRetryable(errorType, error.message)) {
+      const retry = await this.scheduleRetry(correlationId, errorType, error.message, client);
+      if (retry !== null) {
+        return retry || null;
+      }
     }
+
+    this.logger.error("Task failed permanently", {
+      correlation_id: correlationId,
+      error_type: errorType,
+      error_message: error.message,
+    });
+    await this.updateTaskStatus(correlationId, "failed", error.message, client);
+    return null;
   }
 
   /**
-   * Complete session processing
+   * Persist the next attempt for a task with exponential backoff
+   * The retry_count guard stops a late result and the stale task reaper from both scheduling
+   * @returns {Promise<Object|false|null>} { retry_count, next_attempt_at }; false if the task was
+   *   already rescheduled or finished; null when retries are exhausted
    */
-  async completeSession(sessionId) {
-    console.log(`🎉 Session ${sessionId} completed`);
+  async scheduleRetry(correlationId, errorType, errorMessage, client = this.db) {
+    const current = await client.query(
+      "SELECT retry_count FROM tasks WHERE correlation_id = $1",
+      [correlationId]
+    );
+
+    if (current.rows.length === 0) {
+      return null;
+    }
+
+    const retryCount = current.rows[0].retry_count || 0;
+    if (retryCount >= this.config.maxRetries) {
+      return null;
+    }
+
+    const delayMs = this.retryPolicy.getDelay(retryCount + 1);
+    const result = await client.query(
+      `
+      UPDATE tasks
+      SET status = 'retry_scheduled',
+          retry_count = retry_count + 1,
+          next_attempt_at = NOW() + ($2::int * INTERVAL '1 millisecond'),
+          last_error = $3
+      WHERE correlation_id = $1
+        AND COALESCE(retry_count, 0) = $4
+        AND status NOT IN ('completed', 'failed', 'cancelled')
+      RETURNING retry_count, next_attempt_at
+    `,
+      [correlationId, delayMs, errorMessage, retryCount]
+    );
+
+    if (result.rows.length === 0) {
+      this.logger.debug("Task already rescheduled or finished", {
+        correlation_id: correlationId,
+      });
+      return false;
+    }
+
+    const retry = result.rows[0];
+    this.metrics.recordRetryScheduled(errorType);
+    this.logger.info("Retry scheduled", {
+      correlation_id: correlationId,
+      error_type: errorType,
+      attempt: retry.retry_count,
+      max_retries: this.config.maxRetries,
+      delay_ms: delayMs,
+    });
+
+    return retry;
+  }
+
+  /**
+   * Re-queue a task claimed by the retry scheduler, inside the scheduler's transaction
+   */
+  async dispatchRetry(row, client) {
+    let navigations = row.navigations;
+    if (typeof navigations === "string") {
+      navigations = JSON.parse(navigations);
+    }
+
+    const task = {
+      correlationId: row.correlation_id,
+      sessionId: row.session_id,
+      country: row.country,
+      device: row.device,
+      os: row.os,
+      mainPageUrl: row.main_page_url,
+      navigations: navigations || [],
+      fingerprintProfile: row.fingerprint_profile || null,
+      timestamp: new Date().toISOString(),
+      status: "queued",
+      retryCount: row.retry_count,
+    };
+
+    await runWithLogContext({ session_id: task.sessionId }, () =>
+      this.sendTaskToWorker(task, client)
+    );
+  }
+
+  /**
+   * Release a session's send loop once every task is queued
+   * The session itself completes when its last result arrives
+   */
+  async finishTaskSending(sessionId) {
+    this.sendLoops.delete(sessionId);
+    this.activeSessions.delete(sessionId);
+    this.rateManagers.delete(sessionId);
+
+    // Covers sessions whose results all arrived before the last task was queued
+    await this.checkSessionCompletion(sessionId);
+  }
+
+  /**
+   * Complete a running session once every task is completed, failed or cancelled
+   * Called in the transaction that finishes a task, after the session counters were
+   * updated; that update locks the session row, so the last two results of a session
+   * cannot both miss each other's finished task.
+   * @param {string} sessionId - Session to check
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object|null>} { status, total_tasks_generated, tasks_completed, tasks_failed },
+   *   or null if the session is not finished
+   */
+  async checkSessionCompletion(sessionId, client = this.db) {
+    const result = await client.query(
+      `
+      UPDATE sessions s
+      SET status = CASE
+            WHEN s.tasks_failed::DECIMAL / s.total_tasks_generated > $2::DECIMAL
+            THEN 'completed_with_failures'
+            ELSE 'completed'
+          END,
+          completed_at = NOW(),
+          updated_at = NOW()
+      WHERE s.session_id = $1
+        AND s.status IN ('processing', 'active')
+        AND s.total_tasks_generated > 0
+        AND NOT EXISTS (
+          SELECT 1 FROM tasks t
+          WHERE t.session_id = s.session_id
+            AND t.status NOT IN ('completed', 'failed', 'cancelled')
+        )
+      RETURNING s.status, s.total_tasks_generated, s.tasks_completed, s.tasks_failed
+    `,
+      [sessionId, this.config.sessionFailureThreshold]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const completion = result.rows[0];
+    this.activeSessions.delete(sessionId);
+    this.rateManagers.delete(sessionId);
+    await this.leases.end(sessionId, client);
+
+    this.logger.info("Session completed", {
+      session_id: sessionId,
+      status: completion.status,
+      tasks: completion.total_tasks_generated,
+      tasks_completed: completion.tasks_completed,
+      tasks_failed: completion.tasks_failed,
+    });
+    this.emit("sessionCompleted", { session_id: sessionId, ...completion });
+
+    return completion;
+  }
+
+  /**
+   * Stop driving a session on this instance without changing its status
+   * Used when its lease is lost or handed back; the lease holder carries on from the database
+   */
+  releaseSession(sessionId) {
+    const rateManager = this.rateManagers.get(sessionId);
+    if (rateManager && rateManager.intervalId) {
+      clearInterval(rateManager.intervalId);
+    }
+
+    const loop = this.sendLoops.get(sessionId);
+    if (loop) {
+      loop.state = "released";
+      clearTimeout(loop.timer);
+      loop.timer = null;
+      this.sendLoops.delete(sessionId);
+    }
 
-    await this.updateSessionStatus(sessionId, "completed");
     this.activeSessions.delete(sessionId);
     this.rateManagers.delete(sessionId);
   }
 
   /**
-   * Stop specific session
+   * Resume a session whose previous owner stopped renewing its lease
+   * Sessions that died before their tasks were stored are distributed from scratch
+   */
+  async takeOverSession(sessionId) {
+    return runWithLogContext({ session_id: sessionId }, async () => {
+      try {
+        const result = await this.db.query(
+          "SELECT * FROM sessions WHERE session_id = $1",
+          [sessionId]
+        );
+        const session = result.rows[0];
+
+        if (!session || !["processing", "active"].includes(session.status)) {
+          await this.leases.release(sessionId);
+          return;
+        }
+
+        if (!session.total_tasks_generated) {
+          await this.processSession(session);
+        } else {
+          await this.recoverPendingTasks({ sessionId });
+          await this.checkSessionCompletion(sessionId);
+        }
+      } catch (error) {
+        this.logger.error("Failed to take over session", { error });
+      }
+    });
+  }
+
+  /**
+   * Get a stored session together with its task counts by status
    */
-  async stopSession(sessionId) {
+  async getSession(sessionId) {
+    const result = await this.db.query(
+      "SELECT * FROM sessions WHERE session_id = $1",
+      [sessionId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const counts = await this.db.query(
+      `
+      SELECT status, COUNT(*) as count
+      FROM tasks
+      WHERE session_id = $1
+      GROUP BY status
+    `,
+      [sessionId]
+    );
+
+    const taskCounts = {};
+    for (const row of counts.rows) {
+      taskCounts[row.status] = parseInt(row.count);
+    }
+
+    return { ...result.rows[0], task_counts: taskCounts };
+  }
+
+  /**
+   * List tasks for a session, optionally filtered by status
+   */
+  async getSessionTasks(sessionId, { status = null, limit = 100, offset = 0 } = {}) {
+    const conditions = ["t.session_id = $1"];
+    const values = [sessionId];
+
+    if (status) {
+      values.push(status);
+      conditions.push(`t.status = $${values.length}`);
+    }
+
+    values.push(limit, offset);
+
+    // Artifacts come from the latest response so failed tasks link to their screenshots
+    const result = await this.db.query(
+      `
+      SELECT t.id, t.correlation_id, t.session_id, t.country, t.device, t.os, t.status,
+             t.created_at, t.sent_at, t.completed_at, t.retry_count, t.last_error,
+             t.processing_time_ms, r.artifacts
+      FROM tasks t
+      LEFT JOIN LATERAL (
+        SELECT artifacts FROM task_responses
+        WHERE correlation_id = t.correlation_id
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) r ON TRUE
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY t.created_at
+      LIMIT $${values.length - 1} OFFSET $${values.length}
+    `,
+      values
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Pause a running session - the send loop stops at its current taskIndex
+   */
+  async pauseSession(sessionId) {
+    const result = await this.transitionSession(sessionId, ["processing", "active"], "paused");
+
+    const loop = this.sendLoops.get(sessionId);
+    if (loop) {
+      loop.state = "paused";
+      clearTimeout(loop.timer);
+      loop.timer = null;
+    }
+
+    // Nothing drives a paused session, so whichever client resumes it may lease it
+    await this.leases.release(sessionId);
+
+    return result;
+  }
+
+  /**
+   * Resume a paused session from where its send loop stopped
+   */
+  async resumeSession(sessionId) {
+    const result = await this.transitionSession(sessionId, ["paused"], "active");
+
+    const loop = this.sendLoops.get(sessionId);
+    if (loop && !(await this.leases.acquire(sessionId))) {
+      // Another client took the session over as soon as it was active again
+      this.releaseSession(sessionId);
+    } else if (loop) {
+      loop.state = "running";
+      // An in-flight send schedules the next task itself once it finishes
+      if (!loop.timer && !loop.inFlight) {
+        loop.next();
+      }
+    } else {
+      // Paused before a restart (or on another instance) - rebuild the loop from the database
+      await this.recoverPendingTasks({ sessionId });
+      // Every task may have finished while the session was paused
+      await this.checkSessionCompletion(sessionId);
+    }
+
+    return result;
+  }
+
+  /**
+   * Cancel a session that has not finished yet
+   * Tasks that were never sent are marked 'cancelled'; in-flight tasks still report back
+   */
+  async cancelSession(sessionId) {
+    const result = await this.transitionSession(
+      sessionId,
+      ["pending", "processing", "active", "paused"],
+      "cancelled"
+    );
+
+    const loop = this.sendLoops.get(sessionId);
+    if (loop) {
+      loop.state = "cancelled";
+      clearTimeout(loop.timer);
+      loop.timer = null;
+      this.sendLoops.delete(sessionId);
+    }
+
     const rateManager = this.rateManagers.get(sessionId);
     if (rateManager && rateManager.intervalId) {
       clearInterval(rateManager.intervalId);
@@ -812,15 +1934,90 @@ class ClientService extends EventEmitter {
     this.activeSessions.delete(sessionId);
     this.rateManagers.delete(sessionId);
 
-    await this.updateSessionStatus(sessionId, "stopped");
+    const cancelledTasks = await this.cancelPendingTasks(sessionId);
+    await this.leases.end(sessionId);
+    this.logger.info("Session cancelled", {
+      session_id: sessionId,
+      tasks_cancelled: cancelledTasks,
+    });
+
+    return { ...result, tasks_cancelled: cancelledTasks };
+  }
+
+  /**
+   * Mark all unsent tasks of a session as cancelled
+   */
+  async cancelPendingTasks(sessionId) {
+    const result = await this.db.query(
+      `
+      UPDATE tasks
+      SET status = 'cancelled', completed_at = NOW()
+      WHERE session_id = $1 AND status IN ('pending', 'queued', 'retry_scheduled')
+    `,
+      [sessionId]
+    );
+
+    return result.rowCount || 0;
+  }
+
+  /**
+   * Move a session to a new status if it is currently in one of the allowed states
+   * The check and the update happen in one statement so concurrent requests cannot both win
+   */
+  async transitionSession(sessionId, fromStatuses, toStatus) {
+    const updated = await this.db.query(
+      `
+      UPDATE sessions s
+      SET status = $1, updated_at = NOW()
+      FROM (
+        SELECT session_id, status AS previous_status
+        FROM sessions
+        WHERE session_id = $2
+        FOR UPDATE
+      ) prev
+      WHERE s.session_id = prev.session_id
+        AND prev.previous_status = ANY($3)
+      RETURNING prev.previous_status
+    `,
+      [toStatus, sessionId, fromStatuses]
+    );
+
+    if (updated.rows.length === 0) {
+      const current = await this.db.query(
+        "SELECT status FROM sessions WHERE session_id = $1",
+        [sessionId]
+      );
+
+      if (current.rows.length === 0) {
+        const error = new Error(`Session not found: ${sessionId}`);
+        error.code = "SESSION_NOT_FOUND";
+        throw error;
+      }
+
+      const error = new Error(
+        `Cannot change session ${sessionId} from '${current.rows[0].status}' to '${toStatus}'`
+      );
+      error.code = "INVALID_SESSION_STATE";
+      throw error;
+    }
+
+    const previousStatus = updated.rows[0].previous_status;
+    this.logger.info("Session status changed", {
+      session_id: sessionId,
+      previous_status: previousStatus,
+      status: toStatus,
+    });
+
+    return { session_id: sessionId, previous_status: previousStatus, status: toStatus };
   }
 
   /**
    * Recover pending tasks from database and resume processing
+   * Paused and cancelled sessions are skipped; pass sessionId to resume a single session
    */
-  async recoverPendingTasks() {
+  async recoverPendingTasks({ sessionId: onlySessionId = null } = {}) {
     try {
-      console.log("🔄 Recovering pending tasks from database...");
+      this.logger.info("Recovering pending tasks from database");
 
       // Get all pending tasks grouped by session
       const result = await this.db.query(`
@@ -832,26 +2029,32 @@ class ClientService extends EventEmitter {
           t.os,
           t.main_page_url,
           t.navigations,
+          t.fingerprint_profile,
           t.status,
           t.created_at,
           s.tasks_24h,
           s.countries as session_countries,
           s.mobile_desktop_distribution,
           s.mobile_os_distribution,
-          s.desktop_os_distribution
+          s.desktop_os_distribution,
+          s.traffic_profile,
+          s.country_overrides
         FROM tasks t
         JOIN sessions s ON t.session_id = s.session_id
         WHERE t.status IN ('pending', 'sent') 
         AND s.status IN ('active', 'processing', 'completed')
+        AND ($1::varchar IS NULL OR t.session_id = $1)
         ORDER BY t.created_at
-      `);
+      `, [onlySessionId]);
 
       if (result.rows.length === 0) {
-        console.log("✅ No pending tasks found to recover");
+        this.logger.info("No pending tasks found to recover");
         return;
       }
 
-      console.log(`📋 Found ${result.rows.length} pending tasks to recover`);
+      this.logger.info("Found pending tasks to recover", {
+        tasks: result.rows.length,
+      });
 
       // Group tasks by session
       const tasksBySession = new Map();
@@ -864,9 +2067,9 @@ class ClientService extends EventEmitter {
               ? JSON.parse(row.navigations)
               : [];
           } catch (jsonError) {
-            console.warn(
-              `⚠️ Invalid JSON in session navigations for ${row.session_id}, using empty array`
-            );
+            this.logger.warn("Invalid JSON in session navigations, using empty array", {
+              session_id: row.session_id,
+            });
             sessionNavigations = [];
           }
 
@@ -880,6 +2083,8 @@ class ClientService extends EventEmitter {
               mobile_desktop_distribution: row.mobile_desktop_distribution,
               mobile_os_distribution: row.mobile_os_distribution,
               desktop_os_distribution: row.desktop_os_distribution,
+              traffic_profile: row.traffic_profile,
+              country_overrides: row.country_overrides,
             },
             tasks: [],
           });
@@ -893,9 +2098,10 @@ class ClientService extends EventEmitter {
               ? JSON.parse(row.navigations)
               : [];
         } catch (jsonError) {
-          console.warn(
-            `⚠️ Invalid JSON in navigations for task ${row.correlation_id}, using empty array`
-          );
+          this.logger.warn("Invalid JSON in task navigations, using empty array", {
+            session_id: row.session_id,
+            correlation_id: row.correlation_id,
+          });
           navigations = [];
         }
 
@@ -907,6 +2113,7 @@ class ClientService extends EventEmitter {
           os: row.os,
           mainPageUrl: row.main_page_url,
           navigations: navigations,
+          fingerprintProfile: row.fingerprint_profile || null,
           timestamp: row.created_at.toISOString(),
           status: row.status,
           retryCount: 0,
@@ -917,9 +2124,18 @@ class ClientService extends EventEmitter {
 
       // Resume processing for each session
       for (const [sessionId, sessionData] of tasksBySession) {
-        console.log(
-          `🔄 Resuming session ${sessionId} with ${sessionData.tasks.length} pending tasks`
-        );
+        // Sessions driven here already, or leased by a live client, are left alone
+        if (this.sendLoops.has(sessionId) || !(await this.leases.acquire(sessionId))) {
+          this.logger.info("Session already has a driver; not resuming it", {
+            session_id: sessionId,
+          });
+          continue;
+        }
+
+        this.logger.info("Resuming session", {
+          session_id: sessionId,
+          tasks: sessionData.tasks.length,
+        });
 
         try {
           // Initialize rate manager for this session
@@ -931,13 +2147,8 @@ class ClientService extends EventEmitter {
           );
 
           if (pendingTasks.length > 0) {
-            console.log(`🔄 About to start task sending for session ${sessionId} with ${pendingTasks.length} tasks`);
-            console.log(`🔍 Rate manager exists: ${!!this.rateManagers.get(sessionId)}`);
-            console.log(`🔍 Service is running: ${this.isRunning}`);
-            
             // Start sending pending tasks
             this.startTaskSending(sessionId, pendingTasks);
-            console.log(`🚀 Task sending started for session ${sessionId}`);
 
             // Track the session as active
             this.activeSessions.set(sessionId, {
@@ -947,19 +2158,20 @@ class ClientService extends EventEmitter {
               recovered: true,
             });
 
-            console.log(
-              `✅ Resumed session ${sessionId} with ${pendingTasks.length} pending tasks`
-            );
+            this.logger.info("Resumed session", {
+              session_id: sessionId,
+              tasks: pendingTasks.length,
+            });
           } else {
-            console.log(
-              `ℹ️ Session ${sessionId} has no pending tasks to process`
-            );
+            this.logger.info("Session has no pending tasks to process", {
+              session_id: sessionId,
+            });
           }
         } catch (error) {
-          console.error(
-            `❌ Failed to resume session ${sessionId}:`,
-            error.message
-          );
+          this.logger.error("Failed to resume session", {
+            session_id: sessionId,
+            error,
+          });
           await this.updateSessionStatus(
             sessionId,
             "failed",
@@ -968,14 +2180,14 @@ class ClientService extends EventEmitter {
         }
       }
 
-      console.log(
-        `✅ Task recovery completed - resumed ${tasksBySession.size} sessions`
-      );
+      this.logger.info("Task recovery completed", {
+        sessions: tasksBySession.size,
+      });
 
       // Show task statistics after recovery
       await this.showTaskStatistics();
     } catch (error) {
-      console.error("❌ Failed to recover pending tasks:", error);
+      this.logger.error("Failed to recover pending tasks", { error });
       // Don't throw error - continue with normal startup
     }
   }
@@ -1004,23 +2216,24 @@ class ClientService extends EventEmitter {
       `);
 
       if (result.rows.length > 0) {
-        console.log("\n📊 Current Task Statistics:");
+        const tasks = {};
         let totalTasks = 0;
         for (const row of result.rows) {
-          const ageMinutes = Math.round(
-            (new Date() - new Date(row.oldest_task)) / (1000 * 60)
-          );
-          console.log(
-            `   • ${row.status.toUpperCase()}: ${
-              row.count
-            } tasks (oldest: ${ageMinutes}m ago)`
-          );
+          tasks[row.status] = {
+            count: parseInt(row.count),
+            oldest_minutes: Math.round(
+              (new Date() - new Date(row.oldest_task)) / (1000 * 60)
+            ),
+          };
           totalTasks += parseInt(row.count);
         }
-        console.log(`   • TOTAL: ${totalTasks} tasks in database\n`);
+        this.logger.info("Current task statistics", {
+          tasks,
+          total: totalTasks,
+        });
       }
     } catch (error) {
-      console.error("❌ Failed to get task statistics:", error.message);
+      this.logger.error("Failed to get task statistics", { error });
     }
   }
 
@@ -1034,23 +2247,35 @@ class ClientService extends EventEmitter {
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        console.log(
-          `🔄 Attempting to recover active sessions (attempt ${attempt}/${maxRetries})...`
-        );
+        this.logger.info("Recovering active sessions", {
+          attempt,
+          max_retries: maxRetries,
+        });
 
         const result = await this.db.query(`
           SELECT * FROM sessions 
-          WHERE status IN ('processing', 'active') 
+          WHERE status IN ('processing', 'active', 'paused') 
           ORDER BY created_at
         `);
 
-        console.log(
-          `✅ Found ${result.rows.length} active sessions to recover`
-        );
+        this.logger.info("Found active sessions to recover", {
+          sessions: result.rows.length,
+        });
 
         for (const session of result.rows) {
-          console.log(`🔄 Recovering session: ${session.session_id}`);
-          // Add session to active sessions map
+          // Running sessions leased by another live client stay with it
+          if (session.status !== "paused" && !(await this.leases.acquire(session.session_id))) {
+            this.logger.info("Session is leased by another client", {
+              session_id: session.session_id,
+            });
+            continue;
+          }
+
+          this.logger.info("Recovering session", {
+            session_id: session.session_id,
+            status: session.status,
+          });
+          // Add session to active sessions map (paused sessions wait for resumeSession)
           this.activeSessions.set(session.session_id, {
             ...session,
             recovered: true,
@@ -1058,20 +2283,32 @@ class ClientService extends EventEmitter {
           });
         }
 
+        // A crash between cancelling a session and its tasks leaves pending tasks behind
+        const cancelled = await this.db.query(`
+          UPDATE tasks
+          SET status = 'cancelled', completed_at = NOW()
+          WHERE status = 'pending'
+          AND session_id IN (SELECT session_id FROM sessions WHERE status = 'cancelled')
+        `);
+        if (cancelled.rowCount > 0) {
+          this.logger.info("Cancelled pending tasks of cancelled sessions", {
+            tasks: cancelled.rowCount,
+          });
+        }
+
         return; // Success, exit retry loop
       } catch (error) {
-        console.error(
-          `❌ Failed to recover sessions (attempt ${attempt}/${maxRetries}):`,
-          error.message
-        );
+        this.logger.error("Failed to recover sessions", {
+          attempt,
+          max_retries: maxRetries,
+          error,
+        });
 
         if (attempt === maxRetries) {
           if (isDevelopment) {
-            console.warn(
-              "⚠️ Development mode: Continuing without session recovery"
-            );
-            console.warn(
-              "⚠️ This is acceptable for debugging - sessions will be created fresh"
+            // Acceptable for debugging - sessions will be created fresh
+            this.logger.warn(
+              "Development mode: continuing without session recovery"
             );
             return; // Graceful fallback for development
           } else {
@@ -1079,7 +2316,7 @@ class ClientService extends EventEmitter {
           }
         }
 
-        console.log(`⏳ Waiting ${retryDelay}ms before retry...`);
+        this.logger.info("Waiting before retry", { delay_ms: retryDelay });
         await new Promise((resolve) => setTimeout(resolve, retryDelay));
       }
     }
@@ -1111,6 +2348,7 @@ class ClientService extends EventEmitter {
     return {
       status: this.isRunning ? "healthy" : "stopped",
       activeSessions: this.activeSessions.size,
+      leases: this.leases.getStats(),
       rateManager: this.rateManager ? this.rateManager.healthCheck() : null,
       timestamp: new Date().toISOString(),
     };
@@ -1,4 +1,6 @@
 const { ClientService } = require('./client-service');
+const { ApiServer } = require('../api/api-server');
+const { MetricsServer } = require('../metrics/metrics-server');
 const { db } = require('../../database/connection');
 const { rabbitmq } = require('../../messaging/rabbitmq-setup');
 require('dotenv').config();
@@ -24,12 +26,31 @@ async function startClientService() {
     const clientService = new ClientService(db, rabbitmq);
     await clientService.start();
     
+    // Start control plane API
+    const apiServer = new ApiServer(clientService, {
+      port: parseInt(process.env.API_PORT) || 3000,
+      host: process.env.API_HOST || '0.0.0.0'
+    });
+    if (process.env.ENABLE_API !== 'false') {
+      await apiServer.start();
+    }
+    
+    // Without the API, /metrics gets its own listener so Prometheus can still scrape
+    const metricsServer = new MetricsServer(clientService.metrics, {
+      port: parseInt(process.env.CLIENT_METRICS_PORT) || 9463
+    });
+    if (process.env.ENABLE_API === 'false' && process.env.ENABLE_METRICS !== 'false') {
+      await metricsServer.start();
+    }
+    
     console.log('✅ Client Service started successfully');
     console.log(`📋 Listening for sessions on queue: ${process.env.SESSIONS_QUEUE || 'sessions'}`);
     
     // Graceful shutdown handling
     process.on('SIGINT', async () => {
       console.log('\n🛑 Received SIGINT, shutting down gracefully...');
+      await apiServer.stop();
+      await metricsServer.stop();
       await clientService.stop();
       await db.close();
       await rabbitmq.close();
@@ -38,6 +59,8 @@ async function startClientService() {
     
     process.on('SIGTERM', async () => {
       console.log('\n🛑 Received SIGTERM, shutting down gracefully...');
+      await apiServer.stop();
+      await metricsServer.stop();
       await clientService.stop();
       await db.close();
       await rabbitmq.close();
@@ -1,5 +1,194 @@
 const { FingerprintInjector } = require('fingerprint-injector');
 
+// Device/OS/browser combinations for fingerprinting. Sessions weight their tasks by
+// these keys (device_distribution), so a key must not be renamed once it is in use.
+const DEVICE_PROFILES = {
+  // Mobile iOS profiles
+  'mobile_ios_iphone13': {
+    device: 'iPhone 13',
+    os: 'iOS',
+    osVersion: '15.6',
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 15_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.6 Mobile/15E148 Safari/604.1',
+    viewport: { width: 390, height: 844 },
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true,
+    browser: 'Safari',
+    formFactor: 'phone'
+  },
+  'mobile_ios_iphone12': {
+    device: 'iPhone 12',
+    os: 'iOS',
+    osVersion: '15.5',
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 15_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.5 Mobile/15E148 Safari/604.1',
+    viewport: { width: 390, height: 844 },
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true,
+    browser: 'Safari',
+    formFactor: 'phone'
+  },
+  
+  // Mobile Android profiles
+  'mobile_android_pixel6': {
+    device: 'Pixel 6',
+    os: 'Android',
+    osVersion: '12',
+    userAgent: 'Mozilla/5.0 (Linux; Android 12; Pixel 6) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/103.0.0.0 Mobile Safari/537.36',
+    viewport: { width: 393, height: 851 },
+    deviceScaleFactor: 2.75,
+    isMobile: true,
+    hasTouch: true,
+    browser: 'Chrome',
+    formFactor: 'phone'
+  },
+  'mobile_android_samsung': {
+    device: 'Samsung Galaxy S21',
+    os: 'Android',
+    osVersion: '11',
+    userAgent: 'Mozilla/5.0 (Linux; Android 11; SM-G991B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/103.0.0.0 Mobile Safari/537.36',
+    viewport: { width: 360, height: 800 },
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true,
+    browser: 'Chrome',
+    formFactor: 'phone'
+  },
+  
+  // Desktop Windows profiles
+  'desktop_windows_chrome': {
+    device: 'Desktop',
+    os: 'Windows',
+    osVersion: '10',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/103.0.0.0 Safari/537.36',
+    viewport: { width: 1920, height: 1080 },
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+    browser: 'Chrome',
+    formFactor: 'desktop'
+  },
+  'desktop_windows_edge': {
+    device: 'Desktop',
+    os: 'Windows',
+    osVersion: '11',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/103.0.5060.134 Safari/537.36 Edg/103.0.1264.77',
+    viewport: { width: 1366, height: 768 },
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+    browser: 'Edge',
+    formFactor: 'desktop'
+  },
+  'desktop_windows_firefox': {
+    device: 'Desktop',
+    os: 'Windows',
+    osVersion: '10',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:102.0) Gecko/20100101 Firefox/102.0',
+    viewport: { width: 1536, height: 864 },
+    deviceScaleFactor: 1.25,
+    isMobile: false,
+    hasTouch: false,
+    browser: 'Firefox',
+    formFactor: 'desktop'
+  },
+  
+  // Desktop macOS profiles
+  'desktop_macos_safari': {
+    device: 'MacBook Pro',
+    os: 'macOS',
+    osVersion: '12.5',
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.6 Safari/605.1.15',
+    viewport: { width: 1440, height: 900 },
+    deviceScaleFactor: 2,
+    isMobile: false,
+    hasTouch: false,
+    browser: 'Safari',
+    formFactor: 'desktop'
+  },
+  'desktop_macos_chrome': {
+    device: 'MacBook Air',
+    os: 'macOS',
+    osVersion: '12.4',
+    userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/103.0.0.0 Safari/537.36',
+    viewport: { width: 1280, height: 800 },
+    deviceScaleFactor: 2,
+    isMobile: false,
+    hasTouch: false,
+    browser: 'Chrome',
+    formFactor: 'desktop'
+  },
+  
+  // Desktop Linux profiles
+  'desktop_linux_chrome': {
+    device: 'Desktop',
+    os: 'Linux',
+    osVersion: 'Ubuntu 22.04',
+    userAgent: 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/103.0.0.0 Safari/537.36',
+    viewport: { width: 1920, height: 1080 },
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+    browser: 'Chrome',
+    formFactor: 'desktop'
+  },
+  'desktop_linux_firefox': {
+    device: 'Desktop',
+    os: 'Linux',
+    osVersion: 'Ubuntu 22.04',
+    userAgent: 'Mozilla/5.0 (X11; Ubuntu; Linux x86_64; rv:102.0) Gecko/20100101 Firefox/102.0',
+    viewport: { width: 1920, height: 1080 },
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false,
+    browser: 'Firefox',
+    formFactor: 'desktop'
+  },
+  
+  // Tablet profiles: mobile devices with a larger touch screen
+  'tablet_ios_ipad': {
+    device: 'iPad Air',
+    os: 'iOS',
+    osVersion: '15.6',
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 15_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.6 Mobile/15E148 Safari/604.1',
+    viewport: { width: 820, height: 1180 },
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    browser: 'Safari',
+    formFactor: 'tablet',
+    platform: 'iPad'
+  },
+  'tablet_android_galaxy_tab': {
+    device: 'Samsung Galaxy Tab S8',
+    os: 'Android',
+    osVersion: '12',
+    userAgent: 'Mozilla/5.0 (Linux; Android 12; SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/103.0.0.0 Safari/537.36',
+    viewport: { width: 800, height: 1280 },
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true,
+    browser: 'Chrome',
+    formFactor: 'tablet'
+  }
+};
+
+/**
+ * @param {string} key - Profile key
+ * @returns {Object} Profile summary as listed by getAvailableProfiles
+ */
+function describeProfile(key) {
+  const profile = DEVICE_PROFILES[key];
+  return {
+    key,
+    device: profile.device,
+    os: profile.os,
+    browser: profile.browser,
+    formFactor: profile.formFactor,
+    type: profile.isMobile ? 'mobile' : 'desktop'
+  };
+}
+
 /**
  * Browser Fingerprinting Manager
  * Manages device/OS fingerprints for realistic browser automation
@@ -9,95 +198,7 @@ class FingerprintManager {
     this.fingerprintInjector = new FingerprintInjector();
     
     // Device/OS combinations for fingerprinting
-    this.deviceProfiles = {
-      // Mobile iOS profiles
-      'mobile_ios_iphone13': {
-        device: 'iPhone 13',
-        os: 'iOS',
-        osVersion: '15.6',
-        userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 15_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.6 Mobile/15E148 Safari/604.1',
-        viewport: { width: 390, height: 844 },
-        deviceScaleFactor: 3,
-        isMobile: true,
-        hasTouch: true
-      },
-      'mobile_ios_iphone12': {
-        device: 'iPhone 12',
-        os: 'iOS',
-        osVersion: '15.5',
-        userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 15_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.5 Mobile/15E148 Safari/604.1',
-        viewport: { width: 390, height: 844 },
-        deviceScaleFactor: 3,
-        isMobile: true,
-        hasTouch: true
-      },
-      
-      // Mobile Android profiles
-      'mobile_android_pixel6': {
-        device: 'Pixel 6',
-        os: 'Android',
-        osVersion: '12',
-        userAgent: 'Mozilla/5.0 (Linux; Android 12; Pixel 6) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/103.0.0.0 Mobile Safari/537.36',
-        viewport: { width: 393, height: 851 },
-        deviceScaleFactor: 2.75,
-        isMobile: true,
-        hasTouch: true
-      },
-      'mobile_android_samsung': {
-        device: 'Samsung Galaxy S21',
-        os: 'Android',
-        osVersion: '11',
-        userAgent: 'Mozilla/5.0 (Linux; Android 11; SM-G991B) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/103.0.0.0 Mobile Safari/537.36',
-        viewport: { width: 360, height: 800 },
-        deviceScaleFactor: 3,
-        isMobile: true,
-        hasTouch: true
-      },
-      
-      // Desktop Windows profiles
-      'desktop_windows_chrome': {
-        device: 'Desktop',
-        os: 'Windows',
-        osVersion: '10',
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/103.0.0.0 Safari/537.36',
-        viewport: { width: 1920, height: 1080 },
-        deviceScaleFactor: 1,
-        isMobile: false,
-        hasTouch: false
-      },
-      'desktop_windows_edge': {
-        device: 'Desktop',
-        os: 'Windows',
-        osVersion: '11',
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/103.0.5060.134 Safari/537.36 Edg/103.0.1264.77',
-        viewport: { width: 1366, height: 768 },
-        deviceScaleFactor: 1,
-        isMobile: false,
-        hasTouch: false
-      },
-      
-      // Desktop macOS profiles
-      'desktop_macos_safari': {
-        device: 'MacBook Pro',
-        os: 'macOS',
-        osVersion: '12.5',
-        userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.6 Safari/605.1.15',
-        viewport: { width: 1440, height: 900 },
-        deviceScaleFactor: 2,
-        isMobile: false,
-        hasTouch: false
-      },
-      'desktop_macos_chrome': {
-        device: 'MacBook Air',
-        os: 'macOS',
-        osVersion: '12.4',
-        userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/103.0.0.0 Safari/537.36',
-        viewport: { width: 1280, height: 800 },
-        deviceScaleFactor: 2,
-        isMobile: false,
-        hasTouch: false
-      }
-    };
+    this.deviceProfiles = DEVICE_PROFILES;
     
     this.profileKeys = Object.keys(this.deviceProfiles);
     this.currentProfileIndex = 0;
@@ -172,7 +273,7 @@ class FingerprintManager {
           
           // Navigator properties
           navigator: {
-            platform: this.getPlatform(profile.os),
+            platform: profile.platform || this.getPlatform(profile.os),
             hardwareConcurrency: this.getHardwareConcurrency(profile.device),
             deviceMemory: this.getDeviceMemory(profile.device),
             maxTouchPoints: profile.hasTouch ? (profile.isMobile ? 5 : 1) : 0
@@ -264,6 +365,7 @@ class FingerprintManager {
     if (os === 'iOS') return 'Apple GPU';
     if (os === 'Android') return 'Adreno (TM) 640';
     if (os === 'macOS') return 'Apple M1';
+    if (os === 'Linux') return 'ANGLE (Intel, Mesa Intel(R) UHD Graphics 620 (KBL GT2), OpenGL 4.6)';
     return 'ANGLE (NVIDIA, NVIDIA GeForce GTX 1660 Ti Direct3D11 vs_5_0 ps_5_0, D3D11)';
   }
 
@@ -304,12 +406,15 @@ class FingerprintManager {
    * @returns {Array} Array of profile keys
    */
   getAvailableProfiles() {
-    return this.profileKeys.map(key => ({
-      key,
-      device: this.deviceProfiles[key].device,
-      os: this.deviceProfiles[key].os,
-      type: this.deviceProfiles[key].isMobile ? 'mobile' : 'desktop'
-    }));
+    return FingerprintManager.getAvailableProfiles();
+  }
+
+  /**
+   * Get available device profiles without creating a manager, e.g. to validate session distributions
+   * @returns {Array} Array of profile summaries
+   */
+  static getAvailableProfiles() {
+    return Object.keys(DEVICE_PROFILES).map(describeProfile);
   }
 
   /**
@@ -321,7 +426,8 @@ class FingerprintManager {
       total: this.profileKeys.length,
       mobile: 0,
       desktop: 0,
-      byOS: {}
+      byOS: {},
+      byBrowser: {}
     };
 
     this.profileKeys.forEach(key => {
@@ -333,6 +439,7 @@ class FingerprintManager {
       }
       
       stats.byOS[profile.os] = (stats.byOS[profile.os] || 0) + 1;
+      stats.byBrowser[profile.browser] = (stats.byBrowser[profile.browser] || 0) + 1;
     });
 
     return stats;
@@ -0,0 +1,242 @@
+const os = require('os');
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { createLogger } = require('../utils/logger');
+
+/**
+ * Session Lease Manager
+ * Each running session is driven by the one client instance holding its lease in
+ * session_leases. Leases are renewed by heartbeat; a lease that is not renewed within
+ * its TTL expires, and the next instance to scan for orphans takes the session over.
+ *
+ * Events:
+ * - 'takeover' (sessionId): an orphaned session was claimed and should be resumed
+ * - 'lost' (sessionId): a lease was taken by another instance or removed; stop driving it
+ */
+class SessionLeaseManager extends EventEmitter {
+  /**
+   * @param {Object} database - Database with query()
+   * @param {Object} config - Lease configuration
+   * @param {string} config.ownerId - Identifies this instance; defaults to host, PID and a random suffix
+   * @param {number} config.ttl - Milliseconds a lease lasts without a heartbeat
+   * @param {number} config.heartbeatInterval - Milliseconds between heartbeats and orphan scans
+   * @param {number} config.batchSize - Orphans claimed per scan
+   */
+  constructor(database, config = {}) {
+    super();
+    this.db = database;
+
+    this.config = {
+      ownerId: config.ownerId || `${os.hostname()}-${process.pid}-${uuidv4().slice(0, 8)}`,
+      ttl: config.ttl || 30000,
+      heartbeatInterval: config.heartbeatInterval || 10000,
+      batchSize: config.batchSize || 10
+    };
+
+    this.owned = new Set();
+    this.intervalId = null;
+    this.isRunning = false;
+    this.ticking = false;
+    this.logger = createLogger('session-leases');
+  }
+
+  get ownerId() {
+    return this.config.ownerId;
+  }
+
+  owns(sessionId) {
+    return this.owned.has(sessionId);
+  }
+
+  /**
+   * Start heartbeats and orphan scans
+   */
+  start() {
+    if (this.isRunning) {
+      this.logger.warn('Session Lease Manager is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.intervalId = setInterval(() => {
+      this.tick().catch(error => {
+        this.logger.error('Session lease heartbeat failed', { error });
+      });
+    }, this.config.heartbeatInterval);
+
+    this.logger.info('Session Lease Manager started', {
+      owner_id: this.ownerId,
+      ttl_ms: this.config.ttl,
+      heartbeat_interval_ms: this.config.heartbeatInterval
+    });
+  }
+
+  /**
+   * Stop heartbeats and hand every lease back so another instance can take over at once
+   */
+  async stop() {
+    if (this.isRunning) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      this.isRunning = false;
+    }
+
+    await this.releaseAll();
+    this.logger.info('Session Lease Manager stopped', { owner_id: this.ownerId });
+  }
+
+  /**
+   * Take or renew a session's lease; fails while another instance holds an unexpired lease
+   * @param {string} sessionId - Session to drive
+   * @returns {Promise<boolean>} true if this instance now holds the lease
+   */
+  async acquire(sessionId) {
+    const result = await this.db.query(
+      `
+      INSERT INTO session_leases (session_id, owner_id, acquired_at, heartbeat_at, expires_at)
+      VALUES ($1, $2, NOW(), NOW(), NOW() + ($3::int * INTERVAL '1 millisecond'))
+      ON CONFLICT (session_id) DO UPDATE
+      SET owner_id = EXCLUDED.owner_id,
+          acquired_at = CASE
+            WHEN session_leases.owner_id = EXCLUDED.owner_id THEN session_leases.acquired_at
+            ELSE NOW()
+          END,
+          heartbeat_at = NOW(),
+          expires_at = EXCLUDED.expires_at
+      WHERE session_leases.owner_id = EXCLUDED.owner_id
+        OR session_leases.expires_at < NOW()
+      RETURNING session_id
+    `,
+      [sessionId, this.ownerId, this.config.ttl]
+    );
+
+    if (result.rows.length === 0) {
+      this.owned.delete(sessionId);
+      this.logger.debug('Session is leased by another client', { session_id: sessionId });
+      return false;
+    }
+
+    if (!this.owned.has(sessionId)) {
+      this.owned.add(sessionId);
+      this.logger.info('Session lease acquired', { session_id: sessionId, owner_id: this.ownerId });
+    }
+    return true;
+  }
+
+  /**
+   * Give up a lease this instance holds
+   */
+  async release(sessionId) {
+    this.owned.delete(sessionId);
+    await this.db.query(
+      'DELETE FROM session_leases WHERE session_id = $1 AND owner_id = $2',
+      [sessionId, this.ownerId]
+    );
+  }
+
+  /**
+   * Remove a finished session's lease, whichever instance holds it
+   * @param {string} sessionId - Finished session
+   * @param {Object} client - Optional transaction client
+   */
+  async end(sessionId, client = this.db) {
+    this.owned.delete(sessionId);
+    await client.query('DELETE FROM session_leases WHERE session_id = $1', [sessionId]);
+  }
+
+  async releaseAll() {
+    this.owned.clear();
+    await this.db.query('DELETE FROM session_leases WHERE owner_id = $1', [this.ownerId]);
+  }
+
+  async tick() {
+    if (this.ticking) {
+      return;
+    }
+
+    this.ticking = true;
+    try {
+      await this.heartbeat();
+      await this.claimOrphans();
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Extend every held lease; leases that could not be extended are reported as lost
+   * @returns {Promise<Array<string>>} Sessions whose lease was lost
+   */
+  async heartbeat() {
+    if (this.owned.size === 0) {
+      return [];
+    }
+
+    const sessionIds = [...this.owned];
+    const result = await this.db.query(
+      `
+      UPDATE session_leases
+      SET heartbeat_at = NOW(),
+          expires_at = NOW() + ($3::int * INTERVAL '1 millisecond')
+      WHERE owner_id = $1 AND session_id = ANY($2)
+      RETURNING session_id
+    `,
+      [this.ownerId, sessionIds, this.config.ttl]
+    );
+
+    const renewed = new Set(result.rows.map(row => row.session_id));
+    const lost = sessionIds.filter(sessionId => !renewed.has(sessionId));
+
+    for (const sessionId of lost) {
+      this.owned.delete(sessionId);
+      this.logger.warn('Session lease lost', { session_id: sessionId, owner_id: this.ownerId });
+      this.emit('lost', sessionId);
+    }
+
+    return lost;
+  }
+
+  /**
+   * Claim running sessions whose owner stopped renewing its lease
+   * A session that never had a lease gets one TTL of grace, so its creator can lease it first
+   * @returns {Promise<Array<string>>} Sessions taken over
+   */
+  async claimOrphans() {
+    const result = await this.db.query(
+      `
+      SELECT s.session_id
+      FROM sessions s
+      LEFT JOIN session_leases l ON l.session_id = s.session_id
+      WHERE s.status IN ('processing', 'active')
+        AND (
+          (l.session_id IS NULL AND s.created_at < NOW() - ($1::int * INTERVAL '1 millisecond'))
+          OR l.expires_at < NOW()
+        )
+      ORDER BY s.created_at
+      LIMIT $2
+    `,
+      [this.config.ttl, this.config.batchSize]
+    );
+
+    const claimed = [];
+    for (const { session_id: sessionId } of result.rows) {
+      // Another instance may claim the same orphan first
+      if (await this.acquire(sessionId)) {
+        claimed.push(sessionId);
+        this.logger.warn('Orphaned session taken over', { session_id: sessionId, owner_id: this.ownerId });
+        this.emit('takeover', sessionId);
+      }
+    }
+
+    return claimed;
+  }
+
+  /**
+   * @returns {Object} Owner ID and number of leases held
+   */
+  getStats() {
+    return { owner_id: this.ownerId, sessions: this.owned.size };
+  }
+}
+
+module.exports = { SessionLeaseManager };
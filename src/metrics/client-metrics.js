@@ -0,0 +1,172 @@
+const client = require('prom-client');
+
+/**
+ * Client Metrics
+ * Prometheus metrics for task distribution in the Client Service
+ */
+
+const TASK_LABELS = ['country', 'device', 'os'];
+
+class ClientMetrics {
+  constructor(config = {}) {
+    this.registry = new client.Registry();
+    this.registry.setDefaultLabels({ service: 'client' });
+
+    if (config.collectDefaultMetrics !== false) {
+      client.collectDefaultMetrics({ register: this.registry, prefix: 'bas_client_' });
+    }
+
+    this.tasksSent = new client.Counter({
+      name: 'bas_tasks_sent_total',
+      help: 'Tasks sent to workers',
+      labelNames: TASK_LABELS,
+      registers: [this.registry]
+    });
+
+    this.tasksCompleted = new client.Counter({
+      name: 'bas_tasks_completed_total',
+      help: 'Tasks reported successful by workers',
+      labelNames: TASK_LABELS,
+      registers: [this.registry]
+    });
+
+    this.tasksFailed = new client.Counter({
+      name: 'bas_tasks_failed_total',
+      help: 'Tasks that failed in the worker or never got a response',
+      labelNames: [...TASK_LABELS, 'error_type'],
+      registers: [this.registry]
+    });
+
+    this.taskRetries = new client.Counter({
+      name: 'bas_task_retries_total',
+      help: 'Retries scheduled for tasks that failed with a transient error',
+      labelNames: ['error_type'],
+      registers: [this.registry]
+    });
+
+    this.duplicateResults = new client.Counter({
+      name: 'bas_task_results_ignored_total',
+      help: 'Worker results ignored as duplicates (redelivered, superseded attempt or finished task)',
+      labelNames: ['reason'],
+      registers: [this.registry]
+    });
+
+    // Buckets reach past TASK_RESULT_TIMEOUT (900s by default), where timeouts are observed
+    this.taskResultLatency = new client.Histogram({
+      name: 'bas_task_result_latency_seconds',
+      help: 'Time from sending a task to its result arriving (outcome=result) or the result timeout (outcome=timeout)',
+      labelNames: ['queue', 'outcome'],
+      buckets: [1, 5, 10, 30, 60, 120, 180, 300, 600, 900, 1200, 1800],
+      registers: [this.registry]
+    });
+
+    this.rateSources = { rateManager: null, sessionRates: null, activeSessions: null };
+    const metrics = this;
+
+    // Read at scrape time so the gauges always match the live rate managers
+    this.taskRate = new client.Gauge({
+      name: 'bas_task_rate_per_minute',
+      help: 'Current task send rate in tasks per minute (scope=global or a session id)',
+      labelNames: ['scope'],
+      registers: [this.registry],
+      collect() {
+        const sources = metrics.rateSources;
+        this.reset();
+        if (sources.rateManager) {
+          this.set({ scope: 'global' }, sources.rateManager.currentRate);
+        }
+        if (sources.sessionRates) {
+          for (const [sessionId, rateManager] of sources.sessionRates) {
+            this.set({ scope: sessionId }, rateManager.currentRate);
+          }
+        }
+      }
+    });
+
+    this.activeSessions = new client.Gauge({
+      name: 'bas_active_sessions',
+      help: 'Sessions currently sending tasks',
+      registers: [this.registry],
+      collect() {
+        const { activeSessions } = metrics.rateSources;
+        this.set(activeSessions ? activeSessions.size : 0);
+      }
+    });
+  }
+
+  /**
+   * Point the rate gauges at live state
+   * currentRate is reported rather than getCurrentRate(), which adds ±20% jitter per call
+   * @param {Object} sources - { rateManager, sessionRates: Map, activeSessions: Map }
+   */
+  bindRateSources(sources) {
+    Object.assign(this.rateSources, sources);
+  }
+
+  /**
+   * Record a task handed to the tasks queue
+   */
+  recordTaskSent(task) {
+    this.tasksSent.inc(this.taskLabels(task));
+  }
+
+  /**
+   * Record a worker response
+   * @param {Object} response - Task response with status, country, device, os, error_type
+   */
+  recordTaskResult(response) {
+    if (response.status === 'successful') {
+      this.tasksCompleted.inc(this.taskLabels(response));
+    } else {
+      this.tasksFailed.inc({ ...this.taskLabels(response), error_type: response.error_type || 'unknown' });
+    }
+  }
+
+  /**
+   * Record a retry scheduled after a transient failure
+   * @param {string} errorType - error_type that triggered the retry
+   */
+  recordRetryScheduled(errorType) {
+    this.taskRetries.inc({ error_type: errorType || 'unknown' });
+  }
+
+  /**
+   * Record a worker result that was not applied
+   * @param {string} reason - redelivered, stale_attempt or finished
+   */
+  recordDuplicateResult(reason) {
+    this.duplicateResults.inc({ reason });
+  }
+
+  /**
+   * Record how long a task waited for its result
+   * @param {string} queue - Queue the task was sent to
+   * @param {string} outcome - result or timeout
+   * @param {number} durationMs - Time since the task was sent, in milliseconds
+   */
+  observeTaskLatency(queue, outcome, durationMs) {
+    this.taskResultLatency.observe({ queue, outcome }, durationMs / 1000);
+  }
+
+  taskLabels(task) {
+    return {
+      country: task.country || 'unknown',
+      device: task.device || 'unknown',
+      os: task.os || 'unknown'
+    };
+  }
+
+  /**
+   * Render all metrics in Prometheus text format
+   * @returns {Promise<string>} Exposition text
+   */
+  async render() {
+    return this.registry.metrics();
+  }
+
+  get contentType() {
+    return this.registry.contentType;
+  }
+}
+
+module.exports = { ClientMetrics };
@@ -0,0 +1,63 @@
+const express = require('express');
+const { createLogger } = require('../utils/logger');
+
+/**
+ * Metrics Server
+ * Standalone /metrics endpoint for processes without the control plane API
+ */
+class MetricsServer {
+  /**
+   * @param {Object} metrics - ClientMetrics or WorkerMetrics instance
+   * @param {Object} config - { port, host }
+   */
+  constructor(metrics, config = {}) {
+    this.metrics = metrics;
+    this.config = {
+      port: config.port || 9464,
+      host: config.host || '0.0.0.0'
+    };
+
+    this.server = null;
+    this.logger = createLogger('metrics-server');
+    this.app = express();
+    this.app.get('/metrics', metricsHandler(metrics));
+  }
+
+  async start() {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(this.config.port, this.config.host, () => {
+        this.logger.info('Metrics available', { url: `http://${this.config.host}:${this.config.port}/metrics` });
+        resolve();
+      });
+
+      this.server.on('error', (error) => {
+        reject(new Error(`Metrics server failed: ${error.message}`));
+      });
+    });
+  }
+
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    await new Promise((resolve) => this.server.close(() => resolve()));
+    this.server = null;
+  }
+}
+
+/**
+ * Express handler rendering a metrics instance in Prometheus text format
+ */
+function metricsHandler(metrics) {
+  return (req, res, next) => {
+    metrics.render()
+      .then((body) => {
+        res.set('Content-Type', metrics.contentType);
+        res.send(body);
+      })
+      .catch(next);
+  };
+}
+
+module.exports = { MetricsServer, metricsHandler };
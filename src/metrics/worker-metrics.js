@@ -0,0 +1,151 @@
+const client = require('prom-client');
+
+/**
+ * Worker Metrics
+ * Prometheus metrics for task execution in the Worker Service
+ */
+class WorkerMetrics {
+  constructor(config = {}) {
+    this.registry = new client.Registry();
+    this.registry.setDefaultLabels({ service: 'worker' });
+
+    if (config.collectDefaultMetrics !== false) {
+      client.collectDefaultMetrics({ register: this.registry, prefix: 'bas_worker_' });
+    }
+
+    this.activeTaskSource = null;
+    this.browserPoolSource = null;
+    const metrics = this;
+
+    this.activeTasks = new client.Gauge({
+      name: 'bas_worker_active_tasks',
+      help: 'Tasks currently executing in this worker',
+      registers: [this.registry],
+      collect() {
+        this.set(metrics.activeTaskSource ? metrics.activeTaskSource.size : 0);
+      }
+    });
+
+    this.tasksProcessed = new client.Counter({
+      name: 'bas_worker_tasks_processed_total',
+      help: 'Tasks processed by this worker',
+      labelNames: ['status', 'country', 'device', 'os'],
+      registers: [this.registry]
+    });
+
+    this.taskDuration = new client.Histogram({
+      name: 'bas_worker_task_duration_seconds',
+      help: 'Task execution time in the worker',
+      labelNames: ['status'],
+      buckets: [1, 2.5, 5, 10, 20, 30, 60, 120, 180],
+      registers: [this.registry]
+    });
+
+    this.browserLaunches = new client.Counter({
+      name: 'bas_worker_browser_launches_total',
+      help: 'Browser launches by outcome',
+      labelNames: ['outcome', 'proxy'],
+      registers: [this.registry]
+    });
+
+    this.proxyAcquisitions = new client.Counter({
+      name: 'bas_worker_proxy_acquisitions_total',
+      help: 'Proxies obtained from the ProxyManager',
+      labelNames: ['country'],
+      registers: [this.registry]
+    });
+
+    this.proxyFailures = new client.Counter({
+      name: 'bas_worker_proxy_failures_total',
+      help: 'Failed attempts to obtain a proxy from the ProxyManager',
+      labelNames: ['country'],
+      registers: [this.registry]
+    });
+
+    this.browserPoolAcquisitions = new client.Counter({
+      name: 'bas_worker_browser_pool_acquisitions_total',
+      help: 'Browser contexts handed out by the pool; result is hit (reused browser) or miss (launched)',
+      labelNames: ['result'],
+      registers: [this.registry]
+    });
+
+    this.browserPoolSize = new client.Gauge({
+      name: 'bas_worker_browser_pool_browsers',
+      help: 'Browsers currently open in the pool',
+      registers: [this.registry],
+      collect() {
+        this.set(metrics.browserPoolSource ? metrics.browserPoolSource.size : 0);
+      }
+    });
+
+    this.backpressureWaits = new client.Histogram({
+      name: 'bas_worker_backpressure_wait_seconds',
+      help: 'Time tasks were held back because memory or CPU was over its threshold',
+      buckets: [1, 5, 10, 30, 60, 120],
+      registers: [this.registry]
+    });
+  }
+
+  /**
+   * Report the size of a live Map as the active task gauge
+   * @param {Map} activeTasks - WorkerService.activeTasks
+   */
+  bindActiveTasks(activeTasks) {
+    this.activeTaskSource = activeTasks;
+  }
+
+  /**
+   * Report the number of pooled browsers at scrape time
+   * @param {Object} browserPool - WorkerService.browserPool
+   */
+  bindBrowserPool(browserPool) {
+    this.browserPoolSource = browserPool;
+  }
+
+  /**
+   * Record a finished task
+   * @param {Object} response - RPC response with status, country, device, os, response_time_ms
+   */
+  recordTask(response) {
+    this.tasksProcessed.inc({
+      status: response.status,
+      country: response.country || 'unknown',
+      device: response.device || 'unknown',
+      os: response.os || 'unknown'
+    });
+
+    if (typeof response.response_time_ms === 'number') {
+      this.taskDuration.observe({ status: response.status }, response.response_time_ms / 1000);
+    }
+  }
+
+  recordBrowserLaunch(outcome, withProxy) {
+    this.browserLaunches.inc({ outcome, proxy: String(Boolean(withProxy)) });
+  }
+
+  recordProxyAcquisition(country) {
+    this.proxyAcquisitions.inc({ country });
+  }
+
+  recordProxyFailure(country) {
+    this.proxyFailures.inc({ country });
+  }
+
+  recordBrowserPoolAcquire(hit) {
+    this.browserPoolAcquisitions.inc({ result: hit ? 'hit' : 'miss' });
+  }
+
+  recordBackpressureWait(durationMs) {
+    this.backpressureWaits.observe(durationMs / 1000);
+  }
+
+  async render() {
+    return this.registry.metrics();
+  }
+
+  get contentType() {
+    return this.registry.contentType;
+  }
+}
+
+module.exports = { WorkerMetrics };
@@ -0,0 +1,282 @@
+/**
+ * Navigation Assertions
+ * Verification steps that can be mixed into a navigation sequence
+ */
+
+/**
+ * Raised when an assertion step does not hold
+ * `details` carries the structured reason reported in navigation_results
+ */
+class AssertionError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'AssertionError';
+    this.details = details;
+  }
+}
+
+class AssertionRunner {
+  constructor(config = {}) {
+    this.config = {
+      elementWaitTimeout: config.elementWaitTimeout || 10000
+    };
+
+    this.handlers = {
+      assert_exists: this.assertExists,
+      assert_absent: this.assertAbsent,
+      assert_text_contains: this.assertTextContains,
+      assert_text_matches: this.assertTextMatches,
+      assert_url_matches: this.assertUrlMatches,
+      assert_title_matches: this.assertTitleMatches,
+      assert_attribute_equals: this.assertAttributeEquals,
+      assert_count: this.assertCount
+    };
+  }
+
+  /**
+   * Check whether an action is an assertion step
+   * @param {string} action - Navigation action name
+   * @returns {boolean} True for supported assertion actions
+   */
+  isAssertion(action) {
+    return Object.prototype.hasOwnProperty.call(this.handlers, action);
+  }
+
+  /**
+   * Get supported assertion action names
+   * @returns {Array} Assertion action names
+   */
+  getSupportedAssertions() {
+    return Object.keys(this.handlers);
+  }
+
+  /**
+   * Run an assertion step
+   * @param {Object} page - Puppeteer page instance
+   * @param {Object} step - Navigation step with assertion action
+   * @returns {Promise<Object>} Assertion result when it passes
+   * @throws {AssertionError} When the assertion does not hold
+   */
+  async run(page, step) {
+    const handler = this.handlers[step.action];
+    if (!handler) {
+      throw new Error(`Unknown assertion type: ${step.action}`);
+    }
+
+    const outcome = await handler.call(this, page, step);
+    const details = {
+      type: step.action,
+      selector: step.css || null,
+      expected: outcome.expected,
+      actual: outcome.actual
+    };
+
+    if (!outcome.passed) {
+      throw new AssertionError(outcome.message, { ...details, message: outcome.message });
+    }
+
+    return {
+      assertion: { ...details, passed: true },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Element matching the selector appears within the timeout
+   */
+  async assertExists(page, step) {
+    try {
+      await page.waitForSelector(step.css, { timeout: this.getTimeout(step) });
+      return { passed: true, expected: 'present', actual: 'present' };
+    } catch (error) {
+      return {
+        passed: false,
+        expected: 'present',
+        actual: 'absent',
+        message: `Expected element to exist: ${step.css}`
+      };
+    }
+  }
+
+  /**
+   * No visible element matches the selector within the timeout
+   */
+  async assertAbsent(page, step) {
+    try {
+      await page.waitForSelector(step.css, { hidden: true, timeout: this.getTimeout(step) });
+      return { passed: true, expected: 'absent', actual: 'absent' };
+    } catch (error) {
+      return {
+        passed: false,
+        expected: 'absent',
+        actual: 'present',
+        message: `Expected element to be absent: ${step.css}`
+      };
+    }
+  }
+
+  /**
+   * Element text contains the expected substring
+   */
+  async assertTextContains(page, step) {
+    const text = await this.getElementText(page, step);
+    const expected = String(step.text || '');
+
+    return {
+      passed: text !== null && text.includes(expected),
+      expected,
+      actual: text,
+      message: text === null
+        ? `Element not found for text assertion: ${step.css}`
+        : `Expected text of ${step.css} to contain "${expected}"`
+    };
+  }
+
+  /**
+   * Element text matches a regular expression
+   */
+  async assertTextMatches(page, step) {
+    const text = await this.getElementText(page, step);
+    const pattern = this.buildRegExp(step);
+
+    return {
+      passed: text !== null && pattern.test(text),
+      expected: pattern.toString(),
+      actual: text,
+      message: text === null
+        ? `Element not found for text assertion: ${step.css}`
+        : `Expected text of ${step.css} to match ${pattern}`
+    };
+  }
+
+  /**
+   * Current page URL matches a regular expression
+   */
+  async assertUrlMatches(page, step) {
+    const url = page.url();
+    const pattern = this.buildRegExp(step);
+
+    return {
+      passed: pattern.test(url),
+      expected: pattern.toString(),
+      actual: url,
+      message: `Expected URL to match ${pattern}`
+    };
+  }
+
+  /**
+   * Page title matches a regular expression
+   */
+  async assertTitleMatches(page, step) {
+    const title = await page.title();
+    const pattern = this.buildRegExp(step);
+
+    return {
+      passed: pattern.test(title),
+      expected: pattern.toString(),
+      actual: title,
+      message: `Expected title to match ${pattern}`
+    };
+  }
+
+  /**
+   * Element attribute equals the expected value
+   */
+  async assertAttributeEquals(page, step) {
+    const element = await this.findElement(page, step);
+    const expected = step.value === undefined || step.value === null ? null : String(step.value);
+
+    if (!element) {
+      return {
+        passed: false,
+        expected,
+        actual: null,
+        message: `Element not found for attribute assertion: ${step.css}`
+      };
+    }
+
+    const actual = await element.evaluate((el, name) => el.getAttribute(name), step.attribute);
+
+    return {
+      passed: actual === expected,
+      expected,
+      actual,
+      message: `Expected attribute "${step.attribute}" of ${step.css} to equal "${expected}"`
+    };
+  }
+
+  /**
+   * Number of matching elements is within [min, max]
+   */
+  async assertCount(page, step) {
+    const elements = await page.$$(step.css);
+    const count = elements.length;
+    const min = step.min === undefined ? 0 : step.min;
+    const max = step.max === undefined ? Infinity : step.max;
+    const expected = max === Infinity ? `>= ${min}` : `${min}..${max}`;
+
+    return {
+      passed: count >= min && count <= max,
+      expected,
+      actual: count,
+      message: `Expected ${expected} elements for ${step.css}, found ${count}`
+    };
+  }
+
+  /**
+   * Wait for an element, returning null instead of throwing when it never appears
+   */
+  async findElement(page, step) {
+    try {
+      return await page.waitForSelector(step.css, { timeout: this.getTimeout(step) });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get trimmed text content of the first matching element
+   */
+  async getElementText(page, step) {
+    const element = await this.findElement(page, step);
+    if (!element) {
+      return null;
+    }
+
+    const text = await element.evaluate(el => el.textContent);
+    return (text || '').trim();
+  }
+
+  /**
+   * Build a RegExp from step.pattern and optional step.flags
+   * A missing or malformed pattern fails the assertion rather than the navigation
+   */
+  buildRegExp(step) {
+    const fail = (message) => new AssertionError(message, {
+      type: step.action,
+      selector: step.css || null,
+      pattern: step.pattern === undefined ? null : step.pattern,
+      flags: step.flags || null,
+      message
+    });
+
+    if (!step.pattern) {
+      throw fail(`Assertion ${step.action} requires a pattern`);
+    }
+
+    try {
+      return new RegExp(step.pattern, step.flags || '');
+    } catch (error) {
+      throw fail(`Invalid pattern for ${step.action}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Per-step timeout override
+   */
+  getTimeout(step) {
+    return step.timeout || this.config.elementWaitTimeout;
+  }
+}
+
+module.exports = { AssertionRunner, AssertionError };
@@ -1,3 +1,6 @@
+const { AssertionRunner } = require('./assertions');
+const { createLogger } = require('../utils/logger');
+
 /**
  * Navigation Engine - Core browser automation navigation system
  * Handles CSS selector operations, element waiting, and action execution
@@ -12,21 +15,29 @@ class NavigationEngine {
       retryDelay: config.retryDelay || 1000
     };
     
-    console.log('🧭 Navigation Engine initialized');
+    this.assertions = new AssertionRunner({
+      elementWaitTimeout: this.config.elementWaitTimeout
+    });
+    
+    this.logger = createLogger('navigation-engine', { debugMode: this.config.debugMode });
+    this.logger.debug('Navigation Engine initialized');
   }
 
   /**
    * Execute navigation sequence with error recovery
    * @param {Object} page - Puppeteer page instance
    * @param {Array} navigations - Array of navigation steps
+   * @param {Object} options - Execution options
+   * @param {Function} options.capture - Artifact capture hook: (page, { step, reason, name }) => Promise<Object>
+   * @param {Function} options.collectPerformance - Metrics hook: (page, { step }) => Promise<Object|null>
    * @returns {Promise<Array>} Results of navigation steps
    */
-  async executeNavigations(page, navigations) {
+  async executeNavigations(page, navigations, options = {}) {
     const results = [];
     
     // Handle empty navigations array
     if (!navigations || navigations.length === 0) {
-      console.log('📄 No navigations to execute - main page visit only');
+      this.logger.debug('No navigations to execute - main page visit only');
       return [];
     }
     
@@ -34,12 +45,48 @@ class NavigationEngine {
       const navigation = navigations[i];
       
       try {
-        console.log(`🧭 Navigation ${i + 1}/${navigations.length}: ${navigation.action} on "${navigation.css}"`);
+        this.logger.info('Navigation step', {
+          navigation_step: i + 1,
+          navigations: navigations.length,
+          action: navigation.action,
+          css: navigation.css
+        });
         
-        if (this.config.debugMode) {
-          console.log(`[DEBUG] Waiting for element: ${navigation.css}`);
+        // Screenshot steps record the page as it is, without touching any element
+        if (navigation.action === 'screenshot') {
+          const artifacts = await this.captureArtifacts(page, options, {
+            step: i + 1,
+            reason: 'screenshot',
+            name: navigation.name
+          });
+          
+          results.push({
+            step: i + 1,
+            css: navigation.css,
+            action: navigation.action,
+            status: 'success',
+            artifacts,
+            timestamp: new Date().toISOString()
+          });
+          continue;
         }
         
+        // Assertions do their own waiting (assert_absent must not wait for the element)
+        if (this.assertions.isAssertion(navigation.action)) {
+          const result = await this.assertions.run(page, navigation);
+          
+          results.push({
+            step: i + 1,
+            css: navigation.css,
+            action: navigation.action,
+            status: 'success',
+            ...result
+          });
+          continue;
+        }
+        
+        this.logger.debug('Waiting for element', { css: navigation.css });
+        
         // Wait for element with retry logic
         const element = await this.waitForElement(page, navigation.css);
         
@@ -70,20 +117,51 @@ class NavigationEngine {
         
         // Wait between navigations
         if (i < navigations.length - 1) {
-          console.log(`⏳ Waiting ${this.config.betweenNavigationDelay}ms before next navigation...`);
+          this.logger.debug('Waiting before next navigation', { delay_ms: this.config.betweenNavigationDelay });
           await page.waitForTimeout(this.config.betweenNavigationDelay);
         }
         
+        // Sampled after the delay so a page load triggered by the action has settled
+        const performance = options.collectPerformance
+          ? await options.collectPerformance(page, { step: i + 1 })
+          : null;
+        
         results.push({
           step: i + 1,
           css: navigation.css,
           action: navigation.action,
           status: 'success',
-          ...result
+          ...result,
+          ...(performance ? { performance } : {})
         });
         
       } catch (error) {
-        console.error(`❌ Navigation ${i + 1} failed:`, error.message);
+        this.logger.error('Navigation step failed', {
+          navigation_step: i + 1,
+          action: navigation.action,
+          css: navigation.css,
+          error
+        });
+        
+        // Capture before recovery, which may reload the page; a crashed page has nothing to show
+        const artifacts = this.isCriticalError(error)
+          ? []
+          : await this.captureArtifacts(page, options, { step: i + 1, reason: 'failure' });
+        
+        // A failed check is a result, not something to recover from
+        if (error.name === 'AssertionError') {
+          results.push({
+            step: i + 1,
+            css: navigation.css,
+            action: navigation.action,
+            status: 'failed',
+            error: error.message,
+            error_type: error.name,
+            assertion: { ...error.details, passed: false },
+            artifacts
+          });
+          continue;
+        }
         
         // Attempt error recovery
         const recoveryResult = await this.attemptErrorRecovery(page, navigation, error);
@@ -94,7 +172,8 @@ class NavigationEngine {
           action: navigation.action,
           status: 'failed',
           error: error.message,
-          recovery: recoveryResult
+          recovery: recoveryResult,
+          artifacts
         });
         
         // Continue with next navigation unless it's a critical error
@@ -109,6 +188,22 @@ class NavigationEngine {
     return results;
   }
 
+  /**
+   * Run the caller's capture hook, if any
+   * @param {Object} page - Puppeteer page instance
+   * @param {Object} options - Options passed to executeNavigations
+   * @param {Object} context - Capture context (step, reason, name)
+   * @returns {Promise<Array>} Captured artifact records
+   */
+  async captureArtifacts(page, options, context) {
+    if (!options.capture) {
+      return [];
+    }
+    
+    const artifact = await options.capture(page, context);
+    return artifact ? [artifact] : [];
+  }
+
   /**
    * Wait for element with enhanced error handling and retry logic
    * @param {Object} page - Puppeteer page instance
@@ -120,8 +215,12 @@ class NavigationEngine {
     
     for (let attempt = 1; attempt <= this.config.retryAttempts; attempt++) {
       try {
-        if (this.config.debugMode && attempt > 1) {
-          console.log(`[DEBUG] Retry attempt ${attempt}/${this.config.retryAttempts} for selector: ${selector}`);
+        if (attempt > 1) {
+          this.logger.debug('Retrying element wait', {
+            attempt,
+            retry_attempts: this.config.retryAttempts,
+            css: selector
+          });
         }
         
         const element = await page.waitForSelector(selector, {
@@ -146,7 +245,11 @@ class NavigationEngine {
         lastError = error;
         
         if (attempt < this.config.retryAttempts) {
-          console.warn(`⚠️ Element wait failed (attempt ${attempt}), retrying in ${this.config.retryDelay}ms...`);
+          this.logger.warn('Element wait failed, retrying', {
+            attempt,
+            css: selector,
+            delay_ms: this.config.retryDelay
+          });
           await page.waitForTimeout(this.config.retryDelay);
         }
       }
@@ -399,7 +502,7 @@ class NavigationEngine {
       await page.waitForTimeout(500); // Show highlight briefly
     } catch (error) {
       // Ignore highlight errors
-      console.warn('⚠️ Could not highlight element:', error.message);
+      this.logger.warn('Could not highlight element', { error });
     }
   }
 
@@ -412,7 +515,7 @@ class NavigationEngine {
    */
   async attemptErrorRecovery(page, navigation, error) {
     try {
-      console.log(`🔄 Attempting error recovery for: ${navigation.css}`);
+      this.logger.info('Attempting error recovery', { css: navigation.css });
       
       // Try refreshing the page if it's a stale element error
       if (error.message.includes('stale') || error.message.includes('detached')) {
@@ -437,7 +540,7 @@ class NavigationEngine {
       return { strategy: 'none', success: false };
       
     } catch (recoveryError) {
-      console.error('❌ Error recovery failed:', recoveryError.message);
+      this.logger.error('Error recovery failed', { css: navigation.css, error: recoveryError });
       return { strategy: 'failed', success: false, error: recoveryError.message };
     }
   }
@@ -473,7 +576,9 @@ class NavigationEngine {
         'type_text',
         'select_option',
         'hover',
-        'scroll_to'
+        'scroll_to',
+        'screenshot',
+        ...this.assertions.getSupportedAssertions()
       ],
       timestamp: new Date().toISOString()
     };
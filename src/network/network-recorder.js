@@ -0,0 +1,378 @@
+const { version } = require('../../package.json');
+
+/**
+ * Network Recorder
+ * Records every request a page makes and exports it as HAR 1.2 with a failure summary.
+ * Sizes come from a CDP session, since Content-Length is missing on chunked and most
+ * HTTP/2 responses; without CDP only the declared Content-Length is known.
+ */
+
+// Chromium net error codes grouped into the categories we report on
+const BLOCKED_ERRORS = ['net::ERR_BLOCKED_BY_CLIENT', 'net::ERR_BLOCKED_BY_RESPONSE', 'net::ERR_BLOCKED_BY_ORB'];
+const TIMEOUT_ERRORS = ['net::ERR_TIMED_OUT', 'net::ERR_CONNECTION_TIMED_OUT'];
+
+class NetworkRecorder {
+  constructor(page, config = {}) {
+    this.page = page;
+    this.config = {
+      slowestLimit: config.slowestLimit || 5,
+      failedLimit: config.failedLimit || 50
+    };
+
+    this.entries = new Map();
+    this.sizes = new Map(); // CDP request ID -> { headers, decoded, transfer }
+    this.cdp = null;
+    this.startedAt = null;
+    this.listeners = {
+      request: this.onRequest.bind(this),
+      response: this.onResponse.bind(this),
+      requestfinished: this.onRequestFinished.bind(this),
+      requestfailed: this.onRequestFailed.bind(this)
+    };
+    this.cdpListeners = {
+      'Network.responseReceived': ({ requestId, response }) => {
+        this.getSizes(requestId).headers = response.encodedDataLength;
+      },
+      'Network.dataReceived': ({ requestId, dataLength }) => {
+        this.getSizes(requestId).decoded += dataLength;
+      },
+      'Network.loadingFinished': ({ requestId, encodedDataLength }) => {
+        this.getSizes(requestId).transfer = encodedDataLength;
+      }
+    };
+  }
+
+  /**
+   * Attach to the page's network events and open a CDP session for transfer sizes
+   */
+  async start() {
+    this.startedAt = new Date();
+
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.page.on(event, listener);
+    }
+
+    try {
+      this.cdp = await this.page.target().createCDPSession();
+      for (const [event, listener] of Object.entries(this.cdpListeners)) {
+        this.cdp.on(event, listener);
+      }
+      await this.cdp.send('Network.enable');
+    } catch (error) {
+      // Sizes fall back to Content-Length
+      this.cdp = null;
+    }
+  }
+
+  /**
+   * Detach from the page; recorded entries are kept for export
+   */
+  async stop() {
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.page.off(event, listener);
+    }
+
+    if (this.cdp) {
+      const cdp = this.cdp;
+      this.cdp = null;
+      for (const [event, listener] of Object.entries(this.cdpListeners)) {
+        cdp.off(event, listener);
+      }
+      await cdp.detach().catch(() => {});
+    }
+  }
+
+  getSizes(requestId) {
+    if (!this.sizes.has(requestId)) {
+      this.sizes.set(requestId, { headers: -1, decoded: 0, transfer: -1 });
+    }
+    return this.sizes.get(requestId);
+  }
+
+  onRequest(request) {
+    this.entries.set(request, {
+      request,
+      response: null,
+      startTime: Date.now(),
+      endTime: null,
+      failure: null
+    });
+  }
+
+  onResponse(response) {
+    const entry = this.entries.get(response.request());
+    if (entry) {
+      entry.response = response;
+    }
+  }
+
+  onRequestFinished(request) {
+    const entry = this.entries.get(request);
+    if (entry) {
+      entry.endTime = Date.now();
+    }
+  }
+
+  onRequestFailed(request) {
+    const entry = this.entries.get(request);
+    if (entry) {
+      entry.endTime = Date.now();
+      entry.failure = (request.failure() || {}).errorText || 'unknown';
+    }
+  }
+
+  /**
+   * Classify an entry as failed, returning the failure category or null
+   * @returns {string|null} client_error, server_error, blocked, timed_out, network_error
+   */
+  classifyFailure(entry) {
+    if (entry.failure) {
+      if (BLOCKED_ERRORS.includes(entry.failure)) return 'blocked';
+      if (TIMEOUT_ERRORS.includes(entry.failure)) return 'timed_out';
+      return 'network_error';
+    }
+
+    // Requests still open when recording stopped never completed
+    if (!entry.endTime && !entry.response) {
+      return 'timed_out';
+    }
+
+    const status = entry.response ? entry.response.status() : 0;
+    if (status >= 500) return 'server_error';
+    if (status >= 400) return 'client_error';
+
+    return null;
+  }
+
+  /**
+   * Summarise recorded traffic for the task response
+   * total_bytes counts bytes transferred, headers included, falling back to Content-Length
+   * for responses CDP did not measure
+   * @returns {Object} Request counts, failures by category, bytes and slowest resources
+   */
+  getSummary() {
+    const failures = {
+      client_error: 0,
+      server_error: 0,
+      blocked: 0,
+      timed_out: 0,
+      network_error: 0
+    };
+    const failedRequests = [];
+    let totalBytes = 0;
+
+    for (const entry of this.entries.values()) {
+      totalBytes += Math.max(0, this.getTransferSize(entry));
+
+      const category = this.classifyFailure(entry);
+      if (category) {
+        failures[category]++;
+        failedRequests.push({
+          url: entry.request.url(),
+          method: entry.request.method(),
+          status: entry.response ? entry.response.status() : null,
+          category,
+          error: entry.failure
+        });
+      }
+    }
+
+    const slowestResources = [...this.entries.values()]
+      .filter(entry => entry.endTime)
+      .sort((a, b) => this.getDuration(b) - this.getDuration(a))
+      .slice(0, this.config.slowestLimit)
+      .map(entry => ({
+        url: entry.request.url(),
+        resource_type: entry.request.resourceType(),
+        status: entry.response ? entry.response.status() : null,
+        duration_ms: this.getDuration(entry)
+      }));
+
+    return {
+      total_requests: this.entries.size,
+      failed_requests: failedRequests.length,
+      failures,
+      failed: failedRequests.slice(0, this.config.failedLimit),
+      total_bytes: totalBytes,
+      slowest_resources: slowestResources
+    };
+  }
+
+  /**
+   * Export recorded traffic as a HAR 1.2 document
+   * @returns {Object} HAR log
+   */
+  toHar() {
+    const pageId = 'page_1';
+    const startedDateTime = (this.startedAt || new Date()).toISOString();
+
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'browser-automation-system', version },
+        pages: [
+          {
+            startedDateTime,
+            id: pageId,
+            title: this.getPageUrl(),
+            pageTimings: { onContentLoad: -1, onLoad: -1 }
+          }
+        ],
+        entries: [...this.entries.values()].map(entry => this.toHarEntry(entry, pageId))
+      }
+    };
+  }
+
+  toHarEntry(entry, pageId) {
+    const { request, response } = entry;
+    const postData = request.postData();
+    const time = Math.max(0, this.getDuration(entry));
+    const harEntry = {
+      pageref: pageId,
+      startedDateTime: new Date(entry.startTime).toISOString(),
+      time,
+      request: {
+        method: request.method(),
+        url: request.url(),
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: this.toHarHeaders(request.headers()),
+        queryString: this.toQueryString(request.url()),
+        headersSize: -1,
+        bodySize: postData ? Buffer.byteLength(postData) : 0
+      },
+      response: {
+        status: response ? response.status() : 0,
+        statusText: response ? response.statusText() : '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: response ? this.toHarHeaders(response.headers()) : [],
+        content: {
+          size: this.getContentSize(entry),
+          mimeType: response ? (response.headers()['content-type'] || '') : ''
+        },
+        redirectURL: response ? (response.headers().location || '') : '',
+        headersSize: -1,
+        bodySize: this.getBodySize(entry),
+        _transferSize: this.getTransferSize(entry)
+      },
+      cache: {},
+      timings: this.toHarTimings(entry, time),
+      _resourceType: request.resourceType()
+    };
+
+    if (postData) {
+      harEntry.request.postData = {
+        mimeType: request.headers()['content-type'] || '',
+        text: postData
+      };
+    }
+
+    if (entry.failure) {
+      harEntry._error = entry.failure;
+    }
+
+    return harEntry;
+  }
+
+  /**
+   * Split total time into HAR phases using Chromium resource timing when available
+   */
+  toHarTimings(entry, time) {
+    const timing = entry.response && entry.response.timing ? entry.response.timing() : null;
+    if (!timing) {
+      return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: time, receive: 0 };
+    }
+
+    const span = (start, end) => (start >= 0 && end >= start ? Math.round(end - start) : -1);
+    const send = Math.max(0, span(timing.sendStart, timing.sendEnd));
+    const wait = Math.max(0, span(timing.sendEnd, timing.receiveHeadersEnd));
+    const dns = span(timing.dnsStart, timing.dnsEnd);
+    const connect = span(timing.connectStart, timing.connectEnd);
+    const used = send + wait + Math.max(0, dns) + Math.max(0, connect);
+
+    return {
+      blocked: -1,
+      dns,
+      connect,
+      ssl: span(timing.sslStart, timing.sslEnd),
+      send,
+      wait,
+      receive: Math.max(0, time - used)
+    };
+  }
+
+  toHarHeaders(headers = {}) {
+    return Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+  }
+
+  toQueryString(url) {
+    try {
+      return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  getDuration(entry) {
+    return entry.endTime ? entry.endTime - entry.startTime : -1;
+  }
+
+  /**
+   * CDP sizes of an entry, or null when CDP did not see the request finish
+   */
+  getMeasuredSizes(entry) {
+    const { request } = entry;
+    const sizes = this.sizes.get(request.id || request._requestId);
+    return sizes && sizes.transfer >= 0 ? sizes : null;
+  }
+
+  /**
+   * Content-Length the server declared; -1 when it sent none
+   */
+  getDeclaredSize(entry) {
+    if (!entry.response) {
+      return -1;
+    }
+
+    const length = parseInt(entry.response.headers()['content-length'], 10);
+    return Number.isNaN(length) ? -1 : length;
+  }
+
+  /**
+   * Bytes transferred for the response, headers included; -1 when unknown
+   */
+  getTransferSize(entry) {
+    const sizes = this.getMeasuredSizes(entry);
+    return sizes ? sizes.transfer : this.getDeclaredSize(entry);
+  }
+
+  /**
+   * Encoded response body bytes (HAR bodySize); -1 when unknown
+   */
+  getBodySize(entry) {
+    const sizes = this.getMeasuredSizes(entry);
+    if (sizes && sizes.headers >= 0) {
+      return Math.max(0, sizes.transfer - sizes.headers);
+    }
+    return this.getDeclaredSize(entry);
+  }
+
+  /**
+   * Decoded response body bytes (HAR content.size); -1 when unknown
+   */
+  getContentSize(entry) {
+    const sizes = this.getMeasuredSizes(entry);
+    return sizes ? sizes.decoded : this.getDeclaredSize(entry);
+  }
+
+  getPageUrl() {
+    try {
+      return this.page.url();
+    } catch (error) {
+      return '';
+    }
+  }
+}
+
+module.exports = { NetworkRecorder };
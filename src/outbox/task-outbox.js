@@ -0,0 +1,232 @@
+const { createLogger } = require('../utils/logger');
+
+/**
+ * Task Outbox
+ * Tasks are dispatched by writing an outbox row in the same transaction that moves the
+ * task to 'queued'. The relay publishes each row on a confirm channel and marks the task
+ * 'sent' only after the broker confirms it, so a crash can neither lose a dispatch nor
+ * report an unpublished task as sent. A crash between the confirm and the commit
+ * republishes that one message; it carries the outbox ID as messageId so it can be spotted.
+ */
+class TaskOutbox {
+  /**
+   * @param {Object} database - Database with query() and transaction()
+   * @param {Object} rabbitmq - RabbitMQSetup with publishConfirmed()
+   * @param {Function} onPublished - (entry) => void; called after a confirmed publish is committed
+   * @param {Object} config - Relay configuration
+   * @param {number} config.pollInterval - Milliseconds between relay passes
+   * @param {number} config.batchSize - Rows published per pass
+   */
+  constructor(database, rabbitmq, onPublished, config = {}) {
+    this.db = database;
+    this.rabbitmq = rabbitmq;
+    this.onPublished = onPublished;
+
+    this.config = {
+      pollInterval: config.pollInterval || 1000,
+      batchSize: config.batchSize || 50
+    };
+
+    this.intervalId = null;
+    this.isRunning = false;
+    this.relaying = false;
+    this.wakeScheduled = false;
+    this.logger = createLogger('task-outbox');
+  }
+
+  /**
+   * Queue a task for dispatch; call inside the caller's transaction
+   * The task must still be in fromStatus, so two clients driving the same session
+   * cannot both dispatch a task
+   * @param {Object} client - Transaction client
+   * @param {Object} entry - { correlationId, sessionId, queue, payload, fromStatus }
+   *   fromStatus is 'pending' (default), or 'queued' for retries claimed by the scheduler
+   * @returns {Promise<boolean>} false when the task is no longer dispatchable (e.g. cancelled)
+   */
+  async enqueue(client, entry) {
+    const updated = await client.query(
+      `
+      UPDATE tasks
+      SET status = 'queued'
+      WHERE correlation_id = $1 AND status = $2
+    `,
+      [entry.correlationId, entry.fromStatus || 'pending']
+    );
+
+    if (updated.rowCount === 0) {
+      return false;
+    }
+
+    await client.query(
+      `
+      INSERT INTO task_outbox (correlation_id, session_id, queue, payload, status, created_at)
+      VALUES ($1, $2, $3, $4, 'pending', NOW())
+    `,
+      [entry.correlationId, entry.sessionId, entry.queue, JSON.stringify(entry.payload)]
+    );
+
+    return true;
+  }
+
+  /**
+   * Start relaying on an interval
+   */
+  start() {
+    if (this.isRunning) {
+      this.logger.warn('Outbox relay is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.intervalId = setInterval(() => this.runRelay(), this.config.pollInterval);
+
+    this.logger.info('Outbox relay started', { poll_interval_ms: this.config.pollInterval });
+
+    // Publish whatever was left queued before a restart
+    this.wake();
+  }
+
+  /**
+   * Stop relaying; unpublished rows stay in the outbox
+   */
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+    this.isRunning = false;
+
+    this.logger.info('Outbox relay stopped');
+  }
+
+  /**
+   * Relay soon instead of waiting for the next interval
+   */
+  wake() {
+    if (!this.isRunning || this.wakeScheduled) {
+      return;
+    }
+
+    this.wakeScheduled = true;
+    setImmediate(() => {
+      this.wakeScheduled = false;
+      this.runRelay();
+    });
+  }
+
+  runRelay() {
+    this.relay().catch(error => {
+      this.logger.error('Outbox relay failed', { error });
+    });
+  }
+
+  /**
+   * Publish up to batchSize pending rows, oldest first
+   * @returns {Promise<number>} Number of rows published
+   */
+  async relay() {
+    if (this.relaying || !this.rabbitmq.isConnected) {
+      return 0;
+    }
+
+    this.relaying = true;
+    try {
+      let published = 0;
+
+      for (let i = 0; i < this.config.batchSize; i++) {
+        const result = await this.publishNext();
+        if (!result) {
+          break;
+        }
+
+        if (result.error) {
+          // The broker is likely unavailable; try again next pass
+          this.logger.warn('Outbox publish failed', {
+            correlation_id: result.entry.correlation_id,
+            attempts: result.entry.attempts + 1,
+            error: result.error
+          });
+          break;
+        }
+
+        if (result.published) {
+          published++;
+          this.onPublished(result.entry);
+        }
+      }
+
+      return published;
+    } finally {
+      this.relaying = false;
+    }
+  }
+
+  /**
+   * Claim, publish and mark one outbox row in its own transaction
+   * SKIP LOCKED lets several client instances relay the same outbox
+   * @returns {Promise<Object|null>} { entry, published } | { entry, error } | { entry, discarded }, or null when empty
+   */
+  async publishNext() {
+    return this.db.transaction(async (client) => {
+      const claimed = await client.query(`
+        SELECT o.id, o.correlation_id, o.session_id, o.queue, o.payload, o.attempts,
+               t.status AS task_status
+        FROM task_outbox o
+        JOIN tasks t ON t.correlation_id = o.correlation_id
+        WHERE o.status = 'pending'
+        ORDER BY o.created_at
+        LIMIT 1
+        FOR UPDATE OF o SKIP LOCKED
+      `);
+
+      if (claimed.rows.length === 0) {
+        return null;
+      }
+
+      const entry = claimed.rows[0];
+
+      // Cancelled while it waited in the outbox
+      if (entry.task_status !== 'queued') {
+        await client.query("UPDATE task_outbox SET status = 'discarded' WHERE id = $1", [entry.id]);
+        return { entry, discarded: true };
+      }
+
+      try {
+        // Workers report results on the results queue, so there is no reply to wait for
+        await this.rabbitmq.publishConfirmed(entry.queue, entry.payload, {
+          messageId: entry.id,
+          correlationId: entry.correlation_id
+        });
+      } catch (error) {
+        await client.query(
+          'UPDATE task_outbox SET attempts = attempts + 1, last_error = $2 WHERE id = $1',
+          [entry.id, error.message]
+        );
+        return { entry, error };
+      }
+
+      await client.query(
+        `
+        UPDATE task_outbox
+        SET status = 'published', attempts = attempts + 1, published_at = NOW()
+        WHERE id = $1
+      `,
+        [entry.id]
+      );
+      await client.query(
+        `
+        UPDATE tasks
+        SET status = 'sent', sent_at = NOW()
+        WHERE correlation_id = $1 AND status = 'queued'
+      `,
+        [entry.correlation_id]
+      );
+
+      return { entry, published: true };
+    });
+  }
+}
+
+module.exports = { TaskOutbox };
@@ -0,0 +1,123 @@
+const { createLogger } = require('../utils/logger');
+
+/**
+ * Performance Collector
+ * Reads Navigation Timing, paint timings, LCP, CLS and TTFB from the page
+ */
+
+/**
+ * Runs in every new document before page scripts so buffered LCP and
+ * layout-shift entries are observed from the start of the load
+ */
+function installObservers() {
+  const state = { lcp: null, cls: 0 };
+  window.__basPerformance = state;
+
+  try {
+    new PerformanceObserver((list) => {
+      const entries = list.getEntries();
+      const last = entries[entries.length - 1];
+      if (last) {
+        state.lcp = last.renderTime || last.loadTime || last.startTime;
+      }
+    }).observe({ type: 'largest-contentful-paint', buffered: true });
+  } catch (error) {
+    // LCP not supported by this browser
+  }
+
+  try {
+    new PerformanceObserver((list) => {
+      for (const entry of list.getEntries()) {
+        if (!entry.hadRecentInput) {
+          state.cls += entry.value;
+        }
+      }
+    }).observe({ type: 'layout-shift', buffered: true });
+  } catch (error) {
+    // Layout Instability API not supported by this browser
+  }
+}
+
+/**
+ * Runs in the page to snapshot the current document's metrics
+ */
+function readMetrics() {
+  const round = (value) => (typeof value === 'number' && value >= 0 ? Math.round(value * 100) / 100 : null);
+  const navigation = performance.getEntriesByType('navigation')[0];
+  const paints = {};
+  for (const entry of performance.getEntriesByType('paint')) {
+    paints[entry.name] = entry.startTime;
+  }
+  const observed = window.__basPerformance || {};
+
+  return {
+    url: location.href,
+    time_origin: performance.timeOrigin,
+    ttfb_ms: navigation ? round(navigation.responseStart - navigation.startTime) : null,
+    dom_content_loaded_ms: navigation ? round(navigation.domContentLoadedEventEnd - navigation.startTime) : null,
+    load_ms: navigation && navigation.loadEventEnd > 0 ? round(navigation.loadEventEnd - navigation.startTime) : null,
+    first_paint_ms: round(paints['first-paint']),
+    fcp_ms: round(paints['first-contentful-paint']),
+    lcp_ms: round(observed.lcp),
+    cls: typeof observed.cls === 'number' ? Math.round(observed.cls * 10000) / 10000 : null,
+    transfer_size: navigation ? navigation.transferSize : null
+  };
+}
+
+class PerformanceCollector {
+  constructor(config = {}) {
+    this.config = {
+      debugMode: config.debugMode || false
+    };
+    this.logger = createLogger('performance-collector', { debugMode: this.config.debugMode });
+  }
+
+  /**
+   * Register observers on the page; must be called before the first navigation
+   * @param {Object} page - Puppeteer page instance
+   * @returns {Promise<boolean>} True when observers were installed
+   */
+  async install(page) {
+    try {
+      await page.evaluateOnNewDocument(installObservers);
+      return true;
+    } catch (error) {
+      this.logger.warn('Performance observers not installed', { error });
+      return false;
+    }
+  }
+
+  /**
+   * Collect metrics for the document currently loaded in the page
+   * A step that did not load a new document (same time_origin as the previous
+   * sample) is flagged same_document so its load timings are not counted twice
+   * @param {Object} page - Puppeteer page instance
+   * @param {Object} previous - Previous sample from the same page, if any
+   * @returns {Promise<Object|null>} Metrics sample, or null if collection failed
+   */
+  async collect(page, previous = null) {
+    try {
+      const metrics = await page.evaluate(readMetrics);
+      const sample = {
+        ...metrics,
+        same_document: Boolean(previous && previous.time_origin === metrics.time_origin),
+        collected_at: new Date().toISOString()
+      };
+
+      this.logger.debug('Performance sample', {
+        url: sample.url,
+        ttfb_ms: sample.ttfb_ms,
+        fcp_ms: sample.fcp_ms,
+        lcp_ms: sample.lcp_ms,
+        cls: sample.cls
+      });
+
+      return sample;
+    } catch (error) {
+      this.logger.warn('Performance metrics not collected', { error });
+      return null;
+    }
+  }
+}
+
+module.exports = { PerformanceCollector, installObservers, readMetrics };
@@ -1,4 +1,5 @@
 const { DataImpulseClient } = require('./dataimpulse-client');
+const { createLogger } = require('../utils/logger');
 
 /**
  * Proxy Manager for browser automation
@@ -12,7 +13,7 @@ class ProxyManager {
     this.rotationInterval = parseInt(process.env.PROXY_ROTATION_INTERVAL) || 300000; // 5 minutes
     this.maxProxiesPerCountry = parseInt(process.env.MAX_PROXIES_PER_COUNTRY) || 3;
     
-    console.log('🔄 Proxy Manager initialized');
+    this.logger = createLogger('proxy-manager');
   }
 
   /**
@@ -31,9 +32,9 @@ class ProxyManager {
       // Start proxy rotation timer
       this.startProxyRotation();
       
-      console.log('✅ Proxy Manager initialized successfully');
+      this.logger.info('Proxy Manager initialized');
     } catch (error) {
-      console.error('❌ Failed to initialize Proxy Manager:', error.message);
+      this.logger.error('Failed to initialize Proxy Manager', { error });
       throw error;
     }
   }
@@ -50,7 +51,7 @@ class ProxyManager {
       if (!forceNew && this.activeProxies.has(country)) {
         const cachedProxy = this.activeProxies.get(country);
         if (this.isProxyValid(cachedProxy)) {
-          console.log(`♻️ Using cached proxy for ${country}: ${cachedProxy.host}:${cachedProxy.port}`);
+          this.logger.debug('Using cached proxy', { country, proxy: `${cachedProxy.host}:${cachedProxy.port}` });
           return cachedProxy;
         } else {
           // Remove invalid proxy
@@ -78,11 +79,11 @@ class ProxyManager {
       // Add to pool for future use
       this.addToPool(country, proxy);
       
-      console.log(`✅ Proxy ready for ${country}: ${proxy.host}:${proxy.port}`);
+      this.logger.info('Proxy ready', { country, proxy: `${proxy.host}:${proxy.port}` });
       return proxy;
       
     } catch (error) {
-      console.error(`❌ Failed to get proxy for ${country}:`, error.message);
+      this.logger.error('Failed to get proxy', { country, error });
       throw error;
     }
   }
@@ -123,7 +124,7 @@ class ProxyManager {
    */
   async rotateProxy(country) {
     try {
-      console.log(`🔄 Rotating proxy for ${country}`);
+      this.logger.info('Rotating proxy', { country });
       
       // Release current proxy
       if (this.activeProxies.has(country)) {
@@ -136,7 +137,7 @@ class ProxyManager {
       return await this.getProxyForCountry(country, true);
       
     } catch (error) {
-      console.error(`❌ Failed to rotate proxy for ${country}:`, error.message);
+      this.logger.error('Failed to rotate proxy', { country, error });
       throw error;
     }
   }
@@ -147,7 +148,7 @@ class ProxyManager {
    */
   async warmupProxyPool(country) {
     try {
-      console.log(`🔥 Warming up proxy pool for ${country}`);
+      this.logger.info('Warming up proxy pool', { country });
       
       const poolSize = Math.min(this.maxProxiesPerCountry, 2); // Start with 2 proxies
       const proxies = [];
@@ -161,19 +162,19 @@ class ProxyManager {
             proxies.push(proxy);
           }
         } catch (error) {
-          console.warn(`⚠️ Failed to warm up proxy ${i + 1} for ${country}:`, error.message);
+          this.logger.warn('Failed to warm up proxy', { country, proxy_index: i + 1, error });
         }
       }
       
       if (proxies.length > 0) {
         this.proxyPool.set(country, proxies);
-        console.log(`✅ Warmed up ${proxies.length} proxies for ${country}`);
+        this.logger.info('Warmed up proxy pool', { country, proxies: proxies.length });
       } else {
-        console.warn(`⚠️ No valid proxies found for ${country} during warmup`);
+        this.logger.warn('No valid proxies found during warmup', { country });
       }
       
     } catch (error) {
-      console.error(`❌ Failed to warm up proxy pool for ${country}:`, error.message);
+      this.logger.error('Failed to warm up proxy pool', { country, error });
     }
   }
 
@@ -194,7 +195,7 @@ class ProxyManager {
       if (this.isProxyValid(proxy)) {
         // Remove from pool and return
         pool.splice(i, 1);
-        console.log(`📦 Retrieved proxy from pool for ${country}: ${proxy.host}:${proxy.port}`);
+        this.logger.debug('Retrieved proxy from pool', { country, proxy: `${proxy.host}:${proxy.port}` });
         return proxy;
       }
     }
@@ -224,7 +225,7 @@ class ProxyManager {
     const exists = pool.some(p => p.host === proxy.host && p.port === proxy.port);
     if (!exists) {
       pool.push({ ...proxy });
-      console.log(`📦 Added proxy to pool for ${country}: ${proxy.host}:${proxy.port}`);
+      this.logger.debug('Added proxy to pool', { country, proxy: `${proxy.host}:${proxy.port}` });
     }
   }
 
@@ -254,7 +255,7 @@ class ProxyManager {
     }
     
     this.rotationTimer = setInterval(async () => {
-      console.log('🔄 Starting automatic proxy rotation');
+      this.logger.info('Starting automatic proxy rotation');
       
       const countries = Array.from(this.activeProxies.keys());
       
@@ -262,13 +263,13 @@ class ProxyManager {
         try {
           await this.rotateProxy(country);
         } catch (error) {
-          console.error(`❌ Auto-rotation failed for ${country}:`, error.message);
+          this.logger.error('Auto-rotation failed', { country, error });
         }
       }
       
     }, this.rotationInterval);
     
-    console.log(`⏰ Proxy rotation started (interval: ${this.rotationInterval}ms)`);
+    this.logger.info('Proxy rotation started', { interval_ms: this.rotationInterval });
   }
 
   /**
@@ -278,7 +279,7 @@ class ProxyManager {
     if (this.rotationTimer) {
       clearInterval(this.rotationTimer);
       this.rotationTimer = null;
-      console.log('⏹️ Proxy rotation stopped');
+      this.logger.info('Proxy rotation stopped');
     }
   }
 
@@ -314,7 +315,7 @@ class ProxyManager {
       };
       
     } catch (error) {
-      console.error('❌ Failed to get proxy stats:', error.message);
+      this.logger.error('Failed to get proxy stats', { error });
       return {
         error: error.message,
         timestamp: new Date().toISOString()
@@ -353,7 +354,7 @@ class ProxyManager {
    */
   async cleanup() {
     try {
-      console.log('🧹 Cleaning up Proxy Manager');
+      this.logger.info('Cleaning up Proxy Manager');
       
       this.stopProxyRotation();
       
@@ -362,17 +363,17 @@ class ProxyManager {
         try {
           await this.dataimpulse.releaseProxy(proxy);
         } catch (error) {
-          console.error(`❌ Failed to release proxy for ${country}:`, error.message);
+          this.logger.error('Failed to release proxy', { country, error });
         }
       }
       
       this.activeProxies.clear();
       this.proxyPool.clear();
       
-      console.log('✅ Proxy Manager cleanup completed');
+      this.logger.info('Proxy Manager cleanup completed');
       
     } catch (error) {
-      console.error('❌ Proxy Manager cleanup failed:', error.message);
+      this.logger.error('Proxy Manager cleanup failed', { error });
     }
   }
 }
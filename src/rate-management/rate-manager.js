@@ -1,4 +1,5 @@
 const { EventEmitter } = require('events');
+const { TrafficCurve } = require('./traffic-profiles');
 
 /**
  * Rate Management & Distribution System
@@ -17,12 +18,21 @@ class RateManager extends EventEmitter {
       maxTasksPerMinute: config.maxTasksPerMinute || 20,
       statisticsWindow: config.statisticsWindow || 3600000, // 1 hour
       enableDynamicAdjustment: config.enableDynamicAdjustment !== false,
-      adjustmentFactor: config.adjustmentFactor || 0.1
+      adjustmentFactor: config.adjustmentFactor || 0.1,
+      trafficProfile: config.trafficProfile || 'flat',
+      countries: config.countries || [],
+      countryWeights: config.countryWeights || []
     };
     
     // Calculate base rate: 8000 tasks / 24 hours / 60 minutes = ~5.56 tasks/minute
     this.config.baseRatePerMinute = this.config.targetTasksPerDay / (this.config.hoursPerDay * 60);
     this.baseRate = this.config.baseRatePerMinute;
+    // The base rate is the daily average; the curve scales it by each country's local hour
+    this.trafficCurve = new TrafficCurve(
+      this.config.trafficProfile,
+      this.config.countries,
+      this.config.countryWeights
+    );
     this.currentRate = this.baseRate;
     this.currentRateMultiplier = 1.0;
     this.startTime = null;
@@ -104,7 +114,7 @@ class RateManager extends EventEmitter {
   getCurrentRate() {
     // Add randomization to prevent predictable patterns (±20%)
     const randomFactor = 0.8 + (Math.random() * 0.4); // 0.8 to 1.2
-    const adjustedRate = this.currentRate * randomFactor;
+    const adjustedRate = this.currentRate * this.trafficCurve.multiplierAt() * randomFactor;
     
     // Ensure rate stays within bounds
     return Math.max(
@@ -113,6 +123,26 @@ class RateManager extends EventEmitter {
     );
   }
 
+  /**
+   * Target rate from the traffic curve, before performance adjustments
+   * @param {Date} date - Instant to evaluate
+   * @returns {number} Tasks per minute
+   */
+  getTargetRate(date = new Date()) {
+    return this.config.baseRatePerMinute * this.trafficCurve.multiplierAt(date);
+  }
+
+  /**
+   * Delay until the next task is due, following the curve through quiet hours
+   * At a zero-weight hour this waits for the curve to pick up again rather than sending early.
+   * @param {Date} from - Instant the previous task was sent
+   * @returns {number} Delay in milliseconds
+   */
+  getScheduledDelay(from = new Date()) {
+    const ratePerMinute = this.config.baseRatePerMinute * this.currentRateMultiplier;
+    return this.trafficCurve.durationUntil(from, (60 * 1000) / ratePerMinute);
+  }
+
   /**
    * Get delay between tasks in milliseconds
    * @returns {number} Delay in milliseconds
@@ -279,11 +309,11 @@ class RateManager extends EventEmitter {
   }
 
   /**
-   * Get expected progress based on time elapsed
+   * Get expected progress based on the share of the day's traffic curve already elapsed
    * @returns {number} Expected completion rate (0-1)
    */
   getExpectedProgress() {
-    const elapsed = Date.now() - this.statistics.startTime.getTime();
+    const elapsed = this.trafficCurve.weightedDuration(this.statistics.startTime, Date.now());
     const dayDuration = this.config.hoursPerDay * 60 * 60 * 1000;
     return Math.min(1, elapsed / dayDuration);
   }
@@ -455,7 +485,7 @@ class RateManager extends EventEmitter {
    * @returns {number} Current rate per minute
    */
   getCurrentRatePerMinute() {
-    return this.config.baseRatePerMinute * this.currentRateMultiplier;
+    return this.getTargetRate() * this.currentRateMultiplier;
   }
 
   /**
@@ -497,7 +527,7 @@ class RateManager extends EventEmitter {
   calculateScheduleProgress() {
     if (!this.startTime) return 0;
     
-    const elapsedMs = Date.now() - this.startTime;
+    const elapsedMs = this.trafficCurve.weightedDuration(this.startTime, Date.now());
     const elapsedHours = elapsedMs / (1000 * 60 * 60);
     const expectedTasks = (this.config.targetTasksPerDay / 24) * elapsedHours;
     
@@ -520,30 +550,14 @@ class RateManager extends EventEmitter {
   }
 
   /**
-   * Get rate distribution for next 24 hours
+   * Get rate distribution over today's UTC hours from the traffic curve
    * @returns {Array} Hourly rate distribution
    */
   getRateDistribution() {
     const distribution = [];
     const baseHourlyTasks = this.config.targetTasksPerDay / this.config.hoursPerDay;
     
-    for (let hour = 0; hour < this.config.hoursPerDay; hour++) {
-      // Add slight variation by hour (simulate natural patterns)
-      let hourlyMultiplier = 1;
-      
-      // Lower activity during typical sleep hours (2-6 AM)
-      if (hour >= 2 && hour <= 6) {
-        hourlyMultiplier = 0.7;
-      }
-      // Higher activity during business hours (9-17)
-      else if (hour >= 9 && hour <= 17) {
-        hourlyMultiplier = 1.2;
-      }
-      // Evening activity (18-22)
-      else if (hour >= 18 && hour <= 22) {
-        hourlyMultiplier = 1.1;
-      }
-      
+    for (const { hour, multiplier: hourlyMultiplier } of this.trafficCurve.getHourlyMultipliers()) {
       const hourlyTasks = Math.round(baseHourlyTasks * hourlyMultiplier);
       const hourlyRate = hourlyTasks / 60; // tasks per minute
       
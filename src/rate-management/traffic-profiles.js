@@ -0,0 +1,264 @@
+/**
+ * Traffic Profiles
+ * Time-of-day curves that shape how a session's daily tasks are spread over the day.
+ * A curve is 24 hourly weights applied in each country's local time; weights are
+ * normalized to a mean of 1, so a curve changes when tasks are sent but not how many.
+ */
+
+const HOURS_PER_DAY = 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Every time zone offset is a multiple of 15 minutes, so local hours only change on UTC quarter-hours
+const STEP_MS = 15 * 60 * 1000;
+
+// Raw hourly weights, index 0 = 00:00-01:00 local time
+const TRAFFIC_CURVES = {
+  flat: new Array(HOURS_PER_DAY).fill(1),
+  // Office traffic: quiet overnight, ramps up from 07:00, peaks through the working day
+  business_hours: [
+    0.1, 0.1, 0.1, 0.1, 0.1, 0.2, 0.4, 0.8,
+    1.4, 1.8, 1.9, 1.9, 1.6, 1.8, 1.9, 1.8,
+    1.6, 1.2, 0.8, 0.6, 0.5, 0.4, 0.3, 0.2
+  ],
+  // Consumer traffic: moderate through the day with an evening peak
+  evening: [
+    0.4, 0.2, 0.1, 0.1, 0.1, 0.1, 0.2, 0.5,
+    0.7, 0.8, 0.9, 1.0, 1.1, 1.0, 1.0, 1.0,
+    1.1, 1.3, 1.6, 1.9, 2.0, 1.9, 1.5, 0.9
+  ],
+  // Gentle day/night cycle: lower while people sleep, slightly higher in the day and evening
+  diurnal: [
+    1.0, 1.0, 0.7, 0.7, 0.7, 0.7, 0.7, 1.0,
+    1.0, 1.2, 1.2, 1.2, 1.2, 1.2, 1.2, 1.2,
+    1.2, 1.2, 1.1, 1.1, 1.1, 1.1, 1.1, 1.0
+  ]
+};
+
+// Countries spanning several zones use their most populous one; unknown countries use UTC
+const COUNTRY_TIME_ZONES = {
+  us: 'America/New_York',
+  ca: 'America/Toronto',
+  mx: 'America/Mexico_City',
+  br: 'America/Sao_Paulo',
+  ar: 'America/Argentina/Buenos_Aires',
+  gb: 'Europe/London',
+  uk: 'Europe/London',
+  ie: 'Europe/Dublin',
+  de: 'Europe/Berlin',
+  ch: 'Europe/Zurich',
+  at: 'Europe/Vienna',
+  fr: 'Europe/Paris',
+  nl: 'Europe/Amsterdam',
+  be: 'Europe/Brussels',
+  es: 'Europe/Madrid',
+  it: 'Europe/Rome',
+  pl: 'Europe/Warsaw',
+  se: 'Europe/Stockholm',
+  tr: 'Europe/Istanbul',
+  ae: 'Asia/Dubai',
+  in: 'Asia/Kolkata',
+  sg: 'Asia/Singapore',
+  hk: 'Asia/Hong_Kong',
+  cn: 'Asia/Shanghai',
+  jp: 'Asia/Tokyo',
+  kr: 'Asia/Seoul',
+  au: 'Australia/Sydney',
+  nz: 'Pacific/Auckland',
+  za: 'Africa/Johannesburg'
+};
+
+const hourFormatters = new Map();
+
+function invalidProfile(message) {
+  const error = new Error(`Invalid traffic_profile: ${message}`);
+  error.code = 'INVALID_TRAFFIC_PROFILE';
+  return error;
+}
+
+/**
+ * Resolve a session's traffic_profile to normalized hourly weights
+ * @param {string|Array<number>|Object} profile - Curve name, 24 hourly weights, or { weights }
+ * @returns {Object} { name, weights } with weights averaging 1
+ * @throws {Error} INVALID_TRAFFIC_PROFILE for unknown names or malformed weights
+ */
+function resolveTrafficProfile(profile = 'flat') {
+  if (profile === null || profile === undefined) {
+    profile = 'flat';
+  }
+
+  let name = 'custom';
+  let weights = profile;
+
+  if (typeof profile === 'string') {
+    if (!Object.prototype.hasOwnProperty.call(TRAFFIC_CURVES, profile)) {
+      throw invalidProfile(`unknown curve "${profile}" (expected one of ${Object.keys(TRAFFIC_CURVES).join(', ')})`);
+    }
+    name = profile;
+    weights = TRAFFIC_CURVES[profile];
+  } else if (typeof profile === 'object' && !Array.isArray(profile)) {
+    weights = profile.weights;
+  }
+
+  if (!Array.isArray(weights) || weights.length !== HOURS_PER_DAY) {
+    throw invalidProfile(`expected a curve name or ${HOURS_PER_DAY} hourly weights`);
+  }
+  if (!weights.every(weight => typeof weight === 'number' && Number.isFinite(weight) && weight >= 0)) {
+    throw invalidProfile('hourly weights must be non-negative numbers');
+  }
+
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total <= 0) {
+    throw invalidProfile('at least one hourly weight must be positive');
+  }
+
+  return {
+    name,
+    weights: weights.map(weight => (weight * HOURS_PER_DAY) / total)
+  };
+}
+
+/**
+ * @param {string} country - Country code as given in the session
+ * @returns {string} IANA time zone used for the country's local hours
+ */
+function getCountryTimeZone(country) {
+  return COUNTRY_TIME_ZONES[String(country || '').toLowerCase()] || 'UTC';
+}
+
+/**
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Local hour of day (0-23)
+ */
+function getLocalHour(date, timeZone) {
+  let formatter = hourFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23' });
+    hourFormatters.set(timeZone, formatter);
+  }
+
+  const hour = formatter.formatToParts(date).find(part => part.type === 'hour');
+  return parseInt(hour.value, 10) % HOURS_PER_DAY;
+}
+
+/**
+ * A traffic profile evaluated for a session's countries
+ * The session's multiplier at any instant is the mean of the curve at each country's
+ * local hour, weighted by each country's share of the tasks.
+ */
+class TrafficCurve {
+  /**
+   * @param {string|Array<number>|Object} profile - Session traffic_profile; flat when omitted
+   * @param {Array<string>} countries - Session countries; UTC when empty
+   * @param {Array<number>} countryWeights - Share of tasks per country; even when omitted
+   */
+  constructor(profile, countries = [], countryWeights = []) {
+    const { name, weights } = resolveTrafficProfile(profile);
+    this.name = name;
+    this.weights = weights;
+
+    const zones = new Map();
+    countries.forEach((country, index) => {
+      const weight = countryWeights[index] === undefined ? 1 : countryWeights[index];
+      if (weight > 0) {
+        const timeZone = getCountryTimeZone(country);
+        zones.set(timeZone, (zones.get(timeZone) || 0) + weight);
+      }
+    });
+    if (zones.size === 0) {
+      zones.set('UTC', 1);
+    }
+    const count = [...zones.values()].reduce((sum, n) => sum + n, 0);
+    this.timeZones = [...zones].map(([timeZone, n]) => ({ timeZone, share: n / count }));
+    this.isFlat = weights.every(weight => weight === 1);
+  }
+
+  /**
+   * @param {Date} date - Instant to evaluate
+   * @returns {number} Rate multiplier relative to an even spread (1 = average)
+   */
+  multiplierAt(date = new Date()) {
+    if (this.isFlat) {
+      return 1;
+    }
+
+    return this.timeZones.reduce(
+      (sum, { timeZone, share }) => sum + share * this.weights[getLocalHour(date, timeZone)],
+      0
+    );
+  }
+
+  /**
+   * Time between two instants weighted by the curve; equals to - from for a flat curve
+   * @param {Date|number} from - Start instant
+   * @param {Date|number} to - End instant
+   * @returns {number} Weighted milliseconds
+   */
+  weightedDuration(from, to) {
+    let start = +from;
+    const end = +to;
+    if (this.isFlat || end <= start) {
+      return Math.max(0, end - start);
+    }
+
+    let weighted = 0;
+    while (start < end) {
+      const stepEnd = Math.min(end, Math.floor(start / STEP_MS) * STEP_MS + STEP_MS);
+      weighted += (stepEnd - start) * this.multiplierAt(new Date(start));
+      start = stepEnd;
+    }
+    return weighted;
+  }
+
+  /**
+   * Inverse of weightedDuration: how long from an instant until the curve accumulates an amount
+   * @param {Date|number} from - Start instant
+   * @param {number} weightedMs - Weighted milliseconds to accumulate
+   * @returns {number} Real milliseconds
+   */
+  durationUntil(from, weightedMs) {
+    if (this.isFlat || weightedMs <= 0) {
+      return Math.max(0, weightedMs);
+    }
+
+    const origin = +from;
+    let start = origin;
+    let remaining = weightedMs;
+    for (;;) {
+      const stepEnd = Math.floor(start / STEP_MS) * STEP_MS + STEP_MS;
+      const multiplier = this.multiplierAt(new Date(start));
+      const stepWeighted = (stepEnd - start) * multiplier;
+
+      if (stepWeighted >= remaining) {
+        return start + remaining / multiplier - origin;
+      }
+      remaining -= stepWeighted;
+      start = stepEnd;
+    }
+  }
+
+  /**
+   * @param {Date} day - Any instant on the UTC day to describe
+   * @returns {Array<Object>} Multiplier for each UTC hour of that day
+   */
+  getHourlyMultipliers(day = new Date()) {
+    const midnight = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate());
+    return Array.from({ length: HOURS_PER_DAY }, (_, hour) => ({
+      hour,
+      multiplier: this.weightedDuration(midnight + hour * HOUR_MS, midnight + (hour + 1) * HOUR_MS) / HOUR_MS
+    }));
+  }
+
+  toJSON() {
+    return { name: this.name, weights: this.weights, time_zones: this.timeZones };
+  }
+}
+
+module.exports = {
+  TrafficCurve,
+  TRAFFIC_CURVES,
+  COUNTRY_TIME_ZONES,
+  resolveTrafficProfile,
+  getCountryTimeZone,
+  getLocalHour
+};
@@ -0,0 +1,68 @@
+/**
+ * Retry Policy
+ * Decides which task failures are worth another attempt and how long to wait before it
+ */
+
+// Transient failures: RPC/transport problems, navigation timeouts and proxy errors
+const RETRYABLE_ERROR_TYPES = [
+  'RPCTimeout',
+  'RPCError',
+  'DispatchError',
+  'TimeoutError',
+  'ProxyError',
+  'NetworkError',
+  'ProtocolError',
+  'TargetCloseError'
+];
+
+// Failures that would fail the same way again
+const PERMANENT_ERROR_TYPES = ['AssertionError', 'ValidationError', 'TypeError', 'SyntaxError'];
+
+// Generic errors are retried only when the message points at the network or proxy
+const TRANSIENT_MESSAGE_PATTERN = /net::ERR_(PROXY|TUNNEL|TIMED_OUT|CONNECTION|NAME_NOT_RESOLVED|EMPTY_RESPONSE|SOCKS)|ECONNRESET|ECONNREFUSED|ETIMEDOUT|socket hang up|timeout/i;
+
+class RetryPolicy {
+  /**
+   * @param {Object} config - Backoff configuration
+   * @param {number} config.baseDelayMs - Delay before the first retry
+   * @param {number} config.maxDelayMs - Upper bound for any single delay
+   * @param {number} config.jitter - Fraction of the delay randomized in either direction
+   */
+  constructor(config = {}) {
+    this.config = {
+      baseDelayMs: config.baseDelayMs || 2000,
+      maxDelayMs: config.maxDelayMs || 300000,
+      jitter: config.jitter ?? 0.2
+    };
+  }
+
+  /**
+   * @param {string} errorType - error_type reported for the attempt
+   * @param {string} errorMessage - Error message, used for generic error types
+   * @returns {boolean} Whether the failure is transient
+   */
+  isRetryable(errorType, errorMessage = '') {
+    if (PERMANENT_ERROR_TYPES.includes(errorType)) {
+      return false;
+    }
+    if (RETRYABLE_ERROR_TYPES.includes(errorType)) {
+      return true;
+    }
+    return TRANSIENT_MESSAGE_PATTERN.test(errorMessage || '');
+  }
+
+  /**
+   * Exponential backoff with jitter
+   * @param {number} attempt - Retry number, starting at 1
+   * @returns {number} Delay in milliseconds
+   */
+  getDelay(attempt) {
+    const exponential = this.config.baseDelayMs * Math.pow(2, Math.max(0, attempt - 1));
+    const capped = Math.min(exponential, this.config.maxDelayMs);
+    const spread = capped * this.config.jitter * (Math.random() * 2 - 1);
+
+    return Math.max(0, Math.round(capped + spread));
+  }
+}
+
+module.exports = { RetryPolicy, RETRYABLE_ERROR_TYPES, PERMANENT_ERROR_TYPES };
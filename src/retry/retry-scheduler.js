@@ -0,0 +1,140 @@
+const { createLogger } = require('../utils/logger');
+
+/**
+ * Retry Scheduler
+ * Polls for tasks whose next_attempt_at has passed and hands them back for sending.
+ * The schedule lives in the tasks table, so pending retries survive a restart.
+ * Claiming and re-queueing happen in one transaction, so a crash leaves due
+ * retries scheduled rather than half-dispatched.
+ */
+class RetryScheduler {
+  /**
+   * @param {Object} database - Database with transaction()
+   * @param {Function} dispatch - async (taskRow, client) => void; re-queues a claimed task in the transaction
+   * @param {Object} config - Scheduler configuration
+   * @param {number} config.pollInterval - Milliseconds between polls
+   * @param {number} config.batchSize - Tasks claimed per poll
+   */
+  constructor(database, dispatch, config = {}) {
+    this.db = database;
+    this.dispatch = dispatch;
+
+    this.config = {
+      pollInterval: config.pollInterval || 5000,
+      batchSize: config.batchSize || 50
+    };
+
+    this.intervalId = null;
+    this.isRunning = false;
+    this.polling = false;
+    this.logger = createLogger('retry-scheduler');
+  }
+
+  /**
+   * Start polling for due retries
+   */
+  start() {
+    if (this.isRunning) {
+      this.logger.warn('Retry Scheduler is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.intervalId = setInterval(() => {
+      this.poll().catch(error => {
+        this.logger.error('Retry poll failed', { error });
+      });
+    }, this.config.pollInterval);
+
+    this.logger.info('Retry Scheduler started', { poll_interval_ms: this.config.pollInterval });
+  }
+
+  /**
+   * Stop polling; scheduled retries stay in the database
+   */
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+    this.isRunning = false;
+
+    this.logger.info('Retry Scheduler stopped');
+  }
+
+  /**
+   * Claim due retries and dispatch them
+   * A failed dispatch rolls back the whole batch; it is claimed again on the next poll
+   * @returns {Promise<number>} Number of tasks dispatched
+   */
+  async poll() {
+    // Skip the tick while the previous poll is still dispatching
+    if (this.polling) {
+      return 0;
+    }
+
+    this.polling = true;
+    try {
+      const dispatched = await this.db.transaction(async (client) => {
+        const tasks = await this.claimDueTasks(client);
+
+        for (const task of tasks) {
+          try {
+            await this.dispatch(task, client);
+          } catch (error) {
+            this.logger.error('Failed to dispatch retry', {
+              correlation_id: task.correlation_id,
+              session_id: task.session_id,
+              error
+            });
+            throw error;
+          }
+        }
+
+        return tasks.length;
+      });
+
+      if (dispatched > 0) {
+        this.logger.info('Dispatched scheduled retries', { tasks: dispatched });
+      }
+      return dispatched;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Move due retries to 'queued'; SKIP LOCKED lets several clients poll safely.
+   * Retries of paused or cancelled sessions stay scheduled.
+   * @param {Object} client - Transaction client
+   * @returns {Promise<Array>} Claimed task rows
+   */
+  async claimDueTasks(client) {
+    const result = await client.query(
+      `
+      UPDATE tasks t
+      SET status = 'queued', next_attempt_at = NULL
+      WHERE t.id IN (
+        SELECT due.id
+        FROM tasks due
+        JOIN sessions s ON s.session_id = due.session_id
+        WHERE due.status = 'retry_scheduled'
+          AND due.next_attempt_at <= NOW()
+          AND s.status IN ('active', 'processing', 'completed')
+        ORDER BY due.next_attempt_at
+        LIMIT $1
+        FOR UPDATE OF due SKIP LOCKED
+      )
+      RETURNING t.correlation_id, t.session_id, t.country, t.device, t.os,
+                t.main_page_url, t.navigations, t.fingerprint_profile, t.created_at, t.retry_count
+    `,
+      [this.config.batchSize]
+    );
+
+    return result.rows;
+  }
+}
+
+module.exports = { RetryScheduler };
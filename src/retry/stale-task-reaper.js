@@ -0,0 +1,125 @@
+const { createLogger } = require('../utils/logger');
+
+/**
+ * Stale Task Reaper
+ * Workers report results on a durable queue instead of an RPC reply, so nothing
+ * times out in memory. Tasks that stay 'sent' longer than the result timeout are
+ * handed to onStale, which fails or retries them in the reaper's transaction.
+ */
+class StaleTaskReaper {
+  /**
+   * @param {Object} database - Database with transaction()
+   * @param {Function} onStale - async (taskRow, client) => void; called for each stale task
+   * @param {Object} config - Reaper configuration
+   * @param {number} config.interval - Milliseconds between checks
+   * @param {number} config.timeout - Milliseconds a sent task may wait for its result
+   * @param {number} config.batchSize - Tasks handled per check
+   */
+  constructor(database, onStale, config = {}) {
+    this.db = database;
+    this.onStale = onStale;
+
+    this.config = {
+      interval: config.interval || 30000,
+      timeout: config.timeout || 900000,
+      batchSize: config.batchSize || 50
+    };
+
+    this.intervalId = null;
+    this.isRunning = false;
+    this.reaping = false;
+    this.logger = createLogger('stale-task-reaper');
+  }
+
+  /**
+   * Start checking for stale tasks
+   */
+  start() {
+    if (this.isRunning) {
+      this.logger.warn('Stale Task Reaper is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.intervalId = setInterval(() => {
+      this.reap().catch(error => {
+        this.logger.error('Stale task check failed', { error });
+      });
+    }, this.config.interval);
+
+    this.logger.info('Stale Task Reaper started', {
+      interval_ms: this.config.interval,
+      timeout_ms: this.config.timeout
+    });
+  }
+
+  /**
+   * Stop checking
+   */
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+    this.isRunning = false;
+
+    this.logger.info('Stale Task Reaper stopped');
+  }
+
+  /**
+   * Hand sent tasks older than the timeout to onStale
+   * A failure rolls back the whole batch; it is picked up again on the next check
+   * @returns {Promise<number>} Number of stale tasks handled
+   */
+  async reap() {
+    if (this.reaping) {
+      return 0;
+    }
+
+    this.reaping = true;
+    try {
+      const reaped = await this.db.transaction(async (client) => {
+        const tasks = await this.claimStaleTasks(client);
+
+        for (const task of tasks) {
+          await this.onStale(task, client);
+        }
+
+        return tasks.length;
+      });
+
+      if (reaped > 0) {
+        this.logger.warn('Sent tasks timed out without a result', { tasks: reaped });
+      }
+      return reaped;
+    } finally {
+      this.reaping = false;
+    }
+  }
+
+  /**
+   * Lock stale sent tasks; SKIP LOCKED leaves tasks whose result is being applied alone
+   * @param {Object} client - Transaction client
+   * @returns {Promise<Array>} Stale task rows
+   */
+  async claimStaleTasks(client) {
+    const result = await client.query(
+      `
+      SELECT correlation_id, session_id, country, device, os, retry_count, sent_at
+      FROM tasks
+      WHERE status = 'sent'
+        AND sent_at < NOW() - ($1::int * INTERVAL '1 millisecond')
+      ORDER BY sent_at
+      LIMIT $2
+      FOR UPDATE SKIP LOCKED
+    `,
+      [this.config.timeout, this.config.batchSize]
+    );
+
+    return result.rows;
+  }
+}
+
+module.exports = { StaleTaskReaper };
@@ -0,0 +1,211 @@
+/**
+ * Cron Expression
+ * Standard five-field cron (minute hour day-of-month month day-of-week) evaluated in an
+ * IANA time zone, so "0 2 * * *" means 02:00 local time across daylight saving changes.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// Searching further ahead than this means the expression never matches (e.g. "0 0 31 2 *")
+const MAX_SEARCH_MS = 5 * 366 * 24 * 60 * MINUTE_MS;
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  // 7 is accepted as Sunday and folded onto 0
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 }
+];
+
+const localFormatters = new Map();
+
+function invalidExpression(expression, message) {
+  const error = new Error(`Invalid cron expression "${expression}": ${message}`);
+  error.code = 'INVALID_CRON_EXPRESSION';
+  return error;
+}
+
+/**
+ * @param {Date|number} instant - Instant to convert
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} Local { month, day, weekday, hour, minute }
+ */
+function getLocalTime(instant, timeZone) {
+  let formatter = localFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      month: 'numeric',
+      day: 'numeric',
+      weekday: 'short',
+      hour: 'numeric',
+      minute: 'numeric'
+    });
+    localFormatters.set(timeZone, formatter);
+  }
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(instant)) {
+    parts[type] = value;
+  }
+
+  return {
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    weekday: DAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+    hour: parseInt(parts.hour, 10) % 24,
+    minute: parseInt(parts.minute, 10)
+  };
+}
+
+class CronExpression {
+  /**
+   * @param {string} expression - Five space-separated fields
+   * @throws {Error} INVALID_CRON_EXPRESSION when a field is malformed or out of range
+   */
+  constructor(expression) {
+    this.expression = String(expression || '').trim();
+
+    const fields = this.expression.split(/\s+/);
+    if (fields.length !== FIELDS.length) {
+      throw invalidExpression(this.expression, `expected ${FIELDS.length} fields, got ${fields.length}`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = fields.map((field, index) => this.parseField(field, FIELDS[index]));
+    this.minutes = minutes;
+    this.sortedMinutes = [...minutes].sort((a, b) => a - b);
+    this.hours = hours;
+    this.days = days;
+    this.months = months;
+    this.weekdays = new Set([...weekdays].map(day => day % 7));
+
+    // With both day fields restricted, cron matches a day satisfying either of them
+    this.anyDay = fields[2] === '*';
+    this.anyWeekday = fields[4] === '*';
+  }
+
+  parseField(field, spec) {
+    const values = new Set();
+
+    for (const part of field.split(',')) {
+      const match = part.match(/^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/i);
+      if (!match) {
+        throw invalidExpression(this.expression, `malformed ${spec.name} "${part}"`);
+      }
+
+      const [, range, stepText] = match;
+      const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+      if (step < 1) {
+        throw invalidExpression(this.expression, `step must be positive in ${spec.name} "${part}"`);
+      }
+
+      let start = spec.min;
+      let end = spec.max;
+      if (range !== '*') {
+        const [from, to] = range.split('-');
+        start = this.parseValue(from, spec);
+        // "5/15" runs from 5 to the end of the range
+        end = to !== undefined ? this.parseValue(to, spec) : stepText !== undefined ? spec.max : start;
+      }
+
+      if (start > end) {
+        throw invalidExpression(this.expression, `range is reversed in ${spec.name} "${part}"`);
+      }
+
+      for (let value = start; value <= end; value += step) {
+        values.add(value);
+      }
+    }
+
+    return values;
+  }
+
+  parseValue(text, spec) {
+    let value = /^\d+$/.test(text) ? parseInt(text, 10) : NaN;
+
+    if (Number.isNaN(value) && spec.names) {
+      const index = spec.names.indexOf(text.toLowerCase());
+      value = index === -1 ? NaN : index + spec.offset;
+    }
+
+    if (Number.isNaN(value) || value < spec.min || value > spec.max) {
+      throw invalidExpression(this.expression, `${spec.name} "${text}" is out of range ${spec.min}-${spec.max}`);
+    }
+    return value;
+  }
+
+  matchesDay(local) {
+    const dayMatch = this.days.has(local.day);
+    const weekdayMatch = this.weekdays.has(local.weekday);
+
+    if (this.anyDay || this.anyWeekday) {
+      return dayMatch && weekdayMatch;
+    }
+    return dayMatch || weekdayMatch;
+  }
+
+  /**
+   * First matching minute strictly after an instant
+   * @param {Date|number} after - Search start
+   * @param {string} timeZone - IANA time zone the fields are read in
+   * @returns {Date|null} Next run, or null if the expression never matches
+   */
+  next(after, timeZone = 'UTC') {
+    let candidate = Math.floor(+after / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+    const limit = +after + MAX_SEARCH_MS;
+
+    while (candidate <= limit) {
+      const local = getLocalTime(candidate, timeZone);
+
+      if (!this.months.has(local.month) || !this.matchesDay(local)) {
+        candidate = this.nextLocalMidnight(candidate, local, timeZone);
+        continue;
+      }
+
+      if (!this.hours.has(local.hour)) {
+        candidate += (60 - local.minute) * MINUTE_MS;
+        continue;
+      }
+
+      if (!this.minutes.has(local.minute)) {
+        const nextMinute = this.sortedMinutes.find(minute => minute > local.minute);
+        candidate += ((nextMinute === undefined ? 60 : nextMinute) - local.minute) * MINUTE_MS;
+        continue;
+      }
+
+      return new Date(candidate);
+    }
+
+    return null;
+  }
+
+  /**
+   * Start of the next local day
+   * A day that springs forward is shorter than 24 hours, so a jump of the remaining
+   * hours lands past midnight; step back to the start of the day it landed on.
+   */
+  nextLocalMidnight(candidate, local, timeZone) {
+    const next = candidate + ((23 - local.hour) * 60 + (60 - local.minute)) * MINUTE_MS;
+
+    const landed = getLocalTime(next, timeZone);
+    if (landed.day === local.day) {
+      // The day fell back and was longer; the next jump finishes it
+      return next;
+    }
+
+    // Where midnight itself is skipped, the day starts at the landing point
+    const midnight = next - (landed.hour * 60 + landed.minute) * MINUTE_MS;
+    return getLocalTime(midnight, timeZone).day === landed.day ? midnight : next;
+  }
+
+  toString() {
+    return this.expression;
+  }
+}
+
+module.exports = { CronExpression, getLocalTime };
@@ -0,0 +1,495 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { CronExpression, getLocalTime } = require('./cron-expression');
+const { getCountryTimeZone } = require('../rate-management/traffic-profiles');
+const { createLogger } = require('../utils/logger');
+
+// Shorthand recurrences repeat at the local time (and weekday) of starts_at
+const RECURRENCE_SHORTHANDS = ['daily', 'weekly'];
+
+// Errors that fail a run because of what the schedule holds; retrying the run cannot help
+const RUN_ERROR_CODES = ['INVALID_SESSION', 'INVALID_TEMPLATE', 'TEMPLATE_NOT_FOUND'];
+
+function invalidSchedule(message) {
+  const error = new Error(`Invalid schedule: ${message}`);
+  error.code = 'INVALID_SCHEDULE';
+  return error;
+}
+
+/**
+ * Session Scheduler
+ * Keeps session definitions in session_schedules and, when a schedule comes due, stores a
+ * new session from it. Materializing a run and moving next_run_at happen in one transaction,
+ * so each run produces exactly one session even with several clients polling.
+ * Runs missed while no client was polling are not caught up; the schedule moves to its next run.
+ * A run whose session is invalid is skipped with the error kept in last_error, so one broken
+ * schedule cannot hold up the others.
+ *
+ * Events:
+ * - 'sessionCreated' (session): a scheduled session was stored and committed; process it
+ */
+class SessionScheduler extends EventEmitter {
+  /**
+   * @param {Object} database - Database with query() and transaction()
+   * @param {Function} materialize - async (schedule, client) => session; stores a session for a due run
+   * @param {Object} config - Scheduler configuration
+   * @param {number} config.pollInterval - Milliseconds between polls
+   * @param {number} config.batchSize - Schedules run per poll
+   */
+  constructor(database, materialize, config = {}) {
+    super();
+    this.db = database;
+    this.materialize = materialize;
+
+    this.config = {
+      pollInterval: config.pollInterval || 15000,
+      batchSize: config.batchSize || 10
+    };
+
+    this.intervalId = null;
+    this.isRunning = false;
+    this.polling = false;
+    this.logger = createLogger('session-scheduler');
+  }
+
+  /**
+   * Start polling for due schedules
+   */
+  start() {
+    if (this.isRunning) {
+      this.logger.warn('Session Scheduler is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.intervalId = setInterval(() => {
+      this.poll().catch(error => {
+        this.logger.error('Schedule poll failed', { error });
+      });
+    }, this.config.pollInterval);
+
+    this.logger.info('Session Scheduler started', { poll_interval_ms: this.config.pollInterval });
+  }
+
+  /**
+   * Stop polling; schedules stay in the database
+   */
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+    this.isRunning = false;
+
+    this.logger.info('Session Scheduler stopped');
+  }
+
+  /**
+   * Validate a schedule definition and store it
+   * The session definition itself is validated by the caller
+   * @param {Object} data - { name, session, starts_at, ends_at, recurrence, time_zone }
+   * @returns {Promise<Object>} Stored schedule row
+   * @throws {Error} INVALID_SCHEDULE for malformed times, zones or recurrences
+   */
+  async create(data) {
+    const definition = this.validate(data);
+
+    const result = await this.db.query(
+      `
+      INSERT INTO session_schedules (
+        schedule_id, name, session_data, recurrence, time_zone,
+        starts_at, ends_at, next_run_at, status
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'active')
+      RETURNING *
+    `,
+      [
+        uuidv4(),
+        definition.name,
+        JSON.stringify(definition.session),
+        definition.recurrence,
+        definition.timeZone,
+        definition.startsAt,
+        definition.endsAt,
+        definition.nextRunAt
+      ]
+    );
+
+    const schedule = result.rows[0];
+    this.logger.info('Session schedule created', {
+      schedule_id: schedule.schedule_id,
+      recurrence: schedule.recurrence,
+      time_zone: schedule.time_zone,
+      next_run_at: schedule.next_run_at
+    });
+    return schedule;
+  }
+
+  /**
+   * @param {Object} data - Schedule definition as submitted
+   * @returns {Object} Normalized definition with the first run
+   */
+  validate(data) {
+    if (!data || typeof data.session !== 'object' || data.session === null || Array.isArray(data.session)) {
+      throw invalidSchedule('session must be an object with the session definition');
+    }
+
+    const startsAt = data.starts_at === undefined ? new Date() : new Date(data.starts_at);
+    if (Number.isNaN(startsAt.getTime())) {
+      throw invalidSchedule('starts_at must be an ISO 8601 date');
+    }
+
+    const endsAt = data.ends_at === undefined || data.ends_at === null ? null : new Date(data.ends_at);
+    if (endsAt && Number.isNaN(endsAt.getTime())) {
+      throw invalidSchedule('ends_at must be an ISO 8601 date');
+    }
+    if (endsAt && endsAt <= startsAt) {
+      throw invalidSchedule('ends_at must be after starts_at');
+    }
+
+    // A single-country session runs on that country's clock unless told otherwise
+    const countries = Array.isArray(data.session.countries) ? data.session.countries : [];
+    const timeZone = data.time_zone || (countries.length === 1 ? getCountryTimeZone(countries[0]) : 'UTC');
+    try {
+      Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions();
+    } catch (error) {
+      throw invalidSchedule(`unknown time_zone "${timeZone}"`);
+    }
+
+    const recurrence = data.recurrence === undefined || data.recurrence === null
+      ? null
+      : String(data.recurrence).trim();
+
+    // Cron schedules start at their first match from starts_at; the others run at starts_at
+    let nextRunAt = startsAt;
+    if (recurrence !== null && !RECURRENCE_SHORTHANDS.includes(recurrence)) {
+      try {
+        nextRunAt = this.getNextRun(
+          { recurrence, time_zone: timeZone, starts_at: startsAt, ends_at: endsAt },
+          startsAt.getTime() - 1
+        );
+      } catch (error) {
+        throw invalidSchedule(error.message);
+      }
+
+      if (!nextRunAt) {
+        throw invalidSchedule(`recurrence "${recurrence}" has no run between starts_at and ends_at`);
+      }
+    }
+
+    return {
+      name: data.name || null,
+      session: data.session,
+      recurrence,
+      timeZone,
+      startsAt,
+      endsAt,
+      nextRunAt
+    };
+  }
+
+  /**
+   * @param {Object} schedule - Schedule row (recurrence, time_zone, starts_at, ends_at)
+   * @returns {CronExpression|null} Expression for recurring schedules, null for one-off runs
+   */
+  getCronExpression(schedule) {
+    if (!schedule.recurrence) {
+      return null;
+    }
+    if (!RECURRENCE_SHORTHANDS.includes(schedule.recurrence)) {
+      return new CronExpression(schedule.recurrence);
+    }
+
+    const local = getLocalTime(new Date(schedule.starts_at), schedule.time_zone);
+    const weekday = schedule.recurrence === 'weekly' ? local.weekday : '*';
+    return new CronExpression(`${local.minute} ${local.hour} * * ${weekday}`);
+  }
+
+  /**
+   * Next run strictly after an instant
+   * @param {Object} schedule - Schedule row
+   * @param {Date|number} after - Search start
+   * @returns {Date|null} Next run, or null when the schedule has no more runs
+   */
+  getNextRun(schedule, after) {
+    const expression = this.getCronExpression(schedule);
+    if (!expression) {
+      return null;
+    }
+
+    const next = expression.next(after, schedule.time_zone);
+    if (!next || (schedule.ends_at && next > new Date(schedule.ends_at))) {
+      return null;
+    }
+    return next;
+  }
+
+  /**
+   * Store a session for every due schedule and move each to its next run
+   * Each run has its own savepoint: an invalid session skips that run only. Any other
+   * failure rolls back the whole batch, which is claimed again on the next poll.
+   * @returns {Promise<Array>} Sessions created
+   */
+  async poll() {
+    // Skip the tick while the previous poll is still materializing
+    if (this.polling) {
+      return [];
+    }
+
+    this.polling = true;
+    try {
+      const sessions = await this.db.transaction(async (client) => {
+        const schedules = await this.claimDueSchedules(client);
+        const created = [];
+
+        for (const schedule of schedules) {
+          const now = new Date();
+
+          if (schedule.ends_at && new Date(schedule.ends_at) < now) {
+            await this.finish(schedule, client);
+            continue;
+          }
+
+          let session;
+          await client.query('SAVEPOINT schedule_run');
+          try {
+            session = await this.materialize(schedule, client);
+          } catch (error) {
+            this.logger.error('Failed to create scheduled session', {
+              schedule_id: schedule.schedule_id,
+              error
+            });
+            if (!RUN_ERROR_CODES.includes(error.code)) {
+              throw error;
+            }
+
+            await client.query('ROLLBACK TO SAVEPOINT schedule_run');
+            await this.recordFailedRun(schedule, error, this.getNextRun(schedule, now), client);
+            continue;
+          }
+
+          await client.query('RELEASE SAVEPOINT schedule_run');
+          await this.recordRun(schedule, session, this.getNextRun(schedule, now), client);
+          created.push(session);
+        }
+
+        return created;
+      });
+
+      for (const session of sessions) {
+        this.logger.info('Scheduled session created', {
+          schedule_id: session.schedule_id,
+          session_id: session.session_id
+        });
+        this.emit('sessionCreated', session);
+      }
+      return sessions;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Lock due schedules; SKIP LOCKED lets several clients poll safely
+   * @param {Object} client - Transaction client
+   * @returns {Promise<Array>} Due schedule rows
+   */
+  async claimDueSchedules(client) {
+    const result = await client.query(
+      `
+      SELECT *
+      FROM session_schedules
+      WHERE status = 'active'
+        AND next_run_at <= NOW()
+      ORDER BY next_run_at
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    `,
+      [this.config.batchSize]
+    );
+
+    return result.rows;
+  }
+
+  async recordRun(schedule, session, nextRunAt, client) {
+    await client.query(
+      `
+      UPDATE session_schedules
+      SET last_run_at = NOW(),
+          last_session_id = $2,
+          run_count = run_count + 1,
+          next_run_at = $3,
+          status = CASE WHEN $3::timestamptz IS NULL THEN 'completed' ELSE status END,
+          last_error = NULL,
+          updated_at = NOW()
+      WHERE schedule_id = $1
+    `,
+      [schedule.schedule_id, session.session_id, nextRunAt]
+    );
+  }
+
+  /**
+   * Skip a run that could not produce a session; a schedule with no run left ends as failed
+   */
+  async recordFailedRun(schedule, error, nextRunAt, client) {
+    await client.query(
+      `
+      UPDATE session_schedules
+      SET next_run_at = $3,
+          status = CASE WHEN $3::timestamptz IS NULL THEN 'failed' ELSE status END,
+          last_error = $2,
+          updated_at = NOW()
+      WHERE schedule_id = $1
+    `,
+      [schedule.schedule_id, error.message, nextRunAt]
+    );
+  }
+
+  async finish(schedule, client) {
+    await client.query(
+      `
+      UPDATE session_schedules
+      SET status = 'completed', next_run_at = NULL, updated_at = NOW()
+      WHERE schedule_id = $1
+    `,
+      [schedule.schedule_id]
+    );
+
+    this.logger.info('Session schedule ended', { schedule_id: schedule.schedule_id });
+  }
+
+  /**
+   * @param {string} scheduleId - Schedule to look up
+   * @returns {Promise<Object|null>} Schedule with its most recent sessions
+   */
+  async get(scheduleId) {
+    const result = await this.db.query('SELECT * FROM session_schedules WHERE schedule_id = $1', [scheduleId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const sessions = await this.db.query(
+      `
+      SELECT session_id, status, created_at, completed_at, tasks_completed, tasks_failed
+      FROM sessions
+      WHERE schedule_id = $1
+      ORDER BY created_at DESC
+      LIMIT 20
+    `,
+      [scheduleId]
+    );
+
+    return { ...result.rows[0], recent_sessions: sessions.rows };
+  }
+
+  /**
+   * @param {Object} filters - { status, limit, offset }
+   * @returns {Promise<Array>} Schedules, soonest run first
+   */
+  async list({ status = null, limit = 100, offset = 0 } = {}) {
+    const result = await this.db.query(
+      `
+      SELECT *
+      FROM session_schedules
+      WHERE ($1::varchar IS NULL OR status = $1)
+      ORDER BY next_run_at NULLS LAST, created_at
+      LIMIT $2 OFFSET $3
+    `,
+      [status, limit, offset]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Stop creating sessions from a schedule until it is resumed
+   */
+  async pause(scheduleId) {
+    return this.transition(scheduleId, ['active'], 'paused');
+  }
+
+  /**
+   * Resume a paused schedule from its next run after now; runs due while paused are skipped
+   */
+  async resume(scheduleId) {
+    return this.db.transaction(async (client) => {
+      const schedule = await this.lockSchedule(scheduleId, ['paused'], 'active', client);
+      const now = new Date();
+      const nextRunAt = schedule.recurrence
+        ? this.getNextRun(schedule, now)
+        : new Date(Math.max(now.getTime(), new Date(schedule.next_run_at || now).getTime()));
+
+      const result = await client.query(
+        `
+        UPDATE session_schedules
+        SET status = CASE WHEN $2::timestamptz IS NULL THEN 'completed' ELSE 'active' END,
+            next_run_at = $2,
+            updated_at = NOW()
+        WHERE schedule_id = $1
+        RETURNING *
+      `,
+        [scheduleId, nextRunAt]
+      );
+
+      this.logger.info('Session schedule resumed', { schedule_id: scheduleId, next_run_at: nextRunAt });
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * End a schedule; sessions it already created keep running
+   */
+  async cancel(scheduleId) {
+    return this.transition(scheduleId, ['active', 'paused'], 'cancelled');
+  }
+
+  async transition(scheduleId, fromStatuses, toStatus) {
+    return this.db.transaction(async (client) => {
+      await this.lockSchedule(scheduleId, fromStatuses, toStatus, client);
+
+      const result = await client.query(
+        `
+        UPDATE session_schedules
+        SET status = $2,
+            next_run_at = CASE WHEN $2 = 'cancelled' THEN NULL ELSE next_run_at END,
+            updated_at = NOW()
+        WHERE schedule_id = $1
+        RETURNING *
+      `,
+        [scheduleId, toStatus]
+      );
+
+      this.logger.info('Session schedule status changed', { schedule_id: scheduleId, status: toStatus });
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Lock a schedule and check it may move to a new status
+   * @throws {Error} SCHEDULE_NOT_FOUND, or INVALID_SCHEDULE_STATE when the move is not allowed
+   */
+  async lockSchedule(scheduleId, fromStatuses, toStatus, client) {
+    const result = await client.query(
+      'SELECT * FROM session_schedules WHERE schedule_id = $1 FOR UPDATE',
+      [scheduleId]
+    );
+
+    if (result.rows.length === 0) {
+      const error = new Error(`Schedule not found: ${scheduleId}`);
+      error.code = 'SCHEDULE_NOT_FOUND';
+      throw error;
+    }
+
+    const schedule = result.rows[0];
+    if (!fromStatuses.includes(schedule.status)) {
+      const error = new Error(`Cannot change schedule ${scheduleId} from '${schedule.status}' to '${toStatus}'`);
+      error.code = 'INVALID_SCHEDULE_STATE';
+      throw error;
+    }
+
+    return schedule;
+  }
+}
+
+module.exports = { SessionScheduler };
@@ -0,0 +1,166 @@
+const { EventEmitter } = require('events');
+const { createLogger } = require('../utils/logger');
+
+/**
+ * Statistics Aggregator
+ * Periodically rolls per-task data up into the hourly statistics table
+ */
+class StatisticsAggregator extends EventEmitter {
+  constructor(database, config = {}) {
+    super();
+    this.db = database;
+
+    this.config = {
+      rollupInterval: config.rollupInterval || 300000, // 5 minutes
+      lookbackHours: config.lookbackHours || 2
+    };
+
+    this.intervalId = null;
+    this.isRunning = false;
+    this.logger = createLogger('statistics-aggregator');
+  }
+
+  /**
+   * Start periodic rollups
+   */
+  start() {
+    if (this.isRunning) {
+      this.logger.warn('Statistics Aggregator is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.intervalId = setInterval(() => {
+      this.rollup().catch(error => {
+        this.logger.error('Statistics rollup failed', { error });
+      });
+    }, this.config.rollupInterval);
+
+    this.logger.info('Statistics Aggregator started', { rollup_interval_ms: this.config.rollupInterval });
+  }
+
+  /**
+   * Stop periodic rollups
+   */
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+    this.isRunning = false;
+
+    this.logger.info('Statistics Aggregator stopped');
+  }
+
+  /**
+   * Run every rollup for hours touched since the lookback window
+   * @param {Date} since - Start of the window (defaults to lookbackHours ago)
+   * @returns {Promise<Object>} Rows upserted per rollup
+   */
+  async rollup(since = this.getWindowStart()) {
+    const result = {
+      tasks: await this.rollupTaskResponses(since),
+      performance: await this.rollupPerformance(since)
+    };
+
+    this.emit('rollup', { since, ...result });
+    return result;
+  }
+
+  /**
+   * Roll task responses into statistics by session/country/device/os/hour
+   * Each response is one attempt, so a retried task counts once per attempt
+   * @param {Date} since - Start of the window; truncated to the hour
+   * @returns {Promise<number>} Number of statistics rows upserted
+   */
+  async rollupTaskResponses(since) {
+    const result = await this.db.query(
+      `
+      INSERT INTO statistics (
+        session_id, date, hour, country, device, os,
+        total_tasks, successful_tasks, failed_tasks, avg_response_time_ms, success_rate
+      )
+      SELECT
+        t.session_id,
+        (tr.created_at AT TIME ZONE 'UTC')::date AS date,
+        EXTRACT(HOUR FROM tr.created_at AT TIME ZONE 'UTC')::integer AS hour,
+        tr.country, tr.device, tr.os,
+        COUNT(*),
+        COUNT(*) FILTER (WHERE tr.status = 'successful'),
+        COUNT(*) FILTER (WHERE tr.status != 'successful'),
+        AVG(tr.response_time_ms),
+        ROUND(COUNT(*) FILTER (WHERE tr.status = 'successful')::DECIMAL / COUNT(*) * 100, 2)
+      FROM task_responses tr
+      JOIN tasks t ON t.correlation_id = tr.correlation_id
+      WHERE tr.created_at >= date_trunc('hour', $1::timestamptz)
+      GROUP BY t.session_id, date, hour, tr.country, tr.device, tr.os
+      ON CONFLICT (session_id, date, hour, country, device, os) DO UPDATE SET
+        total_tasks = EXCLUDED.total_tasks,
+        successful_tasks = EXCLUDED.successful_tasks,
+        failed_tasks = EXCLUDED.failed_tasks,
+        avg_response_time_ms = EXCLUDED.avg_response_time_ms,
+        success_rate = EXCLUDED.success_rate
+    `,
+      [since.toISOString()]
+    );
+
+    return result.rowCount;
+  }
+
+  /**
+   * Roll main page performance samples into statistics by session/country/device/os/hour
+   * Hours are recomputed in full from their start, so running twice gives the same result.
+   * Step samples stay in task_performance_metrics: which page a step lands on varies
+   * per task, so only the main page load is comparable across regions.
+   * @param {Date} since - Start of the window; truncated to the hour
+   * @returns {Promise<number>} Number of statistics rows upserted
+   */
+  async rollupPerformance(since) {
+    const result = await this.db.query(
+      `
+      INSERT INTO statistics (
+        session_id, date, hour, country, device, os,
+        perf_samples, avg_ttfb_ms, avg_fcp_ms, avg_lcp_ms, p75_lcp_ms,
+        avg_cls, avg_dom_content_loaded_ms, avg_load_ms
+      )
+      SELECT
+        session_id,
+        (created_at AT TIME ZONE 'UTC')::date AS date,
+        EXTRACT(HOUR FROM created_at AT TIME ZONE 'UTC')::integer AS hour,
+        country, device, os,
+        COUNT(*),
+        AVG(ttfb_ms),
+        AVG(fcp_ms),
+        AVG(lcp_ms),
+        PERCENTILE_CONT(0.75) WITHIN GROUP (ORDER BY lcp_ms),
+        AVG(cls),
+        AVG(dom_content_loaded_ms),
+        AVG(load_ms)
+      FROM task_performance_metrics
+      WHERE navigation_step IS NULL
+        AND created_at >= date_trunc('hour', $1::timestamptz)
+      GROUP BY session_id, date, hour, country, device, os
+      ON CONFLICT (session_id, date, hour, country, device, os) DO UPDATE SET
+        perf_samples = EXCLUDED.perf_samples,
+        avg_ttfb_ms = EXCLUDED.avg_ttfb_ms,
+        avg_fcp_ms = EXCLUDED.avg_fcp_ms,
+        avg_lcp_ms = EXCLUDED.avg_lcp_ms,
+        p75_lcp_ms = EXCLUDED.p75_lcp_ms,
+        avg_cls = EXCLUDED.avg_cls,
+        avg_dom_content_loaded_ms = EXCLUDED.avg_dom_content_loaded_ms,
+        avg_load_ms = EXCLUDED.avg_load_ms
+    `,
+      [since.toISOString()]
+    );
+
+    return result.rowCount;
+  }
+
+  getWindowStart() {
+    return new Date(Date.now() - this.config.lookbackHours * 3600000);
+  }
+}
+
+module.exports = { StatisticsAggregator };
@@ -0,0 +1,105 @@
+/**
+ * Statistics Queries
+ * Time-series reads over the hourly statistics table
+ */
+
+const GROUP_BY_COLUMNS = ['country', 'device', 'os'];
+const GRANULARITIES = ['hour', 'day'];
+
+function invalidQuery(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_STATISTICS_QUERY';
+  return error;
+}
+
+class StatisticsQueries {
+  constructor(database) {
+    this.db = database;
+  }
+
+  /**
+   * Get aggregated time-series rows from statistics
+   * Averages are weighted by the task or sample count of each hourly row
+   * @param {Object} filters - Query filters
+   * @param {string} filters.sessionId - Restrict to one session
+   * @param {string} filters.country - Restrict to one country
+   * @param {string} filters.device - Restrict to one device type
+   * @param {string} filters.os - Restrict to one OS
+   * @param {Date} filters.from - Inclusive start (hour resolution)
+   * @param {Date} filters.to - Exclusive end (hour resolution)
+   * @param {string} filters.granularity - "hour" (default) or "day"
+   * @param {Array} filters.groupBy - Any of country, device, os
+   * @returns {Promise<Array>} Rows ordered by bucket
+   * @throws {Error} code INVALID_STATISTICS_QUERY for unsupported granularity or grouping
+   */
+  async getTimeSeries(filters = {}) {
+    const granularity = filters.granularity || 'hour';
+    const groupBy = filters.groupBy || [];
+
+    if (!GRANULARITIES.includes(granularity)) {
+      throw invalidQuery(`granularity must be one of: ${GRANULARITIES.join(', ')}`);
+    }
+
+    const invalid = groupBy.filter(column => !GROUP_BY_COLUMNS.includes(column));
+    if (invalid.length > 0) {
+      throw invalidQuery(`Cannot group by: ${invalid.join(', ')} (allowed: ${GROUP_BY_COLUMNS.join(', ')})`);
+    }
+
+    const values = [granularity];
+    const conditions = [];
+    const addCondition = (sql, value) => {
+      values.push(value);
+      conditions.push(sql.replace('?', `$${values.length}`));
+    };
+
+    if (filters.sessionId) addCondition('session_id = ?', filters.sessionId);
+    if (filters.country) addCondition('country = ?', filters.country);
+    if (filters.device) addCondition('device = ?', filters.device);
+    if (filters.os) addCondition('os = ?', filters.os);
+    if (filters.from) addCondition(`(date + make_interval(hours => hour)) >= (?::timestamptz AT TIME ZONE 'UTC')`, filters.from.toISOString());
+    if (filters.to) addCondition(`(date + make_interval(hours => hour)) < (?::timestamptz AT TIME ZONE 'UTC')`, filters.to.toISOString());
+
+    const groupColumns = groupBy.map(column => `, ${column}`).join('');
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const result = await this.db.query(
+      `
+      SELECT
+        date_trunc($1, date + make_interval(hours => hour)) AT TIME ZONE 'UTC' AS bucket${groupColumns},
+        SUM(total_tasks)::integer AS total_tasks,
+        SUM(successful_tasks)::integer AS successful_tasks,
+        SUM(failed_tasks)::integer AS failed_tasks,
+        ROUND(SUM(successful_tasks)::DECIMAL / NULLIF(SUM(total_tasks), 0) * 100, 2) AS success_rate,
+        ROUND(SUM(avg_response_time_ms * total_tasks) / NULLIF(SUM(total_tasks) FILTER (WHERE avg_response_time_ms IS NOT NULL), 0), 2) AS avg_response_time_ms,
+        SUM(perf_samples)::integer AS perf_samples,
+        ROUND(SUM(avg_ttfb_ms * perf_samples) / NULLIF(SUM(perf_samples) FILTER (WHERE avg_ttfb_ms IS NOT NULL), 0), 2) AS avg_ttfb_ms,
+        ROUND(SUM(avg_fcp_ms * perf_samples) / NULLIF(SUM(perf_samples) FILTER (WHERE avg_fcp_ms IS NOT NULL), 0), 2) AS avg_fcp_ms,
+        ROUND(SUM(avg_lcp_ms * perf_samples) / NULLIF(SUM(perf_samples) FILTER (WHERE avg_lcp_ms IS NOT NULL), 0), 2) AS avg_lcp_ms,
+        ROUND(SUM(avg_cls * perf_samples) / NULLIF(SUM(perf_samples) FILTER (WHERE avg_cls IS NOT NULL), 0), 4) AS avg_cls
+      FROM statistics
+      ${where}
+      GROUP BY 1${groupColumns}
+      ORDER BY 1${groupColumns}
+    `,
+      values
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Get the session_summary view row for a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>} Summary row or null if the session does not exist
+   */
+  async getSessionSummary(sessionId) {
+    const result = await this.db.query(
+      'SELECT * FROM session_summary WHERE session_id = $1',
+      [sessionId]
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = { StatisticsQueries, GROUP_BY_COLUMNS, GRANULARITIES };
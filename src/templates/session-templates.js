@@ -0,0 +1,349 @@
+const { createLogger } = require('../utils/logger');
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_.-]{0,99}$/i;
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER_PATTERN = /^\{\{\s*([\w.-]+)\s*\}\}$/;
+
+// Fragments may include other fragments; deeper nesting is almost certainly a mistake
+const MAX_FRAGMENT_DEPTH = 5;
+
+function templateError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Replace {{name}} placeholders in every string of a JSON value
+ * A string that is only a placeholder takes the parameter's value as is, so numbers and
+ * arrays (e.g. "tasks_24h": "{{tasks}}") keep their type.
+ * @param {*} value - Template value
+ * @param {Object} params - Parameter values
+ * @returns {*} Value with placeholders filled in
+ * @throws {Error} INVALID_TEMPLATE when a placeholder has no value
+ */
+function substitute(value, params) {
+  if (typeof value === 'string') {
+    const lookup = (name) => {
+      if (!Object.prototype.hasOwnProperty.call(params, name)) {
+        throw templateError('INVALID_TEMPLATE', `Missing template parameter: ${name}`);
+      }
+      return params[name];
+    };
+
+    const whole = value.match(WHOLE_PLACEHOLDER_PATTERN);
+    if (whole) {
+      return lookup(whole[1]);
+    }
+    return value.replace(PLACEHOLDER_PATTERN, (match, name) => String(lookup(name)));
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => substitute(item, params));
+  }
+
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substitute(item, params)]));
+  }
+
+  return value;
+}
+
+/**
+ * Session Templates
+ * Named, versioned session definitions and navigation fragments, and their expansion into
+ * plain session data. Saving a name again adds a version; versions are never changed, so a
+ * session's template_version and navigation_fragments identify exactly what it ran.
+ *
+ * A session references a template with "template": "name" (latest) or { name, version }.
+ * Its own fields override the template's, and "params" fill {{placeholders}} on top of the
+ * template's default parameters. A navigation step { fragment, version, params } is
+ * replaced by the fragment's steps.
+ */
+class SessionTemplates {
+  /**
+   * @param {Object} database - Database with query() and transaction()
+   */
+  constructor(database) {
+    this.db = database;
+    this.logger = createLogger('session-templates');
+  }
+
+  /**
+   * Store a new version of a session template
+   * @param {Object} data - { name, description, definition, parameters }
+   * @returns {Promise<Object>} Stored template version
+   * @throws {Error} INVALID_TEMPLATE for malformed names or definitions
+   */
+  async saveTemplate({ name, description = null, definition, parameters = {} } = {}) {
+    this.validateName(name);
+
+    if (!isPlainObject(definition)) {
+      throw templateError('INVALID_TEMPLATE', 'definition must be an object with session fields');
+    }
+    if (definition.template !== undefined) {
+      throw templateError('INVALID_TEMPLATE', 'a template cannot reference another template');
+    }
+    if (definition.navigations !== undefined) {
+      this.validateSteps(definition.navigations, 'definition.navigations');
+    }
+    if (!isPlainObject(parameters)) {
+      throw templateError('INVALID_TEMPLATE', 'parameters must be an object of default values');
+    }
+
+    return this.insertVersion('session_templates', name, {
+      description,
+      definition: JSON.stringify(definition),
+      parameters: JSON.stringify(parameters)
+    });
+  }
+
+  /**
+   * Store a new version of a navigation fragment
+   * @param {Object} data - { name, description, steps, parameters }
+   * @returns {Promise<Object>} Stored fragment version
+   * @throws {Error} INVALID_TEMPLATE for malformed names or steps
+   */
+  async saveFragment({ name, description = null, steps, parameters = {} } = {}) {
+    this.validateName(name);
+    this.validateSteps(steps, 'steps');
+
+    if (steps.length === 0) {
+      throw templateError('INVALID_TEMPLATE', 'steps must contain at least one navigation step');
+    }
+    if (!isPlainObject(parameters)) {
+      throw templateError('INVALID_TEMPLATE', 'parameters must be an object of default values');
+    }
+
+    return this.insertVersion('navigation_fragments', name, {
+      description,
+      steps: JSON.stringify(steps),
+      parameters: JSON.stringify(parameters)
+    });
+  }
+
+  validateName(name) {
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+      throw templateError(
+        'INVALID_TEMPLATE',
+        'name must be 1-100 letters, digits, "_", "." or "-", starting with a letter or digit'
+      );
+    }
+  }
+
+  validateSteps(steps, field) {
+    if (!Array.isArray(steps) || !steps.every(isPlainObject)) {
+      throw templateError('INVALID_TEMPLATE', `${field} must be an array of navigation steps`);
+    }
+  }
+
+  /**
+   * Insert the next version of a name; the advisory lock serializes concurrent saves of one name
+   */
+  async insertVersion(table, name, fields) {
+    const columns = Object.keys(fields);
+    const values = Object.values(fields);
+
+    return this.db.transaction(async (client) => {
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`${table}:${name}`]);
+
+      const result = await client.query(
+        `
+        INSERT INTO ${table} (name, version, ${columns.join(', ')})
+        SELECT $1, COALESCE(MAX(version), 0) + 1, ${columns.map((column, index) => `$${index + 2}`).join(', ')}
+        FROM ${table}
+        WHERE name = $1
+        RETURNING *
+      `,
+        [name, ...values]
+      );
+
+      const saved = result.rows[0];
+      this.logger.info('Saved new version', { table, name, version: saved.version });
+      return saved;
+    });
+  }
+
+  /**
+   * @param {string} name - Template name
+   * @param {number|null} version - Version, or null for the latest
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object|null>} Template version
+   */
+  async getTemplate(name, version = null, client = this.db) {
+    return this.getVersion('session_templates', name, version, client);
+  }
+
+  /**
+   * @param {string} name - Fragment name
+   * @param {number|null} version - Version, or null for the latest
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object|null>} Fragment version
+   */
+  async getFragment(name, version = null, client = this.db) {
+    return this.getVersion('navigation_fragments', name, version, client);
+  }
+
+  async getVersion(table, name, version, client) {
+    const result = await client.query(
+      `
+      SELECT *
+      FROM ${table}
+      WHERE name = $1 AND ($2::int IS NULL OR version = $2)
+      ORDER BY version DESC
+      LIMIT 1
+    `,
+      [name, version]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * @returns {Promise<Array>} Latest version of every template
+   */
+  async listTemplates() {
+    return this.listLatest('session_templates');
+  }
+
+  /**
+   * @returns {Promise<Array>} Latest version of every fragment
+   */
+  async listFragments() {
+    return this.listLatest('navigation_fragments');
+  }
+
+  async listLatest(table) {
+    const result = await this.db.query(`
+      SELECT DISTINCT ON (name) *
+      FROM ${table}
+      ORDER BY name, version DESC
+    `);
+
+    return result.rows;
+  }
+
+  /**
+   * Expand template and fragment references into plain session data
+   * Data without references is returned unchanged, so expanding twice is harmless.
+   * @param {Object} sessionData - Session as submitted
+   * @param {Object} client - Optional transaction client
+   * @returns {Promise<Object>} Session data with template_name, template_version and navigation_fragments
+   * @throws {Error} TEMPLATE_NOT_FOUND or INVALID_TEMPLATE
+   */
+  async expand(sessionData, client = this.db) {
+    const { template: reference, params = {}, ...overrides } = sessionData;
+
+    if (!isPlainObject(params)) {
+      throw templateError('INVALID_TEMPLATE', 'params must be an object');
+    }
+
+    let expanded = overrides;
+    let parameters = params;
+
+    if (reference !== undefined) {
+      const { name, version } = this.parseReference(reference, 'template');
+      const template = await this.getTemplate(name, version, client);
+      if (!template) {
+        throw templateError(
+          'TEMPLATE_NOT_FOUND',
+          version ? `Session template not found: ${name} version ${version}` : `Session template not found: ${name}`
+        );
+      }
+
+      parameters = { ...template.parameters, ...params };
+      expanded = {
+        ...substitute(template.definition, parameters),
+        ...overrides,
+        template_name: template.name,
+        template_version: template.version
+      };
+    }
+
+    const countries = isPlainObject(expanded.country_overrides) ? expanded.country_overrides : {};
+    const usesFragments = steps => Array.isArray(steps) && steps.some(step => step && step.fragment !== undefined);
+
+    if (!usesFragments(expanded.navigations) && !Object.values(countries).some(override => usesFragments(override && override.navigations))) {
+      return reference === undefined && sessionData.params === undefined ? sessionData : expanded;
+    }
+
+    // Countries' own navigations share the session's fragment versions
+    const fragments = new Map((expanded.navigation_fragments || []).map(used => [used.name, used.version]));
+    const expandNavigations = steps => (usesFragments(steps) ? this.expandSteps(steps, parameters, client, fragments, []) : steps);
+
+    const navigations = await expandNavigations(expanded.navigations);
+    const countryOverrides = {};
+    for (const [country, override] of Object.entries(countries)) {
+      countryOverrides[country] = isPlainObject(override) && override.navigations !== undefined
+        ? { ...override, navigations: await expandNavigations(override.navigations) }
+        : override;
+    }
+
+    return {
+      ...expanded,
+      navigations,
+      ...(expanded.country_overrides === undefined ? {} : { country_overrides: countryOverrides }),
+      navigation_fragments: [...fragments].map(([name, version]) => ({ name, version }))
+    };
+  }
+
+  /**
+   * Replace fragment steps with the fragments' steps, recording each fragment version used
+   */
+  async expandSteps(steps, params, client, fragments, stack) {
+    const expanded = [];
+
+    for (const step of steps) {
+      if (!step || step.fragment === undefined) {
+        expanded.push(step);
+        continue;
+      }
+
+      const { name, version } = this.parseReference({ name: step.fragment, version: step.version }, 'fragment');
+      if (stack.includes(name)) {
+        throw templateError('INVALID_TEMPLATE', `Navigation fragment ${name} includes itself: ${[...stack, name].join(' > ')}`);
+      }
+      if (stack.length >= MAX_FRAGMENT_DEPTH) {
+        throw templateError('INVALID_TEMPLATE', `Navigation fragments nest deeper than ${MAX_FRAGMENT_DEPTH}: ${[...stack, name].join(' > ')}`);
+      }
+
+      // One session runs one version of each fragment
+      const fragment = await this.getFragment(name, version || fragments.get(name) || null, client);
+      if (!fragment) {
+        throw templateError(
+          'TEMPLATE_NOT_FOUND',
+          version ? `Navigation fragment not found: ${name} version ${version}` : `Navigation fragment not found: ${name}`
+        );
+      }
+      if (fragments.has(name) && fragments.get(name) !== fragment.version) {
+        throw templateError('INVALID_TEMPLATE', `Navigation fragment ${name} is used in versions ${fragments.get(name)} and ${fragment.version}`);
+      }
+      fragments.set(name, fragment.version);
+
+      const stepParams = { ...fragment.parameters, ...params, ...(step.params || {}) };
+      const fragmentSteps = substitute(fragment.steps, stepParams);
+      expanded.push(...await this.expandSteps(fragmentSteps, stepParams, client, fragments, [...stack, name]));
+    }
+
+    return expanded;
+  }
+
+  parseReference(reference, kind) {
+    const { name, version = null } = typeof reference === 'string' ? { name: reference } : reference || {};
+
+    if (typeof name !== 'string' || name.length === 0) {
+      throw templateError('INVALID_TEMPLATE', `${kind} must be a name or { name, version }`);
+    }
+    if (version !== null && version !== undefined && (!Number.isInteger(version) || version < 1)) {
+      throw templateError('INVALID_TEMPLATE', `${kind} version must be a positive integer`);
+    }
+
+    return { name, version: version || null };
+  }
+}
+
+module.exports = { SessionTemplates, substitute };
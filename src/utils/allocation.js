@@ -0,0 +1,34 @@
+/**
+ * Split a whole number of items in proportion to weights, using the largest remainder method
+ * Each share gets the integer part of its quota, and the items left over go to the largest
+ * fractional parts (earlier entries win ties), so the counts always add up to the total.
+ * @param {number} total - Items to split
+ * @param {Array<number>} weights - Non-negative weights, at least one positive
+ * @returns {Array<number>} Count per weight, in the same order
+ */
+function allocateLargestRemainder(total, weights) {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  if (weightSum <= 0) {
+    throw new Error('At least one allocation weight must be positive');
+  }
+
+  const quotas = weights.map(weight => (total * weight) / weightSum);
+  const counts = quotas.map(Math.floor);
+  let remaining = total - counts.reduce((sum, count) => sum + count, 0);
+
+  const byRemainder = quotas
+    .map((quota, index) => ({ index, remainder: quota - counts[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+
+  for (const { index } of byRemainder) {
+    if (remaining <= 0) {
+      break;
+    }
+    counts[index]++;
+    remaining--;
+  }
+
+  return counts;
+}
+
+module.exports = { allocateLargestRemainder };
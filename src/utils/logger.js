@@ -0,0 +1,119 @@
+const os = require('os');
+const { AsyncLocalStorage } = require('async_hooks');
+const winston = require('winston');
+
+/**
+ * Shared Logger
+ * JSON logs on stdout with a component name and the session/correlation IDs
+ * of whatever task or session is being processed when the entry is written
+ */
+
+const contextStorage = new AsyncLocalStorage();
+const CONTEXT_KEYS = ['session_id', 'correlation_id', 'task_id'];
+
+/**
+ * Add the active log context to an entry; explicit fields win
+ */
+const withContext = winston.format((info) => {
+  const context = contextStorage.getStore();
+  if (context) {
+    for (const key of CONTEXT_KEYS) {
+      if (info[key] === undefined && context[key] !== undefined && context[key] !== null) {
+        info[key] = context[key];
+      }
+    }
+  }
+  return info;
+});
+
+/**
+ * Errors have no enumerable fields, so JSON output would render them as {}
+ */
+const serializeErrors = winston.format((info) => {
+  for (const [key, value] of Object.entries(info)) {
+    if (value instanceof Error) {
+      info[key] = {
+        name: value.name,
+        message: value.message,
+        code: value.code,
+        stack: value.stack
+      };
+    }
+  }
+  return info;
+});
+
+const prettyPrint = winston.format.printf(({ timestamp, level, message, component, ...meta }) => {
+  const fields = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+  return `${timestamp} ${level} [${component || 'app'}] ${message}${fields}`;
+});
+
+/**
+ * LOG_LEVEL wins; otherwise DEBUG_MODE=true means debug
+ */
+function resolveLevel(env = process.env) {
+  if (env.LOG_LEVEL) {
+    return env.LOG_LEVEL;
+  }
+  return env.DEBUG_MODE === 'true' ? 'debug' : 'info';
+}
+
+function buildLogger(level) {
+  const output = process.env.LOG_FORMAT === 'pretty'
+    ? winston.format.combine(winston.format.colorize(), prettyPrint)
+    : winston.format.json();
+
+  return winston.createLogger({
+    level,
+    defaultMeta: { hostname: os.hostname(), pid: process.pid },
+    format: winston.format.combine(
+      withContext(),
+      serializeErrors(),
+      winston.format.timestamp(),
+      output
+    ),
+    transports: [new winston.transports.Console()]
+  });
+}
+
+const logger = buildLogger(resolveLevel());
+let debugLogger = null;
+
+/**
+ * Create a logger for one component
+ * @param {string} component - Component name included in every entry
+ * @param {Object} options - Logger options
+ * @param {boolean} options.debugMode - Emit debug entries even when the shared level is higher
+ * @returns {Object} winston child logger
+ */
+function createLogger(component, options = {}) {
+  let parent = logger;
+
+  if (options.debugMode && !logger.isDebugEnabled()) {
+    debugLogger = debugLogger || buildLogger('debug');
+    parent = debugLogger;
+  }
+
+  return parent.child({ component });
+}
+
+/**
+ * Run a function with session/correlation IDs attached to every entry it logs,
+ * including entries written by other components further down the call chain
+ * @param {Object} context - Any of session_id, correlation_id, task_id
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+function runWithLogContext(context, fn) {
+  const parent = contextStorage.getStore() || {};
+  return contextStorage.run({ ...parent, ...context }, fn);
+}
+
+/**
+ * @returns {Object} Log context of the current call chain (empty outside of one)
+ */
+function getLogContext() {
+  return contextStorage.getStore() || {};
+}
+
+module.exports = { logger, createLogger, runWithLogContext, getLogContext, resolveLevel };
@@ -0,0 +1,206 @@
+/**
+ * Message Schemas
+ * JSON Schemas (draft-07) for session messages, navigation steps, and the task and result
+ * messages exchanged with the workers. Each message type is versioned: a message carries
+ * schema_version, and one missing it is read as version 1.
+ */
+
+const { FingerprintManager } = require('../fingerprinting/fingerprint-manager');
+
+const SESSION_SCHEMA_VERSION = 1;
+const TASK_MESSAGE_SCHEMA_VERSION = 1;
+const TASK_RESULT_SCHEMA_VERSION = 1;
+
+const RATIO = { type: 'string', maxLength: 10, pattern: '^\\d+(\\.\\d+)?:\\d+(\\.\\d+)?$' };
+const HTTP_URL = { type: 'string', pattern: '^https?://\\S+$' };
+const SELECTOR = { type: 'string', minLength: 1 };
+const TIMEOUT = { type: 'integer', minimum: 1 };
+// regexp: the pattern must compile with the step's flags (a keyword added by the validator)
+const REGEXP = { type: 'string', minLength: 1, regexp: true };
+const REGEXP_FLAGS = { type: 'string', pattern: '^(?!.*(.).*\\1)[dgimsuy]*$' };
+const WEIGHT = { type: 'number', minimum: 0 };
+
+// Fields each navigation action accepts; the engine and assertion runner read exactly these
+const NAVIGATION_STEPS = {
+  click_first: { required: ['css'], properties: { css: SELECTOR } },
+  random_click: { required: ['css'], properties: { css: SELECTOR } },
+  hover: { required: ['css'], properties: { css: SELECTOR } },
+  scroll_to: { required: ['css'], properties: { css: SELECTOR } },
+  type_text: { required: ['css', 'text'], properties: { css: SELECTOR, text: { type: 'string' } } },
+  select_option: { required: ['css', 'value'], properties: { css: SELECTOR, value: { type: 'string' } } },
+  screenshot: { required: [], properties: { css: SELECTOR, name: { type: 'string', minLength: 1 } } },
+  assert_exists: { required: ['css'], properties: { css: SELECTOR, timeout: TIMEOUT } },
+  assert_absent: { required: ['css'], properties: { css: SELECTOR, timeout: TIMEOUT } },
+  assert_text_contains: {
+    required: ['css', 'text'],
+    properties: { css: SELECTOR, text: { type: 'string' }, timeout: TIMEOUT }
+  },
+  assert_text_matches: {
+    required: ['css', 'pattern'],
+    properties: { css: SELECTOR, pattern: REGEXP, flags: REGEXP_FLAGS, timeout: TIMEOUT }
+  },
+  assert_url_matches: { required: ['pattern'], properties: { pattern: REGEXP, flags: REGEXP_FLAGS } },
+  assert_title_matches: { required: ['pattern'], properties: { pattern: REGEXP, flags: REGEXP_FLAGS } },
+  assert_attribute_equals: {
+    required: ['css', 'attribute'],
+    properties: {
+      css: SELECTOR,
+      attribute: { type: 'string', minLength: 1 },
+      value: { type: ['string', 'number', 'boolean', 'null'] },
+      timeout: TIMEOUT
+    }
+  },
+  assert_count: {
+    required: ['css'],
+    properties: {
+      css: SELECTOR,
+      min: { type: 'integer', minimum: 0 },
+      max: { type: 'integer', minimum: 0 },
+      timeout: TIMEOUT
+    }
+  }
+};
+
+const NAVIGATION_ACTIONS = Object.keys(NAVIGATION_STEPS);
+
+// The action picks which step schema applies, so errors name the fields that action needs
+const NAVIGATION_STEP_SCHEMA = {
+  type: 'object',
+  required: ['action'],
+  properties: { action: { enum: NAVIGATION_ACTIONS } },
+  allOf: NAVIGATION_ACTIONS.map(action => ({
+    if: { required: ['action'], properties: { action: { const: action } } },
+    then: {
+      required: NAVIGATION_STEPS[action].required,
+      properties: { action: { const: action }, ...NAVIGATION_STEPS[action].properties },
+      additionalProperties: false
+    }
+  }))
+};
+
+const NAVIGATIONS = { type: 'array', items: { $ref: '#/definitions/navigationStep' } };
+
+/**
+ * Session message schema, applied after template expansion
+ * Device profiles come from the fingerprint catalogue, so the schema is built on first use.
+ * @returns {Object} JSON Schema for schema_version 1
+ */
+function buildSessionSchema() {
+  const deviceDistribution = {
+    type: 'object',
+    minProperties: 1,
+    propertyNames: { enum: FingerprintManager.getAvailableProfiles().map(profile => profile.key) },
+    additionalProperties: WEIGHT
+  };
+
+  return {
+    $id: 'session.v1',
+    type: 'object',
+    required: ['tasks_24h', 'countries', 'main_page_url', 'navigations'],
+    properties: {
+      schema_version: { const: 1 },
+      tasks_24h: { type: 'integer', minimum: 1 },
+      countries: {
+        type: 'array',
+        minItems: 1,
+        uniqueItems: true,
+        items: { type: 'string', pattern: '^[A-Za-z]{2,5}$' }
+      },
+      main_page_url: HTTP_URL,
+      navigations: NAVIGATIONS,
+      mobile_desktop_distribution: RATIO,
+      mobile_os_distribution: RATIO,
+      desktop_os_distribution: RATIO,
+      device_distribution: { $ref: '#/definitions/deviceDistribution' },
+      // Curve names and weights are checked by resolveTrafficProfile
+      traffic_profile: { type: ['string', 'array', 'object'] },
+      country_overrides: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            weight: WEIGHT,
+            mobile_desktop_distribution: RATIO,
+            mobile_os_distribution: RATIO,
+            desktop_os_distribution: RATIO,
+            device_distribution: { $ref: '#/definitions/deviceDistribution' },
+            main_page_url: HTTP_URL,
+            navigations: NAVIGATIONS
+          },
+          additionalProperties: false
+        }
+      },
+      // Recorded by template expansion
+      template_name: { type: 'string' },
+      template_version: { type: 'integer', minimum: 1 },
+      navigation_fragments: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'version'],
+          properties: { name: { type: 'string' }, version: { type: 'integer', minimum: 1 } },
+          additionalProperties: false
+        }
+      }
+    },
+    additionalProperties: false,
+    definitions: {
+      navigationStep: NAVIGATION_STEP_SCHEMA,
+      deviceDistribution
+    }
+  };
+}
+
+const TASK_MESSAGE_SCHEMA = {
+  $id: 'task.v1',
+  type: 'object',
+  required: ['correlation_id', 'country', 'device', 'os', 'main_page_url', 'navigations'],
+  properties: {
+    schema_version: { const: 1 },
+    correlation_id: { type: 'string', minLength: 1 },
+    session_id: { type: 'string', minLength: 1 },
+    country: { type: 'string', minLength: 1 },
+    device: { enum: ['mobile', 'desktop'] },
+    os: { type: 'string', minLength: 1 },
+    main_page_url: HTTP_URL,
+    navigations: NAVIGATIONS,
+    fingerprint_profile: { type: ['string', 'null'] },
+    timestamp: { type: 'string' },
+    attempt: { type: 'integer', minimum: 0 }
+  },
+  definitions: {
+    navigationStep: NAVIGATION_STEP_SCHEMA
+  }
+};
+
+const TASK_RESULT_SCHEMA = {
+  $id: 'task-result.v1',
+  type: 'object',
+  required: ['correlation_id', 'status'],
+  properties: {
+    schema_version: { const: 1 },
+    correlation_id: { type: 'string', minLength: 1 },
+    session_id: { type: ['string', 'null'] },
+    status: { enum: ['successful', 'failed'] },
+    attempt: { type: 'integer', minimum: 0 },
+    response_time_ms: { type: 'number', minimum: 0 },
+    error_message: { type: ['string', 'null'] },
+    error_type: { type: ['string', 'null'] },
+    navigation_step: { type: ['integer', 'null'] },
+    navigation_results: { type: 'array', items: { type: 'object' } },
+    artifacts: { type: 'array', items: { type: 'object' } },
+    network_summary: { type: ['object', 'null'] },
+    performance: { type: ['object', 'null'] }
+  }
+};
+
+module.exports = {
+  SESSION_SCHEMA_VERSION,
+  TASK_MESSAGE_SCHEMA_VERSION,
+  TASK_RESULT_SCHEMA_VERSION,
+  NAVIGATION_ACTIONS,
+  NAVIGATION_STEP_SCHEMA,
+  TASK_MESSAGE_SCHEMA,
+  TASK_RESULT_SCHEMA,
+  buildSessionSchema
+};
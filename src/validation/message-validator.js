@@ -0,0 +1,171 @@
+const Ajv = require('ajv');
+const {
+  SESSION_SCHEMA_VERSION,
+  TASK_MESSAGE_SCHEMA_VERSION,
+  TASK_RESULT_SCHEMA_VERSION,
+  TASK_MESSAGE_SCHEMA,
+  TASK_RESULT_SCHEMA,
+  buildSessionSchema
+} = require('./message-schemas');
+
+/**
+ * Raised when a message does not match its schema
+ * `errors` lists every problem as { path, message }, with path a JSON Pointer into the message.
+ */
+class ValidationError extends Error {
+  constructor(message, code, errors = []) {
+    super(message);
+    this.name = 'ValidationError';
+    this.code = code;
+    this.errors = errors;
+  }
+}
+
+// Schemas by message type and schema_version; sessions are built lazily from the profile catalogue
+const MESSAGE_TYPES = {
+  session: {
+    label: 'session',
+    code: 'INVALID_SESSION',
+    latest: SESSION_SCHEMA_VERSION,
+    versions: { 1: buildSessionSchema }
+  },
+  task: {
+    label: 'task message',
+    code: 'INVALID_TASK_MESSAGE',
+    latest: TASK_MESSAGE_SCHEMA_VERSION,
+    versions: { 1: () => TASK_MESSAGE_SCHEMA }
+  },
+  result: {
+    label: 'task result',
+    code: 'INVALID_TASK_RESULT',
+    latest: TASK_RESULT_SCHEMA_VERSION,
+    versions: { 1: () => TASK_RESULT_SCHEMA }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true, jsonPointers: true });
+const compiled = new Map();
+
+/**
+ * "regexp" keyword: a navigation step's pattern compiles as a RegExp with its flags
+ * Invalid flags are reported by the flags schema, so the pattern is then checked without them.
+ */
+function validateRegExp(schema, pattern, parentSchema, dataPath, step) {
+  let flags = step && typeof step.flags === 'string' ? step.flags : '';
+  try {
+    new RegExp('', flags);
+  } catch (error) {
+    flags = '';
+  }
+
+  try {
+    new RegExp(pattern, flags);
+    return true;
+  } catch (error) {
+    validateRegExp.errors = [{
+      keyword: 'regexp',
+      message: `must be a valid regular expression (${error.message.replace(/^Invalid regular expression: /, '')})`,
+      params: { flags }
+    }];
+    return false;
+  }
+}
+
+ajv.addKeyword('regexp', { type: 'string', validate: validateRegExp, errors: true });
+
+function getValidator(type, version) {
+  const key = `${type}.v${version}`;
+  if (!compiled.has(key)) {
+    compiled.set(key, ajv.compile(MESSAGE_TYPES[type].versions[version]()));
+  }
+  return compiled.get(key);
+}
+
+/**
+ * Turn an ajv error into { path, message }, pointing at the offending property itself
+ */
+function describeError(error) {
+  // Errors about a property name (propertyNames) point at that property
+  if (error.propertyName !== undefined) {
+    return {
+      path: `${error.dataPath}/${error.propertyName}`,
+      message: error.keyword === 'enum'
+        ? `is not one of: ${error.params.allowedValues.join(', ')}`
+        : `name ${error.message.replace(/^should/, 'must')}`
+    };
+  }
+
+  switch (error.keyword) {
+    case 'required':
+      return { path: `${error.dataPath}/${error.params.missingProperty}`, message: 'is required' };
+    case 'additionalProperties':
+      return { path: `${error.dataPath}/${error.params.additionalProperty}`, message: 'is not allowed' };
+    case 'enum':
+      return { path: error.dataPath, message: `must be one of: ${error.params.allowedValues.join(', ')}` };
+    case 'const':
+      return { path: error.dataPath, message: `must be ${JSON.stringify(error.params.allowedValue)}` };
+    default:
+      return { path: error.dataPath, message: error.message.replace(/^should/, 'must') };
+  }
+}
+
+/**
+ * @param {string} type - Message type: session, task or result
+ * @param {Object} message - Message to check
+ * @returns {Array<Object>} Problems as { path, message }; empty when the message is valid
+ */
+function validateMessage(type, message) {
+  const { versions, latest } = MESSAGE_TYPES[type];
+
+  if (typeof message !== 'object' || message === null || Array.isArray(message)) {
+    return [{ path: '', message: 'must be an object' }];
+  }
+
+  const version = message.schema_version === undefined ? latest : message.schema_version;
+  if (!Object.prototype.hasOwnProperty.call(versions, version)) {
+    return [{ path: '/schema_version', message: `must be one of: ${Object.keys(versions).join(', ')}` }];
+  }
+
+  const validate = getValidator(type, version);
+  if (validate(message)) {
+    return [];
+  }
+
+  // if/then and propertyNames failures are also reported by their inner errors; the summaries add nothing
+  const errors = validate.errors
+    .filter(error => error.keyword !== 'if' && error.keyword !== 'propertyNames')
+    .map(describeError);
+  return errors.filter((error, index) =>
+    errors.findIndex(other => other.path === error.path && other.message === error.message) === index
+  );
+}
+
+/**
+ * @param {string} type - Message type
+ * @param {Array<Object>} errors - Problems as { path, message }
+ * @returns {ValidationError} Error listing every problem
+ */
+function createValidationError(type, errors) {
+  const { label, code } = MESSAGE_TYPES[type];
+  const details = errors.map(error => `${error.path || '/'} ${error.message}`).join('; ');
+  return new ValidationError(`Invalid ${label}: ${details}`, code, errors);
+}
+
+/**
+ * @param {string} type - Message type
+ * @param {Object} message - Message to check
+ * @throws {ValidationError} When the message does not match its schema
+ */
+function assertValidMessage(type, message) {
+  const errors = validateMessage(type, message);
+  if (errors.length > 0) {
+    throw createValidationError(type, errors);
+  }
+}
+
+module.exports = {
+  ValidationError,
+  validateMessage,
+  assertValidMessage,
+  createValidationError
+};
@@ -0,0 +1,249 @@
+const { createLogger } = require('../utils/logger');
+
+/**
+ * Browser Pool
+ * Keeps one browser per proxy endpoint and hands out an incognito context per task,
+ * so proxied tasks pay for a context instead of a whole Chromium launch
+ */
+class BrowserPool {
+  /**
+   * @param {Function} launcher - async (proxyConfig|null) => Puppeteer browser
+   * @param {Object} config - Pool configuration
+   * @param {number} config.maxTasksPerBrowser - Tasks served before a browser is recycled
+   * @param {number} config.maxBrowsers - Browsers kept open at once; idle ones are evicted beyond this
+   */
+  constructor(launcher, config = {}) {
+    this.launcher = launcher;
+    this.config = {
+      maxTasksPerBrowser: config.maxTasksPerBrowser || 50,
+      maxBrowsers: config.maxBrowsers || 5
+    };
+
+    this.entries = new Map(); // endpoint key -> pooled browser
+    this.launching = new Map(); // endpoint key -> pending launch
+    this.retired = new Set(); // recycled browsers still serving tasks
+    this.stats = { hits: 0, misses: 0, launches: 0, recycled: 0, crashes: 0 };
+    this.logger = createLogger('browser-pool');
+  }
+
+  /**
+   * Pool key for a proxy; credentials are per page, so only the endpoint matters
+   * @param {Object|null} proxyConfig - Proxy from ProxyManager, or null for direct
+   * @returns {string} Endpoint key
+   */
+  keyFor(proxyConfig) {
+    if (!proxyConfig) {
+      return 'direct';
+    }
+    return `${proxyConfig.protocol || 'http'}://${proxyConfig.host}:${proxyConfig.port}`;
+  }
+
+  /**
+   * Get an isolated incognito context on a browser for the proxy endpoint
+   * @param {Object|null} proxyConfig - Proxy from ProxyManager, or null for direct
+   * @returns {Promise<Object>} Lease { key, hit, browser, context, entry }; pass it to release()
+   */
+  async acquire(proxyConfig = null) {
+    const key = this.keyFor(proxyConfig);
+    let entry = this.entries.get(key);
+    const hit = Boolean(entry && this.isUsable(entry));
+
+    if (hit) {
+      this.stats.hits++;
+    } else {
+      this.stats.misses++;
+      if (entry) {
+        // Only a disconnected browser is still pooled but unusable
+        this.retire(entry, 'crashed');
+        await this.closeIfDone(entry);
+      }
+      entry = await this.launch(key, proxyConfig);
+    }
+
+    entry.tasks++;
+    entry.active++;
+    entry.lastUsed = Date.now();
+
+    // Recycled after this task; later tasks get a fresh browser
+    if (entry.tasks >= this.config.maxTasksPerBrowser) {
+      this.retire(entry);
+    }
+
+    try {
+      const context = await entry.browser.createIncognitoBrowserContext();
+      return { key, hit, browser: entry.browser, context, entry };
+    } catch (error) {
+      entry.active--;
+      this.retire(entry);
+      await this.closeIfDone(entry);
+      throw error;
+    }
+  }
+
+  /**
+   * Close a lease's context and recycle its browser if it is done serving tasks
+   * @param {Object} lease - Lease returned by acquire()
+   */
+  async release(lease) {
+    const { entry, context } = lease;
+
+    try {
+      await context.close();
+    } catch (error) {
+      // The browser may have crashed with the context in it
+      this.logger.debug('Context already closed', { key: lease.key, error });
+    }
+
+    entry.active--;
+    await this.closeIfDone(entry);
+  }
+
+  /**
+   * Launch a browser for an endpoint; concurrent misses for one key share the launch
+   */
+  async launch(key, proxyConfig) {
+    if (!this.launching.has(key)) {
+      const pending = (async () => {
+        await this.evictIdle();
+
+        const browser = await this.launcher(proxyConfig);
+        const entry = { key, browser, tasks: 0, active: 0, retired: false, lastUsed: Date.now() };
+
+        if (typeof browser.on === 'function') {
+          browser.on('disconnected', () => this.handleDisconnect(entry));
+        }
+
+        this.stats.launches++;
+        this.entries.set(key, entry);
+        this.logger.info('Browser added to pool', { key, browsers: this.size });
+        return entry;
+      })();
+
+      this.launching.set(key, pending);
+      pending.then(
+        () => this.launching.delete(key),
+        () => this.launching.delete(key)
+      );
+    }
+
+    return this.launching.get(key);
+  }
+
+  isUsable(entry) {
+    if (entry.retired) {
+      return false;
+    }
+    return typeof entry.browser.isConnected !== 'function' || entry.browser.isConnected();
+  }
+
+  /**
+   * Stop handing out a browser; it closes once its last context is released
+   * @param {Object} entry - Pooled browser
+   * @param {string} reason - 'recycled' (task limit, eviction, failed context) or 'crashed'
+   */
+  retire(entry, reason = 'recycled') {
+    if (entry.retired) {
+      return;
+    }
+
+    entry.retired = true;
+    entry.retiredFor = reason;
+    if (reason === 'crashed') {
+      this.stats.crashes++;
+    } else {
+      this.stats.recycled++;
+    }
+    if (this.entries.get(entry.key) === entry) {
+      this.entries.delete(entry.key);
+    }
+    this.retired.add(entry);
+  }
+
+  async closeIfDone(entry) {
+    if (!entry.retired || entry.active > 0) {
+      return;
+    }
+
+    this.retired.delete(entry);
+    try {
+      await entry.browser.close();
+    } catch (error) {
+      this.logger.debug('Browser already closed', { key: entry.key, error });
+    }
+    this.logger.info(entry.retiredFor === 'crashed' ? 'Crashed browser removed' : 'Browser recycled', {
+      key: entry.key,
+      tasks: entry.tasks
+    });
+  }
+
+  async handleDisconnect(entry) {
+    if (entry.closed) {
+      return;
+    }
+
+    entry.closed = true;
+    if (!entry.retired) {
+      this.logger.warn('Pooled browser disconnected', { key: entry.key, active: entry.active });
+      this.retire(entry, 'crashed');
+      // Tasks still on the browser release it as they fail; an idle one is done now
+      await this.closeIfDone(entry);
+    }
+  }
+
+  /**
+   * Make room for a new browser by closing the least recently used idle one
+   */
+  async evictIdle() {
+    if (this.entries.size < this.config.maxBrowsers) {
+      return;
+    }
+
+    const idle = Array.from(this.entries.values())
+      .filter(entry => entry.active === 0)
+      .sort((a, b) => a.lastUsed - b.lastUsed)[0];
+
+    if (idle) {
+      this.retire(idle);
+      await this.closeIfDone(idle);
+    }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * @returns {Object} Pool size, hit rate and lifecycle counters
+   */
+  getStats() {
+    const requests = this.stats.hits + this.stats.misses;
+
+    return {
+      browsers: this.entries.size,
+      retiring: this.retired.size,
+      ...this.stats,
+      hit_rate: requests > 0 ? Math.round((this.stats.hits / requests) * 10000) / 100 : null
+    };
+  }
+
+  /**
+   * Close every browser, including retired ones still serving tasks
+   */
+  async closeAll() {
+    const entries = [...this.entries.values(), ...this.retired];
+    this.entries.clear();
+    this.retired.clear();
+
+    await Promise.all(entries.map(async (entry) => {
+      entry.retired = true;
+      entry.closed = true;
+      try {
+        await entry.browser.close();
+      } catch (error) {
+        this.logger.debug('Browser already closed', { key: entry.key, error });
+      }
+    }));
+  }
+}
+
+module.exports = { BrowserPool };
@@ -1,5 +1,6 @@
 const { WorkerService } = require('./worker-service');
 const { rabbitmq } = require('../../messaging/rabbitmq-setup');
+const { MetricsServer } = require('../metrics/metrics-server');
 require('dotenv').config();
 
 /**
@@ -19,14 +20,25 @@ async function startWorkerService() {
     const workerService = new WorkerService(rabbitmq);
     await workerService.start();
     
+    // Expose Prometheus metrics
+    const metricsServer = new MetricsServer(workerService.metrics, {
+      port: parseInt(process.env.WORKER_METRICS_PORT) || 9464,
+      host: process.env.WORKER_METRICS_HOST || '0.0.0.0'
+    });
+    if (process.env.ENABLE_METRICS !== 'false') {
+      await metricsServer.start();
+    }
+    
     console.log('✅ Worker Service started successfully');
     console.log(`🔧 Listening for tasks on queue: ${process.env.TASKS_QUEUE || 'tasks'}`);
+    console.log(`⚙️ Concurrency: ${workerService.config.concurrency} task(s)`);
     console.log(`🌐 VNC enabled: ${process.env.ENABLE_VNC || 'false'}`);
     console.log(`🐛 Debug mode: ${process.env.DEBUG_MODE || 'false'}`);
     
     // Graceful shutdown handling
     process.on('SIGINT', async () => {
       console.log('\n🛑 Received SIGINT, shutting down gracefully...');
+      await metricsServer.stop();
       await workerService.stop();
       await rabbitmq.close();
       process.exit(0);
@@ -34,6 +46,7 @@ async function startWorkerService() {
     
     process.on('SIGTERM', async () => {
       console.log('\n🛑 Received SIGTERM, shutting down gracefully...');
+      await metricsServer.stop();
       await workerService.stop();
       await rabbitmq.close();
       process.exit(0);
@@ -0,0 +1,63 @@
+const os = require('os');
+
+/**
+ * Resource Monitor
+ * Tells the worker when memory or CPU is too busy to start another browser task
+ */
+class ResourceMonitor {
+  /**
+   * @param {Object} config - Thresholds
+   * @param {number} config.maxMemoryPercent - System memory in use above which new tasks wait
+   * @param {number} config.maxCpuLoad - 1-minute load average per core above which new tasks wait
+   * @param {number} config.maxRssMb - Optional limit on this process's resident memory
+   */
+  constructor(config = {}) {
+    this.config = {
+      maxMemoryPercent: config.maxMemoryPercent || 85,
+      maxCpuLoad: config.maxCpuLoad || 0.9,
+      maxRssMb: config.maxRssMb || null
+    };
+  }
+
+  /**
+   * Take a resource sample
+   * @returns {Object} { memory_percent, cpu_load, rss_mb }
+   */
+  sample() {
+    const totalMemory = os.totalmem();
+    const cpuCount = os.cpus().length || 1;
+
+    return {
+      memory_percent: Math.round((1 - os.freemem() / totalMemory) * 10000) / 100,
+      cpu_load: Math.round((os.loadavg()[0] / cpuCount) * 100) / 100,
+      rss_mb: Math.round(process.memoryUsage().rss / 1048576)
+    };
+  }
+
+  /**
+   * Check a sample against the configured thresholds
+   * @param {Object} sample - Sample from sample() (taken now if omitted)
+   * @returns {Array} Exceeded thresholds, empty when there is capacity
+   */
+  check(sample = this.sample()) {
+    const exceeded = [];
+
+    if (sample.memory_percent > this.config.maxMemoryPercent) {
+      exceeded.push('memory');
+    }
+    if (sample.cpu_load > this.config.maxCpuLoad) {
+      exceeded.push('cpu');
+    }
+    if (this.config.maxRssMb && sample.rss_mb > this.config.maxRssMb) {
+      exceeded.push('rss');
+    }
+
+    return exceeded;
+  }
+
+  isOverloaded(sample) {
+    return this.check(sample).length > 0;
+  }
+}
+
+module.exports = { ResourceMonitor };
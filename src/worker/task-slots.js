@@ -0,0 +1,56 @@
+/**
+ * Task Slots
+ * Numbered execution slots limiting how many tasks a worker runs at once
+ */
+class TaskSlots {
+  /**
+   * @param {number} size - Number of tasks that may run concurrently
+   */
+  constructor(size = 1) {
+    this.size = Math.max(1, size);
+    this.busy = new Set();
+    this.waiting = [];
+  }
+
+  /**
+   * Take the lowest free slot, waiting for one to be released if all are busy
+   * @returns {Promise<number>} Slot number (0-based)
+   */
+  acquire() {
+    for (let slot = 0; slot < this.size; slot++) {
+      if (!this.busy.has(slot)) {
+        this.busy.add(slot);
+        return Promise.resolve(slot);
+      }
+    }
+
+    return new Promise((resolve) => this.waiting.push(resolve));
+  }
+
+  /**
+   * Free a slot; a waiting task takes it over directly
+   * @param {number} slot - Slot returned by acquire
+   */
+  release(slot) {
+    if (!this.busy.has(slot)) {
+      return;
+    }
+
+    const next = this.waiting.shift();
+    if (next) {
+      next(slot);
+    } else {
+      this.busy.delete(slot);
+    }
+  }
+
+  get inUse() {
+    return this.busy.size;
+  }
+
+  get available() {
+    return this.size - this.busy.size;
+  }
+}
+
+module.exports = { TaskSlots };
@@ -3,7 +3,18 @@ const { EventEmitter } = require("events");
 const { ProxyManager } = require("../proxy/proxy-manager");
 const { FingerprintManager } = require("../fingerprinting/fingerprint-manager");
 const { NavigationEngine } = require("../navigation/navigation-engine");
+const { assertValidMessage } = require("../validation/message-validator");
+const { TASK_RESULT_SCHEMA_VERSION } = require("../validation/message-schemas");
 const { VNCServer } = require("../vnc/vnc-server");
+const { createArtifactStore } = require("../artifacts/artifact-store");
+const { ArtifactCapture } = require("../artifacts/artifact-capture");
+const { NetworkRecorder } = require("../network/network-recorder");
+const { PerformanceCollector } = require("../performance/performance-collector");
+const { WorkerMetrics } = require("../metrics/worker-metrics");
+const { TaskSlots } = require("./task-slots");
+const { BrowserPool } = require("./browser-pool");
+const { ResourceMonitor } = require("./resource-monitor");
+const { createLogger } = require("../utils/logger");
 
 /**
  * Worker Service - Core Framework
@@ -11,12 +22,23 @@ const { VNCServer } = require("../vnc/vnc-server");
  */
 
 class WorkerService extends EventEmitter {
-  constructor(messageBroker) {
+  /**
+   * @param {Object} messageBroker - RabbitMQ setup instance
+   * @param {Object} options - Optional overrides
+   * @param {Object} options.artifactStore - Artifact store (defaults to local filesystem)
+   */
+  constructor(messageBroker, options = {}) {
     super();
     this.rabbitmq = messageBroker;
+    this.logger = createLogger("worker-service", {
+      debugMode: process.env.DEBUG_MODE === "true",
+    });
     this.isRunning = false;
     this.activeTasks = new Map();
     this.browser = null;
+    this.browserLaunch = null; // Pending shared browser launch, so concurrent tasks share it
+    this.metrics = new WorkerMetrics();
+    this.metrics.bindActiveTasks(this.activeTasks);
     this.proxyManager = new ProxyManager();
     this.fingerprintManager = new FingerprintManager();
     
@@ -36,10 +58,24 @@ class WorkerService extends EventEmitter {
       display: process.env.DISPLAY || ":99",
       enableVnc: process.env.ENABLE_VNC === "true",
     });
+    this.performanceCollector = new PerformanceCollector({
+      debugMode: process.env.DEBUG_MODE === "true",
+    });
+    this.artifactCapture = new ArtifactCapture(
+      options.artifactStore ||
+        createArtifactStore({
+          type: "local",
+          baseDir: process.env.ARTIFACT_DIR || "./artifacts",
+        }),
+      {
+        captureHtml: process.env.CAPTURE_HTML !== "false",
+      }
+    );
 
     // Configuration
     this.config = {
       tasksQueue: process.env.TASKS_QUEUE || "tasks",
+      resultsQueue: process.env.RESULTS_QUEUE || "task_responses",
       rpcTimeout: parseInt(process.env.RPC_TIMEOUT) || 180000, // 3 minutes for browser tasks
       maxRetries: parseInt(process.env.MAX_RETRIES) || 5,
       // Debug timing configuration
@@ -53,12 +89,33 @@ class WorkerService extends EventEmitter {
       useProxy: process.env.USE_PROXY === "true",
       useFingerprinting: process.env.USE_FINGERPRINTING !== "false",
       fingerprintProfile: process.env.FINGERPRINT_PROFILE || "random",
+      captureArtifactsOnFailure: process.env.CAPTURE_ARTIFACTS_ON_FAILURE !== "false",
+      recordNetwork: process.env.RECORD_NETWORK === "true",
+      collectPerformance: process.env.COLLECT_PERFORMANCE !== "false",
       // Debug fast mode configuration
       debugFastMode: process.env.DEBUG_FAST_MODE === "true",
       debugPreClickDelay: parseInt(process.env.DEBUG_PRE_CLICK_DELAY) || 500,
       debugPostClickDelay: parseInt(process.env.DEBUG_POST_CLICK_DELAY) || 1000,
       debugBetweenNavigationDelay: parseInt(process.env.DEBUG_BETWEEN_NAVIGATION_DELAY) || 2000,
+      // Concurrency and backpressure
+      concurrency: parseInt(process.env.WORKER_CONCURRENCY) || 1,
+      backpressureCheckInterval: parseInt(process.env.WORKER_BACKPRESSURE_CHECK_MS) || 1000,
     };
+
+    this.slots = new TaskSlots(this.config.concurrency);
+    this.browserPool = new BrowserPool(
+      (proxyConfig) => this.launchBrowser(proxyConfig),
+      {
+        maxTasksPerBrowser: parseInt(process.env.BROWSER_MAX_TASKS) || 50,
+        maxBrowsers: parseInt(process.env.BROWSER_POOL_SIZE) || 5,
+      }
+    );
+    this.metrics.bindBrowserPool(this.browserPool);
+    this.resourceMonitor = new ResourceMonitor({
+      maxMemoryPercent: parseFloat(process.env.WORKER_MAX_MEMORY_PERCENT) || 85,
+      maxCpuLoad: parseFloat(process.env.WORKER_MAX_CPU_LOAD) || 0.9,
+      maxRssMb: parseInt(process.env.WORKER_MAX_RSS_MB) || null,
+    });
   }
 
   /**
@@ -66,19 +123,18 @@ class WorkerService extends EventEmitter {
    */
   async start() {
     try {
-      console.log("🔧 Starting Worker Service...");
+      this.logger.info("Starting Worker Service");
 
       // Initialize proxy manager if enabled
       if (this.config.useProxy) {
         try {
           await this.proxyManager.initialize();
-          console.log("✅ Proxy Manager initialized");
+          this.logger.info("Proxy Manager initialized");
         } catch (error) {
-          console.error(
-            "❌ Proxy Manager initialization failed:",
-            error.message
+          this.logger.error(
+            "Proxy Manager initialization failed, continuing without proxy support",
+            { error }
           );
-          console.log("🔄 Continuing without proxy support...");
         }
       }
 
@@ -86,10 +142,12 @@ class WorkerService extends EventEmitter {
       if (this.config.enableVnc) {
         try {
           await this.vncServer.start();
-          console.log("✅ VNC Server started");
+          this.logger.info("VNC Server started");
         } catch (error) {
-          console.error("❌ VNC Server startup failed:", error.message);
-          console.log("🔄 Continuing without VNC support...");
+          this.logger.error(
+            "VNC Server startup failed, continuing without VNC support",
+            { error }
+          );
         }
       }
 
@@ -99,11 +157,11 @@ class WorkerService extends EventEmitter {
       await this.setupTaskConsumer();
 
       this.isRunning = true;
-      console.log("✅ Worker Service started successfully");
+      this.logger.info("Worker Service started");
 
       this.emit("started");
     } catch (error) {
-      console.error("❌ Failed to start Worker Service:", error);
+      this.logger.error("Failed to start Worker Service", { error });
       throw error;
     }
   }
@@ -112,38 +170,45 @@ class WorkerService extends EventEmitter {
    * Stop the Worker Service
    */
   async stop() {
-    console.log("🛑 Stopping Worker Service...");
+    this.logger.info("Stopping Worker Service");
     this.isRunning = false;
 
     // Wait for active tasks to complete
     if (this.activeTasks.size > 0) {
-      console.log(
-        `⏳ Waiting for ${this.activeTasks.size} active tasks to complete...`
-      );
+      this.logger.info("Waiting for active tasks to complete", {
+        active_tasks: this.activeTasks.size,
+      });
       await this.waitForActiveTasks();
     }
 
-    // Close browser
+    // Close browsers
     if (this.browser) {
       await this.browser.close();
       this.browser = null;
     }
+    await this.browserPool.closeAll();
 
     this.emit("stopped");
-    console.log("✅ Worker Service stopped");
+    this.logger.info("Worker Service stopped");
   }
 
   /**
    * Ensure browser is initialized (lazy initialization)
    */
   async ensureBrowserInitialized() {
-    if (!this.browser) {
-      console.log(`🔄 Browser not initialized, starting lazy initialization...`);
-      await this.initializeBrowserWithRetry();
-      console.log(`✅ Browser initialized successfully for task processing`);
-    } else {
-      console.log(`✅ Browser already initialized and ready`);
+    // Proxied tasks get their browsers from the pool
+    if (this.browser || this.config.useProxy) {
+      return;
+    }
+
+    if (!this.browserLaunch) {
+      this.logger.info("Browser not initialized, starting lazy initialization");
+      this.browserLaunch = this.initializeBrowserWithRetry().finally(() => {
+        this.browserLaunch = null;
+      });
     }
+
+    await this.browserLaunch;
   }
 
   /**
@@ -155,22 +220,19 @@ class WorkerService extends EventEmitter {
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        console.log(
-          `🌐 Launching browser (attempt ${attempt}/${maxRetries})...`
-        );
+        this.logger.info("Launching browser", {
+          attempt,
+          max_retries: maxRetries,
+        });
         await this.initializeBrowser();
-        console.log("✅ Browser launched successfully");
         return;
       } catch (error) {
         lastError = error;
-        console.error(
-          `❌ Browser launch attempt ${attempt} failed:`,
-          error.message
-        );
+        this.logger.error("Browser launch attempt failed", { attempt, error });
 
         if (attempt < maxRetries) {
           const delay = attempt * 2000; // Exponential backoff: 2s, 4s, 6s
-          console.log(`⏳ Retrying in ${delay}ms...`);
+          this.logger.info("Retrying browser launch", { delay_ms: delay });
           await new Promise((resolve) => setTimeout(resolve, delay));
         }
       }
@@ -182,10 +244,43 @@ class WorkerService extends EventEmitter {
   }
 
   /**
-   * Initialize browser with appropriate configuration
-   * @param {string} country - Optional country for proxy selection
+   * Initialize the shared browser used by tasks without a proxy
+   */
+  async initializeBrowser() {
+    this.browser = await this.launchBrowser();
+    return { browser: this.browser, proxyConfig: null };
+  }
+
+  /**
+   * Get a proxy for a task's country
+   * @param {string} country - Country code
+   * @returns {Promise<Object|null>} Proxy config, or null to continue without proxy
+   */
+  async acquireProxy(country) {
+    try {
+      const proxyConfig = await this.proxyManager.getProxyForCountry(country);
+      this.metrics.recordProxyAcquisition(country);
+      this.logger.info("Using proxy", {
+        country,
+        proxy: `${proxyConfig.host}:${proxyConfig.port}`,
+      });
+      return proxyConfig;
+    } catch (error) {
+      this.metrics.recordProxyFailure(country);
+      this.logger.warn("Failed to get proxy, continuing without proxy", {
+        country,
+        error,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Launch a browser with appropriate configuration
+   * @param {Object|null} proxyConfig - Proxy to route the browser through
+   * @returns {Promise<Object>} Puppeteer browser
    */
-  async initializeBrowser(country = null) {
+  async launchBrowser(proxyConfig = null) {
     try {
       // Use minimal args that match your working code exactly
       const browserArgs = [
@@ -201,22 +296,8 @@ class WorkerService extends EventEmitter {
         browserArgs.push(`--display=${this.config.display}`);
       }
 
-      // Add proxy configuration if enabled and country specified
-      let proxyConfig = null;
-      if (this.config.useProxy && country) {
-        try {
-          proxyConfig = await this.proxyManager.getProxyForCountry(country);
-          const proxyArgs = this.proxyManager.getProxyArgs(proxyConfig);
-          browserArgs.push(...proxyArgs);
-          console.log(
-            `🌐 Using proxy for ${country}: ${proxyConfig.host}:${proxyConfig.port}`
-          );
-        } catch (error) {
-          console.warn(
-            `⚠️ Failed to get proxy for ${country}, continuing without proxy:`,
-            error.message
-          );
-        }
+      if (proxyConfig) {
+        browserArgs.push(...this.proxyManager.getProxyArgs(proxyConfig));
       }
 
       // Minimal config that matches your working code
@@ -227,8 +308,9 @@ class WorkerService extends EventEmitter {
         executablePath: '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
       };
 
-      console.log("🌐 Launching browser with minimal config...");
-      console.log("Browser args:", browserArgs);
+      this.logger.debug("Launching browser with minimal config", {
+        args: browserArgs,
+      });
       
       // Try to launch with a timeout wrapper
       const launchPromise = puppeteer.launch(browserConfig);
@@ -236,17 +318,21 @@ class WorkerService extends EventEmitter {
         setTimeout(() => reject(new Error('Browser launch timeout after 30 seconds')), 30000);
       });
       
-      this.browser = await Promise.race([launchPromise, timeoutPromise]);
+      let browser;
+      try {
+        browser = await Promise.race([launchPromise, timeoutPromise]);
+      } catch (error) {
+        this.metrics.recordBrowserLaunch("failure", proxyConfig);
+        throw error;
+      }
+      this.metrics.recordBrowserLaunch("success", proxyConfig);
 
-      console.log(`✅ Browser launched successfully`);
-      return { browser: this.browser, proxyConfig };
-    } catch (error) {
-      console.error("❌ Failed to launch browser:", error);
-      console.error("Error details:", {
-        message: error.message,
-        stack: error.stack,
-        name: error.name
+      this.logger.info("Browser launched", {
+        proxy: proxyConfig ? `${proxyConfig.host}:${proxyConfig.port}` : null,
       });
+      return browser;
+    } catch (error) {
+      this.logger.error("Failed to launch browser", { error });
       throw error;
     }
   }
@@ -256,7 +342,7 @@ class WorkerService extends EventEmitter {
    */
   async setupVNC() {
     try {
-      console.log("📺 Setting up VNC server...");
+      this.logger.info("Setting up VNC server");
 
       // Start Xvfb if not already running
       const { spawn } = require("child_process");
@@ -274,18 +360,15 @@ class WorkerService extends EventEmitter {
       ]);
 
       vncServer.on("error", (error) => {
-        console.warn("⚠️ VNC server failed to start:", error.message);
+        this.logger.warn("VNC server failed to start", { error });
       });
 
-      console.log(`✅ VNC server started on port ${this.config.vncPort}`);
-      console.log(
-        `🔗 Connect using VNC viewer to: localhost:${this.config.vncPort}`
-      );
+      this.logger.info("VNC server started", {
+        port: this.config.vncPort,
+        connect: `localhost:${this.config.vncPort}`,
+      });
     } catch (error) {
-      console.warn(
-        "⚠️ VNC setup failed (continuing without VNC):",
-        error.message
-      );
+      this.logger.warn("VNC setup failed, continuing without VNC", { error });
     }
   }
 
@@ -293,12 +376,20 @@ class WorkerService extends EventEmitter {
    * Setup RPC consumer for task processing
    */
   async setupTaskConsumer() {
+    // One unacknowledged message per slot, so RabbitMQ never hands us more than we can run.
+    // Results go to the durable results queue before the task is acked, so they
+    // reach whichever client is running even if the sender restarted meanwhile
     await this.rabbitmq.setupRPCConsumer(
       this.config.tasksQueue,
-      this.handleTaskMessage.bind(this)
+      this.handleTaskMessage.bind(this),
+      { prefetch: this.config.concurrency, resultQueue: this.config.resultsQueue }
     );
 
-    console.log(`📥 RPC task consumer setup for queue: ${this.config.tasksQueue}`);
+    this.logger.info("Task consumer ready", {
+      queue: this.config.tasksQueue,
+      results_queue: this.config.resultsQueue,
+      concurrency: this.config.concurrency,
+    });
   }
 
   /**
@@ -306,18 +397,31 @@ class WorkerService extends EventEmitter {
    */
   async handleTaskMessage(taskData) {
     const taskId = taskData.correlation_id;
-    const startTime = Date.now();
+    let startTime = Date.now();
+    let slot = null;
 
     try {
-      console.log(`🎯 Processing RPC task: ${taskId}`);
+      this.logger.info("Processing task", {
+        correlation_id: taskId,
+        session_id: taskData.session_id,
+        country: taskData.country,
+        device: taskData.device,
+        os: taskData.os,
+      });
 
       // Validate task data
       this.validateTaskData(taskData);
 
+      // Hold the task while the machine is overloaded, then take a free slot
+      await this.waitForCapacity(taskId);
+      slot = await this.slots.acquire();
+      startTime = Date.now();
+
       // Track active task
       this.activeTasks.set(taskId, {
         taskData,
         startTime,
+        slot,
         status: "processing",
       });
 
@@ -330,10 +434,16 @@ class WorkerService extends EventEmitter {
       // Calculate processing time
       const processingTime = Date.now() - startTime;
 
+      // A broken check fails the task even though nothing threw
+      const failedAssertion = this.findFailedAssertion(result.navigation_results);
+
       // Create response for RPC
       const response = {
-        status: "successful",
+        schema_version: TASK_RESULT_SCHEMA_VERSION,
+        status: failedAssertion ? "failed" : "successful",
         correlation_id: taskId,
+        session_id: taskData.session_id,
+        attempt: taskData.attempt ?? 0,
         country: taskData.country,
         device: taskData.device,
         os: taskData.os,
@@ -342,24 +452,43 @@ class WorkerService extends EventEmitter {
         ...result,
       };
 
-      console.log(`✅ RPC task completed: ${taskId} (${processingTime}ms)`);
+      if (failedAssertion) {
+        response.error_message = failedAssertion.error;
+        response.error_type = failedAssertion.error_type;
+        response.navigation_step = failedAssertion.step;
+        this.logger.warn("Task failed assertion", {
+          correlation_id: taskId,
+          navigation_step: failedAssertion.step,
+          error_message: failedAssertion.error,
+          response_time_ms: processingTime,
+        });
+      } else {
+        this.logger.info("Task completed", {
+          correlation_id: taskId,
+          response_time_ms: processingTime,
+        });
+      }
 
       // Remove from active tasks
       this.activeTasks.delete(taskId);
+      this.metrics.recordTask(response);
 
       // Return response for RPC pattern
       return response;
 
     } catch (error) {
-      console.error(`❌ RPC task failed: ${taskId}:`, error);
+      this.logger.error("Task failed", { correlation_id: taskId, error });
 
       // Remove from active tasks
       this.activeTasks.delete(taskId);
 
       // Return error response for RPC pattern
-      return {
+      const response = {
+        schema_version: TASK_RESULT_SCHEMA_VERSION,
         status: "failed",
         correlation_id: taskId,
+        session_id: taskData.session_id,
+        attempt: taskData.attempt ?? 0,
         country: taskData.country,
         device: taskData.device,
         os: taskData.os,
@@ -367,147 +496,316 @@ class WorkerService extends EventEmitter {
         error_message: error.message,
         error_type: error.name,
         response_time_ms: Date.now() - startTime,
+        artifacts: error.artifacts || [],
+        network_summary: error.network_summary || null,
       };
+      this.metrics.recordTask(response);
+
+      return response;
+    } finally {
+      if (slot !== null) {
+        this.slots.release(slot);
+      }
     }
   }
 
-
-
   /**
-   * Validate task data structure
+   * Backpressure: wait until memory and CPU are below their thresholds
+   * A task always starts when nothing else is running, so the worker cannot stall
+   * @param {string} taskId - Task waiting for capacity
    */
-  validateTaskData(taskData) {
-    const required = [
-      "correlation_id",
-      "country",
-      "device",
-      "os",
-      "main_page_url",
-      "navigations",
-    ];
-
-    for (const field of required) {
-      if (!taskData[field]) {
-        throw new Error(`Missing required field: ${field}`);
-      }
+  async waitForCapacity(taskId) {
+    const waitStart = Date.now();
+    let exceeded = this.resourceMonitor.check();
+
+    if (exceeded.length === 0 || this.activeTasks.size === 0) {
+      return;
     }
 
-    if (!Array.isArray(taskData.navigations)) {
-      throw new Error("Navigations must be an array");
+    this.logger.warn("Worker overloaded, delaying task", {
+      correlation_id: taskId,
+      exceeded,
+      active_tasks: this.activeTasks.size,
+    });
+
+    while (exceeded.length > 0 && this.activeTasks.size > 0) {
+      await new Promise((resolve) =>
+        setTimeout(resolve, this.config.backpressureCheckInterval)
+      );
+      exceeded = this.resourceMonitor.check();
     }
+
+    const waitedMs = Date.now() - waitStart;
+    this.metrics.recordBackpressureWait(waitedMs);
+    this.logger.info("Worker capacity available, starting task", {
+      correlation_id: taskId,
+      waited_ms: waitedMs,
+    });
+  }
+
+
+
+  /**
+   * Find the first navigation step that failed an assertion
+   * @param {Array} navigationResults - Results from the navigation engine
+   * @returns {Object|null} Failed assertion step result
+   */
+  findFailedAssertion(navigationResults = []) {
+    return (
+      navigationResults.find(
+        (result) =>
+          result.status === "failed" && result.error_type === "AssertionError"
+      ) || null
+    );
+  }
+
+  /**
+   * Validate a task message against the task message schema
+   * @throws {ValidationError} INVALID_TASK_MESSAGE listing every problem; never retried
+   */
+  validateTaskData(taskData) {
+    assertValidMessage("task", taskData);
   }
 
   /**
    * Execute browser automation task with proxy support
    */
   async executeTask(taskData) {
-    let taskBrowser = null;
-    let proxyConfig = null;
+    const proxyConfig = this.config.useProxy
+      ? await this.acquireProxy(taskData.country)
+      : null;
+
+    const { page, release } = await this.openTaskPage(proxyConfig);
+    const taskId = taskData.correlation_id || taskData.task_id;
+    const capture = this.createCaptureHook(taskId);
+
+    // Attach before fingerprinting and navigation so the first request is recorded
+    const recorder = this.config.recordNetwork ? new NetworkRecorder(page) : null;
+    if (recorder) {
+      await recorder.start();
+    }
 
     try {
-      // Create dedicated browser instance for this task with country-specific proxy
-      if (this.config.useProxy) {
-        console.log(
-          `🌐 Creating browser instance with proxy for ${taskData.country}`
+      // Apply fingerprinting if enabled
+      if (this.config.useFingerprinting) {
+        const fingerprintProfile = this.getFingerprintProfile(taskData);
+        await this.fingerprintManager.applyFingerprint(
+          page,
+          fingerprintProfile
         );
-        const browserSetup = await this.initializeBrowser(taskData.country);
-        taskBrowser = browserSetup.browser;
-        proxyConfig = browserSetup.proxyConfig;
       } else {
-        taskBrowser = this.browser;
+        // Configure page based on device/OS (legacy method)
+        await this.configurePage(page, taskData);
       }
 
-      const page = await taskBrowser.newPage();
+      // Set proxy authentication if available
+      if (proxyConfig && proxyConfig.username && proxyConfig.password) {
+        await page.authenticate({
+          username: proxyConfig.username,
+          password: proxyConfig.password,
+        });
+      }
 
-      try {
-        // Apply fingerprinting if enabled
-        if (this.config.useFingerprinting) {
-          const fingerprintProfile = this.getFingerprintProfile(taskData);
-          await this.fingerprintManager.applyFingerprint(
-            page,
-            fingerprintProfile
-          );
-        } else {
-          // Configure page based on device/OS (legacy method)
-          await this.configurePage(page, taskData);
-        }
+      if (this.config.collectPerformance) {
+        await this.performanceCollector.install(page);
+      }
+
+      // Navigate to main page
+      this.logger.info("Navigating to main page", {
+        url: taskData.main_page_url,
+      });
+      await page.goto(taskData.main_page_url, {
+        waitUntil: "networkidle2",
+        timeout: this.config.navigationTimeout,
+      });
 
-        // Set proxy authentication if available
-        if (proxyConfig && proxyConfig.username && proxyConfig.password) {
-          await page.authenticate({
-            username: proxyConfig.username,
-            password: proxyConfig.password,
+      const mainPagePerformance = this.config.collectPerformance
+        ? await this.performanceCollector.collect(page)
+        : null;
+
+      this.logger.debug("Page loaded", { url: taskData.main_page_url });
+
+      // Log IP address for proxy verification
+      if (proxyConfig && this.logger.isDebugEnabled()) {
+        try {
+          const ipResponse = await page.evaluate(() => {
+            return fetch("https://httpbin.org/ip").then((r) => r.json());
           });
+          this.logger.debug("Current IP", { ip: ipResponse.origin });
+        } catch (error) {
+          this.logger.debug("Could not verify IP", { error });
         }
+      }
+
+      // Execute navigation sequence (if any navigations are provided)
+      let navigationResults = [];
+      let navigationsCompleted = 0;
 
-        // Navigate to main page
-        console.log(`🌐 Navigating to: ${taskData.main_page_url}`);
-        await page.goto(taskData.main_page_url, {
-          waitUntil: "networkidle2",
-          timeout: this.config.navigationTimeout,
+      if (taskData.navigations && taskData.navigations.length > 0) {
+        this.logger.info("Executing navigations", {
+          navigations: taskData.navigations.length,
         });
+        navigationResults = await this.navigationEngine.executeNavigations(
+          page,
+          taskData.navigations,
+          {
+            capture,
+            collectPerformance: this.config.collectPerformance
+              ? this.createPerformanceHook(mainPagePerformance)
+              : null,
+          }
+        );
+        navigationsCompleted = navigationResults.length;
+      } else {
+        this.logger.info("Main page only visit - no additional navigations");
+        // Wait a bit on the main page to simulate user behavior
+        await page.waitForTimeout(2000 + Math.random() * 3000); // 2-5 seconds
+        navigationsCompleted = 0;
+        navigationResults = [
+          {
+            action: "main_page_visit",
+            status: "success",
+            timestamp: new Date().toISOString(),
+            message: "Successfully visited main page",
+          },
+        ];
+      }
+
+      const network = await this.finishNetworkRecording(recorder, taskId);
 
-        if (this.config.debugMode) {
-          console.log(`[DEBUG] Page loaded: ${taskData.main_page_url}`);
-
-          // Log IP address for proxy verification
-          if (proxyConfig) {
-            try {
-              const ipResponse = await page.evaluate(() => {
-                return fetch("https://httpbin.org/ip").then((r) => r.json());
-              });
-              console.log(`[DEBUG] Current IP: ${ipResponse.origin}`);
-            } catch (error) {
-              console.warn(`[DEBUG] Could not verify IP: ${error.message}`);
+      return {
+        navigations_completed: navigationsCompleted,
+        navigation_results: navigationResults,
+        main_page_only: taskData.navigations.length === 0,
+        proxy_used: proxyConfig
+          ? `${proxyConfig.host}:${proxyConfig.port}`
+          : null,
+        country: taskData.country,
+        artifacts: [
+          ...navigationResults.flatMap((result) => result.artifacts || []),
+          ...network.artifacts,
+        ],
+        network_summary: network.summary,
+        performance: this.config.collectPerformance
+          ? {
+              main_page: mainPagePerformance,
+              steps: navigationResults
+                .filter((result) => result.performance)
+                .map((result) => ({ step: result.step, ...result.performance })),
             }
-          }
-        }
+          : null,
+      };
+    } catch (error) {
+      // Record what the page looked like before it is closed
+      const artifact = await capture(page, { reason: "failure" });
+      const network = await this.finishNetworkRecording(recorder, taskId);
+      error.artifacts = [...(artifact ? [artifact] : []), ...network.artifacts];
+      error.network_summary = network.summary;
+      throw error;
+    } finally {
+      await page.close();
+      await release();
+    }
+  }
 
-        // Execute navigation sequence (if any navigations are provided)
-        let navigationResults = [];
-        let navigationsCompleted = 0;
+  /**
+   * Open the page a task runs in. Proxied tasks get an incognito context on the
+   * pooled browser for their proxy endpoint; concurrent direct tasks get one on the
+   * shared browser, so cookies and storage never leak between tasks.
+   * @param {Object|null} proxyConfig - Proxy for the task, if any
+   * @returns {Promise<Object>} { page, release } - call release() after closing the page
+   */
+  async openTaskPage(proxyConfig = null) {
+    if (this.config.useProxy) {
+      const lease = await this.browserPool.acquire(proxyConfig);
+      this.metrics.recordBrowserPoolAcquire(lease.hit);
 
-        if (taskData.navigations && taskData.navigations.length > 0) {
-          console.log(
-            `🧭 Executing ${taskData.navigations.length} navigation(s)`
-          );
-          navigationResults = await this.navigationEngine.executeNavigations(
-            page,
-            taskData.navigations
-          );
-          navigationsCompleted = navigationResults.length;
-        } else {
-          console.log(`📄 Main page only visit - no additional navigations`);
-          // Wait a bit on the main page to simulate user behavior
-          await page.waitForTimeout(2000 + Math.random() * 3000); // 2-5 seconds
-          navigationsCompleted = 0;
-          navigationResults = [
-            {
-              action: "main_page_visit",
-              status: "success",
-              timestamp: new Date().toISOString(),
-              message: "Successfully visited main page",
-            },
-          ];
-        }
+      try {
+        const page = await lease.context.newPage();
+        return { page, release: () => this.browserPool.release(lease) };
+      } catch (error) {
+        await this.browserPool.release(lease);
+        throw error;
+      }
+    }
+
+    if (this.config.concurrency > 1) {
+      const context = await this.browser.createIncognitoBrowserContext();
+      return { page: await context.newPage(), release: () => context.close() };
+    }
+
+    return { page: await this.browser.newPage(), release: async () => {} };
+  }
 
-        return {
-          navigations_completed: navigationsCompleted,
-          navigation_results: navigationResults,
-          main_page_only: taskData.navigations.length === 0,
-          proxy_used: proxyConfig
-            ? `${proxyConfig.host}:${proxyConfig.port}`
-            : null,
-          country: taskData.country,
-        };
-      } finally {
-        await page.close();
+  /**
+   * Build the artifact capture hook handed to the navigation engine
+   * Screenshot steps always capture; failures only when enabled
+   * @param {string} taskId - Task correlation ID used as the artifact key prefix
+   * @returns {Function} (page, context) => Promise<Object|null>
+   */
+  createCaptureHook(taskId) {
+    return async (page, context = {}) => {
+      if (context.reason === "failure" && !this.config.captureArtifactsOnFailure) {
+        return null;
       }
-    } finally {
-      // Close dedicated browser instance if created for this task
-      if (this.config.useProxy && taskBrowser && taskBrowser !== this.browser) {
-        await taskBrowser.close();
+
+      return this.artifactCapture.capture(page, { ...context, taskId });
+    };
+  }
+
+  /**
+   * Build the per-step metrics hook handed to the navigation engine
+   * Each sample is compared with the previous one to detect same-document steps
+   * @param {Object|null} mainPagePerformance - Sample taken after the main page load
+   * @returns {Function} (page) => Promise<Object|null>
+   */
+  createPerformanceHook(mainPagePerformance) {
+    let previous = mainPagePerformance;
+
+    return async (page) => {
+      const sample = await this.performanceCollector.collect(page, previous);
+      if (sample) {
+        previous = sample;
       }
+      return sample;
+    };
+  }
+
+  /**
+   * Stop a network recorder and store its HAR as a task artifact
+   * @param {NetworkRecorder|null} recorder - Recorder attached to the task page
+   * @param {string} taskId - Task correlation ID used as the artifact key prefix
+   * @returns {Promise<Object>} { summary, artifacts } - empty when recording is off
+   */
+  async finishNetworkRecording(recorder, taskId) {
+    if (!recorder) {
+      return { summary: null, artifacts: [] };
+    }
+
+    await recorder.stop();
+    const summary = recorder.getSummary();
+
+    try {
+      const har = await this.artifactCapture.store.put(
+        `${taskId}/network.har`,
+        JSON.stringify(recorder.toHar()),
+        { contentType: "application/json" }
+      );
+
+      return {
+        summary: { ...summary, har: har.location },
+        artifacts: [
+          {
+            reason: "network",
+            step: null,
+            har,
+            captured_at: new Date().toISOString(),
+          },
+        ],
+      };
+    } catch (error) {
+      this.logger.warn("Failed to store HAR", { correlation_id: taskId, error });
+      return { summary, artifacts: [] };
     }
   }
 
@@ -515,9 +813,14 @@ class WorkerService extends EventEmitter {
    * Configure page based on device and OS
    */
   async configurePage(page, taskData) {
-    // Set viewport based on device
+    const profile =
+      this.fingerprintManager.deviceProfiles[taskData.fingerprint_profile];
+
+    // Set viewport based on the task's fingerprint profile, or else its device
     let viewport;
-    if (taskData.device === "mobile") {
+    if (profile) {
+      viewport = profile.viewport;
+    } else if (taskData.device === "mobile") {
       viewport =
         taskData.os === "iOS"
           ? { width: 375, height: 812 } // iPhone X
@@ -528,21 +831,22 @@ class WorkerService extends EventEmitter {
 
     await page.setViewport(viewport);
 
-    // Set user agent based on device/OS
-    const userAgent = this.getUserAgent(taskData.device, taskData.os);
+    // Set user agent based on the profile or device/OS
+    const userAgent = profile
+      ? profile.userAgent
+      : this.getUserAgent(taskData.device, taskData.os);
     await page.setUserAgent(userAgent);
 
     // Configure timeouts
     page.setDefaultTimeout(this.config.elementWaitTimeout);
     page.setDefaultNavigationTimeout(this.config.navigationTimeout);
 
-    if (this.config.debugMode) {
-      console.log(
-        `[DEBUG] Page configured for ${taskData.device}/${taskData.os}`
-      );
-      console.log(`[DEBUG] Viewport: ${viewport.width}x${viewport.height}`);
-      console.log(`[DEBUG] User Agent: ${userAgent}`);
-    }
+    this.logger.debug("Page configured", {
+      device: taskData.device,
+      os: taskData.os,
+      viewport,
+      user_agent: userAgent,
+    });
   }
 
   /**
@@ -573,10 +877,9 @@ class WorkerService extends EventEmitter {
    */
   getFingerprintProfile(taskData) {
     // Check if task specifies a specific fingerprint profile
-    if (taskData.fingerprintProfile) {
-      return this.fingerprintManager.getDeviceProfile(
-        taskData.fingerprintProfile
-      );
+    const profileKey = taskData.fingerprint_profile || taskData.fingerprintProfile;
+    if (profileKey) {
+      return this.fingerprintManager.getDeviceProfile(profileKey);
     }
 
     // Check if task specifies device/OS preferences
@@ -632,15 +935,12 @@ class WorkerService extends EventEmitter {
       const navigation = navigations[i];
 
       try {
-        console.log(
-          `🧭 Navigation ${i + 1}/${navigations.length}: ${
-            navigation.action
-          } on "${navigation.css}"`
-        );
-
-        if (this.config.debugMode) {
-          console.log(`[DEBUG] Waiting for element: ${navigation.css}`);
-        }
+        this.logger.info("Navigation step", {
+          navigation_step: i + 1,
+          navigations: navigations.length,
+          action: navigation.action,
+          css: navigation.css,
+        });
 
         // Wait for element to be present
         await page.waitForSelector(navigation.css, {
@@ -660,9 +960,9 @@ class WorkerService extends EventEmitter {
 
         // Wait between navigations
         if (i < navigations.length - 1) {
-          console.log(
-            `⏳ Waiting ${this.config.betweenNavigationDelay}ms before next navigation...`
-          );
+          this.logger.debug("Waiting before next navigation", {
+            delay_ms: this.config.betweenNavigationDelay,
+          });
           await page.waitForTimeout(this.config.betweenNavigationDelay);
         }
 
@@ -674,11 +974,14 @@ class WorkerService extends EventEmitter {
           ...result,
         });
 
-        if (this.config.debugMode) {
-          console.log(`[DEBUG] Navigation ${i + 1} completed successfully`);
-        }
+        this.logger.debug("Navigation step completed", {
+          navigation_step: i + 1,
+        });
       } catch (error) {
-        console.error(`❌ Navigation ${i + 1} failed:`, error.message);
+        this.logger.error("Navigation step failed", {
+          navigation_step: i + 1,
+          error,
+        });
 
         results.push({
           step: i + 1,
@@ -714,9 +1017,7 @@ class WorkerService extends EventEmitter {
       element
     );
 
-    if (this.config.debugMode) {
-      console.log(`[DEBUG] Clicking element:`, elementInfo);
-    }
+    this.logger.debug("Clicking element", { element: elementInfo });
 
     await element.click();
 
@@ -752,14 +1053,11 @@ class WorkerService extends EventEmitter {
       selectedElement
     );
 
-    if (this.config.debugMode) {
-      console.log(
-        `[DEBUG] Random clicking element ${randomIndex + 1}/${
-          elements.length
-        }:`,
-        elementInfo
-      );
-    }
+    this.logger.debug("Random clicking element", {
+      index: randomIndex + 1,
+      total_elements: elements.length,
+      element: elementInfo,
+    });
 
     await selectedElement.click();
 
@@ -785,9 +1083,9 @@ class WorkerService extends EventEmitter {
     }
 
     if (this.activeTasks.size > 0) {
-      console.warn(
-        `⚠️ ${this.activeTasks.size} tasks still active after timeout`
-      );
+      this.logger.warn("Tasks still active after timeout", {
+        active_tasks: this.activeTasks.size,
+      });
     }
   }
 
@@ -809,7 +1107,11 @@ class WorkerService extends EventEmitter {
     return {
       status: this.isRunning ? "healthy" : "stopped",
       activeTasks: this.activeTasks.size,
+      concurrency: this.config.concurrency,
+      availableSlots: this.slots.available,
+      resources: this.resourceMonitor.sample(),
       browserConnected: this.browser ? this.browser.isConnected() : false,
+      browserPool: this.config.useProxy ? this.browserPool.getStats() : null,
       vncEnabled: this.config.enableVnc,
       debugMode: this.config.debugMode,
       useProxy: this.config.useProxy,
@@ -828,7 +1130,7 @@ class WorkerService extends EventEmitter {
    */
   async cleanup() {
     try {
-      console.log("🧹 Cleaning up Worker Service");
+      this.logger.info("Cleaning up Worker Service");
 
       this.isRunning = false;
 
@@ -845,15 +1147,16 @@ class WorkerService extends EventEmitter {
         await this.vncServer.stop();
       }
 
-      // Close browser
+      // Close browsers
       if (this.browser) {
         await this.browser.close();
         this.browser = null;
       }
+      await this.browserPool.closeAll();
 
-      console.log("✅ Worker Service cleanup completed");
+      this.logger.info("Worker Service cleanup completed");
     } catch (error) {
-      console.error("❌ Worker Service cleanup failed:", error.message);
+      this.logger.error("Worker Service cleanup failed", { error });
     }
   }
 }
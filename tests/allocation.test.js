@@ -0,0 +1,18 @@
+const { allocateLargestRemainder } = require('../src/utils/allocation');
+
+describe('Largest Remainder Allocation', () => {
+  test('should always allocate the whole total', () => {
+    expect(allocateLargestRemainder(100, [1, 1, 1])).toEqual([34, 33, 33]);
+    expect(allocateLargestRemainder(7, [65, 35])).toEqual([5, 2]);
+    expect(allocateLargestRemainder(0, [1, 2])).toEqual([0, 0]);
+  });
+
+  test('should give leftovers to the largest remainders', () => {
+    expect(allocateLargestRemainder(10, [1, 2, 4])).toEqual([1, 3, 6]);
+    expect(allocateLargestRemainder(5, [0, 1, 1])).toEqual([0, 3, 2]);
+  });
+
+  test('should reject weights that sum to zero', () => {
+    expect(() => allocateLargestRemainder(10, [0, 0])).toThrow('At least one allocation weight must be positive');
+  });
+});
@@ -0,0 +1,473 @@
+const request = require('supertest');
+const { ApiServer } = require('../src/api/api-server');
+const { createValidationError } = require('../src/validation/message-validator');
+
+describe('Control Plane API', () => {
+  let apiServer;
+  let mockClientService;
+
+  beforeEach(() => {
+    mockClientService = {
+      validateSessionData: jest.fn(),
+      createSession: jest.fn().mockResolvedValue({
+        session_id: 'session-123',
+        status: 'processing',
+        created_at: '2025-08-10T00:00:00.000Z'
+      }),
+      processSession: jest.fn().mockResolvedValue(),
+      getSession: jest.fn(),
+      getSessionTasks: jest.fn().mockResolvedValue([]),
+      pauseSession: jest.fn(),
+      resumeSession: jest.fn(),
+      cancelSession: jest.fn(),
+      healthCheck: jest.fn().mockResolvedValue({ status: 'healthy' }),
+      statistics: {
+        getTimeSeries: jest.fn().mockResolvedValue([]),
+        getSessionSummary: jest.fn()
+      },
+      deadLetters: {
+        stats: jest.fn().mockResolvedValue({ queue: 'dead_letter', messages: 1, consumers: 0 }),
+        list: jest.fn().mockResolvedValue([{ id: 'dl-1', original_queue: 'tasks' }]),
+        replay: jest.fn().mockResolvedValue({ replayed: 1, failed: 0, ids: ['dl-1'] }),
+        purge: jest.fn().mockResolvedValue({ purged: 1 }),
+        hasFilter: jest.fn(filter => Boolean(filter.queue || filter.reason || filter.sessionId || filter.ids))
+      },
+      templates: {
+        expand: jest.fn(async (sessionData) => sessionData),
+        saveTemplate: jest.fn().mockResolvedValue({ name: 'checkout', version: 1 }),
+        saveFragment: jest.fn(),
+        listTemplates: jest.fn().mockResolvedValue([]),
+        listFragments: jest.fn().mockResolvedValue([]),
+        getTemplate: jest.fn(),
+        getFragment: jest.fn()
+      },
+      schedules: {
+        create: jest.fn().mockResolvedValue({ schedule_id: 'schedule-1', status: 'active' }),
+        list: jest.fn().mockResolvedValue([]),
+        get: jest.fn(),
+        pause: jest.fn(),
+        resume: jest.fn(),
+        cancel: jest.fn()
+      }
+    };
+
+    apiServer = new ApiServer(mockClientService);
+  });
+
+  describe('GET /metrics', () => {
+    test('should serve client metrics', async () => {
+      mockClientService.metrics = {
+        contentType: 'text/plain; version=0.0.4; charset=utf-8',
+        render: jest.fn().mockResolvedValue('bas_active_sessions{service="client"} 0\n')
+      };
+      apiServer = new ApiServer(mockClientService);
+
+      const response = await request(apiServer.app).get('/metrics');
+
+      expect(response.status).toBe(200);
+      expect(response.text).toContain('bas_active_sessions');
+    });
+  });
+
+  describe('POST /sessions', () => {
+    const validSession = {
+      tasks_24h: 100,
+      countries: ['ca', 'de'],
+      main_page_url: 'https://example.com',
+      navigations: []
+    };
+
+    test('should create a session and return its id', async () => {
+      const response = await request(apiServer.app)
+        .post('/sessions')
+        .send(validSession);
+
+      expect(response.status).toBe(201);
+      expect(response.body.session_id).toBe('session-123');
+      expect(mockClientService.createSession).toHaveBeenCalledWith(validSession);
+      expect(mockClientService.processSession).toHaveBeenCalled();
+    });
+
+    test('should reject invalid session data with 400', async () => {
+      mockClientService.validateSessionData.mockImplementation(() => {
+        throw new Error('Missing required field: main_page_url');
+      });
+
+      const response = await request(apiServer.app)
+        .post('/sessions')
+        .send({ tasks_24h: 100 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing required field: main_page_url');
+      expect(mockClientService.createSession).not.toHaveBeenCalled();
+    });
+
+    test('should list schema errors with their paths in the session', async () => {
+      mockClientService.validateSessionData.mockImplementation(() => {
+        throw createValidationError('session', [
+          { path: '/tasks_24h', message: 'must be integer' },
+          { path: '/navigations/0/text', message: 'is required' }
+        ]);
+      });
+
+      const response = await request(apiServer.app)
+        .post('/sessions')
+        .send(validSession);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        error: 'Invalid session: /tasks_24h must be integer; /navigations/0/text is required',
+        errors: [
+          { path: '/tasks_24h', message: 'must be integer' },
+          { path: '/navigations/0/text', message: 'is required' }
+        ]
+      });
+    });
+
+    test('should validate the session after expanding its template', async () => {
+      const expanded = { ...validSession, template_name: 'checkout', template_version: 2 };
+      mockClientService.templates.expand.mockResolvedValueOnce(expanded);
+
+      const response = await request(apiServer.app)
+        .post('/sessions')
+        .send({ template: 'checkout', countries: ['ca', 'de'] });
+
+      expect(response.status).toBe(201);
+      expect(mockClientService.validateSessionData).toHaveBeenCalledWith(expanded);
+      expect(mockClientService.createSession).toHaveBeenCalledWith(expanded);
+    });
+
+    test('should reject unknown templates with 400', async () => {
+      const error = new Error('Session template not found: checkout');
+      error.code = 'TEMPLATE_NOT_FOUND';
+      mockClientService.templates.expand.mockRejectedValueOnce(error);
+
+      const response = await request(apiServer.app).post('/sessions').send({ template: 'checkout' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Session template not found: checkout');
+      expect(mockClientService.createSession).not.toHaveBeenCalled();
+    });
+
+    test('should reject malformed JSON with 400', async () => {
+      const response = await request(apiServer.app)
+        .post('/sessions')
+        .set('Content-Type', 'application/json')
+        .send('{"tasks_24h": ');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('Invalid JSON body');
+    });
+  });
+
+  describe('GET /sessions/:id', () => {
+    test('should return session details', async () => {
+      mockClientService.getSession.mockResolvedValue({
+        session_id: 'session-123',
+        status: 'active',
+        task_counts: { pending: 5, completed: 3 }
+      });
+
+      const response = await request(apiServer.app).get('/sessions/session-123');
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('active');
+      expect(response.body.task_counts.pending).toBe(5);
+    });
+
+    test('should return 404 for unknown session', async () => {
+      mockClientService.getSession.mockResolvedValue(null);
+
+      const response = await request(apiServer.app).get('/sessions/missing');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('GET /sessions/:id/tasks', () => {
+    test('should pass filters and pagination to the client service', async () => {
+      mockClientService.getSession.mockResolvedValue({ session_id: 'session-123' });
+      mockClientService.getSessionTasks.mockResolvedValue([{ correlation_id: 'task-1' }]);
+
+      const response = await request(apiServer.app)
+        .get('/sessions/session-123/tasks?status=failed&limit=5000&offset=10');
+
+      expect(response.status).toBe(200);
+      expect(response.body.tasks).toHaveLength(1);
+      expect(response.body.limit).toBe(1000);
+      expect(mockClientService.getSessionTasks).toHaveBeenCalledWith('session-123', {
+        status: 'failed',
+        limit: 1000,
+        offset: 10
+      });
+    });
+  });
+
+  describe('Statistics', () => {
+    test('should return a filtered time-series', async () => {
+      mockClientService.statistics.getTimeSeries.mockResolvedValue([
+        { bucket: '2024-03-01T00:00:00.000Z', country: 'de', total_tasks: 40, success_rate: '95.00' }
+      ]);
+
+      const response = await request(apiServer.app)
+        .get('/statistics?country=de&granularity=day&group_by=country,os&from=2024-03-01T00:00:00Z');
+
+      expect(response.status).toBe(200);
+      expect(response.body.series).toHaveLength(1);
+      expect(response.body.group_by).toEqual(['country', 'os']);
+      expect(mockClientService.statistics.getTimeSeries).toHaveBeenCalledWith({
+        sessionId: null,
+        country: 'de',
+        device: null,
+        os: null,
+        from: new Date('2024-03-01T00:00:00Z'),
+        to: null,
+        granularity: 'day',
+        groupBy: ['country', 'os']
+      });
+    });
+
+    test('should reject invalid dates with 400', async () => {
+      const response = await request(apiServer.app).get('/statistics?from=yesterday');
+
+      expect(response.status).toBe(400);
+      expect(mockClientService.statistics.getTimeSeries).not.toHaveBeenCalled();
+    });
+
+    test('should map invalid query errors to 400', async () => {
+      const error = new Error('granularity must be one of: hour, day');
+      error.code = 'INVALID_STATISTICS_QUERY';
+      mockClientService.statistics.getTimeSeries.mockRejectedValue(error);
+
+      const response = await request(apiServer.app).get('/statistics?granularity=minute');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('granularity must be one of: hour, day');
+    });
+
+    test('should return session statistics with its summary', async () => {
+      mockClientService.statistics.getSessionSummary.mockResolvedValue({ session_id: 'session-123', success_rate: '97.50' });
+
+      const response = await request(apiServer.app).get('/sessions/session-123/statistics?group_by=device');
+
+      expect(response.status).toBe(200);
+      expect(response.body.summary.success_rate).toBe('97.50');
+      expect(mockClientService.statistics.getTimeSeries)
+        .toHaveBeenCalledWith(expect.objectContaining({ sessionId: 'session-123', groupBy: ['device'] }));
+    });
+
+    test('should return 404 for statistics of an unknown session', async () => {
+      mockClientService.statistics.getSessionSummary.mockResolvedValue(null);
+
+      const response = await request(apiServer.app).get('/sessions/missing/statistics');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Session state changes', () => {
+    test('should pause a session', async () => {
+      mockClientService.pauseSession.mockResolvedValue({
+        session_id: 'session-123',
+        previous_status: 'active',
+        status: 'paused'
+      });
+
+      const response = await request(apiServer.app).post('/sessions/session-123/pause');
+
+      expect(response.status).toBe(200);
+      expect(response.body.status).toBe('paused');
+    });
+
+    test('should return 404 when session does not exist', async () => {
+      const error = new Error('Session not found: missing');
+      error.code = 'SESSION_NOT_FOUND';
+      mockClientService.resumeSession.mockRejectedValue(error);
+
+      const response = await request(apiServer.app).post('/sessions/missing/resume');
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should return 409 for invalid transitions', async () => {
+      const error = new Error("Cannot change session session-123 from 'completed' to 'cancelled'");
+      error.code = 'INVALID_SESSION_STATE';
+      mockClientService.cancelSession.mockRejectedValue(error);
+
+      const response = await request(apiServer.app).post('/sessions/session-123/cancel');
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('Dead letters', () => {
+    test('should list dead letters filtered by queue, reason and session', async () => {
+      const response = await request(apiServer.app)
+        .get('/dead-letters?queue=tasks&reason=timeout&session_id=session-123&limit=20');
+
+      expect(response.status).toBe(200);
+      expect(response.body.messages).toBe(1);
+      expect(response.body.dead_letters).toHaveLength(1);
+      expect(mockClientService.deadLetters.list).toHaveBeenCalledWith({
+        queue: 'tasks',
+        reason: 'timeout',
+        sessionId: 'session-123',
+        ids: null,
+        limit: 20
+      });
+    });
+
+    test('should replay selected dead letters', async () => {
+      const response = await request(apiServer.app)
+        .post('/dead-letters/replay')
+        .send({ ids: ['dl-1'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.replayed).toBe(1);
+      expect(mockClientService.deadLetters.replay).toHaveBeenCalledWith(
+        expect.objectContaining({ ids: ['dl-1'], queue: null })
+      );
+    });
+
+    test('should reject replay ids that are not an array', async () => {
+      const response = await request(apiServer.app)
+        .post('/dead-letters/replay')
+        .send({ ids: 'dl-1' });
+
+      expect(response.status).toBe(400);
+      expect(mockClientService.deadLetters.replay).not.toHaveBeenCalled();
+    });
+
+    test('should purge dead letters matching comma-separated ids', async () => {
+      const response = await request(apiServer.app).delete('/dead-letters?ids=dl-1,dl-2');
+
+      expect(response.status).toBe(200);
+      expect(mockClientService.deadLetters.purge).toHaveBeenCalledWith(
+        expect.objectContaining({ ids: ['dl-1', 'dl-2'] })
+      );
+    });
+
+    test('should refuse to purge the whole queue without confirmation', async () => {
+      const response = await request(apiServer.app).delete('/dead-letters');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('all=true');
+      expect(mockClientService.deadLetters.purge).not.toHaveBeenCalled();
+    });
+
+    test('should purge the whole queue when confirmed', async () => {
+      const byQuery = await request(apiServer.app).delete('/dead-letters?all=true');
+      const byBody = await request(apiServer.app).delete('/dead-letters').send({ confirm: true });
+
+      expect(byQuery.status).toBe(200);
+      expect(byBody.status).toBe(200);
+      expect(mockClientService.deadLetters.purge).toHaveBeenCalledTimes(2);
+      expect(mockClientService.deadLetters.purge).toHaveBeenCalledWith({ queue: null, reason: null, sessionId: null, ids: null });
+    });
+  });
+
+  describe('Templates and navigation fragments', () => {
+    test('should store a new template version', async () => {
+      const template = { name: 'checkout', definition: { main_page_url: 'https://{{host}}/' } };
+
+      const response = await request(apiServer.app).post('/templates').send(template);
+
+      expect(response.status).toBe(201);
+      expect(response.body.version).toBe(1);
+      expect(mockClientService.templates.saveTemplate).toHaveBeenCalledWith(template);
+    });
+
+    test('should reject invalid fragments with 400', async () => {
+      const error = new Error('steps must be an array of navigation steps');
+      error.code = 'INVALID_TEMPLATE';
+      mockClientService.templates.saveFragment.mockRejectedValueOnce(error);
+
+      const response = await request(apiServer.app).post('/navigation-fragments').send({ name: 'login' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should get a specific version or 404', async () => {
+      mockClientService.templates.getFragment.mockResolvedValueOnce({ name: 'login', version: 3 });
+
+      const found = await request(apiServer.app).get('/navigation-fragments/login?version=3');
+      const missing = await request(apiServer.app).get('/templates/missing');
+
+      expect(found.status).toBe(200);
+      expect(mockClientService.templates.getFragment).toHaveBeenCalledWith('login', 3);
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe('Schedules', () => {
+    const schedule = {
+      session: { tasks_24h: 100, countries: ['de'], main_page_url: 'https://example.com', navigations: [] },
+      recurrence: '0 2 * * *'
+    };
+
+    test('should create a schedule', async () => {
+      const response = await request(apiServer.app).post('/schedules').send(schedule);
+
+      expect(response.status).toBe(201);
+      expect(response.body.schedule_id).toBe('schedule-1');
+      expect(mockClientService.validateSessionData).toHaveBeenCalledWith(schedule.session);
+      expect(mockClientService.schedules.create).toHaveBeenCalledWith(schedule);
+    });
+
+    test('should reject schedules with an invalid session or recurrence', async () => {
+      mockClientService.validateSessionData.mockImplementationOnce(() => {
+        throw new Error('Missing required field: main_page_url');
+      });
+      const invalidSession = await request(apiServer.app).post('/schedules').send(schedule);
+
+      const error = new Error('Invalid schedule: unknown time_zone "Mars/Olympus"');
+      error.code = 'INVALID_SCHEDULE';
+      mockClientService.schedules.create.mockRejectedValueOnce(error);
+      const invalidSchedule = await request(apiServer.app).post('/schedules').send(schedule);
+
+      expect(invalidSession.status).toBe(400);
+      expect(invalidSession.body.error).toContain('main_page_url');
+      expect(invalidSchedule.status).toBe(400);
+      expect(invalidSchedule.body.error).toContain('Mars/Olympus');
+    });
+
+    test('should point schema errors at the session inside the schedule', async () => {
+      mockClientService.validateSessionData.mockImplementationOnce(() => {
+        throw createValidationError('session', [{ path: '/countries/0', message: 'must match pattern "^[A-Za-z]{2,5}$"' }]);
+      });
+
+      const response = await request(apiServer.app).post('/schedules').send(schedule);
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([
+        { path: '/session/countries/0', message: 'must match pattern "^[A-Za-z]{2,5}$"' }
+      ]);
+      expect(mockClientService.schedules.create).not.toHaveBeenCalled();
+    });
+
+    test('should return 404 for unknown schedules', async () => {
+      mockClientService.schedules.get.mockResolvedValue(null);
+
+      const response = await request(apiServer.app).get('/schedules/missing');
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should map schedule state errors to 404 and 409', async () => {
+      const notFound = new Error('Schedule not found: missing');
+      notFound.code = 'SCHEDULE_NOT_FOUND';
+      const invalidState = new Error("Cannot change schedule s from 'cancelled' to 'active'");
+      invalidState.code = 'INVALID_SCHEDULE_STATE';
+      mockClientService.schedules.cancel.mockRejectedValueOnce(notFound);
+      mockClientService.schedules.resume.mockRejectedValueOnce(invalidState);
+
+      expect((await request(apiServer.app).delete('/schedules/missing')).status).toBe(404);
+      expect((await request(apiServer.app).post('/schedules/s/resume')).status).toBe(409);
+    });
+  });
+
+  test('should return 404 for unknown routes', async () => {
+    const response = await request(apiServer.app).get('/unknown');
+    expect(response.status).toBe(404);
+  });
+});
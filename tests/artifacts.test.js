@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { LocalArtifactStore, S3ArtifactStore, createArtifactStore } = require('../src/artifacts/artifact-store');
+const { ArtifactCapture } = require('../src/artifacts/artifact-capture');
+
+describe('Artifacts', () => {
+  let baseDir;
+
+  beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'artifacts-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  describe('Local Artifact Store', () => {
+    test('should write artifacts under the base directory', async () => {
+      const store = new LocalArtifactStore({ baseDir });
+
+      const ref = await store.put('task-1/step-2-failure.html', '<html></html>', { contentType: 'text/html' });
+
+      expect(ref).toMatchObject({
+        store: 'local',
+        key: 'task-1/step-2-failure.html',
+        location: path.join(baseDir, 'task-1', 'step-2-failure.html'),
+        content_type: 'text/html',
+        size: 13
+      });
+      expect((await store.get('task-1/step-2-failure.html')).toString()).toBe('<html></html>');
+    });
+
+    test('should reject keys that escape the base directory', async () => {
+      const store = new LocalArtifactStore({ baseDir });
+
+      await expect(store.put('../outside.png', 'x')).rejects.toThrow('Invalid artifact key');
+    });
+  });
+
+  describe('S3 Artifact Store', () => {
+    test('should upload through the injected client', async () => {
+      const client = { putObject: jest.fn().mockResolvedValue({}), getObject: jest.fn() };
+      const store = createArtifactStore({ type: 's3', client, bucket: 'artifacts', prefix: 'prod/' });
+
+      const ref = await store.put('task-1/main-failure.png', Buffer.from('png'), { contentType: 'image/png' });
+
+      expect(store).toBeInstanceOf(S3ArtifactStore);
+      expect(client.putObject).toHaveBeenCalledWith({
+        Bucket: 'artifacts',
+        Key: 'prod/task-1/main-failure.png',
+        Body: Buffer.from('png'),
+        ContentType: 'image/png'
+      });
+      expect(ref.location).toBe('s3://artifacts/prod/task-1/main-failure.png');
+    });
+
+    test('should require a client and bucket', () => {
+      expect(() => new S3ArtifactStore({ bucket: 'artifacts' })).toThrow('requires a client');
+      expect(() => new S3ArtifactStore({ client: {} })).toThrow('requires a bucket');
+    });
+
+    test('should reject unknown store types', () => {
+      expect(() => createArtifactStore({ type: 'ftp' })).toThrow('Unknown artifact store type: ftp');
+    });
+  });
+
+  describe('Artifact Capture', () => {
+    let mockPage;
+
+    beforeEach(() => {
+      mockPage = {
+        url: jest.fn().mockReturnValue('https://example.com/cart'),
+        screenshot: jest.fn().mockResolvedValue(Buffer.from('png-bytes')),
+        content: jest.fn().mockResolvedValue('<html><body>cart</body></html>')
+      };
+    });
+
+    test('should store a full-page screenshot and the page HTML', async () => {
+      const capture = new ArtifactCapture(new LocalArtifactStore({ baseDir }));
+
+      const record = await capture.capture(mockPage, { taskId: 'task-1', step: 3, reason: 'failure' });
+
+      expect(mockPage.screenshot).toHaveBeenCalledWith({ fullPage: true, type: 'png' });
+      expect(record).toMatchObject({ reason: 'failure', step: 3, url: 'https://example.com/cart', errors: [] });
+      expect(record.screenshot.key).toBe('task-1/step-3-failure.png');
+      expect(record.html.key).toBe('task-1/step-3-failure.html');
+      expect(fs.existsSync(record.screenshot.location)).toBe(true);
+    });
+
+    test('should name screenshot step artifacts after the step label', async () => {
+      const capture = new ArtifactCapture(new LocalArtifactStore({ baseDir }), { captureHtml: false });
+
+      const record = await capture.capture(mockPage, { taskId: 'task-1', step: 1, reason: 'screenshot', name: 'after login' });
+
+      expect(record.screenshot.key).toBe('task-1/step-1-screenshot-after_login.png');
+      expect(record.html).toBeNull();
+      expect(mockPage.content).not.toHaveBeenCalled();
+    });
+
+    test('should keep what it could capture when the page is broken', async () => {
+      mockPage.screenshot.mockRejectedValue(new Error('Target closed'));
+      const capture = new ArtifactCapture(new LocalArtifactStore({ baseDir }));
+
+      const record = await capture.capture(mockPage, { taskId: 'task-1' });
+
+      expect(record.screenshot).toBeNull();
+      expect(record.html.key).toBe('task-1/main-failure.html');
+      expect(record.errors).toEqual(['screenshot: Target closed']);
+    });
+  });
+});
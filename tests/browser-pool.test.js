@@ -0,0 +1,128 @@
+const { EventEmitter } = require('events');
+const { BrowserPool } = require('../src/worker/browser-pool');
+
+function createBrowser() {
+  const browser = new EventEmitter();
+  browser.connected = true;
+  browser.isConnected = jest.fn(() => browser.connected);
+  browser.close = jest.fn(async () => {
+    browser.connected = false;
+    browser.emit('disconnected');
+  });
+  browser.createIncognitoBrowserContext = jest.fn(async () => ({ close: jest.fn() }));
+  return browser;
+}
+
+describe('Browser Pool', () => {
+  const proxyA = { protocol: 'http', host: 'gw.dataimpulse.com', port: 823, username: 'user__cr.de' };
+  const proxyB = { protocol: 'http', host: 'gw.dataimpulse.com', port: 824 };
+  let launcher;
+  let pool;
+
+  beforeEach(() => {
+    launcher = jest.fn(async () => createBrowser());
+    pool = new BrowserPool(launcher, { maxTasksPerBrowser: 3, maxBrowsers: 2 });
+  });
+
+  test('should key browsers by proxy endpoint', () => {
+    expect(pool.keyFor(null)).toBe('direct');
+    expect(pool.keyFor(proxyA)).toBe('http://gw.dataimpulse.com:823');
+    expect(pool.keyFor({ ...proxyA, username: 'user__cr.ch' })).toBe(pool.keyFor(proxyA));
+  });
+
+  test('should reuse the browser for an endpoint and hand out a context per lease', async () => {
+    const first = await pool.acquire(proxyA);
+    const second = await pool.acquire(proxyA);
+
+    expect(launcher).toHaveBeenCalledTimes(1);
+    expect(first.browser).toBe(second.browser);
+    expect(first.context).not.toBe(second.context);
+    expect([first.hit, second.hit]).toEqual([false, true]);
+
+    await pool.release(first);
+    expect(first.context.close).toHaveBeenCalled();
+    expect(pool.getStats()).toMatchObject({ browsers: 1, hits: 1, misses: 1, hit_rate: 50 });
+  });
+
+  test('should share one launch between concurrent misses', async () => {
+    await Promise.all([pool.acquire(proxyA), pool.acquire(proxyA)]);
+
+    expect(launcher).toHaveBeenCalledTimes(1);
+  });
+
+  test('should recycle a browser after its task limit once its contexts are released', async () => {
+    const leases = [];
+    for (let i = 0; i < 3; i++) {
+      leases.push(await pool.acquire(proxyA));
+    }
+    const browser = leases[0].browser;
+
+    await pool.release(leases[0]);
+    await pool.release(leases[1]);
+    expect(browser.close).not.toHaveBeenCalled();
+
+    await pool.release(leases[2]);
+    expect(browser.close).toHaveBeenCalled();
+
+    const next = await pool.acquire(proxyA);
+    expect(next.browser).not.toBe(browser);
+    expect(launcher).toHaveBeenCalledTimes(2);
+    expect(pool.getStats().recycled).toBe(1);
+  });
+
+  test('should replace a browser that crashed', async () => {
+    const lease = await pool.acquire(proxyA);
+    lease.browser.connected = false;
+    lease.browser.emit('disconnected');
+
+    const next = await pool.acquire(proxyA);
+
+    expect(next.browser).not.toBe(lease.browser);
+    expect(pool.getStats()).toMatchObject({ crashes: 1, recycled: 0 });
+  });
+
+  test('should drop an idle browser that crashed and count it only as a crash', async () => {
+    const lease = await pool.acquire(proxyA);
+    await pool.release(lease);
+
+    lease.browser.connected = false;
+    lease.browser.emit('disconnected');
+    await new Promise(setImmediate);
+
+    expect(pool.getStats()).toMatchObject({ browsers: 0, retiring: 0, crashes: 1, recycled: 0 });
+  });
+
+  test('should keep a crashed browser retiring until its running tasks are released', async () => {
+    const lease = await pool.acquire(proxyA);
+    lease.browser.connected = false;
+    lease.browser.emit('disconnected');
+
+    expect(pool.getStats()).toMatchObject({ retiring: 1, crashes: 1 });
+
+    await pool.release(lease);
+    expect(pool.getStats()).toMatchObject({ retiring: 0, crashes: 1, recycled: 0 });
+  });
+
+  test('should evict the least recently used idle browser when full', async () => {
+    const direct = await pool.acquire(null);
+    await pool.release(direct);
+    await pool.acquire(proxyA);
+
+    await pool.acquire(proxyB);
+
+    expect(direct.browser.close).toHaveBeenCalled();
+    expect(pool.size).toBe(2);
+  });
+
+  test('should close every browser', async () => {
+    const a = await pool.acquire(proxyA);
+    const b = await pool.acquire(proxyB);
+
+    await pool.closeAll();
+
+    expect(a.browser.close).toHaveBeenCalled();
+    expect(b.browser.close).toHaveBeenCalled();
+    expect(pool.size).toBe(0);
+    expect(pool.getStats().crashes).toBe(0);
+  });
+});
@@ -24,6 +24,9 @@ describe('Client Service', () => {
     };
     
     clientService = new ClientService(mockDb, mockRabbitmq);
+    jest.spyOn(clientService.leases, 'acquire').mockResolvedValue(true);
+    jest.spyOn(clientService.leases, 'release').mockResolvedValue();
+    jest.spyOn(clientService.leases, 'end').mockResolvedValue();
   });
 
   describe('Session Validation', () => {
@@ -35,7 +38,7 @@ describe('Client Service', () => {
       };
       
       expect(() => clientService.validateSessionData(invalidSession))
-        .toThrow('Missing required field: main_page_url');
+        .toThrow('Invalid session: /main_page_url is required; /navigations is required');
     });
 
     test('should validate session data types', () => {
@@ -47,7 +50,7 @@ describe('Client Service', () => {
       };
       
       expect(() => clientService.validateSessionData(invalidSession))
-        .toThrow('tasks_24h must be a positive number');
+        .toThrow('/tasks_24h must be integer');
     });
 
     test('should accept valid session data', () => {
@@ -64,6 +67,18 @@ describe('Client Service', () => {
         .not.toThrow();
     });
 
+    test('should reject assertion patterns that do not compile', () => {
+      const session = {
+        tasks_24h: 100,
+        countries: ['us'],
+        main_page_url: 'https://example.com',
+        navigations: [{ action: 'assert_url_matches', pattern: '[checkout' }]
+      };
+
+      expect(() => clientService.validateSessionData(session))
+        .toThrow('Invalid session: /navigations/0/pattern must be a valid regular expression');
+    });
+
     test('should accept empty navigations for main page only visits', () => {
       const validSessionWithEmptyNavigations = {
         tasks_24h: 100,
@@ -75,6 +90,154 @@ describe('Client Service', () => {
       expect(() => clientService.validateSessionData(validSessionWithEmptyNavigations))
         .not.toThrow();
     });
+
+    test('should accept named and weighted traffic profiles and reject others', () => {
+      const session = {
+        tasks_24h: 100,
+        countries: ['us', 'de'],
+        main_page_url: 'https://example.com',
+        navigations: []
+      };
+
+      expect(() => clientService.validateSessionData({ ...session, traffic_profile: 'business_hours' }))
+        .not.toThrow();
+      expect(() => clientService.validateSessionData({ ...session, traffic_profile: new Array(24).fill(2) }))
+        .not.toThrow();
+      expect(() => clientService.validateSessionData({ ...session, traffic_profile: 'lunchtime' }))
+        .toThrow('/traffic_profile unknown curve "lunchtime"');
+      expect(() => clientService.validateSessionData({ ...session, traffic_profile: [1, 2, 3] }))
+        .toThrow('/traffic_profile expected a curve name or 24 hourly weights');
+    });
+
+    test('should validate country overrides', () => {
+      const session = {
+        tasks_24h: 100,
+        countries: ['us', 'de'],
+        main_page_url: 'https://example.com',
+        navigations: []
+      };
+      const withOverrides = country_overrides => ({ ...session, country_overrides });
+
+      expect(() => clientService.validateSessionData(withOverrides({
+        DE: { weight: 2, mobile_os_distribution: '1:3', main_page_url: 'https://example.com/de', navigations: [] }
+      }))).not.toThrow();
+      expect(() => clientService.validateSessionData(withOverrides({ fr: { weight: 1 } })))
+        .toThrow("/country_overrides/fr is not one of the session's countries");
+      expect(() => clientService.validateSessionData(withOverrides({ de: { language: 'de' } })))
+        .toThrow('/country_overrides/de/language is not allowed');
+      expect(() => clientService.validateSessionData(withOverrides({ de: { weight: -1 } })))
+        .toThrow('/country_overrides/de/weight must be >= 0');
+      expect(() => clientService.validateSessionData(withOverrides({ de: { desktop_os_distribution: 'half' } })))
+        .toThrow('/country_overrides/de/desktop_os_distribution must match pattern');
+      expect(() => clientService.validateSessionData(withOverrides({ us: { weight: 0 }, de: { weight: 0 } })))
+        .toThrow('/country_overrides must leave at least one country with a positive weight');
+      expect(() => clientService.validateSessionData({ ...session, tasks_24h: 10.5 }))
+        .toThrow('/tasks_24h must be integer');
+    });
+
+    test('should validate device distributions against the fingerprint profiles', () => {
+      const session = {
+        tasks_24h: 100,
+        countries: ['us', 'de'],
+        main_page_url: 'https://example.com',
+        navigations: []
+      };
+
+      expect(() => clientService.validateSessionData({
+        ...session,
+        device_distribution: { mobile_ios_iphone13: 3, tablet_ios_ipad: 1, desktop_linux_firefox: 0.5 },
+        country_overrides: { de: { device_distribution: { desktop_windows_edge: 1 } } }
+      })).not.toThrow();
+      expect(() => clientService.validateSessionData({ ...session, device_distribution: { desktop_bsd_lynx: 1 } }))
+        .toThrow('/device_distribution/desktop_bsd_lynx is not one of: mobile_ios_iphone13');
+      expect(() => clientService.validateSessionData({ ...session, device_distribution: { tablet_ios_ipad: '1' } }))
+        .toThrow('/device_distribution/tablet_ios_ipad must be number');
+      expect(() => clientService.validateSessionData({ ...session, device_distribution: { tablet_ios_ipad: 0 } }))
+        .toThrow('/device_distribution must give at least one profile a positive weight');
+      expect(() => clientService.validateSessionData({ ...session, device_distribution: [] }))
+        .toThrow('/device_distribution must be object');
+      expect(() => clientService.validateSessionData({
+        ...session,
+        country_overrides: { us: { device_distribution: { iphone: 1 } } }
+      })).toThrow('/country_overrides/us/device_distribution/iphone is not one of');
+    });
+  });
+
+  describe('Session Rejections', () => {
+    const invalidSession = {
+      tasks_24h: 100,
+      countries: ['us'],
+      main_page_url: 'https://example.com',
+      navigations: [{ css: '.test', action: 'double_click' }]
+    };
+
+    beforeEach(() => {
+      mockRabbitmq.publishMessage = jest.fn().mockResolvedValue(true);
+      mockDb.query.mockImplementation(async (sql, params) => ({
+        rows: [{ rejection_id: params[0], errors: JSON.parse(params[3]) }]
+      }));
+    });
+
+    test('should store an invalid session and reply with its validation errors instead of throwing', async () => {
+      const message = { properties: { replyTo: 'session_replies', correlationId: 'request-1' } };
+
+      await expect(clientService.handleSessionMessage(invalidSession, message)).resolves.toBeUndefined();
+
+      const [sql, params] = mockDb.query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO session_rejections');
+      expect(mockDb.query).toHaveBeenCalledTimes(1);
+      expect(params[1]).toBe(1);
+      expect(JSON.parse(params[3])).toEqual([
+        { path: '/navigations/0/action', message: expect.stringContaining('must be one of: click_first') }
+      ]);
+
+      const [queue, reply, options] = mockRabbitmq.publishMessage.mock.calls[0];
+      expect(queue).toBe('session_replies');
+      expect(options).toEqual({ correlationId: 'request-1' });
+      expect(reply).toMatchObject({
+        schema_version: 1,
+        status: 'rejected',
+        rejection_id: params[0],
+        errors: [{ path: '/navigations/0/action' }]
+      });
+    });
+
+    test('should only store the rejection when the sender asked for no reply', async () => {
+      await clientService.handleSessionMessage(invalidSession, { properties: {} });
+
+      expect(mockDb.query).toHaveBeenCalledTimes(1);
+      expect(mockRabbitmq.publishMessage).not.toHaveBeenCalled();
+    });
+
+    test('should report unknown templates as rejections too', async () => {
+      const error = Object.assign(new Error('Session template not found: checkout'), { code: 'TEMPLATE_NOT_FOUND' });
+      jest.spyOn(clientService.templates, 'expand').mockRejectedValue(error);
+
+      await clientService.handleSessionMessage({ template: 'checkout' }, { properties: { replyTo: 'session_replies' } });
+
+      expect(JSON.parse(mockDb.query.mock.calls[0][1][3])).toEqual([
+        { path: '/template', message: 'Session template not found: checkout' }
+      ]);
+      expect(mockRabbitmq.publishMessage.mock.calls[0][1].error).toBe('Session template not found: checkout');
+    });
+
+    test('should keep the rejection when the reply cannot be published', async () => {
+      mockRabbitmq.publishMessage.mockRejectedValue(new Error('channel closed'));
+
+      let validationError;
+      try {
+        clientService.validateSessionData(invalidSession);
+      } catch (error) {
+        validationError = error;
+      }
+
+      const rejection = await clientService.rejectSession(invalidSession, validationError, {
+        properties: { replyTo: 'session_replies' }
+      });
+
+      expect(validationError.code).toBe('INVALID_SESSION');
+      expect(rejection.errors).toEqual(validationError.errors);
+    });
   });
 
   describe('Task Distribution', () => {
@@ -118,6 +281,100 @@ describe('Client Service', () => {
       
       expect(mobileCount).toBeGreaterThan(desktopCount);
     });
+
+    test('should allocate exactly tasks_24h with largest remainders', () => {
+      const session = {
+        tasks_24h: 100,
+        countries: ['us', 'ca', 'uk'],
+        mobile_desktop_distribution: '70:30',
+        mobile_os_distribution: '2:1',
+        desktop_os_distribution: '1:2'
+      };
+
+      const distribution = clientService.calculateTaskDistribution(session);
+      const counts = distribution.map(country => country.tasks.reduce((sum, task) => sum + task.count, 0));
+
+      expect(counts).toEqual([34, 33, 33]);
+      expect(distribution[0].tasks.map(task => task.count)).toEqual([16, 8, 3, 7]);
+    });
+
+    test('should apply per-country weights, distributions and URLs', () => {
+      const session = {
+        tasks_24h: 10,
+        countries: ['us', 'de', 'fr'],
+        main_page_url: 'https://example.com',
+        navigations: [{ css: '.buy', action: 'click_first' }],
+        mobile_desktop_distribution: '1:1',
+        mobile_os_distribution: '1:1',
+        desktop_os_distribution: '1:1',
+        country_overrides: {
+          DE: {
+            weight: 3,
+            mobile_desktop_distribution: '0:1',
+            desktop_os_distribution: '1:0',
+            main_page_url: 'https://example.com/de/',
+            navigations: [{ css: '.kaufen', action: 'click_first' }]
+          },
+          fr: { weight: 0 }
+        }
+      };
+
+      const distribution = clientService.calculateTaskDistribution(session);
+
+      expect(distribution.map(country => country.tasks.reduce((sum, task) => sum + task.count, 0)))
+        .toEqual([3, 7, 0]);
+      expect(distribution[1]).toEqual({
+        country: 'de',
+        mainPageUrl: 'https://example.com/de/',
+        navigations: [{ css: '.kaufen', action: 'click_first' }],
+        tasks: [
+          { device: 'mobile', os: 'iOS', count: 0 },
+          { device: 'mobile', os: 'Android', count: 0 },
+          { device: 'desktop', os: 'Windows', count: 7 },
+          { device: 'desktop', os: 'macOS', count: 0 }
+        ]
+      });
+      expect(distribution[0].mainPageUrl).toBe('https://example.com');
+      expect(distribution[0].tasks.every(task => task.fingerprintProfile === undefined)).toBe(true);
+      expect(distribution[0].navigations).toEqual([{ css: '.buy', action: 'click_first' }]);
+    });
+  });
+
+  describe('Device Distribution', () => {
+    const session = {
+      session_id: 'test-session',
+      tasks_24h: 20,
+      countries: ['us', 'de'],
+      main_page_url: 'https://example.com',
+      navigations: [],
+      mobile_desktop_distribution: '65:35',
+      mobile_os_distribution: '1:2',
+      desktop_os_distribution: '1:2',
+      device_distribution: { mobile_ios_iphone13: 2, tablet_android_galaxy_tab: 1, desktop_linux_chrome: 1 },
+      country_overrides: { de: { device_distribution: { desktop_windows_firefox: 1 } } }
+    };
+
+    test('should split each country over weighted fingerprint profiles', () => {
+      const distribution = clientService.calculateTaskDistribution(session);
+
+      expect(distribution[0].tasks).toEqual([
+        { device: 'mobile', os: 'iOS', browser: 'Safari', fingerprintProfile: 'mobile_ios_iphone13', count: 5 },
+        { device: 'mobile', os: 'Android', browser: 'Chrome', fingerprintProfile: 'tablet_android_galaxy_tab', count: 3 },
+        { device: 'desktop', os: 'Linux', browser: 'Chrome', fingerprintProfile: 'desktop_linux_chrome', count: 2 }
+      ]);
+      expect(distribution[1].tasks).toEqual([
+        { device: 'desktop', os: 'Windows', browser: 'Firefox', fingerprintProfile: 'desktop_windows_firefox', count: 10 }
+      ]);
+    });
+
+    test('should give every generated task its fingerprint profile', async () => {
+      const tasks = await clientService.generateTasks(session, clientService.calculateTaskDistribution(session));
+
+      expect(tasks).toHaveLength(20);
+      expect(tasks.filter(task => task.fingerprintProfile === 'tablet_android_galaxy_tab')).toHaveLength(3);
+      expect(tasks.filter(task => task.country === 'de').every(task => task.fingerprintProfile === 'desktop_windows_firefox'))
+        .toBe(true);
+    });
   });
 
   describe('Task Generation', () => {
@@ -152,6 +409,707 @@ describe('Client Service', () => {
     });
   });
 
+  describe('Task Dispatch', () => {
+    const task = {
+      correlationId: 'test-correlation-id',
+      sessionId: 'test-session',
+      country: 'de',
+      device: 'mobile',
+      os: 'Android',
+      mainPageUrl: 'https://example.com',
+      navigations: [],
+      timestamp: '2024-01-01T00:00:00.000Z'
+    };
+
+    test('should queue the task through the outbox in a transaction instead of publishing', async () => {
+      const transactionClient = { query: jest.fn() };
+      mockDb.transaction.mockImplementation(callback => callback(transactionClient));
+      const enqueue = jest.spyOn(clientService.outbox, 'enqueue').mockResolvedValue(true);
+      const wake = jest.spyOn(clientService.outbox, 'wake');
+
+      const result = await clientService.sendTaskToWorker(task);
+
+      expect(result).toEqual({ status: 'queued', correlation_id: 'test-correlation-id' });
+      expect(enqueue).toHaveBeenCalledWith(transactionClient, expect.objectContaining({
+        correlationId: 'test-correlation-id',
+        queue: 'tasks',
+        payload: expect.objectContaining({ correlation_id: 'test-correlation-id', main_page_url: 'https://example.com' })
+      }));
+      expect(wake).toHaveBeenCalled();
+      expect(mockRabbitmq.sendRPCRequest).not.toHaveBeenCalled();
+    });
+
+    test('should tell the worker which fingerprint profile to use', () => {
+      expect(clientService.buildTaskMessage({ ...task, fingerprintProfile: 'desktop_linux_firefox' }).fingerprint_profile)
+        .toBe('desktop_linux_firefox');
+      expect(clientService.buildTaskMessage(task).fingerprint_profile).toBeNull();
+    });
+
+    test('should tell the worker which attempt it is running', () => {
+      expect(clientService.buildTaskMessage({ ...task, retryCount: 2 }).attempt).toBe(2);
+      expect(clientService.buildTaskMessage(task).attempt).toBe(0);
+    });
+  });
+
+  describe('Task Results', () => {
+    const result = {
+      status: 'successful',
+      correlation_id: 'test-correlation-id',
+      session_id: 'test-session',
+      attempt: 1,
+      country: 'de',
+      device: 'mobile',
+      os: 'Android',
+      timestamp: '2024-01-01T00:00:00.000Z'
+    };
+    let transactionClient;
+
+    beforeEach(() => {
+      transactionClient = { query: jest.fn() };
+      mockDb.transaction.mockImplementation(callback => callback(transactionClient));
+    });
+
+    test('should consume results from the durable results queue', async () => {
+      await clientService.setupResultConsumer();
+
+      expect(mockRabbitmq.setupConsumer).toHaveBeenCalledWith('task_responses', expect.any(Function), { prefetch: 10 });
+    });
+
+    test('should apply a result for the current attempt in one transaction', async () => {
+      transactionClient.query
+        .mockResolvedValueOnce({ rows: [{ status: 'sent', retry_count: 1, elapsed_ms: 4200 }] })
+        .mockResolvedValue({ rows: [], rowCount: 1 });
+      const handleTaskResponse = jest.spyOn(clientService, 'handleTaskResponse');
+
+      const applied = await clientService.handleTaskResult(result);
+
+      expect(applied).toBe(true);
+      expect(transactionClient.query.mock.calls[0][0]).toContain('FOR UPDATE');
+      expect(handleTaskResponse).toHaveBeenCalledWith('test-correlation-id', result, transactionClient);
+      const statusCall = transactionClient.query.mock.calls.find(([sql]) => sql.includes('completed_at'));
+      expect(statusCall[1]).toEqual(['completed', null, 'test-correlation-id']);
+      expect(mockDb.query).not.toHaveBeenCalled();
+    });
+
+    test('should skip a result for a task that is already completed', async () => {
+      transactionClient.query.mockResolvedValueOnce({ rows: [{ status: 'completed', retry_count: 1 }] });
+      const handleTaskResponse = jest.spyOn(clientService, 'handleTaskResponse');
+
+      const applied = await clientService.handleTaskResult({ ...result, status: 'failed' });
+
+      expect(applied).toBe(false);
+      expect(handleTaskResponse).not.toHaveBeenCalled();
+      expect(transactionClient.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should skip a late result from an attempt that was already retried', async () => {
+      transactionClient.query.mockResolvedValueOnce({ rows: [{ status: 'sent', retry_count: 2 }] });
+      const handleTaskResponse = jest.spyOn(clientService, 'handleTaskResponse');
+
+      expect(await clientService.handleTaskResult(result)).toBe(false);
+      expect(handleTaskResponse).not.toHaveBeenCalled();
+    });
+
+    test('should ignore a redelivered result whose attempt is already stored', async () => {
+      transactionClient.query
+        .mockResolvedValueOnce({ rows: [{ status: 'sent', retry_count: 1 }] })
+        .mockResolvedValueOnce({ rows: [], rowCount: 0 });
+      const recordDuplicateResult = jest.spyOn(clientService.metrics, 'recordDuplicateResult');
+
+      const applied = await clientService.handleTaskResult(result);
+
+      const [insertSql, insertParams] = transactionClient.query.mock.calls[1];
+      expect(applied).toBe(false);
+      expect(insertSql).toContain('ON CONFLICT (correlation_id, attempt) DO NOTHING');
+      expect(insertParams[12]).toBe(1);
+      expect(transactionClient.query).toHaveBeenCalledTimes(2);
+      expect(recordDuplicateResult).toHaveBeenCalledWith('redelivered');
+    });
+
+    test('should finish a task and count it against its session only once', async () => {
+      transactionClient.query.mockResolvedValue({ rows: [], rowCount: 1 });
+
+      await clientService.updateTaskStatus('test-correlation-id', 'failed', 'Element not found', transactionClient);
+
+      const [sql, params] = transactionClient.query.mock.calls[0];
+      expect(sql).toContain("status NOT IN ('completed', 'failed', 'cancelled')");
+      expect(sql).toContain('tasks_failed = s.tasks_failed');
+      expect(params).toEqual(['failed', 'Element not found', 'test-correlation-id']);
+    });
+
+    test('should reject a result without a correlation ID so it is dead-lettered', async () => {
+      await expect(clientService.handleTaskResult({ status: 'successful' }))
+        .rejects.toThrow('Invalid task result: /correlation_id is required');
+      expect(mockDb.transaction).not.toHaveBeenCalled();
+    });
+
+    test('should reject a result with an unknown status or schema version', async () => {
+      await expect(clientService.handleTaskResult({ correlation_id: 'test-correlation-id', status: 'done' }))
+        .rejects.toThrow('/status must be one of: successful, failed');
+      await expect(clientService.handleTaskResult({ schema_version: 2, correlation_id: 'test-correlation-id', status: 'successful' }))
+        .rejects.toThrow('/schema_version must be one of: 1');
+      expect(mockDb.transaction).not.toHaveBeenCalled();
+    });
+
+    test('should fail or retry a sent task whose result never arrived', async () => {
+      const handleTaskFailure = jest.spyOn(clientService, 'handleTaskFailure').mockResolvedValue(null);
+
+      await clientService.handleStaleTask(
+        { correlation_id: 'test-correlation-id', session_id: 'test-session', retry_count: 0 },
+        transactionClient
+      );
+
+      expect(handleTaskFailure).toHaveBeenCalledWith(
+        { correlationId: 'test-correlation-id' },
+        expect.objectContaining({ message: expect.stringContaining('No result received') }),
+        'RPCTimeout',
+        transactionClient
+      );
+    });
+  });
+
+  describe('Task Responses', () => {
+    test('should store navigation results and one row per assertion', async () => {
+      mockDb.query.mockResolvedValue({ rows: [], rowCount: 1 });
+
+      await clientService.handleTaskResponse('test-correlation-id', {
+        status: 'failed',
+        country: 'us',
+        device: 'mobile',
+        os: 'iOS',
+        timestamp: '2024-01-01T00:00:00.000Z',
+        error_message: 'Expected URL to match /\\/thanks/',
+        error_type: 'AssertionError',
+        navigation_step: 2,
+        navigation_results: [
+          { step: 1, action: 'click_first', status: 'success' },
+          {
+            step: 2,
+            action: 'assert_url_matches',
+            status: 'failed',
+            assertion: {
+              type: 'assert_url_matches',
+              selector: null,
+              expected: '/\\/thanks/',
+              actual: 'https://example.com/cart',
+              message: 'Expected URL to match /\\/thanks/',
+              passed: false
+            }
+          }
+        ]
+      });
+
+      const [responseSql, responseParams] = mockDb.query.mock.calls[0];
+      expect(responseSql).toContain('navigation_results');
+      expect(responseParams[8]).toBe(2);
+      expect(JSON.parse(responseParams[9])).toHaveLength(2);
+
+      const assertionCalls = mockDb.query.mock.calls.filter(([sql]) => sql.includes('assertion_results'));
+      expect(assertionCalls).toHaveLength(1);
+      expect(assertionCalls[0][1]).toEqual(expect.arrayContaining([
+        'assert_url_matches', false, 'https://example.com/cart'
+      ]));
+    });
+
+    test('should store the network summary against the task', async () => {
+      mockDb.query.mockResolvedValue({ rows: [], rowCount: 1 });
+
+      await clientService.handleTaskResponse('test-correlation-id', {
+        status: 'successful',
+        country: 'us',
+        device: 'desktop',
+        os: 'Windows',
+        timestamp: '2024-01-01T00:00:00.000Z',
+        network_summary: {
+          total_requests: 42,
+          failed_requests: 3,
+          failures: { client_error: 1, server_error: 0, blocked: 2, timed_out: 0, network_error: 0 },
+          total_bytes: 123456,
+          slowest_resources: [{ url: 'https://example.com/app.js', duration_ms: 900 }],
+          failed: [],
+          har: '/artifacts/test-correlation-id/network.har'
+        }
+      });
+
+      const summaryCall = mockDb.query.mock.calls.find(([sql]) => sql.includes('task_network_summaries'));
+      expect(summaryCall[1]).toEqual([
+        'test-correlation-id', 42, 3, 1, 0, 2, 0, 0, 123456,
+        JSON.stringify([{ url: 'https://example.com/app.js', duration_ms: 900 }]),
+        '[]',
+        '/artifacts/test-correlation-id/network.har'
+      ]);
+    });
+    test('should store performance samples for the main page and steps', async () => {
+      mockDb.query.mockResolvedValue({ rows: [], rowCount: 1 });
+
+      await clientService.handleTaskResponse('test-correlation-id', {
+        status: 'successful',
+        country: 'de',
+        device: 'mobile',
+        os: 'Android',
+        timestamp: '2024-01-01T00:00:00.000Z',
+        performance: {
+          main_page: { url: 'https://example.com/', ttfb_ms: 120, fcp_ms: 400, lcp_ms: 900, cls: 0.01 },
+          steps: [{ step: 1, url: 'https://example.com/products', same_document: false, ttfb_ms: 95, lcp_ms: 700 }]
+        }
+      });
+
+      const metricCalls = mockDb.query.mock.calls.filter(([sql]) => sql.includes('task_performance_metrics'));
+      expect(metricCalls).toHaveLength(2);
+      expect(metricCalls[0][1].slice(0, 8)).toEqual([
+        'test-correlation-id', 'de', 'mobile', 'Android', null, 'https://example.com/', false, 120
+      ]);
+      expect(metricCalls[1][1][4]).toBe(1);
+    });
+  });
+
+  describe('Task Retries', () => {
+    test('should schedule a retry with backoff for a proxy failure', async () => {
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [{ retry_count: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ retry_count: 2, next_attempt_at: new Date() }] });
+      jest.spyOn(clientService.retryPolicy, 'getDelay').mockReturnValue(4000);
+
+      const retry = await clientService.handleTaskFailure(
+        { correlationId: 'test-correlation-id' },
+        new Error('net::ERR_PROXY_CONNECTION_FAILED'),
+        'Error'
+      );
+
+      const [sql, params] = mockDb.query.mock.calls[1];
+      expect(retry.retry_count).toBe(2);
+      expect(clientService.retryPolicy.getDelay).toHaveBeenCalledWith(2);
+      expect(sql).toContain("status = 'retry_scheduled'");
+      expect(sql).toContain('retry_count = retry_count + 1');
+      expect(params).toEqual(['test-correlation-id', 4000, 'net::ERR_PROXY_CONNECTION_FAILED', 1]);
+    });
+
+    test('should fail assertion failures without retrying', async () => {
+      mockDb.query.mockResolvedValue({ rows: [], rowCount: 1 });
+
+      const retry = await clientService.handleTaskFailure(
+        { correlationId: 'test-correlation-id' },
+        new Error('Expected URL to match /thanks/'),
+        'AssertionError'
+      );
+
+      expect(retry).toBeNull();
+      expect(mockDb.query).toHaveBeenCalledTimes(1);
+      expect(mockDb.query.mock.calls[0][1]).toEqual(['failed', 'Expected URL to match /thanks/', 'test-correlation-id']);
+    });
+
+    test('should fail the task once retries are exhausted', async () => {
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [{ retry_count: clientService.config.maxRetries }] })
+        .mockResolvedValue({ rows: [], rowCount: 1 });
+
+      const retry = await clientService.handleTaskFailure(
+        { correlationId: 'test-correlation-id' },
+        new Error('RPC timeout'),
+        'RPCTimeout'
+      );
+
+      expect(retry).toBeNull();
+      expect(mockDb.query.mock.calls[1][1][0]).toBe('failed');
+    });
+
+    test('should leave a task alone when another failure already rescheduled it', async () => {
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [{ retry_count: 1 }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const retry = await clientService.handleTaskFailure(
+        { correlationId: 'test-correlation-id' },
+        new Error('RPC timeout'),
+        'RPCTimeout'
+      );
+
+      expect(retry).toBeNull();
+      expect(mockDb.query).toHaveBeenCalledTimes(2);
+    });
+
+    test('should schedule a retry for a failed worker response with a transient error', async () => {
+      mockDb.query.mockResolvedValue({ rows: [], rowCount: 1 });
+      const handleTaskFailure = jest.spyOn(clientService, 'handleTaskFailure').mockResolvedValue(null);
+
+      await clientService.handleTaskResponse('test-correlation-id', {
+        status: 'failed',
+        country: 'de',
+        device: 'desktop',
+        os: 'Windows',
+        timestamp: '2024-01-01T00:00:00.000Z',
+        error_message: 'Navigation timeout of 30000 ms exceeded',
+        error_type: 'TimeoutError'
+      });
+
+      expect(handleTaskFailure).toHaveBeenCalledWith(
+        { correlationId: 'test-correlation-id' },
+        expect.objectContaining({ message: 'Navigation timeout of 30000 ms exceeded' }),
+        'TimeoutError',
+        mockDb
+      );
+    });
+
+    test('should re-queue a task claimed by the retry scheduler in its transaction', async () => {
+      const sendTaskToWorker = jest.spyOn(clientService, 'sendTaskToWorker').mockResolvedValue({ status: 'sent' });
+
+      const transactionClient = { query: jest.fn() };
+
+      await clientService.dispatchRetry({
+        correlation_id: 'test-correlation-id',
+        session_id: 'test-session',
+        country: 'de',
+        device: 'mobile',
+        os: 'Android',
+        main_page_url: 'https://example.com',
+        navigations: '[{"css":".products","action":"random_click"}]',
+        retry_count: 2
+      }, transactionClient);
+
+      expect(sendTaskToWorker).toHaveBeenCalledWith(expect.objectContaining({
+        correlationId: 'test-correlation-id',
+        sessionId: 'test-session',
+        navigations: [{ css: '.products', action: 'random_click' }],
+        retryCount: 2
+      }), transactionClient);
+    });
+  });
+
+  describe('Session State Transitions', () => {
+    test('should pause an active session and halt its send loop', async () => {
+      mockDb.query.mockResolvedValueOnce({ rows: [{ previous_status: 'active' }] });
+
+      const loop = { state: 'running', timer: setTimeout(() => {}, 60000), inFlight: false, next: jest.fn() };
+      clientService.sendLoops.set('test-session', loop);
+
+      const result = await clientService.pauseSession('test-session');
+
+      expect(result).toEqual({
+        session_id: 'test-session',
+        previous_status: 'active',
+        status: 'paused'
+      });
+      expect(mockDb.query.mock.calls[0][1]).toEqual(['paused', 'test-session', ['processing', 'active']]);
+      expect(loop.state).toBe('paused');
+      expect(loop.timer).toBeNull();
+    });
+
+    test('should resume a paused send loop from its current position', async () => {
+      mockDb.query.mockResolvedValueOnce({ rows: [{ previous_status: 'paused' }] });
+
+      const loop = { state: 'paused', timer: null, inFlight: false, taskIndex: 3, next: jest.fn() };
+      clientService.sendLoops.set('test-session', loop);
+
+      await clientService.resumeSession('test-session');
+
+      expect(loop.state).toBe('running');
+      expect(loop.taskIndex).toBe(3);
+      expect(loop.next).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not start a second send while a task is in flight', async () => {
+      mockDb.query.mockResolvedValueOnce({ rows: [{ previous_status: 'paused' }] });
+
+      const loop = { state: 'paused', timer: null, inFlight: true, next: jest.fn() };
+      clientService.sendLoops.set('test-session', loop);
+
+      await clientService.resumeSession('test-session');
+
+      expect(loop.state).toBe('running');
+      expect(loop.next).not.toHaveBeenCalled();
+    });
+
+    test('should rebuild the send loop from the database when resuming after a restart', async () => {
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [{ previous_status: 'paused' }] })
+        .mockResolvedValueOnce({ rows: [] });
+      clientService.recoverPendingTasks = jest.fn().mockResolvedValue();
+
+      await clientService.resumeSession('test-session');
+
+      expect(clientService.recoverPendingTasks).toHaveBeenCalledWith({ sessionId: 'test-session' });
+      expect(mockDb.query.mock.calls[1][0]).toContain('NOT EXISTS');
+    });
+
+    test('should cancel a session and mark pending tasks as cancelled', async () => {
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [{ previous_status: 'paused' }] })
+        .mockResolvedValueOnce({ rowCount: 7 });
+
+      const loop = { state: 'paused', timer: null, inFlight: false, next: jest.fn() };
+      clientService.sendLoops.set('test-session', loop);
+
+      const result = await clientService.cancelSession('test-session');
+
+      expect(result.status).toBe('cancelled');
+      expect(result.tasks_cancelled).toBe(7);
+      expect(loop.state).toBe('cancelled');
+      expect(clientService.sendLoops.has('test-session')).toBe(false);
+      expect(mockDb.query.mock.calls[1][0]).toContain("status = 'cancelled'");
+    });
+
+    test('should reject transitions from terminal states', async () => {
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ status: 'completed' }] });
+
+      await expect(clientService.cancelSession('test-session'))
+        .rejects.toMatchObject({ code: 'INVALID_SESSION_STATE' });
+    });
+
+    test('should report unknown sessions', async () => {
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await expect(clientService.resumeSession('missing'))
+        .rejects.toMatchObject({ code: 'SESSION_NOT_FOUND' });
+    });
+  });
+
+  describe('Task Sending Loop', () => {
+    test('should stop at the current index when paused and continue on resume', async () => {
+      jest.useFakeTimers();
+      clientService.isRunning = true;
+      clientService.config.debugFastMode = true;
+      clientService.config.debugMinDelayMs = 10;
+      clientService.config.debugMaxDelayMs = 10;
+      clientService.rateManagers.set('test-session', { currentRate: 60, tasksSent: 0 });
+      clientService.sendTaskToWorker = jest.fn().mockResolvedValue({ status: 'sent' });
+      clientService.updateTaskStatus = jest.fn().mockResolvedValue();
+      clientService.checkSessionCompletion = jest.fn().mockResolvedValue(null);
+
+      const tasks = [{ correlationId: 'a' }, { correlationId: 'b' }, { correlationId: 'c' }];
+      clientService.startTaskSending('test-session', tasks);
+      await jest.runOnlyPendingTimersAsync();
+
+      const loop = clientService.sendLoops.get('test-session');
+      loop.state = 'paused';
+      await jest.runOnlyPendingTimersAsync();
+      await jest.runOnlyPendingTimersAsync();
+
+      const sentWhilePaused = clientService.sendTaskToWorker.mock.calls.length;
+      expect(sentWhilePaused).toBeLessThan(3);
+      expect(clientService.checkSessionCompletion).not.toHaveBeenCalled();
+
+      loop.state = 'running';
+      loop.next();
+      for (let i = 0; i < 5; i++) {
+        await jest.runOnlyPendingTimersAsync();
+      }
+
+      expect(clientService.sendTaskToWorker.mock.calls.map(call => call[0].correlationId))
+        .toEqual(['a', 'b', 'c']);
+      expect(clientService.checkSessionCompletion).toHaveBeenCalledWith('test-session');
+
+      jest.useRealTimers();
+    });
+  });
+
+  describe('Session Templates', () => {
+    test('should store the expanded session with the template version it ran', async () => {
+      jest.spyOn(clientService.templates, 'expand').mockResolvedValue({
+        tasks_24h: 100,
+        countries: ['de'],
+        main_page_url: 'https://example.com',
+        navigations: [{ css: '#accept', action: 'click_first' }],
+        template_name: 'checkout',
+        template_version: 3,
+        navigation_fragments: [{ name: 'accept_cookies', version: 1 }]
+      });
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [{ session_id: 'session-1' }] })
+        .mockResolvedValueOnce({ rows: [{ session_id: 'session-1' }] });
+
+      await clientService.createSession({ template: 'checkout' });
+
+      const params = mockDb.query.mock.calls[0][1];
+      expect(JSON.parse(params[4])).toEqual([{ css: '#accept', action: 'click_first' }]);
+      expect(params.slice(10, 13)).toEqual(['checkout', 3, '[{"name":"accept_cookies","version":1}]']);
+    });
+  });
+
+  describe('Scheduled Sessions', () => {
+    test('should store a due schedule run as a session in the scheduler transaction', async () => {
+      const client = { query: jest.fn() };
+      client.query
+        .mockResolvedValueOnce({ rows: [{ session_id: 'session-1', schedule_id: 'schedule-1' }] })
+        .mockResolvedValueOnce({ rows: [{ session_id: 'session-1' }] });
+      const schedule = {
+        schedule_id: 'schedule-1',
+        session_data: { tasks_24h: 100, countries: ['de'], main_page_url: 'https://example.com', navigations: [] }
+      };
+
+      const session = await clientService.createScheduledSession(schedule, client);
+
+      expect(session.schedule_id).toBe('schedule-1');
+      expect(client.query.mock.calls[0][1][9]).toBe('schedule-1');
+      expect(mockDb.query).not.toHaveBeenCalled();
+    });
+
+    test('should process sessions the scheduler created', async () => {
+      clientService.processSession = jest.fn().mockResolvedValue();
+
+      clientService.schedules.emit('sessionCreated', { session_id: 'session-1', schedule_id: 'schedule-1' });
+
+      expect(clientService.processSession).toHaveBeenCalledWith({ session_id: 'session-1', schedule_id: 'schedule-1' });
+    });
+  });
+
+  describe('Session Ownership', () => {
+    test('should stop driving a session whose lease was lost without changing its status', () => {
+      const loop = { state: 'running', timer: setTimeout(() => {}, 60000), inFlight: false };
+      clientService.sendLoops.set('test-session', loop);
+      clientService.activeSessions.set('test-session', {});
+
+      clientService.leases.emit('lost', 'test-session');
+
+      expect(loop.state).toBe('released');
+      expect(loop.timer).toBeNull();
+      expect(clientService.sendLoops.has('test-session')).toBe(false);
+      expect(clientService.activeSessions.has('test-session')).toBe(false);
+      expect(mockDb.query).not.toHaveBeenCalled();
+    });
+
+    test('should hand a resumed session to the client that took it over', async () => {
+      mockDb.query.mockResolvedValueOnce({ rows: [{ previous_status: 'paused' }] });
+      clientService.leases.acquire.mockResolvedValueOnce(false);
+      const loop = { state: 'paused', timer: null, inFlight: false, next: jest.fn() };
+      clientService.sendLoops.set('test-session', loop);
+
+      await clientService.resumeSession('test-session');
+
+      expect(loop.state).toBe('released');
+      expect(loop.next).not.toHaveBeenCalled();
+    });
+
+    test('should release the lease when a session is paused', async () => {
+      mockDb.query.mockResolvedValueOnce({ rows: [{ previous_status: 'active' }] });
+
+      await clientService.pauseSession('test-session');
+
+      expect(clientService.leases.release).toHaveBeenCalledWith('test-session');
+    });
+
+    test('should resume the pending tasks of a session taken over from a dead client', async () => {
+      mockDb.query
+        .mockResolvedValueOnce({ rows: [{ session_id: 'test-session', status: 'active', total_tasks_generated: 20 }] })
+        .mockResolvedValueOnce({ rows: [] });
+      clientService.recoverPendingTasks = jest.fn().mockResolvedValue();
+      clientService.processSession = jest.fn();
+
+      await clientService.takeOverSession('test-session');
+
+      expect(clientService.recoverPendingTasks).toHaveBeenCalledWith({ sessionId: 'test-session' });
+      expect(clientService.processSession).not.toHaveBeenCalled();
+    });
+
+    test('should distribute a taken over session whose tasks were never stored', async () => {
+      const session = { session_id: 'test-session', status: 'processing', total_tasks_generated: 0 };
+      mockDb.query.mockResolvedValueOnce({ rows: [session] });
+      clientService.processSession = jest.fn().mockResolvedValue();
+
+      await clientService.takeOverSession('test-session');
+
+      expect(clientService.processSession).toHaveBeenCalledWith(session);
+    });
+
+    test('should not resume sessions leased by another client', async () => {
+      mockDb.query.mockResolvedValueOnce({
+        rows: [{ correlation_id: 'a', session_id: 'test-session', navigations: '[]', status: 'pending' }]
+      });
+      clientService.leases.acquire.mockResolvedValueOnce(false);
+      clientService.startTaskSending = jest.fn();
+
+      await clientService.recoverPendingTasks();
+
+      expect(clientService.startTaskSending).not.toHaveBeenCalled();
+    });
+
+    test('should only dispatch a task still in the status it was read in', async () => {
+      const transactionClient = { query: jest.fn() };
+      mockDb.transaction.mockImplementation(callback => callback(transactionClient));
+      const enqueue = jest.spyOn(clientService.outbox, 'enqueue').mockResolvedValue(true);
+
+      await clientService.sendTaskToWorker({ correlationId: 'a', sessionId: 'test-session', status: 'pending' });
+      await clientService.sendTaskToWorker({ correlationId: 'b', sessionId: 'test-session', status: 'queued' }, transactionClient);
+
+      expect(enqueue.mock.calls[0][1].fromStatus).toBe('pending');
+      expect(enqueue.mock.calls[1][1].fromStatus).toBe('queued');
+    });
+  });
+
+  describe('Session Completion', () => {
+    let transactionClient;
+
+    beforeEach(() => {
+      transactionClient = { query: jest.fn().mockResolvedValue({ rows: [], rowCount: 1 }) };
+      mockDb.transaction.mockImplementation(callback => callback(transactionClient));
+    });
+
+    test('should count generated tasks in the transaction that stores them', async () => {
+      await clientService.storeTasks([
+        { correlationId: 'a', sessionId: 'test-session', navigations: [], status: 'pending' },
+        { correlationId: 'b', sessionId: 'test-session', navigations: [], status: 'pending' }
+      ]);
+
+      const counterCall = transactionClient.query.mock.calls[2];
+      expect(transactionClient.query).toHaveBeenCalledTimes(3);
+      expect(counterCall[0]).toContain('total_tasks_generated');
+      expect(counterCall[1]).toEqual(['test-session', 2]);
+      expect(mockDb.query).not.toHaveBeenCalled();
+    });
+
+    test('should check for completion when a task finishes', async () => {
+      transactionClient.query
+        .mockResolvedValueOnce({ rows: [{ session_id: 'test-session' }], rowCount: 1 })
+        .mockResolvedValueOnce({
+          rows: [{ status: 'completed', total_tasks_generated: 10, tasks_completed: 10, tasks_failed: 0 }]
+        });
+      const completed = jest.fn();
+      clientService.on('sessionCompleted', completed);
+
+      await clientService.updateTaskStatus('test-correlation-id', 'completed', null, transactionClient);
+
+      const [sql, params] = transactionClient.query.mock.calls[1];
+      expect(sql).toContain("t.status NOT IN ('completed', 'failed', 'cancelled')");
+      expect(sql).toContain("'completed_with_failures'");
+      expect(params).toEqual(['test-session', 0.1]);
+      expect(completed).toHaveBeenCalledWith(expect.objectContaining({ session_id: 'test-session', status: 'completed' }));
+    });
+
+    test('should not check for completion when the task was already finished', async () => {
+      transactionClient.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+      const checkSessionCompletion = jest.spyOn(clientService, 'checkSessionCompletion');
+
+      await clientService.updateTaskStatus('test-correlation-id', 'failed', 'late failure', transactionClient);
+
+      expect(checkSessionCompletion).not.toHaveBeenCalled();
+    });
+
+    test('should use the configured failure threshold', async () => {
+      clientService.config.sessionFailureThreshold = 0.25;
+      mockDb.query.mockResolvedValueOnce({ rows: [] });
+
+      const completion = await clientService.checkSessionCompletion('test-session');
+
+      expect(completion).toBeNull();
+      expect(mockDb.query.mock.calls[0][1]).toEqual(['test-session', 0.25]);
+    });
+
+    test('should release the send loop without completing the session itself', async () => {
+      clientService.sendLoops.set('test-session', {});
+      clientService.rateManagers.set('test-session', {});
+      mockDb.query.mockResolvedValueOnce({ rows: [] });
+
+      await clientService.finishTaskSending('test-session');
+
+      expect(clientService.sendLoops.has('test-session')).toBe(false);
+      expect(clientService.rateManagers.has('test-session')).toBe(false);
+      expect(mockDb.query.mock.calls[0][0]).not.toContain("SET status = 'completed'");
+    });
+  });
+
   describe('Health Check', () => {
     test('should return health status', async () => {
       const health = await clientService.healthCheck();
@@ -0,0 +1,54 @@
+const { CronExpression } = require('../src/scheduling/cron-expression');
+
+describe('Cron Expression', () => {
+  const next = (expression, after, timeZone) =>
+    new CronExpression(expression).next(new Date(after), timeZone);
+
+  test('should find the next matching minute', () => {
+    expect(next('*/15 * * * *', '2026-01-01T10:07:30Z')).toEqual(new Date('2026-01-01T10:15:00Z'));
+    expect(next('30,5 * * * *', '2026-01-01T10:00:00Z')).toEqual(new Date('2026-01-01T10:05:00Z'));
+    expect(next('0 2 * * *', '2026-01-01T02:00:00Z')).toEqual(new Date('2026-01-02T02:00:00Z'));
+  });
+
+  test('should evaluate fields in the given time zone', () => {
+    // 02:00 in Berlin is 01:00 UTC in winter and 00:00 UTC in summer
+    expect(next('0 2 * * *', '2026-01-15T12:00:00Z', 'Europe/Berlin')).toEqual(new Date('2026-01-16T01:00:00Z'));
+    expect(next('0 2 * * *', '2026-07-15T12:00:00Z', 'Europe/Berlin')).toEqual(new Date('2026-07-16T00:00:00Z'));
+  });
+
+  test('should not skip midnight runs on days that cross a daylight saving change', () => {
+    // Berlin springs forward on Sunday 2026-03-29 and falls back on Sunday 2026-10-25
+    expect(next('0 0 * * 1', '2026-03-27T12:00:00Z', 'Europe/Berlin')).toEqual(new Date('2026-03-29T22:00:00Z'));
+    expect(next('0 0 * * 1', '2026-10-23T12:00:00Z', 'Europe/Berlin')).toEqual(new Date('2026-10-25T23:00:00Z'));
+    expect(next('30 0 * * mon', '2026-03-06T12:00:00Z', 'America/New_York')).toEqual(new Date('2026-03-09T04:30:00Z'));
+  });
+
+  test('should start the day at the first local minute when midnight is skipped', () => {
+    // Santiago moves from 00:00 to 01:00 on 2026-09-06, a Sunday
+    expect(next('30 1 * * 0', '2026-09-04T12:00:00Z', 'America/Santiago')).toEqual(new Date('2026-09-06T04:30:00Z'));
+  });
+
+  test('should support names, ranges and weekday Sunday as 7', () => {
+    // 2026-01-03 is a Saturday
+    expect(next('0 9 * * mon-fri', '2026-01-03T00:00:00Z')).toEqual(new Date('2026-01-05T09:00:00Z'));
+    expect(next('0 9 * * 7', '2026-01-03T00:00:00Z')).toEqual(new Date('2026-01-04T09:00:00Z'));
+    expect(next('0 0 1 jul *', '2026-01-03T00:00:00Z')).toEqual(new Date('2026-07-01T00:00:00Z'));
+  });
+
+  test('should match either day field when both are restricted', () => {
+    // The 1st of the month or any Monday, whichever comes first
+    expect(next('0 0 1 * 1', '2026-01-02T00:00:00Z')).toEqual(new Date('2026-01-05T00:00:00Z'));
+  });
+
+  test('should return null for dates that never occur', () => {
+    expect(next('0 0 31 2 *', '2026-01-01T00:00:00Z')).toBeNull();
+    expect(next('0 0 29 2 *', '2026-01-01T00:00:00Z')).toEqual(new Date('2028-02-29T00:00:00Z'));
+  });
+
+  test('should reject malformed expressions', () => {
+    expect(() => new CronExpression('0 2 * *')).toThrow('expected 5 fields');
+    expect(() => new CronExpression('60 * * * *')).toThrow(expect.objectContaining({ code: 'INVALID_CRON_EXPRESSION' }));
+    expect(() => new CronExpression('0 5-2 * * *')).toThrow('reversed');
+    expect(() => new CronExpression('*/0 * * * *')).toThrow('step must be positive');
+  });
+});
@@ -0,0 +1,161 @@
+const { DeadLetterQueue } = require('../messaging/dead-letter-queue');
+const { RabbitMQSetup } = require('../messaging/rabbitmq-setup');
+
+function deadLetter(id, headers, content) {
+  return {
+    fields: { redelivered: false },
+    properties: { messageId: id, headers },
+    content: Buffer.from(JSON.stringify(content))
+  };
+}
+
+describe('Dead Letter Queue', () => {
+  let channel;
+  let rabbitmq;
+  let deadLetters;
+  let queued;
+
+  beforeEach(() => {
+    queued = [
+      deadLetter('dl-1', {
+        'x-original-queue': 'tasks',
+        'x-error-reason': 'Navigation timeout of 30000 ms exceeded',
+        'x-failed-at': '2024-03-01T10:00:00.000Z',
+        'x-session-id': 'session-1'
+      }, { correlation_id: 'corr-1', session_id: 'session-1' }),
+      deadLetter('dl-2', {
+        'x-original-queue': 'sessions',
+        'x-error-reason': 'JSON parsing failed',
+        'x-failed-at': '2024-03-01T11:00:00.000Z'
+      }, { session_id: 'session-2' })
+    ];
+
+    channel = {
+      get: jest.fn(async () => queued.shift() || false),
+      ack: jest.fn(),
+      close: jest.fn().mockResolvedValue()
+    };
+    rabbitmq = {
+      connection: { createChannel: jest.fn().mockResolvedValue(channel) },
+      publishConfirmed: jest.fn().mockResolvedValue(),
+      channel: {
+        purgeQueue: jest.fn().mockResolvedValue({ messageCount: 7 }),
+        checkQueue: jest.fn().mockResolvedValue({ messageCount: 2, consumerCount: 0 })
+      }
+    };
+    deadLetters = new DeadLetterQueue(rabbitmq);
+  });
+
+  test('should list dead letters with headers without removing them', async () => {
+    const messages = await deadLetters.list();
+
+    expect(messages).toHaveLength(2);
+    expect(messages[0]).toMatchObject({
+      id: 'dl-1',
+      original_queue: 'tasks',
+      error_reason: 'Navigation timeout of 30000 ms exceeded',
+      session_id: 'session-1',
+      correlation_id: 'corr-1'
+    });
+    expect(messages[1].session_id).toBe('session-2');
+    expect(channel.ack).not.toHaveBeenCalled();
+    expect(channel.close).toHaveBeenCalled();
+  });
+
+  test('should filter by original queue', async () => {
+    const messages = await deadLetters.list({ queue: 'sessions' });
+
+    expect(messages.map(m => m.id)).toEqual(['dl-2']);
+  });
+
+  test('should filter by error reason case-insensitively and by session', async () => {
+    const messages = await deadLetters.list({ reason: 'TIMEOUT', sessionId: 'session-1' });
+
+    expect(messages.map(m => m.id)).toEqual(['dl-1']);
+  });
+
+  test('should replay selected dead letters to their original queue', async () => {
+    const result = await deadLetters.replay({ ids: ['dl-1'] });
+
+    expect(result).toEqual({ replayed: 1, failed: 0, ids: ['dl-1'] });
+    const [queue, content, options] = rabbitmq.publishConfirmed.mock.calls[0];
+    expect(queue).toBe('tasks');
+    expect(JSON.parse(content.toString()).correlation_id).toBe('corr-1');
+    expect(options.replyTo).toBeUndefined();
+    expect(options.headers).toEqual({
+      'x-replayed-from': 'dead_letter',
+      'x-replay-count': 1,
+      'x-session-id': 'session-1',
+      'x-correlation-id': 'corr-1'
+    });
+    expect(channel.ack).toHaveBeenCalledTimes(1);
+    expect(channel.ack.mock.calls[0][0].properties.messageId).toBe('dl-1');
+  });
+
+  test('should leave a dead letter in the queue when its republish is not confirmed', async () => {
+    const failure = Object.assign(new Error('Publish to queue tasks was not confirmed: channel closed'), {
+      code: 'PUBLISH_NOT_CONFIRMED'
+    });
+    rabbitmq.publishConfirmed.mockRejectedValueOnce(failure);
+
+    const result = await deadLetters.replay();
+
+    expect(result).toEqual({ replayed: 1, failed: 1, ids: ['dl-2'] });
+    expect(channel.ack).toHaveBeenCalledTimes(1);
+    expect(channel.ack.mock.calls[0][0].properties.messageId).toBe('dl-2');
+    expect(channel.close).toHaveBeenCalled();
+  });
+
+  test('should purge the whole queue without a filter', async () => {
+    expect(await deadLetters.purge()).toEqual({ purged: 7 });
+    expect(rabbitmq.channel.purgeQueue).toHaveBeenCalledWith('dead_letter');
+  });
+
+  test('should purge only matching dead letters with a filter', async () => {
+    expect(await deadLetters.purge({ queue: 'sessions' })).toEqual({ purged: 1 });
+    expect(rabbitmq.channel.purgeQueue).not.toHaveBeenCalled();
+    expect(channel.ack.mock.calls[0][0].properties.messageId).toBe('dl-2');
+  });
+
+  test('should give messages without an ID a stable one', () => {
+    const message = deadLetter(undefined, { 'x-failed-at': '2024-03-01T10:00:00.000Z' }, { a: 1 });
+
+    expect(deadLetters.describe(message).id).toMatch(/^[0-9a-f]{16}$/);
+    expect(deadLetters.describe(message).id).toBe(deadLetters.describe(message).id);
+  });
+
+  describe('Dead-lettering', () => {
+    test('should publish consumer failures to the dead letter exchange with headers', async () => {
+      const setup = new RabbitMQSetup();
+      let consume;
+      setup.channel = {
+        prefetch: jest.fn(),
+        consume: jest.fn(async (queue, callback) => { consume = callback; }),
+        publish: jest.fn(),
+        ack: jest.fn(),
+        nack: jest.fn()
+      };
+
+      await setup.setupConsumer('sessions', async () => {
+        throw new Error('Session not found');
+      });
+      const message = {
+        properties: {},
+        content: Buffer.from(JSON.stringify({ session_id: 'session-1' }))
+      };
+      await consume(message);
+
+      const [exchange, routingKey, , options] = setup.channel.publish.mock.calls[0];
+      expect(exchange).toBe('dead_letter_exchange');
+      expect(routingKey).toBe('failed');
+      expect(options.messageId).toBeDefined();
+      expect(options.headers).toMatchObject({
+        'x-original-queue': 'sessions',
+        'x-error-reason': 'Session not found',
+        'x-session-id': 'session-1'
+      });
+      expect(setup.channel.ack).toHaveBeenCalledWith(message);
+      expect(setup.channel.nack).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -236,6 +236,23 @@ describe('Browser Fingerprinting System', () => {
   });
 
   describe('Profile Management', () => {
+    test('should list Linux desktops, tablets and browser families without an instance', () => {
+      const profiles = FingerprintManager.getAvailableProfiles();
+
+      expect(profiles).toEqual(fingerprintManager.getAvailableProfiles());
+      expect(profiles).toContainEqual({
+        key: 'desktop_linux_firefox',
+        device: 'Desktop',
+        os: 'Linux',
+        browser: 'Firefox',
+        formFactor: 'desktop',
+        type: 'desktop'
+      });
+      expect(profiles.filter(p => p.formFactor === 'tablet').map(p => p.type)).toEqual(['mobile', 'mobile']);
+      expect(new Set(profiles.map(p => p.browser))).toEqual(new Set(['Safari', 'Chrome', 'Edge', 'Firefox']));
+      expect(fingerprintManager.getProfileStats().byBrowser.Firefox).toBe(2);
+    });
+
     test('should list all available profiles', () => {
       const profiles = fingerprintManager.getAvailableProfiles();
       
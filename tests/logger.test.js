@@ -0,0 +1,100 @@
+const { Writable } = require('stream');
+const winston = require('winston');
+const { logger, createLogger, runWithLogContext, getLogContext, resolveLevel } = require('../src/utils/logger');
+
+describe('Logger', () => {
+  let entries;
+  let transport;
+
+  beforeEach(() => {
+    entries = [];
+    const stream = new Writable({
+      objectMode: true,
+      write(info, encoding, callback) {
+        entries.push(JSON.parse(info[Symbol.for('message')]));
+        callback();
+      }
+    });
+
+    transport = new winston.transports.Stream({ stream });
+    logger.transports.forEach(existing => { existing.silent = true; });
+    logger.add(transport);
+  });
+
+  afterEach(() => {
+    logger.remove(transport);
+    logger.transports.forEach(existing => { existing.silent = false; });
+  });
+
+  test('should write JSON entries with level, component and timestamp', () => {
+    createLogger('worker-service').info('Task completed', { response_time_ms: 1200 });
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({
+      level: 'info',
+      message: 'Task completed',
+      component: 'worker-service',
+      response_time_ms: 1200
+    });
+    expect(entries[0].timestamp).toBeDefined();
+  });
+
+  test('should include session and correlation IDs from the active context', async () => {
+    const log = createLogger('client-service');
+
+    await runWithLogContext({ session_id: 'session-1' }, async () => {
+      await runWithLogContext({ correlation_id: 'corr-1' }, async () => {
+        await new Promise(resolve => setTimeout(resolve, 1));
+        log.info('RPC response received');
+      });
+      log.info('Task sending complete');
+    });
+    log.info('Client Service stopped');
+
+    expect(entries[0]).toMatchObject({ session_id: 'session-1', correlation_id: 'corr-1' });
+    expect(entries[1].session_id).toBe('session-1');
+    expect(entries[1].correlation_id).toBeUndefined();
+    expect(entries[2].session_id).toBeUndefined();
+  });
+
+  test('should prefer explicitly passed IDs over the context', () => {
+    runWithLogContext({ session_id: 'session-1', correlation_id: 'corr-1' }, () => {
+      createLogger('client-service').info('Task sent', { correlation_id: 'corr-2' });
+    });
+
+    expect(entries[0]).toMatchObject({ session_id: 'session-1', correlation_id: 'corr-2' });
+  });
+
+  test('should serialize errors passed as metadata', () => {
+    const error = new Error('Element not found');
+    error.code = 'ELEMENT_NOT_FOUND';
+
+    createLogger('navigation-engine').error('Navigation step failed', { navigation_step: 2, error });
+
+    expect(entries[0].error).toMatchObject({
+      name: 'Error',
+      message: 'Element not found',
+      code: 'ELEMENT_NOT_FOUND'
+    });
+    expect(entries[0].error.stack).toContain('Element not found');
+  });
+
+  test('should expose the active context', () => {
+    expect(getLogContext()).toEqual({});
+
+    runWithLogContext({ session_id: 'session-1' }, () => {
+      expect(getLogContext()).toEqual({ session_id: 'session-1' });
+    });
+  });
+
+  test('should map DEBUG_MODE to the debug level unless LOG_LEVEL is set', () => {
+    expect(resolveLevel({})).toBe('info');
+    expect(resolveLevel({ DEBUG_MODE: 'true' })).toBe('debug');
+    expect(resolveLevel({ DEBUG_MODE: 'true', LOG_LEVEL: 'warn' })).toBe('warn');
+  });
+
+  test('should enable debug entries for components in debug mode', () => {
+    expect(createLogger('navigation-engine', { debugMode: true }).isDebugEnabled()).toBe(true);
+    expect(createLogger('navigation-engine').isDebugEnabled()).toBe(logger.isDebugEnabled());
+  });
+});
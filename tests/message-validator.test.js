@@ -0,0 +1,168 @@
+const {
+  ValidationError,
+  validateMessage,
+  assertValidMessage,
+  createValidationError
+} = require('../src/validation/message-validator');
+const { NAVIGATION_ACTIONS } = require('../src/validation/message-schemas');
+
+describe('Message Validation', () => {
+  const session = {
+    tasks_24h: 100,
+    countries: ['us', 'de'],
+    main_page_url: 'https://example.com',
+    navigations: [{ css: '.test', action: 'click_first' }]
+  };
+
+  const task = {
+    schema_version: 1,
+    correlation_id: 'task-1',
+    session_id: 'session-1',
+    country: 'us',
+    device: 'mobile',
+    os: 'iOS',
+    main_page_url: 'https://example.com',
+    navigations: [{ css: '.test', action: 'click_first' }]
+  };
+
+  describe('Sessions', () => {
+    test('should accept a valid session with or without a schema version', () => {
+      expect(validateMessage('session', session)).toEqual([]);
+      expect(validateMessage('session', { ...session, schema_version: 1 })).toEqual([]);
+    });
+
+    test('should report every problem with a path to the offending field', () => {
+      const errors = validateMessage('session', {
+        tasks_24h: 0,
+        countries: ['us', 'united states'],
+        main_page_url: 'example.com',
+        language: 'en'
+      });
+
+      expect(errors).toEqual(expect.arrayContaining([
+        { path: '/navigations', message: 'is required' },
+        { path: '/language', message: 'is not allowed' },
+        { path: '/tasks_24h', message: 'must be >= 1' },
+        { path: '/countries/1', message: expect.stringContaining('must match pattern') },
+        { path: '/main_page_url', message: expect.stringContaining('must match pattern') }
+      ]));
+      expect(errors).toHaveLength(5);
+    });
+
+    test('should validate country overrides and device distributions', () => {
+      expect(validateMessage('session', {
+        ...session,
+        device_distribution: { mobile_ios_iphone13: 2, desktop_bsd_lynx: 1 },
+        country_overrides: { de: { weight: 'high', navigations: [{ action: 'hover' }] } }
+      })).toEqual([
+        { path: '/device_distribution/desktop_bsd_lynx', message: expect.stringMatching(/^is not one of: mobile_ios_iphone13, /) },
+        { path: '/country_overrides/de/weight', message: 'must be number' },
+        { path: '/country_overrides/de/navigations/0/css', message: 'is required' }
+      ]);
+    });
+
+    test('should reject sessions written for an unknown schema version', () => {
+      expect(validateMessage('session', { ...session, schema_version: 2 }))
+        .toEqual([{ path: '/schema_version', message: 'must be one of: 1' }]);
+    });
+
+    test('should reject messages that are not objects', () => {
+      expect(validateMessage('session', null)).toEqual([{ path: '', message: 'must be an object' }]);
+      expect(validateMessage('session', [session])).toEqual([{ path: '', message: 'must be an object' }]);
+    });
+  });
+
+  describe('Navigation Steps', () => {
+    const stepErrors = step => validateMessage('task', { ...task, navigations: [step] });
+
+    test('should reject unknown actions', () => {
+      expect(stepErrors({ css: '.test', action: 'double_click' })).toEqual([
+        { path: '/navigations/0/action', message: `must be one of: ${NAVIGATION_ACTIONS.join(', ')}` }
+      ]);
+      expect(stepErrors({ css: '.test' })).toEqual([{ path: '/navigations/0/action', message: 'is required' }]);
+    });
+
+    test('should require the fields each action needs', () => {
+      expect(stepErrors({ css: '#search', action: 'type_text' }))
+        .toEqual([{ path: '/navigations/0/text', message: 'is required' }]);
+      expect(stepErrors({ css: 'select', action: 'select_option' }))
+        .toEqual([{ path: '/navigations/0/value', message: 'is required' }]);
+      expect(stepErrors({ action: 'assert_url_matches' }))
+        .toEqual([{ path: '/navigations/0/pattern', message: 'is required' }]);
+      expect(stepErrors({ action: 'screenshot' })).toEqual([]);
+    });
+
+    test('should reject fields the action does not read', () => {
+      expect(stepErrors({ css: '#search', action: 'type_text', value: 'shoes' })).toEqual([
+        { path: '/navigations/0/value', message: 'is not allowed' },
+        { path: '/navigations/0/text', message: 'is required' }
+      ]);
+    });
+
+    test('should check field types per action', () => {
+      expect(stepErrors({ css: '.item', action: 'assert_count', min: -1, timeout: 0 })).toEqual([
+        { path: '/navigations/0/min', message: 'must be >= 0' },
+        { path: '/navigations/0/timeout', message: 'must be >= 1' }
+      ]);
+      expect(stepErrors({ action: 'assert_title_matches', pattern: 'Shop', flags: 'x' })).toEqual([
+        { path: '/navigations/0/flags', message: expect.stringContaining('must match pattern') }
+      ]);
+    });
+
+    test('should reject patterns that do not compile with their flags', () => {
+      expect(stepErrors({ action: 'assert_url_matches', pattern: '/checkout(' })).toEqual([
+        { path: '/navigations/0/pattern', message: 'must be a valid regular expression (//checkout(/: Unterminated group)' }
+      ]);
+      expect(stepErrors({ css: 'h1', action: 'assert_text_matches', pattern: 'a\\-b', flags: 'u' })).toEqual([
+        { path: '/navigations/0/pattern', message: 'must be a valid regular expression (/a\\-b/u: Invalid escape)' }
+      ]);
+      expect(stepErrors({ css: 'h1', action: 'assert_text_matches', pattern: 'a\\-b', flags: 'i' })).toEqual([]);
+      expect(stepErrors({ action: 'assert_title_matches', pattern: 'Shop', flags: 'ii' })).toEqual([
+        { path: '/navigations/0/flags', message: expect.stringContaining('must match pattern') }
+      ]);
+    });
+  });
+
+  describe('Task Messages and Results', () => {
+    test('should accept task messages with extra fields', () => {
+      expect(validateMessage('task', { ...task, fingerprint_profile: 'mobile_ios_iphone13', priority: 'high' })).toEqual([]);
+    });
+
+    test('should reject task messages for unknown devices', () => {
+      expect(validateMessage('task', { ...task, device: 'tablet' }))
+        .toEqual([{ path: '/device', message: 'must be one of: mobile, desktop' }]);
+    });
+
+    test('should validate task results', () => {
+      expect(validateMessage('result', { schema_version: 1, correlation_id: 'task-1', status: 'successful' })).toEqual([]);
+      expect(validateMessage('result', { correlation_id: '', status: 'failed', attempt: 1.5 })).toEqual([
+        { path: '/correlation_id', message: 'must NOT be shorter than 1 characters' },
+        { path: '/attempt', message: 'must be integer' }
+      ]);
+    });
+  });
+
+  describe('Validation Errors', () => {
+    test('should throw one error listing every problem', () => {
+      let error;
+      try {
+        assertValidMessage('task', { ...task, country: undefined, navigations: 'none' });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.code).toBe('INVALID_TASK_MESSAGE');
+      expect(error.message).toBe('Invalid task message: /country is required; /navigations must be array');
+      expect(error.errors).toHaveLength(2);
+    });
+
+    test('should build errors for the message type', () => {
+      const error = createValidationError('result', [{ path: '', message: 'must be an object' }]);
+
+      expect(error.name).toBe('ValidationError');
+      expect(error.code).toBe('INVALID_TASK_RESULT');
+      expect(error.message).toBe('Invalid task result: / must be an object');
+    });
+  });
+});
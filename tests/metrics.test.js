@@ -0,0 +1,126 @@
+const request = require('supertest');
+const { ClientMetrics } = require('../src/metrics/client-metrics');
+const { WorkerMetrics } = require('../src/metrics/worker-metrics');
+const { MetricsServer } = require('../src/metrics/metrics-server');
+
+describe('Metrics', () => {
+  describe('Client Metrics', () => {
+    let metrics;
+
+    beforeEach(() => {
+      metrics = new ClientMetrics({ collectDefaultMetrics: false });
+    });
+
+    test('should count tasks by country, device and os', async () => {
+      const task = { country: 'de', device: 'mobile', os: 'Android' };
+      metrics.recordTaskSent(task);
+      metrics.recordTaskSent(task);
+      metrics.recordTaskResult({ ...task, status: 'successful' });
+      metrics.recordTaskResult({ ...task, status: 'failed', error_type: 'AssertionError' });
+
+      const output = await metrics.render();
+
+      expect(output).toContain('bas_tasks_sent_total{country="de",device="mobile",os="Android",service="client"} 2');
+      expect(output).toContain('bas_tasks_completed_total{country="de",device="mobile",os="Android",service="client"} 1');
+      expect(output).toContain('bas_tasks_failed_total{country="de",device="mobile",os="Android",error_type="AssertionError",service="client"} 1');
+    });
+
+    test('should count ignored results by reason', async () => {
+      metrics.recordDuplicateResult('redelivered');
+      metrics.recordDuplicateResult('redelivered');
+      metrics.recordDuplicateResult('stale_attempt');
+
+      const output = await metrics.render();
+
+      expect(output).toContain('bas_task_results_ignored_total{reason="redelivered",service="client"} 2');
+      expect(output).toContain('bas_task_results_ignored_total{reason="stale_attempt",service="client"} 1');
+    });
+
+    test('should record task result latency in a histogram', async () => {
+      metrics.observeTaskLatency('tasks', 'result', 4200);
+
+      const output = await metrics.render();
+
+      expect(output).toContain('bas_task_result_latency_seconds_bucket{le="5",service="client",queue="tasks",outcome="result"} 1');
+      expect(output).toContain('bas_task_result_latency_seconds_sum{service="client",queue="tasks",outcome="result"} 4.2');
+    });
+
+    test('should bucket result timeouts below +Inf', async () => {
+      metrics.observeTaskLatency('tasks', 'timeout', 900000);
+
+      const output = await metrics.render();
+
+      expect(output).toContain('bas_task_result_latency_seconds_bucket{le="600",service="client",queue="tasks",outcome="timeout"} 0');
+      expect(output).toContain('bas_task_result_latency_seconds_bucket{le="900",service="client",queue="tasks",outcome="timeout"} 1');
+    });
+
+    test('should read rates and active sessions at scrape time', async () => {
+      const sessionRates = new Map([['session-1', { currentRate: 12.5 }]]);
+      const activeSessions = new Map([['session-1', {}]]);
+      metrics.bindRateSources({ rateManager: { currentRate: 5.56 }, sessionRates, activeSessions });
+
+      let output = await metrics.render();
+      expect(output).toContain('bas_task_rate_per_minute{scope="global",service="client"} 5.56');
+      expect(output).toContain('bas_task_rate_per_minute{scope="session-1",service="client"} 12.5');
+      expect(output).toContain('bas_active_sessions{service="client"} 1');
+
+      sessionRates.clear();
+      activeSessions.clear();
+      output = await metrics.render();
+      expect(output).not.toContain('scope="session-1"');
+      expect(output).toContain('bas_active_sessions{service="client"} 0');
+    });
+  });
+
+  describe('Worker Metrics', () => {
+    let metrics;
+
+    beforeEach(() => {
+      metrics = new WorkerMetrics({ collectDefaultMetrics: false });
+    });
+
+    test('should report active tasks from the live map', async () => {
+      const activeTasks = new Map([['task-1', {}], ['task-2', {}]]);
+      metrics.bindActiveTasks(activeTasks);
+
+      expect(await metrics.render()).toContain('bas_worker_active_tasks{service="worker"} 2');
+    });
+
+    test('should count processed tasks, browser launches and proxy outcomes', async () => {
+      metrics.recordTask({ status: 'failed', country: 'us', device: 'desktop', os: 'Windows', response_time_ms: 15000 });
+      metrics.recordBrowserLaunch('success', { host: 'proxy' });
+      metrics.recordBrowserLaunch('failure', null);
+      metrics.recordProxyAcquisition('us');
+      metrics.recordProxyFailure('sg');
+
+      const output = await metrics.render();
+
+      expect(output).toContain('bas_worker_tasks_processed_total{status="failed",country="us",device="desktop",os="Windows",service="worker"} 1');
+      expect(output).toContain('bas_worker_task_duration_seconds_count{service="worker",status="failed"} 1');
+      expect(output).toContain('bas_worker_browser_launches_total{outcome="success",proxy="true",service="worker"} 1');
+      expect(output).toContain('bas_worker_browser_launches_total{outcome="failure",proxy="false",service="worker"} 1');
+      expect(output).toContain('bas_worker_proxy_acquisitions_total{country="us",service="worker"} 1');
+      expect(output).toContain('bas_worker_proxy_failures_total{country="sg",service="worker"} 1');
+    });
+
+    test('should keep registries separate per instance', async () => {
+      const other = new WorkerMetrics({ collectDefaultMetrics: false });
+      metrics.recordProxyAcquisition('us');
+
+      expect(await other.render()).not.toContain('bas_worker_proxy_acquisitions_total{country="us"');
+    });
+  });
+
+  describe('Metrics Server', () => {
+    test('should serve metrics in Prometheus text format', async () => {
+      const metrics = new WorkerMetrics({ collectDefaultMetrics: false });
+      const server = new MetricsServer(metrics);
+
+      const response = await request(server.app).get('/metrics');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/plain');
+      expect(response.text).toContain('# TYPE bas_worker_active_tasks gauge');
+    });
+  });
+});
@@ -248,6 +248,144 @@ describe('Navigation Engine', () => {
     });
   });
 
+  describe('Assertion Steps', () => {
+    test('should record passing assertions as successful steps', async () => {
+      mockPage.url = jest.fn().mockReturnValue('https://example.com/checkout');
+      mockPage.$$.mockResolvedValue([{}, {}, {}]);
+
+      const navigations = [
+        { action: 'assert_url_matches', pattern: '/checkout$' },
+        { action: 'assert_count', css: '.item', min: 1, max: 5 }
+      ];
+
+      const results = await navigationEngine.executeNavigations(mockPage, navigations);
+
+      expect(results.every(r => r.status === 'success')).toBe(true);
+      expect(results[1].assertion).toMatchObject({ type: 'assert_count', actual: 3, passed: true });
+    });
+
+    test('should report failed assertions without attempting recovery', async () => {
+      const heading = { evaluate: jest.fn().mockResolvedValue('  Welcome back  ') };
+      mockPage.waitForSelector.mockResolvedValueOnce(heading);
+
+      const navigations = [
+        { action: 'assert_text_contains', css: 'h1', text: 'Order confirmed' },
+        { action: 'click_first', css: '.next' }
+      ];
+
+      const results = await navigationEngine.executeNavigations(mockPage, navigations);
+
+      expect(results).toHaveLength(2);
+      expect(results[0]).toMatchObject({
+        step: 1,
+        status: 'failed',
+        error_type: 'AssertionError',
+        assertion: {
+          type: 'assert_text_contains',
+          selector: 'h1',
+          expected: 'Order confirmed',
+          actual: 'Welcome back',
+          passed: false
+        }
+      });
+      expect(results[0].recovery).toBeUndefined();
+      expect(mockPage.reload).not.toHaveBeenCalled();
+      expect(results[1].action).toBe('click_first');
+    });
+
+    test('should report missing or malformed patterns as failed assertions', async () => {
+      mockPage.url = jest.fn().mockReturnValue('https://example.com/checkout');
+      mockPage.title = jest.fn().mockResolvedValue('Checkout');
+
+      const results = await navigationEngine.executeNavigations(mockPage, [
+        { action: 'assert_url_matches', pattern: '(checkout' },
+        { action: 'assert_title_matches' }
+      ]);
+
+      expect(results).toHaveLength(2);
+      expect(results[0]).toMatchObject({
+        status: 'failed',
+        error_type: 'AssertionError',
+        error: expect.stringContaining('Invalid pattern for assert_url_matches'),
+        assertion: { type: 'assert_url_matches', pattern: '(checkout', passed: false }
+      });
+      expect(results[1]).toMatchObject({
+        status: 'failed',
+        error: 'Assertion assert_title_matches requires a pattern',
+        assertion: { pattern: null, passed: false }
+      });
+      expect(results[0].recovery).toBeUndefined();
+      expect(mockPage.reload).not.toHaveBeenCalled();
+    });
+
+    test('should pass assert_absent when the element is hidden', async () => {
+      const results = await navigationEngine.executeNavigations(mockPage, [
+        { action: 'assert_absent', css: '.error-banner', timeout: 500 }
+      ]);
+
+      expect(mockPage.waitForSelector).toHaveBeenCalledWith('.error-banner', { hidden: true, timeout: 500 });
+      expect(results[0].status).toBe('success');
+    });
+
+    test('should compare attribute values exactly', async () => {
+      const link = { evaluate: jest.fn().mockResolvedValue('/cart') };
+      mockPage.waitForSelector.mockResolvedValueOnce(link);
+
+      const results = await navigationEngine.executeNavigations(mockPage, [
+        { action: 'assert_attribute_equals', css: 'a.cart', attribute: 'href', value: '/basket' }
+      ]);
+
+      expect(results[0].status).toBe('failed');
+      expect(results[0].assertion).toMatchObject({ expected: '/basket', actual: '/cart' });
+    });
+  });
+
+  describe('Artifact Capture', () => {
+    test('should capture artifacts at screenshot steps', async () => {
+      const capture = jest.fn().mockResolvedValue({ reason: 'screenshot', step: 1 });
+
+      const results = await navigationEngine.executeNavigations(mockPage, [
+        { action: 'screenshot', name: 'landing' }
+      ], { capture });
+
+      expect(capture).toHaveBeenCalledWith(mockPage, { step: 1, reason: 'screenshot', name: 'landing' });
+      expect(results[0]).toMatchObject({ status: 'success', artifacts: [{ reason: 'screenshot', step: 1 }] });
+      expect(mockPage.waitForSelector).not.toHaveBeenCalled();
+    });
+
+    test('should capture artifacts before recovering from a failed step', async () => {
+      const capture = jest.fn().mockResolvedValue({ reason: 'failure', step: 1 });
+      mockPage.waitForSelector.mockRejectedValue(new Error('stale element reference'));
+
+      const results = await navigationEngine.executeNavigations(mockPage, [
+        { action: 'click_first', css: '.gone' }
+      ], { capture });
+
+      expect(capture).toHaveBeenCalledWith(mockPage, { step: 1, reason: 'failure' });
+      expect(capture.mock.invocationCallOrder[0]).toBeLessThan(mockPage.reload.mock.invocationCallOrder[0]);
+      expect(results[0].artifacts).toEqual([{ reason: 'failure', step: 1 }]);
+    });
+
+    test('should attach performance samples to successful steps', async () => {
+      const collectPerformance = jest.fn().mockResolvedValue({ lcp_ms: 800, same_document: true });
+
+      const results = await navigationEngine.executeNavigations(mockPage, [
+        { action: 'hover', css: '.menu' }
+      ], { collectPerformance });
+
+      expect(collectPerformance).toHaveBeenCalledWith(mockPage, { step: 1 });
+      expect(results[0].performance).toEqual({ lcp_ms: 800, same_document: true });
+    });
+
+    test('should run without a capture hook', async () => {
+      const results = await navigationEngine.executeNavigations(mockPage, [
+        { action: 'screenshot' }
+      ]);
+
+      expect(results[0]).toMatchObject({ status: 'success', artifacts: [] });
+    });
+  });
+
   describe('Error Recovery', () => {
     test('should attempt page reload for stale element error', async () => {
       const error = new Error('stale element reference');
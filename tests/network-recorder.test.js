@@ -0,0 +1,186 @@
+const { EventEmitter } = require('events');
+const { NetworkRecorder } = require('../src/network/network-recorder');
+
+function createRequest(url, options = {}) {
+  return {
+    _requestId: options.id,
+    url: () => url,
+    method: () => options.method || 'GET',
+    headers: () => options.headers || { accept: '*/*' },
+    postData: () => options.postData,
+    resourceType: () => options.resourceType || 'document',
+    failure: () => (options.errorText ? { errorText: options.errorText } : null)
+  };
+}
+
+function createResponse(request, status, headers = {}) {
+  return {
+    request: () => request,
+    status: () => status,
+    statusText: () => (status === 200 ? 'OK' : 'Error'),
+    headers: () => headers,
+    timing: () => null
+  };
+}
+
+describe('Network Recorder', () => {
+  let page;
+  let recorder;
+  let now;
+
+  beforeEach(async () => {
+    page = new EventEmitter();
+    page.url = () => 'https://example.com/';
+    recorder = new NetworkRecorder(page, { slowestLimit: 2 });
+
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    await recorder.start();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  function complete(request, status, headers, duration) {
+    page.emit('request', request);
+    now += duration;
+    page.emit('response', createResponse(request, status, headers));
+    page.emit('requestfinished', request);
+  }
+
+  function fail(request, duration) {
+    page.emit('request', request);
+    now += duration;
+    page.emit('requestfailed', request);
+  }
+
+  test('should summarise failures by category', () => {
+    complete(createRequest('https://example.com/'), 200, { 'content-length': '1000' }, 120);
+    complete(createRequest('https://example.com/missing.js', { resourceType: 'script' }), 404, {}, 30);
+    complete(createRequest('https://api.example.com/data', { resourceType: 'xhr' }), 503, { 'content-length': '24' }, 900);
+    fail(createRequest('https://ads.example.net/pixel', { errorText: 'net::ERR_BLOCKED_BY_CLIENT' }), 5);
+    fail(createRequest('https://cdn.example.com/font.woff2', { errorText: 'net::ERR_TIMED_OUT' }), 2000);
+    page.emit('request', createRequest('https://example.com/long-poll'));
+
+    const summary = recorder.getSummary();
+
+    expect(summary.total_requests).toBe(6);
+    expect(summary.failed_requests).toBe(5);
+    expect(summary.failures).toEqual({
+      client_error: 1,
+      server_error: 1,
+      blocked: 1,
+      timed_out: 2,
+      network_error: 0
+    });
+    expect(summary.total_bytes).toBe(1024);
+    expect(summary.slowest_resources.map(r => r.url)).toEqual([
+      'https://cdn.example.com/font.woff2',
+      'https://api.example.com/data'
+    ]);
+  });
+
+  test('should export a HAR 1.2 log', () => {
+    complete(
+      createRequest('https://example.com/search?q=shoes', {
+        method: 'POST',
+        postData: 'q=shoes',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' }
+      }),
+      200,
+      { 'content-type': 'text/html', 'content-length': '512' },
+      250
+    );
+    fail(createRequest('https://ads.example.net/pixel', { errorText: 'net::ERR_BLOCKED_BY_CLIENT' }), 5);
+
+    const har = recorder.toHar();
+
+    expect(har.log.version).toBe('1.2');
+    expect(har.log.pages[0]).toMatchObject({ id: 'page_1', title: 'https://example.com/' });
+    expect(har.log.entries).toHaveLength(2);
+    expect(har.log.entries[0]).toMatchObject({
+      pageref: 'page_1',
+      time: 250,
+      request: {
+        method: 'POST',
+        url: 'https://example.com/search?q=shoes',
+        queryString: [{ name: 'q', value: 'shoes' }],
+        postData: { mimeType: 'application/x-www-form-urlencoded', text: 'q=shoes' },
+        bodySize: 7
+      },
+      response: {
+        status: 200,
+        content: { size: 512, mimeType: 'text/html' }
+      },
+      timings: { send: 0, wait: 250, receive: 0 }
+    });
+    expect(har.log.entries[1]).toMatchObject({
+      response: { status: 0, bodySize: -1, content: { size: -1 } },
+      _error: 'net::ERR_BLOCKED_BY_CLIENT'
+    });
+  });
+
+  test('should report unknown sizes when no Content-Length is declared', () => {
+    complete(createRequest('https://example.com/chunked'), 200, { 'transfer-encoding': 'chunked' }, 40);
+
+    const [entry] = recorder.toHar().log.entries;
+
+    expect(entry.response).toMatchObject({ bodySize: -1, _transferSize: -1, content: { size: -1 } });
+    expect(recorder.getSummary().total_bytes).toBe(0);
+  });
+
+  describe('with a CDP session', () => {
+    let cdp;
+
+    beforeEach(async () => {
+      await recorder.stop();
+      cdp = new EventEmitter();
+      cdp.send = jest.fn().mockResolvedValue({});
+      cdp.detach = jest.fn().mockResolvedValue();
+      page.target = () => ({ createCDPSession: jest.fn().mockResolvedValue(cdp) });
+
+      recorder = new NetworkRecorder(page, { slowestLimit: 2 });
+      await recorder.start();
+    });
+
+    function transfer(requestId, headers, chunks) {
+      cdp.emit('Network.responseReceived', { requestId, response: { encodedDataLength: headers } });
+      let encoded = headers;
+      for (const [decoded, onWire] of chunks) {
+        cdp.emit('Network.dataReceived', { requestId, dataLength: decoded, encodedDataLength: onWire });
+        encoded += onWire;
+      }
+      cdp.emit('Network.loadingFinished', { requestId, encodedDataLength: encoded });
+    }
+
+    test('should take sizes from the bytes actually transferred', () => {
+      expect(cdp.send).toHaveBeenCalledWith('Network.enable');
+
+      complete(createRequest('https://example.com/', { id: '1' }), 200, { 'content-encoding': 'br' }, 100);
+      transfer('1', 300, [[4000, 900], [2000, 500]]);
+      complete(createRequest('https://example.com/app.js', { id: '2' }), 200, { 'content-length': '5000' }, 50);
+
+      const [page1, app] = recorder.toHar().log.entries;
+
+      expect(page1.response).toMatchObject({ bodySize: 1400, _transferSize: 1700, content: { size: 6000 } });
+      expect(app.response).toMatchObject({ bodySize: 5000, _transferSize: 5000, content: { size: 5000 } });
+      expect(recorder.getSummary().total_bytes).toBe(6700);
+    });
+
+    test('should detach the CDP session on stop()', async () => {
+      await recorder.stop();
+
+      expect(cdp.detach).toHaveBeenCalled();
+      expect(cdp.listenerCount('Network.loadingFinished')).toBe(0);
+    });
+  });
+
+  test('should stop recording after stop()', async () => {
+    await recorder.stop();
+    page.emit('request', createRequest('https://example.com/late'));
+
+    expect(recorder.getSummary().total_requests).toBe(0);
+    expect(page.listenerCount('request')).toBe(0);
+  });
+});
@@ -0,0 +1,65 @@
+const { PerformanceCollector } = require('../src/performance/performance-collector');
+
+describe('Performance Collector', () => {
+  let collector;
+  let mockPage;
+
+  const metrics = {
+    url: 'https://example.com/',
+    time_origin: 1700000000000.5,
+    ttfb_ms: 182.4,
+    dom_content_loaded_ms: 640,
+    load_ms: 1210.7,
+    first_paint_ms: 300.1,
+    fcp_ms: 300.1,
+    lcp_ms: 980.25,
+    cls: 0.0421,
+    transfer_size: 48213
+  };
+
+  beforeEach(() => {
+    collector = new PerformanceCollector();
+    mockPage = {
+      evaluateOnNewDocument: jest.fn().mockResolvedValue(),
+      evaluate: jest.fn().mockResolvedValue(metrics)
+    };
+  });
+
+  test('should install observers before navigation', async () => {
+    const installed = await collector.install(mockPage);
+
+    expect(installed).toBe(true);
+    expect(mockPage.evaluateOnNewDocument).toHaveBeenCalledWith(expect.any(Function));
+  });
+
+  test('should not fail the task when observers cannot be installed', async () => {
+    mockPage.evaluateOnNewDocument.mockRejectedValue(new Error('Target closed'));
+
+    await expect(collector.install(mockPage)).resolves.toBe(false);
+  });
+
+  test('should collect a metrics sample from the page', async () => {
+    const sample = await collector.collect(mockPage);
+
+    expect(sample).toMatchObject({ ...metrics, same_document: false });
+    expect(sample.collected_at).toBeDefined();
+  });
+
+  test('should flag samples from the same document as the previous one', async () => {
+    const first = await collector.collect(mockPage);
+    const second = await collector.collect(mockPage, first);
+
+    expect(second.same_document).toBe(true);
+
+    mockPage.evaluate.mockResolvedValue({ ...metrics, time_origin: 1700000004200.1 });
+    const third = await collector.collect(mockPage, second);
+
+    expect(third.same_document).toBe(false);
+  });
+
+  test('should return null when the page cannot be evaluated', async () => {
+    mockPage.evaluate.mockRejectedValue(new Error('Execution context was destroyed'));
+
+    await expect(collector.collect(mockPage)).resolves.toBeNull();
+  });
+});
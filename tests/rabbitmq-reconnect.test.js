@@ -0,0 +1,285 @@
+const { EventEmitter } = require('events');
+const amqp = require('amqplib');
+const { RabbitMQSetup } = require('../messaging/rabbitmq-setup');
+
+jest.mock('amqplib');
+
+function createChannel() {
+  const channel = new EventEmitter();
+  let replyCounter = 0;
+  channel.consumers = {};
+  channel.assertQueue = jest.fn(async (name) => ({ queue: name || `amq.gen-${++replyCounter}` }));
+  channel.assertExchange = jest.fn().mockResolvedValue({});
+  channel.bindQueue = jest.fn().mockResolvedValue({});
+  channel.prefetch = jest.fn().mockResolvedValue();
+  channel.consume = jest.fn(async (queue, callback) => { channel.consumers[queue] = callback; });
+  channel.sendToQueue = jest.fn((queue, content, options, confirm) => {
+    if (confirm) {
+      setImmediate(() => confirm(channel.nackPublishes ? new Error('message nacked') : null));
+    }
+    return true;
+  });
+  channel.ack = jest.fn();
+  channel.nack = jest.fn();
+  channel.publish = jest.fn();
+  channel.close = jest.fn().mockResolvedValue();
+  return channel;
+}
+
+function createConnection(channel, confirmChannel) {
+  const connection = new EventEmitter();
+  connection.createChannel = jest.fn().mockResolvedValue(channel);
+  connection.createConfirmChannel = jest.fn().mockResolvedValue(confirmChannel);
+  connection.close = jest.fn().mockResolvedValue();
+  return connection;
+}
+
+describe('RabbitMQ Reconnection', () => {
+  let setup;
+  let channels;
+  let confirmChannels;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    channels = [];
+    confirmChannels = [];
+    amqp.connect.mockImplementation(async () => {
+      const channel = createChannel();
+      const confirmChannel = createChannel();
+      channels.push(channel);
+      confirmChannels.push(confirmChannel);
+      return createConnection(channel, confirmChannel);
+    });
+
+    setup = new RabbitMQSetup();
+    setup.config.reconnectBaseDelay = 100;
+    setup.config.reconnectMaxDelay = 1000;
+  });
+
+  afterEach(async () => {
+    await setup.close();
+    jest.useRealTimers();
+    jest.clearAllMocks();
+  });
+
+  test('should share one reply queue and match replies by correlation ID', async () => {
+    await setup.initialize();
+    const confirmChannel = confirmChannels[0];
+
+    const first = setup.sendRPCRequest('tasks', { n: 1 }, 5000);
+    const second = setup.sendRPCRequest('tasks', { n: 2 }, 5000);
+    await new Promise(resolve => setImmediate(resolve));
+
+    const [, , firstOptions] = confirmChannel.sendToQueue.mock.calls[0];
+    const [, , secondOptions] = confirmChannel.sendToQueue.mock.calls[1];
+    expect(firstOptions.replyTo).toBe(secondOptions.replyTo);
+
+    const reply = channels[0].consumers[firstOptions.replyTo];
+    reply({ properties: { correlationId: secondOptions.correlationId }, content: Buffer.from('{"n":2}') });
+    reply({ properties: { correlationId: firstOptions.correlationId }, content: Buffer.from('{"n":1}') });
+
+    await expect(first).resolves.toEqual({ n: 1 });
+    await expect(second).resolves.toEqual({ n: 2 });
+    expect(setup.pendingRequests.size).toBe(0);
+  });
+
+  test('should fail in-flight RPC requests when the connection drops', async () => {
+    await setup.initialize();
+
+    const request = setup.sendRPCRequest('tasks', { n: 1 }, 5000);
+    await new Promise(resolve => setImmediate(resolve));
+    setup.connection.emit('close');
+
+    await expect(request).rejects.toMatchObject({ code: 'RPC_CONNECTION_LOST' });
+    expect(setup.isConnected).toBe(false);
+  });
+
+  test('should apply each consumer prefetch limit before it starts consuming', async () => {
+    await setup.initialize();
+    const channel = channels[0];
+    const order = [];
+    channel.prefetch.mockImplementation(async (count) => { order.push(`prefetch ${count}`); });
+    channel.consume.mockImplementation(async (queue, callback, options) => {
+      order.push(`consume ${queue}`);
+      expect(options).toEqual({ noAck: false });
+    });
+
+    await setup.setupConsumer('sessions', jest.fn(), { prefetch: 1 });
+    await setup.setupConsumer('task_responses', jest.fn(), { prefetch: 10 });
+    await setup.setupConsumer('dead_letter', jest.fn());
+
+    expect(order).toEqual([
+      'prefetch 1', 'consume sessions',
+      'prefetch 10', 'consume task_responses',
+      'prefetch 1', 'consume dead_letter'
+    ]);
+  });
+
+  test('should reject RPC requests immediately while disconnected', async () => {
+    await expect(setup.sendRPCRequest('tasks', {}, 5000)).rejects.toMatchObject({ code: 'RABBITMQ_NOT_CONNECTED' });
+  });
+
+  test('should reconnect with backoff and restore queues and consumers', async () => {
+    await setup.initialize();
+    await setup.setupConsumer('sessions', jest.fn());
+    await setup.setupRPCConsumer('tasks', jest.fn(), { prefetch: 3 });
+
+    amqp.connect.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+    const reconnected = jest.fn();
+    setup.on('reconnected', reconnected);
+    setup.channel.emit('close');
+
+    await jest.advanceTimersByTimeAsync(150);
+    expect(amqp.connect).toHaveBeenCalledTimes(2);
+    expect(setup.isConnected).toBe(false);
+
+    await jest.advanceTimersByTimeAsync(300);
+    expect(amqp.connect).toHaveBeenCalledTimes(3);
+    expect(reconnected).toHaveBeenCalled();
+    expect(setup.isConnected).toBe(true);
+
+    const channel = channels[1];
+    expect(channel.assertExchange).toHaveBeenCalledWith('dead_letter_exchange', 'direct', { durable: true });
+    expect(channel.consumers.sessions).toBeDefined();
+    expect(channel.consumers.tasks).toBeDefined();
+    expect(channel.consumers[setup.replyQueue]).toBeDefined();
+    expect(channel.prefetch).toHaveBeenCalledWith(3);
+  });
+
+  test('should not ack messages from a channel lost to a reconnect', async () => {
+    await setup.initialize();
+    let release;
+    await setup.setupRPCConsumer('tasks', () => new Promise(resolve => { release = resolve; }));
+    const oldChannel = channels[0];
+
+    const handling = oldChannel.consumers.tasks({
+      fields: { deliveryTag: 1 },
+      properties: { correlationId: 'rpc-1', replyTo: 'amq.gen-client' },
+      content: Buffer.from('{"correlation_id":"corr-1"}')
+    });
+
+    oldChannel.emit('close');
+    await jest.advanceTimersByTimeAsync(150);
+    expect(setup.isConnected).toBe(true);
+
+    release({ status: 'successful' });
+    await handling;
+
+    expect(oldChannel.ack).not.toHaveBeenCalled();
+    expect(channels[1].ack).not.toHaveBeenCalled();
+    expect(channels[1].sendToQueue).toHaveBeenCalledWith('amq.gen-client', expect.any(Buffer), expect.objectContaining({ correlationId: 'rpc-1' }));
+  });
+
+  test('should fail the reply when the broker does not confirm the publish', async () => {
+    await setup.initialize();
+    confirmChannels[0].nackPublishes = true;
+
+    const { confirmed, reply } = await setup.publishRPCRequest('tasks', { n: 1 }, { timeout: 5000, messageId: 'outbox-1' });
+
+    await expect(confirmed).rejects.toMatchObject({ code: 'PUBLISH_NOT_CONFIRMED' });
+    await expect(reply).rejects.toMatchObject({ code: 'PUBLISH_NOT_CONFIRMED' });
+    expect(confirmChannels[0].sendToQueue.mock.calls[0][2].messageId).toBe('outbox-1');
+    expect(setup.pendingRequests.size).toBe(0);
+  });
+
+  test('should publish the result to the results queue before acking the request', async () => {
+    await setup.initialize();
+    await setup.setupRPCConsumer('tasks', async () => ({ status: 'successful', correlation_id: 'corr-1' }), {
+      resultQueue: 'task_responses'
+    });
+
+    await channels[0].consumers.tasks({
+      fields: { deliveryTag: 1 },
+      properties: { correlationId: 'rpc-1' },
+      content: Buffer.from('{"correlation_id":"corr-1"}')
+    });
+
+    const [queue, content, options] = confirmChannels[0].sendToQueue.mock.calls[0];
+    expect(queue).toBe('task_responses');
+    expect(JSON.parse(content.toString())).toMatchObject({ status: 'successful', correlation_id: 'corr-1' });
+    expect(options).toMatchObject({ persistent: true, correlationId: 'corr-1' });
+    expect(channels[0].ack).toHaveBeenCalled();
+  });
+
+  test('should requeue the request when its result is not confirmed', async () => {
+    await setup.initialize();
+    await setup.setupRPCConsumer('tasks', async () => ({ status: 'successful', correlation_id: 'corr-1' }), {
+      resultQueue: 'task_responses'
+    });
+    confirmChannels[0].nackPublishes = true;
+
+    const message = {
+      fields: { deliveryTag: 1 },
+      properties: { correlationId: 'rpc-1' },
+      content: Buffer.from('{"correlation_id":"corr-1"}')
+    };
+    await channels[0].consumers.tasks(message);
+
+    expect(channels[0].ack).not.toHaveBeenCalled();
+    expect(channels[0].nack).toHaveBeenCalledWith(message, false, true);
+  });
+
+  test('should report a failed result when the handler throws', async () => {
+    await setup.initialize();
+    const failure = new Error('Navigation timeout of 30000 ms exceeded');
+    failure.name = 'TimeoutError';
+    await setup.setupRPCConsumer('tasks', async () => { throw failure; }, { resultQueue: 'task_responses' });
+
+    await channels[0].consumers.tasks({
+      fields: { deliveryTag: 1 },
+      properties: {},
+      content: Buffer.from('{"correlation_id":"corr-1","session_id":"session-1","attempt":2}')
+    });
+
+    const [queue, content] = confirmChannels[0].sendToQueue.mock.calls[0];
+    expect(queue).toBe('task_responses');
+    expect(JSON.parse(content.toString())).toMatchObject({
+      status: 'failed',
+      correlation_id: 'corr-1',
+      session_id: 'session-1',
+      attempt: 2,
+      error_type: 'TimeoutError'
+    });
+    expect(channels[0].publish).not.toHaveBeenCalled();
+    expect(channels[0].ack).toHaveBeenCalled();
+  });
+
+  test('should dead-letter a failed request when its result is not confirmed', async () => {
+    await setup.initialize();
+    await setup.setupRPCConsumer('tasks', async () => { throw new Error('Browser crashed'); }, { resultQueue: 'task_responses' });
+    confirmChannels[0].nackPublishes = true;
+
+    const content = Buffer.from('{"correlation_id":"corr-1","session_id":"session-1"}');
+    await channels[0].consumers.tasks({ fields: { deliveryTag: 1 }, properties: {}, content });
+
+    expect(channels[0].publish).toHaveBeenCalledWith('dead_letter_exchange', 'failed', content, expect.objectContaining({
+      headers: expect.objectContaining({ 'x-original-queue': 'tasks', 'x-error-reason': 'Browser crashed' })
+    }));
+    expect(channels[0].ack).toHaveBeenCalled();
+  });
+
+  test('should publish raw message content as is once confirmed', async () => {
+    await setup.initialize();
+    const content = Buffer.from('not json');
+
+    await setup.publishConfirmed('tasks', content, { messageId: 'dl-1' });
+
+    const [queue, sent, options] = confirmChannels[0].sendToQueue.mock.calls[0];
+    expect(queue).toBe('tasks');
+    expect(sent).toBe(content);
+    expect(options.messageId).toBe('dl-1');
+  });
+
+  test('should refuse a confirmed publish while disconnected', async () => {
+    await expect(setup.publishConfirmed('tasks', {})).rejects.toMatchObject({ code: 'RABBITMQ_NOT_CONNECTED' });
+  });
+
+  test('should stop reconnecting once closed', async () => {
+    await setup.initialize();
+    setup.connection.emit('close');
+    await setup.close();
+
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(amqp.connect).toHaveBeenCalledTimes(1);
+  });
+});
@@ -264,6 +264,63 @@ describe('Rate Manager', () => {
     });
   });
 
+  describe('Traffic Curves', () => {
+    // 15:00 in Berlin (CEST), 09:00 in New York (EDT)
+    const afternoon = new Date('2026-07-01T13:00:00Z');
+    // 03:00 in Berlin
+    const night = new Date('2026-07-01T01:00:00Z');
+
+    test('should scale the target rate by the curve at the local hour', () => {
+      const manager = new RateManager({
+        targetTasksPerDay: 1440,
+        trafficProfile: 'business_hours',
+        countries: ['de']
+      });
+
+      expect(manager.getTargetRate(afternoon)).toBeGreaterThan(1.5);
+      expect(manager.getTargetRate(night)).toBeLessThan(0.2);
+    });
+
+    test('should keep an even spread without a profile', () => {
+      const manager = new RateManager({ targetTasksPerDay: 1440, countries: ['de'] });
+
+      expect(manager.getTargetRate(afternoon)).toBe(1);
+      expect(manager.getScheduledDelay(night)).toBe(60000);
+    });
+
+    test('should wait through hours the curve leaves empty', () => {
+      const weights = new Array(24).fill(0);
+      weights[9] = 1;
+      const manager = new RateManager({ targetTasksPerDay: 24, trafficProfile: weights, countries: ['de'] });
+
+      // All 24 tasks are due between 09:00 and 10:00 Berlin time, i.e. from 07:00 UTC
+      const delay = manager.getScheduledDelay(night);
+      expect(delay).toBe(6 * 60 * 60 * 1000 + 150000);
+    });
+
+    test('should compare progress against the curve rather than a straight line', () => {
+      const manager = new RateManager({ trafficProfile: 'business_hours', countries: ['de'] });
+      manager.statistics.startTime = new Date('2026-06-30T22:00:00Z'); // Berlin midnight
+      jest.spyOn(Date, 'now').mockReturnValue(new Date('2026-07-01T04:00:00Z').getTime());
+
+      // Six quiet overnight hours are a quarter of the day but a small share of its traffic
+      expect(manager.getExpectedProgress()).toBeGreaterThan(0);
+      expect(manager.getExpectedProgress()).toBeLessThan(0.05);
+
+      Date.now.mockRestore();
+    });
+
+    test('should report the curve in the rate distribution', () => {
+      const manager = new RateManager({ targetTasksPerDay: 2400, trafficProfile: 'evening', countries: ['sg'] });
+      const distribution = manager.getRateDistribution();
+
+      expect(distribution).toHaveLength(24);
+      // 20:00 in Singapore is 12:00 UTC
+      const peak = distribution.reduce((max, hour) => (hour.multiplier > max.multiplier ? hour : max));
+      expect(peak.hour).toBe(12);
+    });
+  });
+
   describe('Error Handling', () => {
     test('should handle invalid performance metrics gracefully', () => {
       expect(() => {
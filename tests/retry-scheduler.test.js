@@ -0,0 +1,157 @@
+const { RetryPolicy } = require('../src/retry/retry-policy');
+const { RetryScheduler } = require('../src/retry/retry-scheduler');
+const { StaleTaskReaper } = require('../src/retry/stale-task-reaper');
+
+describe('Task Retries', () => {
+  describe('Retry Policy', () => {
+    const policy = new RetryPolicy({ baseDelayMs: 1000, maxDelayMs: 10000, jitter: 0.2 });
+
+    test('should retry transient failures and not assertion failures', () => {
+      expect(policy.isRetryable('RPCTimeout')).toBe(true);
+      expect(policy.isRetryable('TimeoutError', 'Navigation timeout of 30000 ms exceeded')).toBe(true);
+      expect(policy.isRetryable('ProxyError')).toBe(true);
+      expect(policy.isRetryable('AssertionError', 'Expected URL to match')).toBe(false);
+      expect(policy.isRetryable('ValidationError')).toBe(false);
+    });
+
+    test('should classify generic errors by their message', () => {
+      expect(policy.isRetryable('Error', 'net::ERR_PROXY_CONNECTION_FAILED at https://example.com')).toBe(true);
+      expect(policy.isRetryable('Error', 'net::ERR_TUNNEL_CONNECTION_FAILED')).toBe(true);
+      expect(policy.isRetryable('Error', 'Element not found: .products')).toBe(false);
+      expect(policy.isRetryable(undefined)).toBe(false);
+    });
+
+    test('should back off exponentially within the jitter range and cap the delay', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      expect(policy.getDelay(1)).toBe(1000);
+      expect(policy.getDelay(3)).toBe(4000);
+      expect(policy.getDelay(10)).toBe(10000);
+
+      Math.random.mockReturnValue(0);
+      expect(policy.getDelay(2)).toBe(1600);
+      Math.random.mockReturnValue(1);
+      expect(policy.getDelay(2)).toBe(2400);
+      Math.random.mockRestore();
+    });
+  });
+
+  describe('Retry Scheduler', () => {
+    let scheduler;
+    let mockDb;
+    let dispatch;
+
+    let mockClient;
+
+    beforeEach(() => {
+      mockClient = { query: jest.fn() };
+      mockDb = { transaction: jest.fn(callback => callback(mockClient)) };
+      dispatch = jest.fn().mockResolvedValue();
+      scheduler = new RetryScheduler(mockDb, dispatch, { pollInterval: 1000, batchSize: 10 });
+    });
+
+    afterEach(() => {
+      scheduler.stop();
+    });
+
+    test('should claim due retries of running sessions with SKIP LOCKED', async () => {
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      await scheduler.poll();
+
+      const [sql, params] = mockClient.query.mock.calls[0];
+      expect(params).toEqual([10]);
+      expect(sql).toContain("SET status = 'queued'");
+      expect(sql).toContain("due.status = 'retry_scheduled'");
+      expect(sql).toContain('due.next_attempt_at <= NOW()');
+      expect(sql).toContain("s.status IN ('active', 'processing', 'completed')");
+      expect(sql).toContain('FOR UPDATE OF due SKIP LOCKED');
+      expect(dispatch).not.toHaveBeenCalled();
+    });
+
+    test('should dispatch each claimed task in the claiming transaction', async () => {
+      mockClient.query.mockResolvedValue({
+        rows: [
+          { correlation_id: 'corr-1', session_id: 'session-1', retry_count: 1 },
+          { correlation_id: 'corr-2', session_id: 'session-1', retry_count: 2 }
+        ]
+      });
+
+      const dispatched = await scheduler.poll();
+
+      expect(dispatched).toBe(2);
+      expect(dispatch.mock.calls[1][0].correlation_id).toBe('corr-2');
+      expect(dispatch.mock.calls[0][1]).toBe(mockClient);
+    });
+
+    test('should fail the whole batch when a dispatch fails so it is claimed again', async () => {
+      mockClient.query.mockResolvedValue({
+        rows: [{ correlation_id: 'corr-1', session_id: 'session-1', retry_count: 1 }]
+      });
+      dispatch.mockRejectedValueOnce(new Error('connection terminated'));
+
+      await expect(scheduler.poll()).rejects.toThrow('connection terminated');
+      expect(scheduler.polling).toBe(false);
+    });
+
+    test('should poll on an interval until stopped', async () => {
+      jest.useFakeTimers();
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      scheduler.start();
+      await jest.advanceTimersByTimeAsync(2500);
+      scheduler.stop();
+      await jest.advanceTimersByTimeAsync(2000);
+      jest.useRealTimers();
+
+      expect(mockDb.transaction).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Stale Task Reaper', () => {
+    let reaper;
+    let mockDb;
+    let mockClient;
+    let onStale;
+
+    beforeEach(() => {
+      mockClient = { query: jest.fn() };
+      mockDb = { transaction: jest.fn(callback => callback(mockClient)) };
+      onStale = jest.fn().mockResolvedValue();
+      reaper = new StaleTaskReaper(mockDb, onStale, { interval: 1000, timeout: 60000, batchSize: 10 });
+    });
+
+    test('should lock sent tasks older than the timeout with SKIP LOCKED', async () => {
+      mockClient.query.mockResolvedValue({ rows: [] });
+
+      await reaper.reap();
+
+      const [sql, params] = mockClient.query.mock.calls[0];
+      expect(sql).toContain("status = 'sent'");
+      expect(sql).toContain('FOR UPDATE SKIP LOCKED');
+      expect(params).toEqual([60000, 10]);
+      expect(onStale).not.toHaveBeenCalled();
+    });
+
+    test('should hand each stale task to onStale in the transaction', async () => {
+      mockClient.query.mockResolvedValue({
+        rows: [
+          { correlation_id: 'corr-1', session_id: 'session-1', retry_count: 0 },
+          { correlation_id: 'corr-2', session_id: 'session-1', retry_count: 2 }
+        ]
+      });
+
+      const reaped = await reaper.reap();
+
+      expect(reaped).toBe(2);
+      expect(onStale).toHaveBeenCalledWith(expect.objectContaining({ correlation_id: 'corr-2' }), mockClient);
+    });
+
+    test('should roll back the batch when a stale task cannot be handled', async () => {
+      mockClient.query.mockResolvedValue({ rows: [{ correlation_id: 'corr-1', retry_count: 0 }] });
+      onStale.mockRejectedValueOnce(new Error('connection terminated'));
+
+      await expect(reaper.reap()).rejects.toThrow('connection terminated');
+      expect(reaper.reaping).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const { SessionLeaseManager } = require('../src/leases/session-lease-manager');
+
+describe('Session Leases', () => {
+  let leases;
+  let mockDb;
+
+  beforeEach(() => {
+    mockDb = { query: jest.fn() };
+    leases = new SessionLeaseManager(mockDb, { ownerId: 'client-a', ttl: 30000, heartbeatInterval: 10000 });
+  });
+
+  afterEach(() => {
+    clearInterval(leases.intervalId);
+  });
+
+  test('should take a free or expired lease and renew its own', async () => {
+    mockDb.query.mockResolvedValueOnce({ rows: [{ session_id: 'session-1' }] });
+
+    expect(await leases.acquire('session-1')).toBe(true);
+
+    const [sql, params] = mockDb.query.mock.calls[0];
+    expect(sql).toContain('ON CONFLICT (session_id) DO UPDATE');
+    expect(sql).toContain('session_leases.expires_at < NOW()');
+    expect(params).toEqual(['session-1', 'client-a', 30000]);
+    expect(leases.owns('session-1')).toBe(true);
+  });
+
+  test('should not take a lease another client holds', async () => {
+    mockDb.query.mockResolvedValueOnce({ rows: [] });
+
+    expect(await leases.acquire('session-1')).toBe(false);
+    expect(leases.owns('session-1')).toBe(false);
+  });
+
+  test('should report leases that could not be renewed as lost', async () => {
+    mockDb.query
+      .mockResolvedValueOnce({ rows: [{ session_id: 'session-1' }] })
+      .mockResolvedValueOnce({ rows: [{ session_id: 'session-2' }] })
+      .mockResolvedValueOnce({ rows: [{ session_id: 'session-2' }] });
+    await leases.acquire('session-1');
+    await leases.acquire('session-2');
+    const lost = jest.fn();
+    leases.on('lost', lost);
+
+    expect(await leases.heartbeat()).toEqual(['session-1']);
+
+    expect(mockDb.query.mock.calls[2][1]).toEqual(['client-a', ['session-1', 'session-2'], 30000]);
+    expect(lost).toHaveBeenCalledWith('session-1');
+    expect(leases.owns('session-1')).toBe(false);
+    expect(leases.owns('session-2')).toBe(true);
+  });
+
+  test('should skip the heartbeat when no leases are held', async () => {
+    expect(await leases.heartbeat()).toEqual([]);
+    expect(mockDb.query).not.toHaveBeenCalled();
+  });
+
+  test('should take over orphaned sessions that no other client claims first', async () => {
+    mockDb.query
+      .mockResolvedValueOnce({ rows: [{ session_id: 'session-1' }, { session_id: 'session-2' }] })
+      .mockResolvedValueOnce({ rows: [{ session_id: 'session-1' }] })
+      .mockResolvedValueOnce({ rows: [] });
+    const takeover = jest.fn();
+    leases.on('takeover', takeover);
+
+    const claimed = await leases.claimOrphans();
+
+    expect(mockDb.query.mock.calls[0][0]).toContain("s.status IN ('processing', 'active')");
+    expect(claimed).toEqual(['session-1']);
+    expect(takeover).toHaveBeenCalledTimes(1);
+    expect(takeover).toHaveBeenCalledWith('session-1');
+  });
+
+  test('should hand back every lease when stopped', async () => {
+    mockDb.query.mockResolvedValue({ rows: [{ session_id: 'session-1' }] });
+    await leases.acquire('session-1');
+    leases.start();
+
+    await leases.stop();
+
+    const [sql, params] = mockDb.query.mock.calls[1];
+    expect(sql).toContain('DELETE FROM session_leases WHERE owner_id = $1');
+    expect(params).toEqual(['client-a']);
+    expect(leases.isRunning).toBe(false);
+    expect(leases.owns('session-1')).toBe(false);
+  });
+
+  test('should heartbeat and scan on an interval', async () => {
+    jest.useFakeTimers();
+    mockDb.query.mockResolvedValue({ rows: [] });
+
+    leases.start();
+    await jest.advanceTimersByTimeAsync(25000);
+    await leases.stop();
+    jest.useRealTimers();
+
+    const scans = mockDb.query.mock.calls.filter(([sql]) => sql.includes('LEFT JOIN session_leases'));
+    expect(scans).toHaveLength(2);
+  });
+});
@@ -0,0 +1,215 @@
+const { SessionScheduler } = require('../src/scheduling/session-scheduler');
+
+describe('Session Scheduler', () => {
+  let scheduler;
+  let mockDb;
+  let mockClient;
+  let materialize;
+
+  const session = { tasks_24h: 100, countries: ['de'], main_page_url: 'https://example.com', navigations: [] };
+
+  beforeEach(() => {
+    mockClient = { query: jest.fn() };
+    mockDb = {
+      query: jest.fn(),
+      transaction: jest.fn(async (callback) => callback(mockClient))
+    };
+    materialize = jest.fn(async (schedule) => ({ session_id: 'session-1', schedule_id: schedule.schedule_id }));
+    scheduler = new SessionScheduler(mockDb, materialize, { pollInterval: 15000 });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    jest.useRealTimers();
+  });
+
+  describe('Creating schedules', () => {
+    test('should store a cron schedule with its first run in the country time zone', async () => {
+      mockDb.query.mockImplementation(async (sql, params) => ({ rows: [{ schedule_id: params[0] }] }));
+
+      await scheduler.create({ session, recurrence: '0 2 * * *', starts_at: '2026-01-15T12:00:00Z' });
+
+      const params = mockDb.query.mock.calls[0][1];
+      expect(params[3]).toBe('0 2 * * *');
+      expect(params[4]).toBe('Europe/Berlin');
+      expect(params[7]).toEqual(new Date('2026-01-16T01:00:00Z'));
+    });
+
+    test('should run one-off and daily schedules first at starts_at', () => {
+      const oneOff = scheduler.validate({ session, starts_at: '2026-01-15T12:00:00Z', time_zone: 'UTC' });
+      const daily = scheduler.validate({ session, recurrence: 'daily', starts_at: '2026-01-15T12:00:00Z' });
+
+      expect(oneOff.nextRunAt).toEqual(new Date('2026-01-15T12:00:00Z'));
+      expect(oneOff.recurrence).toBeNull();
+      expect(daily.nextRunAt).toEqual(new Date('2026-01-15T12:00:00Z'));
+    });
+
+    test('should reject invalid definitions', () => {
+      const invalid = (data) => () => scheduler.validate({ session, ...data });
+
+      expect(() => scheduler.validate({})).toThrow(expect.objectContaining({ code: 'INVALID_SCHEDULE' }));
+      expect(invalid({ starts_at: 'tomorrow' })).toThrow('starts_at must be an ISO 8601 date');
+      expect(invalid({ starts_at: '2026-01-15T00:00:00Z', ends_at: '2026-01-14T00:00:00Z' })).toThrow('ends_at must be after starts_at');
+      expect(invalid({ time_zone: 'Mars/Olympus' })).toThrow('unknown time_zone');
+      expect(invalid({ recurrence: 'nightly' })).toThrow('Invalid cron expression');
+      expect(invalid({
+        recurrence: '0 2 * * *',
+        starts_at: '2026-01-15T03:00:00Z',
+        ends_at: '2026-01-15T04:00:00Z',
+        time_zone: 'UTC'
+      })).toThrow('has no run between starts_at and ends_at');
+    });
+  });
+
+  describe('Next runs', () => {
+    test('should repeat daily and weekly schedules at the local time of starts_at', () => {
+      // Thursday 03:30 in Berlin
+      const base = { starts_at: '2026-01-15T02:30:00Z', time_zone: 'Europe/Berlin' };
+
+      expect(scheduler.getNextRun({ ...base, recurrence: 'daily' }, new Date('2026-01-15T02:30:00Z')))
+        .toEqual(new Date('2026-01-16T02:30:00Z'));
+      expect(scheduler.getNextRun({ ...base, recurrence: 'weekly' }, new Date('2026-01-15T02:30:00Z')))
+        .toEqual(new Date('2026-01-22T02:30:00Z'));
+    });
+
+    test('should end at ends_at and after a one-off run', () => {
+      const schedule = { recurrence: 'daily', starts_at: '2026-01-15T02:00:00Z', ends_at: '2026-01-16T00:00:00Z', time_zone: 'UTC' };
+
+      expect(scheduler.getNextRun(schedule, new Date('2026-01-15T02:00:00Z'))).toBeNull();
+      expect(scheduler.getNextRun({ recurrence: null, time_zone: 'UTC' }, new Date())).toBeNull();
+    });
+  });
+
+  describe('Polling', () => {
+    test('should create a session for each due schedule and move it to its next run', async () => {
+      const due = { schedule_id: 'schedule-1', recurrence: '0 * * * *', time_zone: 'UTC', ends_at: null };
+      mockClient.query.mockResolvedValueOnce({ rows: [due] }).mockResolvedValue({ rows: [] });
+      const created = jest.fn();
+      scheduler.on('sessionCreated', created);
+
+      const sessions = await scheduler.poll();
+
+      expect(mockClient.query.mock.calls[0][0]).toContain('FOR UPDATE SKIP LOCKED');
+      expect(materialize).toHaveBeenCalledWith(due, mockClient);
+      expect(mockClient.query.mock.calls[1][0]).toBe('SAVEPOINT schedule_run');
+      expect(mockClient.query.mock.calls[2][0]).toBe('RELEASE SAVEPOINT schedule_run');
+      const [sql, params] = mockClient.query.mock.calls[3];
+      expect(sql).toContain('run_count = run_count + 1');
+      expect(params[0]).toBe('schedule-1');
+      expect(params[1]).toBe('session-1');
+      expect(params[2].getUTCMinutes()).toBe(0);
+      expect(params[2].getTime()).toBeGreaterThan(Date.now());
+      expect(sessions).toEqual([{ session_id: 'session-1', schedule_id: 'schedule-1' }]);
+      expect(created).toHaveBeenCalledWith(sessions[0]);
+    });
+
+    test('should complete a one-off schedule after its run', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ schedule_id: 'schedule-1', recurrence: null, time_zone: 'UTC', ends_at: null }] })
+        .mockResolvedValue({ rows: [] });
+
+      await scheduler.poll();
+
+      const [sql, params] = mockClient.query.mock.calls[3];
+      expect(sql).toContain("CASE WHEN $3::timestamptz IS NULL THEN 'completed'");
+      expect(params[2]).toBeNull();
+    });
+
+    test('should end schedules past ends_at without creating a session', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ schedule_id: 'schedule-1', recurrence: 'daily', time_zone: 'UTC', ends_at: '2020-01-01T00:00:00Z' }] })
+        .mockResolvedValue({ rows: [] });
+
+      const sessions = await scheduler.poll();
+
+      expect(sessions).toEqual([]);
+      expect(materialize).not.toHaveBeenCalled();
+      expect(mockClient.query.mock.calls[1][0]).toContain("SET status = 'completed', next_run_at = NULL");
+    });
+
+    test('should skip a broken schedule and still run the others due with it', async () => {
+      const broken = { schedule_id: 'schedule-1', recurrence: '0 * * * *', time_zone: 'UTC', ends_at: null };
+      const valid = { schedule_id: 'schedule-2', recurrence: '0 * * * *', time_zone: 'UTC', ends_at: null };
+      mockClient.query.mockResolvedValueOnce({ rows: [broken, valid] }).mockResolvedValue({ rows: [] });
+      const error = Object.assign(new Error('Missing template parameter: campaign'), { code: 'INVALID_TEMPLATE' });
+      materialize.mockRejectedValueOnce(error);
+      const created = jest.fn();
+      scheduler.on('sessionCreated', created);
+
+      const sessions = await scheduler.poll();
+
+      const queries = mockClient.query.mock.calls.map(([sql]) => sql.trim());
+      expect(queries.slice(1, 3)).toEqual(['SAVEPOINT schedule_run', 'ROLLBACK TO SAVEPOINT schedule_run']);
+      const [failedSql, failedParams] = mockClient.query.mock.calls[3];
+      expect(failedSql).toContain('last_error = $2');
+      expect(failedParams[0]).toBe('schedule-1');
+      expect(failedParams[1]).toBe('Missing template parameter: campaign');
+      expect(failedParams[2].getTime()).toBeGreaterThan(Date.now());
+      expect(mockClient.query.mock.calls[6][1].slice(0, 2)).toEqual(['schedule-2', 'session-1']);
+      expect(sessions).toEqual([{ session_id: 'session-1', schedule_id: 'schedule-2' }]);
+      expect(created).toHaveBeenCalledTimes(1);
+    });
+
+    test('should fail a one-off schedule whose only run is invalid', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ schedule_id: 'schedule-1', recurrence: null, time_zone: 'UTC', ends_at: null }] })
+        .mockResolvedValue({ rows: [] });
+      materialize.mockRejectedValueOnce(Object.assign(new Error('Invalid session: /tasks_24h must be integer'), { code: 'INVALID_SESSION' }));
+
+      await expect(scheduler.poll()).resolves.toEqual([]);
+
+      const [sql, params] = mockClient.query.mock.calls[3];
+      expect(sql).toContain("CASE WHEN $3::timestamptz IS NULL THEN 'failed'");
+      expect(params).toEqual(['schedule-1', 'Invalid session: /tasks_24h must be integer', null]);
+    });
+
+    test('should not announce sessions when the batch rolls back', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [{ schedule_id: 'schedule-1', recurrence: null, time_zone: 'UTC' }] });
+      materialize.mockRejectedValueOnce(new Error('Connection terminated unexpectedly'));
+      const created = jest.fn();
+      scheduler.on('sessionCreated', created);
+
+      await expect(scheduler.poll()).rejects.toThrow('Connection terminated');
+      expect(created).not.toHaveBeenCalled();
+      expect(scheduler.polling).toBe(false);
+    });
+  });
+
+  describe('State changes', () => {
+    test('should pause active schedules and refuse to resume cancelled ones', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ schedule_id: 'schedule-1', status: 'active' }] })
+        .mockResolvedValueOnce({ rows: [{ schedule_id: 'schedule-1', status: 'paused' }] });
+
+      expect(await scheduler.pause('schedule-1')).toEqual({ schedule_id: 'schedule-1', status: 'paused' });
+
+      mockClient.query.mockResolvedValueOnce({ rows: [{ schedule_id: 'schedule-1', status: 'cancelled' }] });
+      await expect(scheduler.resume('schedule-1')).rejects.toMatchObject({ code: 'INVALID_SCHEDULE_STATE' });
+
+      mockClient.query.mockResolvedValueOnce({ rows: [] });
+      await expect(scheduler.cancel('missing')).rejects.toMatchObject({ code: 'SCHEDULE_NOT_FOUND' });
+    });
+
+    test('should resume from the next run after now', async () => {
+      jest.useFakeTimers({ now: new Date('2026-01-20T12:00:00Z') });
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [{ schedule_id: 'schedule-1', status: 'paused', recurrence: '0 2 * * *', time_zone: 'UTC' }] })
+        .mockResolvedValueOnce({ rows: [{ schedule_id: 'schedule-1', status: 'active' }] });
+
+      await scheduler.resume('schedule-1');
+
+      expect(mockClient.query.mock.calls[1][1]).toEqual(['schedule-1', new Date('2026-01-21T02:00:00Z')]);
+    });
+  });
+
+  test('should poll on an interval', async () => {
+    jest.useFakeTimers();
+    mockClient.query.mockResolvedValue({ rows: [] });
+
+    scheduler.start();
+    await jest.advanceTimersByTimeAsync(31000);
+    scheduler.stop();
+
+    expect(mockDb.transaction).toHaveBeenCalledTimes(2);
+  });
+});
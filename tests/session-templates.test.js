@@ -0,0 +1,175 @@
+const { SessionTemplates, substitute } = require('../src/templates/session-templates');
+
+describe('Session Templates', () => {
+  let templates;
+  let mockDb;
+  let mockClient;
+  let stored;
+
+  const checkout = {
+    name: 'checkout',
+    version: 2,
+    parameters: { host: 'shop.example.com', tasks: 500 },
+    definition: {
+      tasks_24h: '{{tasks}}',
+      countries: ['de'],
+      main_page_url: 'https://{{host}}/',
+      navigations: [
+        { fragment: 'accept_cookies' },
+        { fragment: 'login', params: { user: 'tester' } },
+        { css: '.cart', action: 'click_first' }
+      ]
+    }
+  };
+
+  const fragments = {
+    accept_cookies: [{ name: 'accept_cookies', version: 1, parameters: {}, steps: [{ css: '#accept', action: 'click_first' }] }],
+    login: [
+      { name: 'login', version: 1, parameters: {}, steps: [{ css: '#old-login', action: 'click_first' }] },
+      {
+        name: 'login',
+        version: 4,
+        parameters: { password: 'secret' },
+        steps: [
+          { fragment: 'accept_cookies' },
+          { css: '#user', action: 'type_text', text: '{{user}}' },
+          { css: '#password', action: 'type_text', text: '{{password}}' }
+        ]
+      }
+    ]
+  };
+
+  beforeEach(() => {
+    stored = { session_templates: { checkout: [{ ...checkout, version: 1 }, checkout] }, navigation_fragments: fragments };
+    mockClient = { query: jest.fn() };
+    mockDb = {
+      query: jest.fn(async (sql, [name, version]) => {
+        const table = sql.includes('navigation_fragments') ? 'navigation_fragments' : 'session_templates';
+        const versions = (stored[table][name] || []).filter(row => version === null || row.version === version);
+        return { rows: versions.length > 0 ? [versions[versions.length - 1]] : [] };
+      }),
+      transaction: jest.fn(async (callback) => callback(mockClient))
+    };
+    templates = new SessionTemplates(mockDb);
+  });
+
+  test('should fill placeholders keeping the type of whole-value parameters', () => {
+    expect(substitute({ url: 'https://{{ host }}/a', tasks: '{{tasks}}' }, { host: 'x.com', tasks: 5 }))
+      .toEqual({ url: 'https://x.com/a', tasks: 5 });
+    expect(() => substitute('{{missing}}', {})).toThrow(expect.objectContaining({ code: 'INVALID_TEMPLATE' }));
+  });
+
+  test('should expand the latest template with overrides, parameters and fragments', async () => {
+    const session = await templates.expand({
+      template: 'checkout',
+      countries: ['ca', 'de'],
+      params: { host: 'staging.example.com' }
+    });
+
+    expect(session).toEqual({
+      tasks_24h: 500,
+      countries: ['ca', 'de'],
+      main_page_url: 'https://staging.example.com/',
+      navigations: [
+        { css: '#accept', action: 'click_first' },
+        { css: '#accept', action: 'click_first' },
+        { css: '#user', action: 'type_text', text: 'tester' },
+        { css: '#password', action: 'type_text', text: 'secret' },
+        { css: '.cart', action: 'click_first' }
+      ],
+      template_name: 'checkout',
+      template_version: 2,
+      navigation_fragments: [
+        { name: 'accept_cookies', version: 1 },
+        { name: 'login', version: 4 }
+      ]
+    });
+  });
+
+  test('should expand a pinned template version in the given transaction', async () => {
+    const session = await templates.expand({ template: { name: 'checkout', version: 1 } }, mockDb);
+
+    expect(session.template_version).toBe(1);
+    expect(mockDb.query.mock.calls[0][1]).toEqual(['checkout', 1]);
+  });
+
+  test('should leave sessions without references untouched', async () => {
+    const session = { tasks_24h: 10, countries: ['de'], main_page_url: 'https://example.com', navigations: [] };
+
+    expect(await templates.expand(session)).toBe(session);
+    expect(mockDb.query).not.toHaveBeenCalled();
+  });
+
+  test('should expand fragments in sessions that use no template', async () => {
+    const session = await templates.expand({
+      navigations: [{ fragment: 'login', version: 1 }]
+    });
+
+    expect(session.navigations).toEqual([{ css: '#old-login', action: 'click_first' }]);
+    expect(session.navigation_fragments).toEqual([{ name: 'login', version: 1 }]);
+    expect(session.template_name).toBeUndefined();
+  });
+
+  test('should expand fragments in country navigations with the session fragment versions', async () => {
+    const session = await templates.expand({
+      navigations: [{ fragment: 'login', version: 1 }],
+      country_overrides: {
+        de: { weight: 2, navigations: [{ fragment: 'accept_cookies' }, { fragment: 'login' }] },
+        fr: { weight: 1 }
+      }
+    });
+
+    expect(session.country_overrides).toEqual({
+      de: {
+        weight: 2,
+        navigations: [
+          { css: '#accept', action: 'click_first' },
+          { css: '#old-login', action: 'click_first' }
+        ]
+      },
+      fr: { weight: 1 }
+    });
+    expect(session.navigation_fragments).toEqual([
+      { name: 'login', version: 1 },
+      { name: 'accept_cookies', version: 1 }
+    ]);
+  });
+
+  test('should report missing templates, missing fragments and cycles', async () => {
+    await expect(templates.expand({ template: 'missing' }))
+      .rejects.toMatchObject({ code: 'TEMPLATE_NOT_FOUND', message: 'Session template not found: missing' });
+    await expect(templates.expand({ navigations: [{ fragment: 'login', version: 9 }] }))
+      .rejects.toMatchObject({ code: 'TEMPLATE_NOT_FOUND', message: 'Navigation fragment not found: login version 9' });
+
+    stored.navigation_fragments.loop = [{ name: 'loop', version: 1, parameters: {}, steps: [{ fragment: 'loop' }] }];
+    await expect(templates.expand({ navigations: [{ fragment: 'loop' }] }))
+      .rejects.toThrow('Navigation fragment loop includes itself: loop > loop');
+  });
+
+  test('should refuse two versions of one fragment in a session', async () => {
+    await expect(templates.expand({ params: { user: 'tester' }, navigations: [{ fragment: 'login' }, { fragment: 'login', version: 1 }] }))
+      .rejects.toThrow('Navigation fragment login is used in versions 4 and 1');
+  });
+
+  test('should store each save as the next version', async () => {
+    mockClient.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ name: 'login', version: 5 }] });
+
+    const saved = await templates.saveFragment({ name: 'login', steps: [{ css: '#user', action: 'type_text' }] });
+
+    expect(saved.version).toBe(5);
+    expect(mockClient.query.mock.calls[0][0]).toContain('pg_advisory_xact_lock');
+    expect(mockClient.query.mock.calls[1][0]).toContain('COALESCE(MAX(version), 0) + 1');
+  });
+
+  test('should validate names and definitions before saving', async () => {
+    await expect(templates.saveTemplate({ name: 'bad name', definition: {} }))
+      .rejects.toMatchObject({ code: 'INVALID_TEMPLATE' });
+    await expect(templates.saveTemplate({ name: 'nested', definition: { template: 'checkout' } }))
+      .rejects.toThrow('cannot reference another template');
+    await expect(templates.saveFragment({ name: 'empty', steps: [] }))
+      .rejects.toThrow('at least one navigation step');
+    expect(mockDb.transaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,86 @@
+const { StatisticsAggregator } = require('../src/statistics/statistics-aggregator');
+
+describe('Statistics Aggregator', () => {
+  let aggregator;
+  let mockDb;
+
+  beforeEach(() => {
+    mockDb = {
+      query: jest.fn().mockResolvedValue({ rows: [], rowCount: 4 })
+    };
+    aggregator = new StatisticsAggregator(mockDb, { rollupInterval: 1000, lookbackHours: 2 });
+  });
+
+  afterEach(() => {
+    aggregator.stop();
+    jest.useRealTimers();
+  });
+
+  describe('Task Response Rollup', () => {
+    test('should upsert hourly task counts on the statistics unique key', async () => {
+      const rows = await aggregator.rollupTaskResponses(new Date('2024-03-01T10:25:00.000Z'));
+
+      const [sql, params] = mockDb.query.mock.calls[0];
+      expect(rows).toBe(4);
+      expect(params).toEqual(['2024-03-01T10:25:00.000Z']);
+      expect(sql).toContain('FROM task_responses tr');
+      expect(sql).toContain('JOIN tasks t ON t.correlation_id = tr.correlation_id');
+      expect(sql).toContain("date_trunc('hour', $1::timestamptz)");
+      expect(sql).toContain('ON CONFLICT (session_id, date, hour, country, device, os) DO UPDATE');
+      expect(sql).toContain('success_rate = EXCLUDED.success_rate');
+    });
+  });
+
+  describe('Performance Rollup', () => {
+    test('should upsert main page samples by hour, country, device and os', async () => {
+      const since = new Date('2024-03-01T10:25:00.000Z');
+
+      const rows = await aggregator.rollupPerformance(since);
+
+      const [sql, params] = mockDb.query.mock.calls[0];
+      expect(rows).toBe(4);
+      expect(params).toEqual(['2024-03-01T10:25:00.000Z']);
+      expect(sql).toContain('FROM task_performance_metrics');
+      expect(sql).toContain('navigation_step IS NULL');
+      expect(sql).toContain("date_trunc('hour', $1::timestamptz)");
+      expect(sql).toContain('GROUP BY session_id, date, hour, country, device, os');
+      expect(sql).toContain('ON CONFLICT (session_id, date, hour, country, device, os) DO UPDATE');
+    });
+
+    test('should default the window to the lookback period', async () => {
+      jest.useFakeTimers().setSystemTime(new Date('2024-03-01T12:00:00.000Z'));
+
+      const result = await aggregator.rollup();
+
+      expect(result).toEqual({ tasks: 4, performance: 4 });
+      expect(mockDb.query.mock.calls[0][1]).toEqual(['2024-03-01T10:00:00.000Z']);
+      expect(mockDb.query.mock.calls[1][1]).toEqual(['2024-03-01T10:00:00.000Z']);
+    });
+  });
+
+  describe('Scheduling', () => {
+    test('should roll up on each interval until stopped', async () => {
+      jest.useFakeTimers();
+      aggregator.start();
+
+      await jest.advanceTimersByTimeAsync(2000);
+      expect(mockDb.query).toHaveBeenCalledTimes(4);
+
+      aggregator.stop();
+      await jest.advanceTimersByTimeAsync(2000);
+      expect(mockDb.query).toHaveBeenCalledTimes(4);
+    });
+
+    test('should keep running when a rollup fails', async () => {
+      jest.useFakeTimers();
+      mockDb.query.mockRejectedValueOnce(new Error('connection reset'));
+      aggregator.start();
+
+      await jest.advanceTimersByTimeAsync(2000);
+
+      // First run stops at the failed query; the second runs both rollups
+      expect(mockDb.query).toHaveBeenCalledTimes(3);
+      expect(aggregator.isRunning).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const { StatisticsQueries } = require('../src/statistics/statistics-queries');
+
+describe('Statistics Queries', () => {
+  let queries;
+  let mockDb;
+
+  beforeEach(() => {
+    mockDb = {
+      query: jest.fn().mockResolvedValue({ rows: [{ bucket: '2024-03-01T10:00:00.000Z', total_tasks: 12 }] })
+    };
+    queries = new StatisticsQueries(mockDb);
+  });
+
+  describe('Time Series', () => {
+    test('should default to an hourly series across all statistics', async () => {
+      const rows = await queries.getTimeSeries();
+
+      const [sql, params] = mockDb.query.mock.calls[0];
+      expect(rows).toHaveLength(1);
+      expect(params).toEqual(['hour']);
+      expect(sql).not.toMatch(/FROM statistics\s+WHERE/);
+      expect(sql).toMatch(/GROUP BY 1\s+ORDER BY 1\s/);
+    });
+
+    test('should apply filters as parameters and group by dimensions', async () => {
+      await queries.getTimeSeries({
+        sessionId: 'session-123',
+        country: 'de',
+        os: 'Android',
+        from: new Date('2024-03-01T00:00:00.000Z'),
+        to: new Date('2024-03-02T00:00:00.000Z'),
+        granularity: 'day',
+        groupBy: ['country', 'device']
+      });
+
+      const [sql, params] = mockDb.query.mock.calls[0];
+      expect(params).toEqual([
+        'day',
+        'session-123',
+        'de',
+        'Android',
+        '2024-03-01T00:00:00.000Z',
+        '2024-03-02T00:00:00.000Z'
+      ]);
+      expect(sql).toContain('session_id = $2 AND country = $3 AND os = $4');
+      expect(sql).toContain('GROUP BY 1, country, device');
+    });
+
+    test('should reject unknown granularity', async () => {
+      await expect(queries.getTimeSeries({ granularity: 'minute' }))
+        .rejects.toMatchObject({ code: 'INVALID_STATISTICS_QUERY' });
+    });
+
+    test('should only group by known columns', async () => {
+      await expect(queries.getTimeSeries({ groupBy: ['country', 'session_id; DROP TABLE tasks'] }))
+        .rejects.toMatchObject({ code: 'INVALID_STATISTICS_QUERY' });
+      expect(mockDb.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Session Summary', () => {
+    test('should return null for unknown sessions', async () => {
+      mockDb.query.mockResolvedValue({ rows: [] });
+
+      await expect(queries.getSessionSummary('missing')).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const { TaskOutbox } = require('../src/outbox/task-outbox');
+
+describe('Task Outbox', () => {
+  let outbox;
+  let mockDb;
+  let mockClient;
+  let mockRabbitmq;
+  let onPublished;
+  let pending;
+
+  const outboxRow = (id, overrides = {}) => ({
+    id,
+    correlation_id: `corr-${id}`,
+    session_id: 'session-1',
+    queue: 'tasks',
+    payload: { correlation_id: `corr-${id}`, country: 'de' },
+    attempts: 0,
+    task_status: 'queued',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    pending = [];
+    mockClient = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('FOR UPDATE OF o SKIP LOCKED')) {
+          const row = pending.shift();
+          return { rows: row ? [row] : [] };
+        }
+        return { rows: [], rowCount: 1 };
+      })
+    };
+    mockDb = { transaction: jest.fn(callback => callback(mockClient)) };
+    mockRabbitmq = {
+      isConnected: true,
+      publishConfirmed: jest.fn().mockResolvedValue()
+    };
+    onPublished = jest.fn();
+    outbox = new TaskOutbox(mockDb, mockRabbitmq, onPublished);
+  });
+
+  afterEach(() => {
+    outbox.stop();
+  });
+
+  test('should queue a task and write its outbox row in the caller transaction', async () => {
+    const queued = await outbox.enqueue(mockClient, {
+      correlationId: 'corr-1',
+      sessionId: 'session-1',
+      queue: 'tasks',
+      payload: { correlation_id: 'corr-1' }
+    });
+
+    expect(queued).toBe(true);
+    expect(mockClient.query.mock.calls[0][0]).toContain("SET status = 'queued'");
+    expect(mockClient.query.mock.calls[0][1]).toEqual(['corr-1', 'pending']);
+    expect(mockClient.query.mock.calls[1][0]).toContain('INSERT INTO task_outbox');
+    expect(mockClient.query.mock.calls[1][1]).toEqual(['corr-1', 'session-1', 'tasks', '{"correlation_id":"corr-1"}']);
+  });
+
+  test('should not write an outbox row for a task that is no longer pending', async () => {
+    mockClient.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+    const queued = await outbox.enqueue(mockClient, { correlationId: 'corr-1', payload: {} });
+
+    expect(queued).toBe(false);
+    expect(mockClient.query).toHaveBeenCalledTimes(1);
+  });
+
+  test('should mark tasks sent only after the publish is confirmed', async () => {
+    pending.push(outboxRow('1'), outboxRow('2'));
+
+    const published = await outbox.relay();
+
+    expect(published).toBe(2);
+    expect(mockRabbitmq.publishConfirmed).toHaveBeenCalledWith('tasks', { correlation_id: 'corr-1', country: 'de' }, {
+      messageId: '1',
+      correlationId: 'corr-1'
+    });
+
+    const statements = mockClient.query.mock.calls.map(([sql]) => sql);
+    expect(statements.filter(sql => sql.includes("status = 'published'"))).toHaveLength(2);
+    expect(statements.filter(sql => sql.includes("SET status = 'sent'"))).toHaveLength(2);
+    expect(onPublished).toHaveBeenCalledWith(expect.objectContaining({ id: '1' }));
+  });
+
+  test('should keep the row pending and stop the pass when a publish is not confirmed', async () => {
+    pending.push(outboxRow('1'), outboxRow('2'));
+    mockRabbitmq.publishConfirmed.mockRejectedValueOnce(new Error('Publish to queue tasks was not confirmed'));
+
+    const published = await outbox.relay();
+
+    expect(published).toBe(0);
+    const statements = mockClient.query.mock.calls.map(([sql]) => sql);
+    expect(statements.some(sql => sql.includes('attempts = attempts + 1, last_error'))).toBe(true);
+    expect(statements.some(sql => sql.includes("SET status = 'sent'"))).toBe(false);
+    expect(pending).toHaveLength(1);
+    expect(onPublished).not.toHaveBeenCalled();
+  });
+
+  test('should discard rows whose task was cancelled while queued', async () => {
+    pending.push(outboxRow('1', { task_status: 'cancelled' }));
+
+    await outbox.relay();
+
+    expect(mockRabbitmq.publishConfirmed).not.toHaveBeenCalled();
+    expect(mockClient.query.mock.calls[1][0]).toContain("status = 'discarded'");
+  });
+
+  test('should not relay while RabbitMQ is disconnected', async () => {
+    mockRabbitmq.isConnected = false;
+    pending.push(outboxRow('1'));
+
+    expect(await outbox.relay()).toBe(0);
+    expect(mockDb.transaction).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,83 @@
+const {
+  TrafficCurve,
+  resolveTrafficProfile,
+  getCountryTimeZone,
+  getLocalHour
+} = require('../src/rate-management/traffic-profiles');
+
+describe('Traffic Profiles', () => {
+  test('should normalize hourly weights to an average of 1', () => {
+    const { name, weights } = resolveTrafficProfile(new Array(24).fill(5));
+
+    expect(name).toBe('custom');
+    expect(weights).toEqual(new Array(24).fill(1));
+    expect(resolveTrafficProfile({ weights: new Array(24).fill(2) }).weights).toEqual(new Array(24).fill(1));
+  });
+
+  test('should resolve named curves and default to flat', () => {
+    const { name, weights } = resolveTrafficProfile('business_hours');
+
+    expect(name).toBe('business_hours');
+    expect(weights.reduce((sum, weight) => sum + weight, 0)).toBeCloseTo(24, 10);
+    expect(resolveTrafficProfile(null).name).toBe('flat');
+  });
+
+  test('should reject malformed profiles', () => {
+    expect(() => resolveTrafficProfile('weekend')).toThrow(expect.objectContaining({ code: 'INVALID_TRAFFIC_PROFILE' }));
+    expect(() => resolveTrafficProfile(new Array(23).fill(1))).toThrow('24 hourly weights');
+    expect(() => resolveTrafficProfile([-1, ...new Array(23).fill(1)])).toThrow('non-negative');
+    expect(() => resolveTrafficProfile(new Array(24).fill(0))).toThrow('must be positive');
+  });
+
+  test('should look up local hours per country', () => {
+    const instant = new Date('2026-01-15T12:00:00Z');
+
+    expect(getCountryTimeZone('DE')).toBe('Europe/Berlin');
+    expect(getCountryTimeZone('xx')).toBe('UTC');
+    expect(getLocalHour(instant, 'Europe/Berlin')).toBe(13);
+    expect(getLocalHour(instant, 'Asia/Singapore')).toBe(20);
+    expect(getLocalHour(instant, 'Asia/Kolkata')).toBe(17);
+  });
+
+  test('should average the curve across the session countries', () => {
+    const weights = new Array(24).fill(0);
+    weights[13] = 24;
+    const curve = new TrafficCurve(weights, ['de', 'sg']);
+
+    // 13:00 in Berlin, 20:00 in Singapore
+    expect(curve.multiplierAt(new Date('2026-01-15T12:30:00Z'))).toBe(12);
+    expect(curve.timeZones).toEqual([
+      { timeZone: 'Europe/Berlin', share: 0.5 },
+      { timeZone: 'Asia/Singapore', share: 0.5 }
+    ]);
+  });
+
+  test('should weight countries by their share of the tasks', () => {
+    const weights = new Array(24).fill(0);
+    weights[13] = 24;
+    const curve = new TrafficCurve(weights, ['de', 'sg', 'jp'], [3, 1, 0]);
+
+    expect(curve.multiplierAt(new Date('2026-01-15T12:30:00Z'))).toBe(18);
+    expect(curve.timeZones).toEqual([
+      { timeZone: 'Europe/Berlin', share: 0.75 },
+      { timeZone: 'Asia/Singapore', share: 0.25 }
+    ]);
+  });
+
+  test('should integrate a whole day to a day', () => {
+    const curve = new TrafficCurve('evening', ['in', 'us']);
+    const start = new Date('2026-01-15T00:00:00Z');
+    const day = 24 * 60 * 60 * 1000;
+
+    expect(curve.weightedDuration(start, +start + day)).toBeCloseTo(day, 0);
+    expect(curve.durationUntil(start, day)).toBeCloseTo(day, 0);
+  });
+
+  test('should invert weighted durations', () => {
+    const curve = new TrafficCurve('business_hours', ['ch']);
+    const start = new Date('2026-01-15T06:10:00Z');
+    const elapsed = curve.durationUntil(start, 90 * 60 * 1000);
+
+    expect(curve.weightedDuration(start, +start + elapsed)).toBeCloseTo(90 * 60 * 1000, 3);
+  });
+});
@@ -0,0 +1,57 @@
+const { TaskSlots } = require('../src/worker/task-slots');
+const { ResourceMonitor } = require('../src/worker/resource-monitor');
+
+describe('Worker Concurrency', () => {
+  describe('Task Slots', () => {
+    test('should hand out the lowest free slot', async () => {
+      const slots = new TaskSlots(3);
+
+      expect(await slots.acquire()).toBe(0);
+      expect(await slots.acquire()).toBe(1);
+      slots.release(0);
+      expect(await slots.acquire()).toBe(0);
+      expect(slots.inUse).toBe(2);
+      expect(slots.available).toBe(1);
+    });
+
+    test('should make callers wait when every slot is busy', async () => {
+      const slots = new TaskSlots(1);
+      await slots.acquire();
+
+      let acquired = null;
+      const waiting = slots.acquire().then(slot => { acquired = slot; });
+      await Promise.resolve();
+      expect(acquired).toBeNull();
+
+      slots.release(0);
+      await waiting;
+      expect(acquired).toBe(0);
+      expect(slots.inUse).toBe(1);
+    });
+
+    test('should ignore releasing a free slot', () => {
+      const slots = new TaskSlots(2);
+      slots.release(1);
+
+      expect(slots.available).toBe(2);
+    });
+  });
+
+  describe('Resource Monitor', () => {
+    test('should report which thresholds are exceeded', () => {
+      const monitor = new ResourceMonitor({ maxMemoryPercent: 80, maxCpuLoad: 0.8, maxRssMb: 512 });
+
+      expect(monitor.check({ memory_percent: 50, cpu_load: 0.2, rss_mb: 100 })).toEqual([]);
+      expect(monitor.check({ memory_percent: 91, cpu_load: 1.5, rss_mb: 600 })).toEqual(['memory', 'cpu', 'rss']);
+      expect(monitor.isOverloaded({ memory_percent: 50, cpu_load: 0.9, rss_mb: 100 })).toBe(true);
+    });
+
+    test('should sample memory, load and RSS', () => {
+      const sample = new ResourceMonitor().sample();
+
+      expect(sample.memory_percent).toBeGreaterThan(0);
+      expect(sample.cpu_load).toBeGreaterThanOrEqual(0);
+      expect(sample.rss_mb).toBeGreaterThan(0);
+    });
+  });
+});
@@ -1,4 +1,5 @@
 const { WorkerService } = require('../src/worker/worker-service');
+const { TaskSlots } = require('../src/worker/task-slots');
 
 // Mock puppeteer
 jest.mock('puppeteer', () => ({
@@ -42,7 +43,7 @@ describe('Worker Service', () => {
       };
       
       expect(() => workerService.validateTaskData(invalidTask))
-        .toThrow('Missing required field: device');
+        .toThrow('/device is required');
     });
 
     test('should validate navigations array', () => {
@@ -56,7 +57,36 @@ describe('Worker Service', () => {
       };
       
       expect(() => workerService.validateTaskData(invalidTask))
-        .toThrow('Navigations must be an array');
+        .toThrow('/navigations must be array');
+    });
+
+    test('should reject navigation steps the engine cannot run, naming the step', () => {
+      const invalidTask = {
+        correlation_id: 'test-id',
+        country: 'us',
+        device: 'mobile',
+        os: 'iOS',
+        main_page_url: 'https://example.com',
+        navigations: [
+          { css: '.test', action: 'click_first' },
+          { css: '.test', action: 'double_click' },
+          { css: '#search', action: 'type_text' }
+        ]
+      };
+
+      let error;
+      try {
+        workerService.validateTaskData(invalidTask);
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error.name).toBe('ValidationError');
+      expect(error.code).toBe('INVALID_TASK_MESSAGE');
+      expect(error.errors).toEqual(expect.arrayContaining([
+        expect.objectContaining({ path: '/navigations/1/action' }),
+        { path: '/navigations/2/text', message: 'is required' }
+      ]));
     });
 
     test('should accept valid task data', () => {
@@ -154,6 +184,213 @@ describe('Worker Service', () => {
     });
   });
 
+  describe('Assertion Failures', () => {
+    const taskData = {
+      correlation_id: 'test-correlation-id',
+      country: 'us',
+      device: 'desktop',
+      os: 'Windows',
+      main_page_url: 'https://example.com',
+      navigations: [{ action: 'assert_exists', css: '.cart' }]
+    };
+
+    test('should fail the task when an assertion step fails', async () => {
+      workerService.ensureBrowserInitialized = jest.fn();
+      workerService.executeTask = jest.fn().mockResolvedValue({
+        navigation_results: [
+          { step: 1, action: 'click_first', status: 'success' },
+          {
+            step: 2,
+            action: 'assert_exists',
+            status: 'failed',
+            error: 'Expected element to exist: .cart',
+            error_type: 'AssertionError',
+            assertion: { type: 'assert_exists', passed: false }
+          }
+        ]
+      });
+
+      const response = await workerService.handleTaskMessage(taskData);
+
+      expect(response.schema_version).toBe(1);
+      expect(response.status).toBe('failed');
+      expect(response.error_type).toBe('AssertionError');
+      expect(response.error_message).toBe('Expected element to exist: .cart');
+      expect(response.navigation_step).toBe(2);
+    });
+
+    test('should ignore non-assertion failures when deciding task status', () => {
+      const failed = workerService.findFailedAssertion([
+        { step: 1, status: 'failed', error: 'Element not found' }
+      ]);
+
+      expect(failed).toBeNull();
+    });
+  });
+
+  describe('Failure Artifacts', () => {
+    let mockPage;
+
+    beforeEach(() => {
+      mockPage = {
+        goto: jest.fn().mockRejectedValue(new Error('net::ERR_CONNECTION_RESET')),
+        close: jest.fn()
+      };
+      workerService.browser = { newPage: jest.fn().mockResolvedValue(mockPage) };
+      workerService.fingerprintManager.applyFingerprint = jest.fn();
+      workerService.artifactCapture.capture = jest.fn().mockResolvedValue({ reason: 'failure', step: null });
+    });
+
+    test('should capture the page before closing it when the task fails', async () => {
+      const error = await workerService.executeTask({
+        correlation_id: 'task-1',
+        main_page_url: 'https://example.com',
+        navigations: []
+      }).catch(e => e);
+
+      expect(error.message).toBe('net::ERR_CONNECTION_RESET');
+      expect(error.artifacts).toEqual([{ reason: 'failure', step: null }]);
+      expect(workerService.artifactCapture.capture).toHaveBeenCalledWith(mockPage, { reason: 'failure', taskId: 'task-1' });
+      expect(workerService.artifactCapture.capture.mock.invocationCallOrder[0])
+        .toBeLessThan(mockPage.close.mock.invocationCallOrder[0]);
+    });
+
+    test('should store a HAR artifact when network recording is enabled', async () => {
+      workerService.config.recordNetwork = true;
+      mockPage.on = jest.fn();
+      mockPage.off = jest.fn();
+      mockPage.url = jest.fn().mockReturnValue('https://example.com');
+      workerService.artifactCapture.store = {
+        put: jest.fn().mockResolvedValue({ key: 'task-1/network.har', location: '/artifacts/task-1/network.har' })
+      };
+
+      const error = await workerService.executeTask({
+        correlation_id: 'task-1',
+        main_page_url: 'https://example.com',
+        navigations: []
+      }).catch(e => e);
+
+      expect(mockPage.on).toHaveBeenCalledWith('request', expect.any(Function));
+      expect(workerService.artifactCapture.store.put)
+        .toHaveBeenCalledWith('task-1/network.har', expect.any(String), { contentType: 'application/json' });
+      expect(JSON.parse(workerService.artifactCapture.store.put.mock.calls[0][1]).log.version).toBe('1.2');
+      expect(error.network_summary).toMatchObject({ total_requests: 0, har: '/artifacts/task-1/network.har' });
+      expect(error.artifacts.map(a => a.reason)).toEqual(['failure', 'network']);
+    });
+
+    test('should skip failure capture when disabled', async () => {
+      workerService.config.captureArtifactsOnFailure = false;
+
+      const error = await workerService.executeTask({
+        correlation_id: 'task-1',
+        main_page_url: 'https://example.com',
+        navigations: []
+      }).catch(e => e);
+
+      expect(error.artifacts).toEqual([]);
+      expect(workerService.artifactCapture.capture).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Concurrency', () => {
+    const taskData = {
+      correlation_id: 'task-1',
+      country: 'us',
+      device: 'desktop',
+      os: 'Windows',
+      main_page_url: 'https://example.com',
+      navigations: []
+    };
+
+    beforeEach(() => {
+      workerService.config.concurrency = 2;
+      workerService.slots = new TaskSlots(2);
+      workerService.ensureBrowserInitialized = jest.fn();
+    });
+
+    test('should match prefetch to the configured concurrency', async () => {
+      await workerService.setupTaskConsumer();
+
+      expect(mockRabbitmq.setupRPCConsumer).toHaveBeenCalledWith('tasks', expect.any(Function), { prefetch: 2, resultQueue: 'task_responses' });
+    });
+
+    test('should track the slot of each running task and free it afterwards', async () => {
+      let slotsSeen = [];
+      workerService.executeTask = jest.fn(async () => {
+        slotsSeen = Array.from(workerService.activeTasks.values()).map(task => task.slot);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return { navigation_results: [] };
+      });
+
+      const responses = await Promise.all([
+        workerService.handleTaskMessage(taskData),
+        workerService.handleTaskMessage({ ...taskData, correlation_id: 'task-2' })
+      ]);
+
+      expect(responses.map(r => r.status)).toEqual(['successful', 'successful']);
+      expect(slotsSeen.sort()).toEqual([0, 1]);
+      expect(workerService.activeTasks.size).toBe(0);
+      expect(workerService.slots.available).toBe(2);
+    });
+
+    test('should isolate concurrent tasks in incognito contexts on the shared browser', async () => {
+      const page = { close: jest.fn() };
+      const context = { newPage: jest.fn().mockResolvedValue(page), close: jest.fn() };
+      workerService.browser = { createIncognitoBrowserContext: jest.fn().mockResolvedValue(context) };
+
+      const opened = await workerService.openTaskPage();
+      expect(opened.page).toBe(page);
+
+      await opened.release();
+      expect(context.close).toHaveBeenCalled();
+    });
+
+    test('should hold new tasks while the worker is overloaded', async () => {
+      workerService.config.backpressureCheckInterval = 1;
+      workerService.activeTasks.set('running', { slot: 0 });
+      workerService.resourceMonitor.check = jest.fn()
+        .mockReturnValueOnce(['memory'])
+        .mockReturnValueOnce(['memory'])
+        .mockReturnValue([]);
+
+      await workerService.waitForCapacity('task-1');
+
+      expect(workerService.resourceMonitor.check).toHaveBeenCalledTimes(3);
+    });
+
+    test('should not hold a task when nothing else is running', async () => {
+      workerService.resourceMonitor.check = jest.fn().mockReturnValue(['cpu']);
+
+      await workerService.waitForCapacity('task-1');
+
+      expect(workerService.resourceMonitor.check).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Browser Pool', () => {
+    test('should run proxied tasks in pooled contexts instead of launching a browser per task', async () => {
+      const proxy = { protocol: 'http', host: 'gw.dataimpulse.com', port: 823 };
+      const page = { goto: jest.fn(), waitForTimeout: jest.fn(), close: jest.fn() };
+      const context = { newPage: jest.fn().mockResolvedValue(page), close: jest.fn() };
+      const browser = { createIncognitoBrowserContext: jest.fn().mockResolvedValue(context), close: jest.fn() };
+
+      workerService.config.useProxy = true;
+      workerService.proxyManager.getProxyForCountry = jest.fn().mockResolvedValue(proxy);
+      workerService.launchBrowser = jest.fn().mockResolvedValue(browser);
+      workerService.fingerprintManager.applyFingerprint = jest.fn();
+
+      const task = { correlation_id: 'task-1', country: 'de', main_page_url: 'https://example.com', navigations: [] };
+      await workerService.executeTask(task);
+      await workerService.executeTask({ ...task, correlation_id: 'task-2' });
+
+      expect(workerService.launchBrowser).toHaveBeenCalledTimes(1);
+      expect(workerService.launchBrowser).toHaveBeenCalledWith(proxy);
+      expect(context.close).toHaveBeenCalledTimes(2);
+      expect(browser.close).not.toHaveBeenCalled();
+      expect(workerService.browserPool.getStats()).toMatchObject({ hits: 1, misses: 1, hit_rate: 50 });
+    });
+  });
+
   describe('Fingerprinting Integration', () => {
     test('should initialize fingerprint manager', () => {
       expect(workerService.fingerprintManager).toBeDefined();
@@ -258,6 +495,20 @@ describe('Worker Service', () => {
       expect(profile.os).toBeDefined();
     });
 
+    test('should use the fingerprint profile chosen for the task', async () => {
+      const profile = workerService.getFingerprintProfile({
+        device: 'mobile',
+        os: 'iOS',
+        fingerprint_profile: 'tablet_ios_ipad'
+      });
+      expect(profile.key).toBe('tablet_ios_ipad');
+
+      const page = { setViewport: jest.fn(), setUserAgent: jest.fn(), setDefaultTimeout: jest.fn(), setDefaultNavigationTimeout: jest.fn() };
+      await workerService.configurePage(page, { device: 'desktop', os: 'Linux', fingerprint_profile: 'desktop_linux_chrome' });
+      expect(page.setViewport).toHaveBeenCalledWith({ width: 1920, height: 1080 });
+      expect(page.setUserAgent).toHaveBeenCalledWith(expect.stringContaining('X11; Linux x86_64'));
+    });
+
     test('should find matching profile by device/OS', () => {
       const profileKey = workerService.findMatchingProfile('mobile', 'iOS');
       expect(profileKey).toBeDefined();